@@ -0,0 +1,730 @@
+/**
+ * D&D 5e Summons Assistant
+ * Attack Parser Module
+ * Reads 5etools action text into a structured attack: kind, to-hit, reach and range, targets,
+ * damage parts and on-hit riders, and Multiattack text into the sequence of attacks it makes, so combat
+ * automation and damage calculations don't have to parse text
+ */
+
+import { renderTags } from './tagEngine.js';
+
+const DAMAGE_TYPES = [
+    'acid', 'bludgeoning', 'cold', 'fire', 'force', 'lightning', 'necrotic',
+    'piercing', 'poison', 'psychic', 'radiant', 'slashing', 'thunder'
+];
+
+const NUMBER_WORDS = {
+    'a': 1,
+    'an': 1,
+    'one': 1,
+    'two': 2,
+    'three': 3,
+    'four': 4,
+    'five': 5,
+    'six': 6
+};
+
+const TARGET_PATTERN = /\b(one|two|three|four|five|six|\d+) (target|creature|object)s?\b/i;
+
+// Conditions a rider can apply; "swallowed" isn't a condition but is tracked like one
+const CONDITIONS = [
+    'blinded', 'charmed', 'deafened', 'frightened', 'grappled', 'incapacitated', 'paralyzed',
+    'petrified', 'poisoned', 'prone', 'restrained', 'stunned', 'unconscious', 'swallowed'
+];
+
+const CONDITION_PATTERN = new RegExp(`\\b(${CONDITIONS.join('|')})\\b`, 'gi');
+
+const SAVE_ABILITIES = {
+    'strength': 'str',
+    'dexterity': 'dex',
+    'constitution': 'con',
+    'intelligence': 'int',
+    'wisdom': 'wis',
+    'charisma': 'cha'
+};
+
+const SIZES = ['T', 'S', 'M', 'L', 'H', 'G'];
+
+const SIZE_NAMES = {
+    'tiny': 'T',
+    'small': 'S',
+    'medium': 'M',
+    'large': 'L',
+    'huge': 'H',
+    'gargantuan': 'G'
+};
+
+// Sentences that carry on the rider before them rather than starting a new one
+const CONTINUATION_PATTERN = /^(Until this grapple ends|While (grappled|swallowed|restrained)|The (grappled|swallowed|restrained) (target|creature)|Failure( or Success)?:|Success:|[^.]*\brepeat the saving throw\b)/i;
+
+const COUNT_PATTERN = '(?:a|an|one|two|three|four|five|six|\\d+)';
+
+// Counts that depend on how the creature was summoned, worked out by getTurnSequence
+const SCALED_COUNTS = {
+    halfSpellLevel: context => Math.floor((context.spellLevel || 0) / 2)
+};
+
+// Sentences about how an effect ends, which mention conditions without applying them
+const ENDING_PATTERN = /\bno longer\b|\bdies\b|\bescape from\b/i;
+
+/**
+ * Parse an action's text into a structured attack
+ * @param {string} text - The action's 5etools text, e.g. "{@atk mw} {@hit 4} to hit, reach 5 ft., one target.
+ *     {@h}7 ({@damage 2d4 + 2}) piercing damage plus 3 ({@damage 1d6}) poison damage."
+ * @returns {Object|null} The attack, or null if the text has no attack roll and no damage. It holds:
+ *     kind - 'melee', 'ranged', 'meleeOrRanged', or 'other' for damage without an attack roll;
+ *     spell - whether it is a spell attack;
+ *     attackTypes - the 5etools attack types (e.g. ['mw', 'rw']);
+ *     toHit - the to-hit bonus, or null when there is none or it is the caster's spell attack modifier;
+ *     usesSpellAttack - whether the to-hit is the summoner's spell attack modifier;
+ *     reach - the reach in feet, or null;
+ *     range - {normal, long} in feet, or null;
+ *     targets - how many targets it hits (1 unless the text says otherwise), or null without an attack roll;
+ *     damage - the damage parts dealt together ({formula, dice, bonus, variables, average, type});
+ *     alternates - other ways the damage can be dealt ({condition, damage}), such as versatile damage;
+ *     riders - effects on the target beyond the damage, such as a save against being knocked prone (see readRiders)
+ */
+export function parseAttack(text) {
+    if (typeof text !== 'string') return null;
+    
+    const { plain, tags } = readTaggedText(text);
+    const attackTag = tags.find(tag => tag.tag === 'atk' || tag.tag === 'atkr');
+    const hitTag = tags.find(tag => tag.tag === 'hit');
+    const usesSpellAttack = tags.some(tag => tag.tag === 'hitYourSpellAttack');
+    const damageTags = tags.filter(tag => tag.tag === 'damage');
+    const onHit = tags.find(tag => tag.tag === 'h' || tag.tag === 'hom');
+    
+    const usedTags = new Set();
+    const { damage, alternates } = readDamage(plain, tags, usedTags);
+    const riders = readRiders(plain, tags, onHit ? onHit.end : 0, usedTags);
+    
+    if (!attackTag && !hitTag && !usesSpellAttack && damageTags.length === 0 && riders.length === 0) {
+        return null;
+    }
+    
+    const attackTypes = attackTag ? attackTag.data.attackTypes : [];
+    const melee = attackTypes.some(type => type.startsWith('m'));
+    const ranged = attackTypes.some(type => type.startsWith('r'));
+    const isAttackRoll = !!(attackTag || hitTag || usesSpellAttack);
+    
+    let kind = 'other';
+    if (melee && ranged) {
+        kind = 'meleeOrRanged';
+    } else if (melee) {
+        kind = 'melee';
+    } else if (ranged) {
+        kind = 'ranged';
+    }
+    
+    const reach = plain.match(/\breach (\d+) ft/i);
+    const range = plain.match(/\brange (\d+)(?:\/(\d+))? ft/i);
+    const targets = plain.match(TARGET_PATTERN);
+    
+    return {
+        kind: kind,
+        spell: attackTypes.some(type => type.endsWith('s')),
+        attackTypes: attackTypes,
+        toHit: hitTag ? hitTag.data.bonus : null,
+        usesSpellAttack: usesSpellAttack,
+        reach: reach ? parseInt(reach[1]) : null,
+        range: range ? { normal: parseInt(range[1]), long: range[2] ? parseInt(range[2]) : null } : null,
+        targets: isAttackRoll ? (targets ? toNumber(targets[1]) : 1) : null,
+        damage: damage,
+        alternates: alternates,
+        riders: riders
+    };
+}
+
+/**
+ * Parse a damage formula into its dice, flat bonus and variable terms
+ * @param {string} formula - The formula, e.g. "1d8 + 3" or "2d6 + summonSpellLevel"
+ * @returns {Object} {formula, dice, bonus, variables}: dice such as "1d8", the flat bonus, and terms such as
+ *     "summonSpellLevel" or "PB" that depend on how the creature was summoned
+ */
+export function parseDamageFormula(formula) {
+    const terms = String(formula || '').replace(/\s/g, '').split(/(?=[+-])/).filter(Boolean);
+    const dice = [];
+    const variables = [];
+    let bonus = 0;
+    
+    terms.forEach(term => {
+        if (/^[+-]?\d*d\d+$/i.test(term)) {
+            dice.push(term.replace(/^\+/, ''));
+        } else if (/^[+-]?\d+$/.test(term)) {
+            bonus += parseInt(term);
+        } else {
+            variables.push(term.replace(/^\+/, ''));
+        }
+    });
+    
+    return {
+        formula: String(formula || '').trim(),
+        dice: dice.join(' + ').replace(/\+ -/g, '- '),
+        bonus: bonus,
+        variables: variables
+    };
+}
+
+/**
+ * Render tagged text as plain text, noting where each tag ends up
+ * @param {string} text - The tagged text
+ * @returns {Object} {plain, tags}, tags holding {tag, data, text, start, end} positions in the plain text
+ */
+function readTaggedText(text) {
+    let plain = '';
+    const tags = [];
+    
+    renderTags(text, 'tokens').forEach(token => {
+        if (token.type === 'tag') {
+            tags.push({ tag: token.tag, data: token.data, text: token.text, start: plain.length, end: plain.length + token.text.length });
+        }
+        plain += token.text;
+    });
+    
+    return { plain, tags };
+}
+
+/**
+ * Read the damage an attack deals on a hit, or an effect deals without an attack roll
+ * Damage comes from the first sentence after "Hit:" (or from the first damage roll when there is no "Hit:").
+ * Parts joined by "plus" are dealt together; ", or 6 (1d10 + 3) slashing damage if used with two hands"
+ * starts an alternate. Parts after the last alternate's condition (", plus 7 (2d6) fire damage") are
+ * dealt with the base damage and every alternate. Damage after a saving throw in the same sentence
+ * belongs to a rider
+ * @param {string} plain - The plain text
+ * @param {Array} tags - The tags in the text, with their positions
+ * @param {Set} usedTags - Collects the damage tags read, so riders don't count them again
+ * @returns {Object} {damage, alternates}
+ */
+function readDamage(plain, tags, usedTags) {
+    const hitTag = tags.find(tag => tag.tag === 'h' || tag.tag === 'hom');
+    const firstDamage = tags.find(tag => tag.tag === 'damage');
+    if (!firstDamage) {
+        return { damage: [], alternates: [] };
+    }
+    
+    const start = hitTag ? hitTag.end : firstDamage.start;
+    const sentenceEnd = plain.slice(start).search(/\.(?:\s|$)/);
+    let end = sentenceEnd === -1 ? plain.length : start + sentenceEnd;
+    
+    // "..., and the target must make a DC 11 Constitution saving throw, taking 10 (3d6) poison damage"
+    const save = hitTag ? plain.slice(start, end).search(/\bDC \d+|\bsaving throw\b/i) : -1;
+    if (save !== -1) {
+        end = start + save;
+    }
+    
+    // Split the sentence before each ", or 6 (" that starts alternate damage
+    const segments = [];
+    const alternatePattern = /,?\s+or\s+(?=\d+\s*\()/g;
+    const sentence = plain.slice(start, end);
+    let segmentStart = 0;
+    let match;
+    while ((match = alternatePattern.exec(sentence)) !== null) {
+        segments.push({ start: start + segmentStart, end: start + match.index });
+        segmentStart = match.index + match[0].length;
+    }
+    segments.push({ start: start + segmentStart, end: end });
+    
+    // "..., or 8 (1d10 + 3) slashing damage if used with two hands, plus 7 (2d6) fire damage"
+    let shared = null;
+    const last = segments[segments.length - 1];
+    const sharedMatch = segments.length > 1
+        ? plain.slice(last.start, last.end).match(/,\s+plus\s+(?=\d+\s*\()/i)
+        : null;
+    if (sharedMatch) {
+        shared = { start: last.start + sharedMatch.index + sharedMatch[0].length, end: last.end };
+        last.end = last.start + sharedMatch.index;
+    }
+    
+    const readSegment = segment => tags
+        .filter(tag => tag.tag === 'damage' && tag.start >= segment.start && tag.end <= segment.end)
+        .map(tag => {
+            usedTags.add(tag);
+            return readDamagePart(plain, tag);
+        });
+    
+    const sharedDamage = shared ? readSegment(shared) : [];
+    
+    const alternates = segments.slice(1).map(segment => {
+        // "... slashing damage if used with two hands" gives the condition, after the alternate's last damage
+        const condition = plain.slice(segment.start, segment.end).match(/.*\bdamage\b\s*(.*)$/i);
+        return {
+            condition: condition && condition[1] ? condition[1].trim() : null,
+            damage: readSegment(segment)
+        };
+    }).filter(alternate => alternate.damage.length > 0).map(alternate => ({
+        ...alternate,
+        damage: [...alternate.damage, ...sharedDamage.map(part => ({ ...part }))]
+    }));
+    
+    return { damage: [...readSegment(segments[0]), ...sharedDamage], alternates };
+}
+
+/**
+ * Read the effects an attack or action has on its target beyond its damage
+ * Each sentence that calls for a saving throw, applies a condition or sets an escape DC starts a rider.
+ * Sentences such as "Until this grapple ends, the target is restrained" or "The target can repeat the
+ * saving throw at the end of each of its turns" add to the rider before them. A size limit in a sentence
+ * of its own ("... against a Small or smaller target it is grappling.") applies to the next rider
+ * @param {string} plain - The plain text
+ * @param {Array} tags - The tags in the text, with their positions
+ * @param {number} start - Where the riders can start: after "Hit:" for attacks
+ * @param {Set} usedTags - The damage tags already read as the attack's damage
+ * @returns {Array<Object>} The riders. Each holds:
+ *     text - the sentences it was read from;
+ *     save - {ability, dc, usesSpellSaveDc} when the target makes a saving throw, dc being null for the
+ *         summoner's spell save DC, or null;
+ *     conditions - the conditions applied (on a failed save when there is one);
+ *     escapeDc - the DC to escape a grapple or restraint, or null;
+ *     maxSize - the largest size code it affects (e.g. 'M' for "Medium or smaller"), or null;
+ *     duration - how long it lasts, e.g. "1 minute" or "until the end of its next turn", or null;
+ *     repeatSave - 'start' or 'end' when the target repeats the save at that point of each of its turns, or null;
+ *     damage - damage parts the rider deals (on a failed save when there is one);
+ *     halfOnSuccess - whether a successful save halves the damage rather than avoiding it
+ */
+function readRiders(plain, tags, start, usedTags) {
+    const riders = [];
+    let pendingSize = null;
+    let position = start;
+    
+    plain.slice(start).split(/(?<=\.)\s+/).forEach(sentence => {
+        const sentenceStart = plain.indexOf(sentence, position);
+        const sentenceEnd = sentenceStart + sentence.length;
+        position = sentenceEnd;
+        
+        const text = sentence.trim();
+        if (!text || ENDING_PATTERN.test(text)) return;
+        
+        const ability = text.match(/\b(Strength|Dexterity|Constitution|Intelligence|Wisdom|Charisma) saving throw/i);
+        const dc = text.match(/(?<!escape )\bDC (\d+)/i);
+        const escape = text.match(/\bescape DC (\d+)/i);
+        const size = text.match(/\b(Tiny|Small|Medium|Large|Huge|Gargantuan) or smaller\b/i);
+        const repeat = text.match(/\brepeat the saving throw at the (start|end) of each of its turns/i);
+        const duration = text.match(/\bfor (\d+ (?:round|minute|hour|day)s?)\b/i) ||
+            text.match(/\b(until the (?:start|end) of (?:its|the [\w' ]+?'s) next turn)\b/i);
+        const conditions = (text.match(CONDITION_PATTERN) || []).map(condition => condition.toLowerCase());
+        const damage = tags
+            .filter(tag => tag.tag === 'damage' && !usedTags.has(tag) && tag.start >= sentenceStart && tag.end <= sentenceEnd)
+            .map(tag => readDamagePart(plain, tag));
+        
+        const previous = riders[riders.length - 1];
+        let rider;
+        if (previous && CONTINUATION_PATTERN.test(text)) {
+            rider = previous;
+            rider.text += ` ${text}`;
+        } else if (ability || escape || conditions.length > 0) {
+            rider = {
+                text: text,
+                save: null,
+                conditions: [],
+                escapeDc: null,
+                maxSize: pendingSize,
+                duration: null,
+                repeatSave: null,
+                damage: [],
+                halfOnSuccess: false
+            };
+            riders.push(rider);
+        } else {
+            pendingSize = size ? SIZE_NAMES[size[1].toLowerCase()] : null;
+            return;
+        }
+        
+        pendingSize = null;
+        if (ability && !rider.save) {
+            rider.save = {
+                ability: SAVE_ABILITIES[ability[1].toLowerCase()],
+                dc: dc ? parseInt(dc[1]) : null,
+                usesSpellSaveDc: /\byour spell save DC\b/i.test(text)
+            };
+        }
+        conditions.forEach(condition => {
+            if (!rider.conditions.includes(condition)) rider.conditions.push(condition);
+        });
+        if (escape) rider.escapeDc = parseInt(escape[1]);
+        if (size) rider.maxSize = SIZE_NAMES[size[1].toLowerCase()];
+        if (duration && !rider.duration) rider.duration = duration[1];
+        if (repeat) rider.repeatSave = repeat[1].toLowerCase();
+        if (/\bhalf (?:as much )?damage\b/i.test(text)) rider.halfOnSuccess = true;
+        rider.damage.push(...damage);
+    });
+    
+    return riders;
+}
+
+/**
+ * Work out what a rider does to a target, for combat resolution
+ * @param {Object} rider - The rider, as read by parseAttack
+ * @param {Object} target - {size, saveTotal}: the target's size code and, for riders with a saving throw,
+ *     its saving throw total
+ * @param {Object} context - {spellSaveDc} for riders against the summoner's spell save DC
+ * @returns {Object} {applies, saved, needsSave, conditions, escapeDc, duration, repeatSave, damageMultiplier}:
+ *     the conditions to apply and how much of the rider's damage is dealt. needsSave is set, and nothing
+ *     applied, when the rider has a saving throw and no saveTotal was given
+ */
+export function resolveRider(rider, target = {}, context = {}) {
+    const result = {
+        applies: false,
+        saved: false,
+        needsSave: false,
+        conditions: [],
+        escapeDc: rider.escapeDc,
+        duration: rider.duration,
+        repeatSave: rider.repeatSave,
+        damageMultiplier: 0
+    };
+    
+    // Too big to be grappled, swallowed or knocked prone by it
+    if (rider.maxSize && target.size && SIZES.indexOf(target.size) > SIZES.indexOf(rider.maxSize)) {
+        return result;
+    }
+    
+    if (rider.save) {
+        if (typeof target.saveTotal !== 'number') {
+            result.needsSave = true;
+            return result;
+        }
+        
+        const dc = rider.save.dc !== null ? rider.save.dc : context.spellSaveDc;
+        result.saved = typeof dc === 'number' && target.saveTotal >= dc;
+    }
+    
+    if (result.saved) {
+        result.damageMultiplier = rider.halfOnSuccess ? 0.5 : 0;
+        return result;
+    }
+    
+    result.applies = true;
+    result.conditions = [...rider.conditions];
+    result.damageMultiplier = 1;
+    return result;
+}
+
+/**
+ * Describe a rider in a few words, e.g. "DC 11 Strength save or prone"
+ * @param {Object} rider - The rider, as read by parseAttack
+ * @returns {string} The description
+ */
+export function describeRider(rider) {
+    const effects = rider.conditions.map(condition => {
+        return condition === 'grappled' && rider.escapeDc !== null ? `grappled (escape DC ${rider.escapeDc})` : condition;
+    });
+    
+    rider.damage.forEach(part => {
+        const dice = part.average !== null ? `${part.average} (${part.formula})` : part.formula;
+        effects.push(`${dice}${part.type ? ` ${part.type}` : ''} damage`);
+    });
+    
+    let description = effects.join(', ');
+    if (rider.duration) {
+        description += rider.duration.startsWith('until') ? ` ${rider.duration}` : ` for ${rider.duration}`;
+    }
+    
+    if (rider.save) {
+        const ability = Object.keys(SAVE_ABILITIES).find(name => SAVE_ABILITIES[name] === rider.save.ability);
+        const save = `${rider.save.dc !== null ? `DC ${rider.save.dc}` : 'Spell save DC'} ${ability.charAt(0).toUpperCase()}${ability.slice(1)} save`;
+        description = description ? `${save} or ${description}` : save;
+        
+        if (rider.halfOnSuccess) description += ', half on a success';
+        if (rider.repeatSave) description += `, repeating the save at the ${rider.repeatSave} of each turn`;
+    }
+    
+    if (rider.maxSize) {
+        const size = Object.keys(SIZE_NAMES).find(name => SIZE_NAMES[name] === rider.maxSize);
+        description = `${size.charAt(0).toUpperCase()}${size.slice(1)} or smaller: ${description}`;
+    }
+    
+    return description;
+}
+
+/**
+ * Parse a Multiattack action into the attacks it makes
+ * Handles "makes two attacks: one with its bite and one with its claws", "makes two bite attacks",
+ * "makes two attacks with its scimitar or two with its shortbow", "makes two attacks, using Slam or
+ * Lightning Strike in any combination", "can use its Frightful Presence. It then makes three attacks",
+ * "can replace one attack with a use of Spellcasting", "it can also make a shortsword attack" and the
+ * summoned spirits' "makes a number of attacks equal to half this spell's level"
+ * @param {string} text - The Multiattack text
+ * @param {Array} actions - The creature's other actions ({name, entries}), which the text refers to
+ * @returns {Object|null} {text, options, replacements}, or null if no attacks could be read. options are
+ *     the alternative sequences, each {steps}; a step is {type: 'attack' or 'use', names, count}, names
+ *     being the actions it may use (any attack when empty) and count a number or a SCALED_COUNTS key.
+ *     replacements are {count, names}: attacks that can be swapped for a use of another action
+ */
+export function parseMultiattack(text, actions = []) {
+    if (typeof text !== 'string') return null;
+    
+    const plain = renderTags(text, 'text').replace(/\s+/g, ' ').trim();
+    const candidates = actions
+        .filter(action => action && typeof action.name === 'string' && !/^multiattack/i.test(action.name))
+        .map(action => ({
+            name: stripParenthetical(action.name),
+            attack: parseAttack((action.entries || []).filter(entry => typeof entry === 'string').join(' '))
+        }));
+    
+    const before = [];
+    const after = [];
+    const replacements = [];
+    let options = [];
+    
+    plain.split(/(?<=\.)\s+/).forEach(sentence => {
+        const replace = sentence.match(new RegExp(`\\breplace (${COUNT_PATTERN}) (?:of (?:the|those) )?attacks? with (?:a use of )?(?:its )?(.+?)(?: to .*)?\\.?$`, 'i'));
+        if (replace) {
+            const names = findActionNames(replace[2], candidates);
+            replacements.push({ count: toNumber(replace[1]), names: names.length > 0 ? names : [replace[2].trim()] });
+            return;
+        }
+        
+        const makes = sentence.search(/\bmakes? /i);
+        const use = sentence.match(/\buses? (?:its |their )?(.+?)(?:,|\.|$| and | then )/i);
+        if (use) {
+            const names = findActionNames(use[1], candidates);
+            const step = { type: 'use', names: names.length > 0 ? names : [use[1].trim()], count: 1 };
+            (options.length > 0 || (makes !== -1 && makes < use.index) ? after : before).push(step);
+        }
+        
+        if (makes !== -1 && options.length === 0) {
+            options = readMultiattackOptions(sentence.slice(makes).replace(/^makes? /i, ''), candidates);
+        } else if (makes !== -1 && /\balso make\b/i.test(sentence)) {
+            // "If it has a shortsword drawn, it can also make a shortsword attack."
+            const extra = readMultiattackOptions(sentence.slice(makes).replace(/^makes? /i, ''), candidates);
+            if (extra.length > 0) after.push(...extra[0]);
+        }
+    });
+    
+    if (options.length === 0) {
+        return null;
+    }
+    
+    return {
+        text: plain,
+        options: options.map(steps => ({ steps: [...before, ...steps, ...after] })),
+        replacements: replacements
+    };
+}
+
+/**
+ * Read the attacks after "makes", as alternative sequences of steps
+ * @param {string} text - e.g. "two attacks: one with its bite and one with its claws, or two with its longbow."
+ * @param {Array} candidates - The creature's actions ({name, attack})
+ * @returns {Array<Array<Object>>} The alternatives, each a list of attack steps
+ */
+function readMultiattackOptions(text, candidates) {
+    const body = text.replace(/\.$/, '');
+    const total = body.match(new RegExp(`^(a number of|${COUNT_PATTERN})\\b`, 'i'));
+    if (!total) return [];
+    
+    // "a number of attacks equal to half this spell's level"
+    const count = /^a number of\b/i.test(total[1])
+        ? (/half (?:this|the) spell's level/i.test(body) ? 'halfSpellLevel' : 1)
+        : toNumber(total[1]);
+    
+    const colon = body.indexOf(':');
+    const list = colon === -1 ? body : body.slice(colon + 1);
+    const alternatives = list.split(new RegExp(`,?\\s+or\\s+(?=${COUNT_PATTERN}\\b)`, 'i'));
+    
+    return alternatives.map((alternative, index) => {
+        // "two attacks with its scimitar" has one step; "one with its bite and one with its claws" one per part
+        if (colon === -1) {
+            const stepCount = index === 0 ? count : toNumber(alternative.match(new RegExp(`^${COUNT_PATTERN}`, 'i'))[0]);
+            return [{ type: 'attack', names: findAttackNames(alternative, candidates), count: stepCount }];
+        }
+        
+        return alternative.split(/,\s*(?:and\s+)?|\s+and\s+/)
+            .map(part => part.trim().match(new RegExp(`^(${COUNT_PATTERN})\\b(.*)$`, 'i')))
+            .filter(Boolean)
+            .map(part => ({ type: 'attack', names: findAttackNames(part[2], candidates), count: toNumber(part[1]) }));
+    }).filter(steps => steps.length > 0);
+}
+
+/**
+ * Find the attacks a Multiattack phrase refers to, or all melee or ranged attacks for "two melee attacks"
+ * @param {string} text - The phrase, e.g. "with its claws" or "melee attacks"
+ * @param {Array} candidates - The creature's actions ({name, attack})
+ * @returns {Array<string>} The action names, empty for any of its attacks
+ */
+function findAttackNames(text, candidates) {
+    const names = findActionNames(text, candidates);
+    if (names.length > 0) return names;
+    
+    const kind = text.match(/\b(melee|ranged)\b/i);
+    if (!kind) return [];
+    
+    return candidates
+        .filter(candidate => candidate.attack && candidate.attack.attackTypes.length > 0)
+        .filter(candidate => candidate.attack.kind === kind[1].toLowerCase() || candidate.attack.kind === 'meleeOrRanged')
+        .map(candidate => candidate.name);
+}
+
+/**
+ * Find the creature's actions named in a phrase, in the order they appear
+ * Names are compared as singular words, so "its claws" finds "Claw"
+ * @param {string} text - The phrase
+ * @param {Array} candidates - The creature's actions ({name})
+ * @returns {Array<string>} The action names
+ */
+function findActionNames(text, candidates) {
+    const phrase = ` ${toSingularWords(text)} `;
+    const found = [];
+    
+    // Longer names first, so "Claw Swipe" isn't also read as "Claw"
+    [...candidates].sort((a, b) => b.name.length - a.name.length).forEach(candidate => {
+        const name = toSingularWords(candidate.name);
+        const index = name ? phrase.indexOf(` ${name} `) : -1;
+        if (index !== -1 && !found.some(match => index < match.end && index + name.length + 1 > match.start)) {
+            found.push({ name: candidate.name, start: index, end: index + name.length + 1 });
+        }
+    });
+    
+    return found.sort((a, b) => a.start - b.start).map(match => match.name);
+}
+
+/**
+ * Lower-case a phrase and make its words singular, for comparing action names
+ * @param {string} text - The phrase
+ * @returns {string} The words, separated by single spaces
+ */
+function toSingularWords(text) {
+    return text.toLowerCase()
+        .replace(/[^a-z' ]+/g, ' ')
+        .split(' ')
+        .filter(Boolean)
+        .map(word => word.length > 3 && word.endsWith('s') && !word.endsWith('ss') ? word.slice(0, -1) : word)
+        .join(' ');
+}
+
+/**
+ * Work out the attacks a creature makes on its turn from a Multiattack option
+ * @param {Object} multiattack - The parsed Multiattack, or null for a single attack
+ * @param {Array} attacks - The creature's attacks ({name, ...} as read by parseAttack)
+ * @param {Object} context - {spellLevel} for summoned creatures, and option: the index of the alternative to use
+ * @returns {Array<Object>} The steps to roll in order: {type: 'attack', attack} or {type: 'use', name}.
+ *     Where a step lets the creature choose between attacks, the first one listed is used
+ */
+export function getTurnSequence(multiattack, attacks, context = {}) {
+    const rollable = attacks.filter(attack => attack.attackTypes && attack.attackTypes.length > 0);
+    if (!multiattack || multiattack.options.length === 0) {
+        return rollable.length > 0 ? [{ type: 'attack', attack: rollable[0] }] : [];
+    }
+    
+    const option = multiattack.options[context.option || 0] || multiattack.options[0];
+    const sequence = [];
+    
+    option.steps.forEach(step => {
+        if (step.type === 'use') {
+            sequence.push({ type: 'use', name: step.names[0] });
+            return;
+        }
+        
+        const attack = step.names.length > 0
+            ? attacks.find(candidate => step.names.some(name => stripParenthetical(candidate.name) === name))
+            : rollable[0];
+        const count = SCALED_COUNTS[step.count] ? SCALED_COUNTS[step.count](context) : step.count;
+        
+        for (let i = 0; attack && i < count; i++) {
+            sequence.push({ type: 'attack', attack });
+        }
+    });
+    
+    return sequence;
+}
+
+/**
+ * Estimate a creature's damage per round from its Multiattack, or its best single attack without one
+ * @param {Object} multiattack - The parsed Multiattack, or null
+ * @param {Array} attacks - The creature's attacks
+ * @param {Object} context - {spellLevel, targetAc}; with a targetAc each attack's damage is weighted by its
+ *     chance to hit, otherwise every attack is assumed to hit
+ * @returns {number} The estimated damage per round, using the best Multiattack option
+ */
+export function estimateDamagePerRound(multiattack, attacks, context = {}) {
+    const options = multiattack && multiattack.options.length > 0
+        ? multiattack.options.map((option, index) => getTurnSequence(multiattack, attacks, { ...context, option: index }))
+        : attacks.map(attack => [{ type: 'attack', attack }]);
+    
+    const totals = options.map(sequence => sequence
+        .filter(step => step.type === 'attack')
+        .reduce((total, step) => total + getExpectedDamage(step.attack, context), 0));
+    
+    return totals.length > 0 ? Math.max(...totals) : 0;
+}
+
+/**
+ * Work out the damage an attack is expected to deal
+ * @param {Object} attack - The attack, as read by parseAttack
+ * @param {Object} context - {spellLevel, targetAc}
+ * @returns {number} The average damage, weighted by the chance to hit when context.targetAc is given
+ */
+function getExpectedDamage(attack, context) {
+    const average = attack.damage.reduce((total, part) => {
+        if (part.average !== null) return total + part.average;
+        
+        // Damage such as "1d8 + 3 + summonSpellLevel" needs the spell level to average
+        const level = part.variables.every(variable => variable === 'summonSpellLevel') ? context.spellLevel || 0 : 0;
+        return total + getAverageDamage(part, true) + level * part.variables.length;
+    }, 0);
+    
+    if (typeof context.targetAc !== 'number' || typeof attack.toHit !== 'number') {
+        return average;
+    }
+    
+    // A natural 20 always hits and a natural 1 always misses
+    const hitChance = Math.min(0.95, Math.max(0.05, (21 - (context.targetAc - attack.toHit)) / 20));
+    return average * hitChance;
+}
+
+/**
+ * Remove tags and parenthetical notes such as "(Hybrid Form Only)" from an action name
+ * @param {string} name - The action name
+ * @returns {string} The plain name
+ */
+function stripParenthetical(name) {
+    return renderTags(name, 'text').replace(/\s*\([^)]*\)/g, '').trim();
+}
+
+/**
+ * Read one damage roll with its average and damage type
+ * @param {string} plain - The plain text
+ * @param {Object} tag - The damage tag and its position, as in "7 (2d4 + 2) piercing damage"
+ * @returns {Object} The damage part ({formula, dice, bonus, variables, average, type}); the average is
+ *     the one the text gives, or else worked out from the dice
+ */
+function readDamagePart(plain, tag) {
+    const average = plain.slice(0, tag.start).match(/(\d+)\s*\($/);
+    const type = plain.slice(tag.end).match(/^\)?\s*(\w+)/);
+    const damageType = type && DAMAGE_TYPES.includes(type[1].toLowerCase()) ? type[1].toLowerCase() : null;
+    
+    const formula = parseDamageFormula(tag.data.formula);
+    return {
+        ...formula,
+        average: average ? parseInt(average[1]) : getAverageDamage(formula),
+        type: damageType
+    };
+}
+
+/**
+ * Work out the average of a damage roll the text doesn't give one for
+ * @param {Object} formula - The parsed formula ({dice, bonus, variables})
+ * @param {boolean} ignoreVariables - Leave variables such as summonSpellLevel out instead of giving up
+ * @returns {number|null} The average, rounded down, or null when it depends on a variable such as summonSpellLevel
+ */
+function getAverageDamage(formula, ignoreVariables = false) {
+    if (formula.variables.length > 0 && !ignoreVariables) return null;
+    
+    const dice = formula.dice.replace(/\s/g, '').split(/(?=[+-])/).filter(Boolean);
+    const average = dice.reduce((total, term) => {
+        const [, sign, count, sides] = term.match(/^([+-]?)(\d*)d(\d+)$/i);
+        return total + (sign === '-' ? -1 : 1) * (parseInt(count) || 1) * (parseInt(sides) + 1) / 2;
+    }, formula.bonus);
+    
+    return Math.floor(average);
+}
+
+/**
+ * Read a count written as a word or digits
+ * @param {string} value - e.g. "two" or "3"
+ * @returns {number} The count
+ */
+function toNumber(value) {
+    return NUMBER_WORDS[value.toLowerCase()] || parseInt(value) || 1;
+}
@@ -0,0 +1,245 @@
+/**
+ * D&D 5e Summons Assistant
+ * Conversion Utilities Module
+ * Helpers shared by the importers that turn other statblock formats into 5etools-format monsters
+ */
+
+const SIZE_CODES = {
+    'tiny': 'T',
+    'small': 'S',
+    'medium': 'M',
+    'large': 'L',
+    'huge': 'H',
+    'gargantuan': 'G'
+};
+
+const CR_FRACTIONS = {
+    0.125: '1/8',
+    0.25: '1/4',
+    0.5: '1/2'
+};
+
+const DAMAGE_TYPE_PATTERN = /^(acid|bludgeoning|cold|fire|force|lightning|necrotic|piercing|poison|psychic|radiant|slashing|thunder)$/i;
+
+const ENTITIES = {
+    'amp': '&',
+    'lt': '<',
+    'gt': '>',
+    'quot': '"',
+    'apos': "'",
+    'nbsp': ' '
+};
+
+const ATTACK_TYPES = {
+    'melee weapon': 'mw',
+    'ranged weapon': 'rw',
+    'melee or ranged weapon': 'mw,rw',
+    'melee spell': 'ms',
+    'ranged spell': 'rs',
+    'melee or ranged spell': 'ms,rs'
+};
+
+/**
+ * Convert a size name or code into a 5etools size code
+ * @param {string} size - The size (e.g. "Medium" or "M")
+ * @returns {string} The size code, defaulting to "M"
+ */
+export function toSizeCode(size) {
+    const text = String(size || '').trim().toLowerCase();
+    if (SIZE_CODES[text]) return SIZE_CODES[text];
+    
+    const code = text.charAt(0).toUpperCase();
+    return Object.values(SIZE_CODES).includes(code) ? code : 'M';
+}
+
+/**
+ * Parse a written creature type such as "humanoid (goblinoid)" or "swarm of Tiny beasts"
+ * @param {string} text - The creature type text
+ * @returns {string|Object} The 5etools type: a string, or an object with tags or a swarm size
+ */
+export function parseCreatureType(text) {
+    const typeText = String(text || 'unknown').toLowerCase().trim();
+    
+    const swarmMatch = typeText.match(/^swarm of (\w+) (\w+)$/);
+    if (swarmMatch) {
+        return {
+            type: swarmMatch[2].replace(/ies$/, 'y').replace(/s$/, ''),
+            swarmSize: toSizeCode(swarmMatch[1])
+        };
+    }
+    
+    const tagMatch = typeText.match(/^([^(]+?)\s*\((.+)\)$/);
+    if (tagMatch) {
+        return { type: tagMatch[1], tags: splitList(tagMatch[2]) };
+    }
+    
+    return typeText;
+}
+
+/**
+ * Format a numeric challenge rating as a 5etools CR string
+ * @param {number|string} cr - The challenge rating (e.g. 0.25 or "1/4")
+ * @returns {string} The CR string (e.g. "1/4"), "0" if it can't be read
+ */
+export function formatChallengeRating(cr) {
+    if (typeof cr === 'string' && cr.trim() !== '') {
+        return cr.trim();
+    }
+    
+    if (typeof cr === 'number' && !isNaN(cr)) {
+        return CR_FRACTIONS[cr] || String(cr);
+    }
+    
+    return '0';
+}
+
+/**
+ * Read a 5etools challenge rating as a number
+ * @param {string|number|Object} cr - The challenge rating ("1/4", 3 or {cr: "1/2", lair: "1"})
+ * @returns {number} The challenge rating, 0 if it can't be read
+ */
+export function parseChallengeRating(cr) {
+    if (cr && typeof cr === 'object') {
+        return parseChallengeRating(cr.cr);
+    }
+    
+    if (typeof cr === 'number') {
+        return cr;
+    }
+    
+    const fraction = Object.keys(CR_FRACTIONS).find(value => CR_FRACTIONS[value] === String(cr).trim());
+    return fraction ? parseFloat(fraction) : parseFloat(cr) || 0;
+}
+
+/**
+ * Calculate the proficiency bonus for a challenge rating
+ * @param {number} cr - The challenge rating
+ * @returns {number} The proficiency bonus
+ */
+export function getProficiencyBonus(cr) {
+    return Math.max(2, Math.floor((Math.max(cr, 1) - 1) / 4) + 2);
+}
+
+/**
+ * Split a damage vulnerability, resistance or immunity text into a 5etools list
+ * Plain damage types are listed individually; qualified groups such as
+ * "bludgeoning, piercing, and slashing from nonmagical attacks" are kept as written
+ * @param {string} text - The damage list text, groups separated by semicolons
+ * @returns {Array<string>} The list entries
+ */
+export function parseDamageList(text) {
+    if (!text || typeof text !== 'string') return [];
+    
+    const values = [];
+    text.split(';').map(group => group.trim()).filter(Boolean).forEach(group => {
+        const types = splitList(group.replace(/\band\b/g, ','));
+        if (types.every(type => DAMAGE_TYPE_PATTERN.test(type))) {
+            values.push(...types.map(type => type.toLowerCase()));
+        } else {
+            values.push(group);
+        }
+    });
+    
+    return values;
+}
+
+/**
+ * Convert "(Recharge 5-6)" in an action name into a recharge tag
+ * @param {string} name - The action name
+ * @returns {string} The 5etools action name
+ */
+export function convertRechargeName(name) {
+    return name.replace(/\s*\(Recharge (\d)(?:\s*[–-]\s*6)?\)/i, (match, value) => {
+        return value === '6' ? ' {@recharge}' : ` {@recharge ${value}}`;
+    });
+}
+
+/**
+ * Add 5etools tags to plain statblock text so attacks, damage and DCs are recognized
+ * @param {string} text - Plain description text
+ * @returns {string} Text with {@atk}, {@hit}, {@h}, {@damage} and {@dc} tags
+ */
+export function addStatblockTags(text) {
+    return text
+        .replace(/\b(Melee or Ranged|Melee|Ranged) (Weapon|Spell) Attack:/gi, (match, range, kind) => {
+            return `{@atk ${ATTACK_TYPES[`${range} ${kind}`.toLowerCase()]}}`;
+        })
+        .replace(/([+-])\s?(\d+) to hit/g, (match, sign, value) => `{@hit ${sign === '-' ? '-' : ''}${value}} to hit`)
+        .replace(/\bHit:\s*/g, '{@h}')
+        .replace(/\((\d*d\d+(?:\s*[+-]\s*\d+)?)\)/g, (match, dice) => `({@damage ${formatDiceFormula(dice)}})`)
+        .replace(/\bDC (\d+)/g, '{@dc $1}');
+}
+
+/**
+ * Space out a dice formula the way 5etools writes it ("2d8+2" becomes "2d8 + 2")
+ * @param {string} formula - The dice formula
+ * @returns {string} The formatted formula
+ */
+export function formatDiceFormula(formula) {
+    if (!formula) return '';
+    return String(formula).replace(/\s*([+-])\s*/g, ' $1 ').trim();
+}
+
+/**
+ * Format a numeric bonus as a signed string
+ * @param {number|string} value - The bonus
+ * @returns {string} The bonus (e.g. "+3")
+ */
+export function formatBonus(value) {
+    const number = parseInt(value) || 0;
+    return number >= 0 ? `+${number}` : `${number}`;
+}
+
+/**
+ * Split a comma-separated list
+ * @param {string} text - The list text
+ * @returns {Array<string>} The trimmed, non-empty items
+ */
+export function splitList(text) {
+    if (!text || typeof text !== 'string') return [];
+    return text.split(',').map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Calculate a passive Perception score from a Wisdom score
+ * @param {number} wisdom - The Wisdom score
+ * @returns {number} 10 plus the Wisdom modifier
+ */
+export function getPassivePerception(wisdom) {
+    return 10 + Math.floor(((wisdom || 10) - 10) / 2);
+}
+
+/**
+ * Decode XML and HTML character entities
+ * @param {string} text - Text with entities such as &amp; or &#8212;
+ * @returns {string} The decoded text
+ */
+export function decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, entity) => {
+        if (entity[0] === '#') {
+            const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1));
+            return String.fromCodePoint(code);
+        }
+        return ENTITIES[entity] !== undefined ? ENTITIES[entity] : match;
+    });
+}
+
+/**
+ * Convert an HTML description into plain-text paragraphs
+ * Done with regular expressions because imports run in a web worker without DOMParser
+ * @param {string} html - The HTML text
+ * @returns {Array<string>} The non-empty paragraphs
+ */
+export function htmlToParagraphs(html) {
+    if (!html || typeof html !== 'string') return [];
+    
+    const text = html
+        .replace(/<br\s*\/?>/gi, '\n')
+        .replace(/<\/(p|div|li|h\d)>/gi, '\n')
+        .replace(/<[^>]+>/g, '');
+    
+    return decodeEntities(text)
+        .split(/\n+/)
+        .map(paragraph => paragraph.replace(/\s+/g, ' ').trim())
+        .filter(Boolean);
+}
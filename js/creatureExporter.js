@@ -0,0 +1,1034 @@
+/**
+ * D&D 5e Summons Assistant
+ * Creature Exporter Module
+ * Converts stored creatures into Foundry VTT dnd5e actors, Improved Initiative
+ * statblocks and 5etools homebrew files for use in other tools
+ */
+
+import {
+    getRawMonster,
+    processMonsterCopy,
+    processMonsterVariants,
+    getSizeString,
+    getTypeWithTags,
+    getAlignmentString,
+    formatTraitEntry,
+    stripTags
+} from './statBlockRenderer.js';
+import {
+    formatChallengeRating,
+    parseChallengeRating,
+    getProficiencyBonus
+} from './conversionUtils.js';
+import { parseAttack } from './attackParser.js';
+import { parseUsage } from './usageTracker.js';
+import { escapeHtml } from './tagEngine.js';
+
+/**
+ * The formats creatures can be exported in
+ */
+export const EXPORT_FORMATS = {
+    foundry: {
+        label: 'Foundry VTT (dnd5e actor)',
+        description: 'Actor JSON for the dnd5e system. Use "Import Data" on an actor, or upload it here again.',
+        suffix: 'foundry'
+    },
+    improvedInitiative: {
+        label: 'Improved Initiative',
+        description: 'Statblock JSON for the Improved Initiative creature library.',
+        suffix: 'improved_initiative'
+    },
+    homebrew: {
+        label: '5etools homebrew',
+        description: 'A homebrew file with a _meta block, loadable in 5etools or uploaded here again.',
+        suffix: 'homebrew'
+    }
+};
+
+const ABILITIES = ['str', 'dex', 'con', 'int', 'wis', 'cha'];
+const SPEED_TYPES = ['walk', 'burrow', 'climb', 'fly', 'swim'];
+const SENSES = ['darkvision', 'blindsight', 'tremorsense', 'truesight'];
+
+// Statblock sections and the Foundry activation type of the items in them
+const SECTIONS = [
+    { property: 'trait', activation: '', improvedInitiative: 'Traits' },
+    { property: 'action', activation: 'action', improvedInitiative: 'Actions' },
+    { property: 'bonus', activation: 'bonus', improvedInitiative: 'BonusActions' },
+    { property: 'reaction', activation: 'reaction', improvedInitiative: 'Reactions' },
+    { property: 'legendary', activation: 'legendary', improvedInitiative: 'LegendaryActions' },
+    { property: 'mythic', activation: 'mythic', improvedInitiative: 'MythicActions' }
+];
+
+const FOUNDRY_SIZES = {
+    'T': 'tiny',
+    'S': 'sm',
+    'M': 'med',
+    'L': 'lg',
+    'H': 'huge',
+    'G': 'grg'
+};
+
+const FOUNDRY_SKILLS = {
+    'acrobatics': { key: 'acr', ability: 'dex' },
+    'animal handling': { key: 'ani', ability: 'wis' },
+    'arcana': { key: 'arc', ability: 'int' },
+    'athletics': { key: 'ath', ability: 'str' },
+    'deception': { key: 'dec', ability: 'cha' },
+    'history': { key: 'his', ability: 'int' },
+    'insight': { key: 'ins', ability: 'wis' },
+    'intimidation': { key: 'itm', ability: 'cha' },
+    'investigation': { key: 'inv', ability: 'int' },
+    'medicine': { key: 'med', ability: 'wis' },
+    'nature': { key: 'nat', ability: 'int' },
+    'perception': { key: 'prc', ability: 'wis' },
+    'performance': { key: 'prf', ability: 'cha' },
+    'persuasion': { key: 'per', ability: 'cha' },
+    'religion': { key: 'rel', ability: 'int' },
+    'sleight of hand': { key: 'slt', ability: 'dex' },
+    'stealth': { key: 'ste', ability: 'dex' },
+    'survival': { key: 'sur', ability: 'wis' }
+};
+
+const FOUNDRY_LANGUAGES = {
+    'common': 'common',
+    'dwarvish': 'dwarvish',
+    'elvish': 'elvish',
+    'giant': 'giant',
+    'gnomish': 'gnomish',
+    'goblin': 'goblin',
+    'halfling': 'halfling',
+    'orc': 'orc',
+    'abyssal': 'abyssal',
+    'celestial': 'celestial',
+    'draconic': 'draconic',
+    'deep speech': 'deep',
+    'infernal': 'infernal',
+    'primordial': 'primordial',
+    'aquan': 'aquan',
+    'auran': 'auran',
+    'ignan': 'ignan',
+    'terran': 'terran',
+    'sylvan': 'sylvan',
+    'undercommon': 'undercommon',
+    'druidic': 'druidic',
+    "thieves' cant": 'cant'
+};
+
+const CREATURE_TYPES = ['aberration', 'beast', 'celestial', 'construct', 'dragon', 'elemental', 'fey', 'fiend', 'giant', 'humanoid', 'monstrosity', 'ooze', 'plant', 'undead'];
+
+const DAMAGE_TYPES = ['acid', 'bludgeoning', 'cold', 'fire', 'force', 'lightning', 'necrotic', 'piercing', 'poison', 'psychic', 'radiant', 'slashing', 'thunder'];
+
+const CONDITIONS = ['blinded', 'charmed', 'deafened', 'diseased', 'exhaustion', 'frightened', 'grappled', 'incapacitated', 'invisible', 'paralyzed', 'petrified', 'poisoned', 'prone', 'restrained', 'stunned', 'unconscious'];
+
+// Qualifiers on physical damage that dnd5e models as bypasses
+const DAMAGE_BYPASSES = [
+    { pattern: /nonmagical/i, key: 'mgc' },
+    { pattern: /silvered/i, key: 'sil' },
+    { pattern: /adamantine/i, key: 'ada' }
+];
+
+const ATTACK_TYPES = {
+    'mw': 'mwak',
+    'rw': 'rwak',
+    'ms': 'msak',
+    'rs': 'rsak'
+};
+
+// Foundry's uses periods for our per-day and per-rest limits
+const FOUNDRY_USAGE_PERIODS = {
+    'day': 'day',
+    'shortRest': 'sr',
+    'longRest': 'lr'
+};
+
+const SAVE_ABILITIES = {
+    'strength': 'str',
+    'dexterity': 'dex',
+    'constitution': 'con',
+    'intelligence': 'int',
+    'wisdom': 'wis',
+    'charisma': 'cha'
+};
+
+// Properties of our stored records and renderer that aren't part of the 5etools monster format
+const INTERNAL_PROPERTIES = ['id', '_isVariant', '_isVariantTemplate', 'abilities', 'attacks', 'multiattack', 'specialAbilities', 'skills', 'conditionImmunities', 'damageTypes', 'hasToken', 'sourceFormat', 'raw'];
+
+/**
+ * Export creatures as a downloadable file in one of the EXPORT_FORMATS
+ * A single creature is written on its own rather than in an array, the way the VTTs
+ * export one actor or statblock; the 5etools homebrew file always lists every monster
+ * @param {Array<Object>} creatures - The stored creature records to export
+ * @param {string} format - The format key (foundry, improvedInitiative or homebrew)
+ * @param {Array<Object>} allCreatures - All stored creatures, used to resolve _copy references
+ * @returns {Object} A blob URL, file name and the number of creatures written
+ */
+export function exportCreatures(creatures, format, allCreatures = creatures) {
+    const formatInfo = EXPORT_FORMATS[format];
+    if (!formatInfo) {
+        throw new Error(`Unknown export format "${format}"`);
+    }
+    
+    if (!creatures || creatures.length === 0) {
+        throw new Error('No creatures to export');
+    }
+    
+    // 5etools understands _versions itself; the VTTs need each variant as its own creature
+    const monsters = getExportMonsters(creatures, allCreatures, format !== 'homebrew');
+    
+    let data;
+    if (format === 'foundry') {
+        data = monsters.map(toFoundryActor);
+    } else if (format === 'improvedInitiative') {
+        data = monsters.map(toImprovedInitiativeStatblock);
+    } else {
+        data = toHomebrewFile(monsters);
+    }
+    
+    if (Array.isArray(data) && data.length === 1) {
+        data = data[0];
+    }
+    
+    const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+    const baseName = creatures.length === 1
+        ? creatures[0].id
+        : `dnd5e_summons_${creatures.length}_creatures`;
+    
+    return {
+        success: true,
+        url: URL.createObjectURL(blob),
+        filename: `${baseName}_${formatInfo.suffix}.json`,
+        count: monsters.length
+    };
+}
+
+/**
+ * Get the complete 5etools monsters for stored creatures
+ * @param {Array<Object>} creatures - The stored creature records
+ * @param {Array<Object>} allCreatures - All stored creatures, used to resolve _copy references
+ * @param {boolean} expandVariants - Whether to turn _versions into separate monsters
+ * @returns {Array<Object>} The 5etools monsters, without our internal properties
+ */
+export function getExportMonsters(creatures, allCreatures, expandVariants = true) {
+    const fetchMonster = (name, source) => {
+        const match = allCreatures.find(c => c.name === name && c.source === source);
+        return match ? getRawMonster(match) : undefined;
+    };
+    
+    return creatures.flatMap(creature => {
+        let monster = getRawMonster(creature);
+        if (monster._copy) {
+            monster = processMonsterCopy(monster, fetchMonster);
+        }
+        
+        const monsters = expandVariants ? processMonsterVariants(monster) : [monster];
+        
+        return monsters.map(exported => {
+            const cleaned = JSON.parse(JSON.stringify(exported));
+            INTERNAL_PROPERTIES.forEach(property => delete cleaned[property]);
+            if (expandVariants) {
+                delete cleaned._versions;
+            }
+            return cleaned;
+        });
+    });
+}
+
+/**
+ * Convert a 5etools monster into a Foundry VTT dnd5e actor
+ * Weapon attacks become weapon items whose ability, proficiency and attack bonus add up
+ * to the statblock's to-hit bonus; other entries become feat items activated the way
+ * their section is (trait, action, bonus action, reaction, legendary or mythic action)
+ * @param {Object} monster - The 5etools monster
+ * @returns {Object} The actor, ready for Foundry's "Import Data"
+ */
+export function toFoundryActor(monster) {
+    const cr = parseChallengeRating(monster.cr);
+    const proficiency = getProficiencyBonus(cr);
+    const mods = getAbilityModifiers(monster);
+    
+    const abilities = {};
+    ABILITIES.forEach(ability => {
+        abilities[ability] = { value: getAbilityScore(monster, ability), proficient: 0 };
+        
+        const save = monster.save && monster.save[ability];
+        if (save !== undefined) {
+            abilities[ability].proficient = 1;
+            
+            // Keep saves that don't follow the proficiency bonus as they are written
+            const bonus = parseBonus(save) - mods[ability] - proficiency;
+            if (bonus !== 0) {
+                abilities[ability].bonuses = { save: String(bonus) };
+            }
+        }
+    });
+    
+    const skills = {};
+    for (const [name, bonus] of Object.entries(monster.skill || {})) {
+        const skill = FOUNDRY_SKILLS[name.toLowerCase()];
+        if (!skill) continue;
+        
+        // Proficiency multiplier: 2 for expertise
+        const trained = parseBonus(bonus) - mods[skill.ability];
+        const value = trained >= proficiency * 2 ? 2 : 1;
+        skills[skill.key] = { value: value, ability: skill.ability };
+        
+        if (trained !== proficiency * value) {
+            skills[skill.key].bonuses = { check: String(trained - proficiency * value) };
+        }
+    }
+    
+    const spellcastingAbility = (monster.spellcasting || [])
+        .map(spellcasting => spellcasting.ability)
+        .find(ability => ABILITIES.includes(ability));
+    
+    const context = { mods, proficiency, spellcasting: spellcastingAbility || 'cha' };
+    
+    const system = {
+        abilities: abilities,
+        attributes: {
+            ac: convertArmorClass(monster.ac),
+            hp: convertHitPoints(monster.hp),
+            movement: convertMovement(monster.speed),
+            senses: convertSenses(monster.senses),
+            spellcasting: spellcastingAbility || ''
+        },
+        details: {
+            type: convertType(monster.type),
+            alignment: getAlignmentString(monster.alignment),
+            cr: cr,
+            source: {
+                book: monster.source || '',
+                page: monster.page ? String(monster.page) : '',
+                custom: ''
+            },
+            biography: { value: '' }
+        },
+        traits: {
+            size: FOUNDRY_SIZES[getSizeCode(monster.size)] || 'med',
+            di: convertDamageTraits(monster.immune, 'immune'),
+            dr: convertDamageTraits(monster.resist, 'resist'),
+            dv: convertDamageTraits(monster.vulnerable, 'vulnerable'),
+            ci: convertTraitList(monster.conditionImmune, CONDITIONS),
+            languages: convertLanguages(monster.languages)
+        },
+        skills: skills,
+        resources: getResources(monster)
+    };
+    
+    return {
+        name: monster.name,
+        type: 'npc',
+        img: 'icons/svg/mystery-man.svg',
+        system: system,
+        items: SECTIONS.flatMap(section => {
+            return getSectionEntries(monster, section.property)
+                .map(entry => convertFoundryItem(entry, section.activation, context));
+        })
+    };
+}
+
+/**
+ * Convert a 5etools monster into an Improved Initiative statblock
+ * @param {Object} monster - The 5etools monster
+ * @returns {Object} The statblock
+ */
+export function toImprovedInitiativeStatblock(monster) {
+    const mods = getAbilityModifiers(monster);
+    
+    const senses = (Array.isArray(monster.senses) ? monster.senses : []).map(stripTags);
+    if (monster.passive) {
+        senses.push(`passive Perception ${stripTags(String(monster.passive))}`);
+    }
+    
+    const statblock = {
+        Id: monster.name.toLowerCase().replace(/[^a-z0-9]+/g, '-') + `-${String(monster.source || '').toLowerCase()}`,
+        Name: monster.name,
+        Path: '',
+        Source: monster.source || '',
+        Type: `${getSizeString(monster.size)} ${getTypeWithTags(monster.type)}, ${getAlignmentString(monster.alignment)}`,
+        HP: formatHitPointsStat(monster.hp),
+        AC: formatArmorClassStat(monster.ac),
+        InitiativeModifier: mods.dex,
+        InitiativeAdvantage: false,
+        Speed: formatSpeedList(monster.speed),
+        Abilities: {
+            Str: getAbilityScore(monster, 'str'),
+            Dex: getAbilityScore(monster, 'dex'),
+            Con: getAbilityScore(monster, 'con'),
+            Int: getAbilityScore(monster, 'int'),
+            Wis: getAbilityScore(monster, 'wis'),
+            Cha: getAbilityScore(monster, 'cha')
+        },
+        DamageVulnerabilities: formatTraitList(monster.vulnerable),
+        DamageResistances: formatTraitList(monster.resist),
+        DamageImmunities: formatTraitList(monster.immune),
+        ConditionImmunities: formatTraitList(monster.conditionImmune),
+        Saves: Object.entries(monster.save || {}).map(([ability, bonus]) => ({
+            Name: capitalize(ability),
+            Modifier: parseBonus(bonus)
+        })),
+        Skills: Object.entries(monster.skill || {})
+            .filter(([skill]) => FOUNDRY_SKILLS[skill.toLowerCase()])
+            .map(([skill, bonus]) => ({
+                Name: skill.split(' ').map(capitalize).join(' '),
+                Modifier: parseBonus(bonus)
+            })),
+        Senses: senses,
+        Languages: (Array.isArray(monster.languages) ? monster.languages : []).map(stripTags),
+        Challenge: formatChallengeRating(parseChallengeRating(monster.cr)),
+        Description: '',
+        Player: '',
+        ImageURL: ''
+    };
+    
+    SECTIONS.forEach(section => {
+        statblock[section.improvedInitiative] = getSectionEntries(monster, section.property).map(entry => {
+            const name = splitEntryName(entry.name);
+            
+            return {
+                Name: name.name,
+                Content: entriesToParagraphs(entry.entries || entry.entry).join('\n'),
+                Usage: name.usage
+            };
+        });
+    });
+    
+    return statblock;
+}
+
+/**
+ * Wrap 5etools monsters in a homebrew file with a _meta block listing their sources
+ * @param {Array<Object>} monsters - The 5etools monsters
+ * @returns {Object} The homebrew file
+ */
+export function toHomebrewFile(monsters) {
+    const now = Math.floor(Date.now() / 1000);
+    const sources = [...new Set(monsters.map(monster => monster.source).filter(Boolean))];
+    
+    return {
+        _meta: {
+            sources: sources.map(source => ({
+                json: source,
+                abbreviation: source,
+                full: source,
+                authors: [],
+                convertedBy: ['D&D 5e Summons Assistant'],
+                version: '1.0.0'
+            })),
+            dateAdded: now,
+            dateLastModified: now
+        },
+        monster: monsters
+    };
+}
+
+/**
+ * Convert 5etools entries into plain-text paragraphs
+ * @param {Array|string} entries - The entries
+ * @returns {Array<string>} The paragraphs; list items start with a bullet
+ */
+function entriesToParagraphs(entries) {
+    if (typeof entries === 'string') return [stripTags(entries)];
+    if (!Array.isArray(entries)) return [];
+    
+    return entries.flatMap(entry => {
+        if (typeof entry === 'string') return [stripTags(entry)];
+        if (!entry || typeof entry !== 'object') return [];
+        
+        if (entry.type === 'list') {
+            return (entry.items || []).flatMap(item => entriesToParagraphs([item]).map(text => `• ${text}`));
+        }
+        
+        const paragraphs = entriesToParagraphs(entry.entries || entry.entry);
+        if (entry.name && paragraphs.length > 0) {
+            paragraphs[0] = `${stripTags(entry.name)}. ${paragraphs[0]}`;
+        }
+        return paragraphs;
+    });
+}
+
+/**
+ * Flatten entries into one string with their tags intact, for reading attack data
+ * @param {Array|string} entries - The entries
+ * @returns {string} The joined text
+ */
+function entriesToTaggedText(entries) {
+    if (typeof entries === 'string') return entries;
+    if (!Array.isArray(entries)) return '';
+    
+    return entries.map(entry => {
+        if (typeof entry === 'string') return entry;
+        if (!entry || typeof entry !== 'object') return '';
+        return entriesToTaggedText(entry.entries || entry.entry || entry.items);
+    }).join(' ');
+}
+
+/**
+ * Get a statblock section's named entries, adding spellcasting that is shown in it
+ * @param {Object} monster - The 5etools monster
+ * @param {string} property - The section (trait, action, ...)
+ * @returns {Array<Object>} The {name, entries} entries
+ */
+function getSectionEntries(monster, property) {
+    const entries = Array.isArray(monster[property]) ? [...monster[property]] : [];
+    
+    (Array.isArray(monster.spellcasting) ? monster.spellcasting : [])
+        .filter(spellcasting => (spellcasting.displayAs || 'trait') === property)
+        .forEach(spellcasting => entries.push(convertSpellcasting(spellcasting)));
+    
+    return entries.filter(entry => entry && typeof entry === 'object' && entry.name);
+}
+
+/**
+ * Write a 5etools spellcasting block as a named entry
+ * @param {Object} spellcasting - The spellcasting block
+ * @returns {Object} The {name, entries} entry listing the spells
+ */
+function convertSpellcasting(spellcasting) {
+    const spellList = spells => (spells || [])
+        .map(spell => typeof spell === 'string' ? spell : spell && spell.entry)
+        .filter(Boolean)
+        .join(', ');
+    
+    const entries = [...(spellcasting.headerEntries || [])];
+    
+    if (spellcasting.will) {
+        entries.push(`At will: ${spellList(spellcasting.will)}`);
+    }
+    
+    for (const [uses, spells] of Object.entries(spellcasting.daily || {})) {
+        const each = uses.endsWith('e');
+        entries.push(`${parseInt(uses)}/day${each ? ' each' : ''}: ${spellList(spells)}`);
+    }
+    
+    for (const [level, data] of Object.entries(spellcasting.spells || {})) {
+        const label = level === '0'
+            ? 'Cantrips (at will)'
+            : `${getOrdinal(parseInt(level))} level (${data.slots || 0} slot${data.slots === 1 ? '' : 's'})`;
+        entries.push(`${label}: ${spellList(data.spells)}`);
+    }
+    
+    entries.push(...(spellcasting.footerEntries || []));
+    
+    return { name: spellcasting.name || 'Spellcasting', entries };
+}
+
+/**
+ * Split an entry name into its plain name and usage
+ * @param {string} name - The entry name (e.g. "Fire Breath {@recharge 5}" or "Wing Attack (Costs 2 Actions)")
+ * @returns {Object} {name, usage, recharge, uses, per, cost}, usage being the label such as "Recharge 5–6"
+ */
+function splitEntryName(name) {
+    const parsed = parseUsage(name);
+    const usage = parsed.usage || {};
+    
+    return {
+        name: parsed.name,
+        usage: usage.label || '',
+        recharge: usage.recharge || null,
+        uses: usage.uses || null,
+        per: usage.per || null,
+        cost: usage.cost || 1
+    };
+}
+
+/**
+ * Convert a statblock entry into a Foundry weapon or feat item
+ * @param {Object} entry - The {name, entries} entry
+ * @param {string} activation - The Foundry activation type for the entry's section
+ * @param {Object} context - {mods, proficiency, spellcasting}
+ * @returns {Object} The embedded item
+ */
+function convertFoundryItem(entry, activation, context) {
+    const name = splitEntryName(entry.name);
+    const text = entriesToTaggedText(entry.entries || entry.entry);
+    
+    const system = {
+        description: {
+            value: entriesToParagraphs(entry.entries || entry.entry).map(paragraph => `<p>${escapeHtml(paragraph)}</p>`).join('')
+        },
+        activation: {
+            type: activation,
+            cost: activation ? name.cost : null
+        }
+    };
+    
+    if (name.recharge) {
+        system.recharge = { value: name.recharge, charged: true };
+    }
+    
+    if (name.uses && FOUNDRY_USAGE_PERIODS[name.per]) {
+        system.uses = { value: name.uses, max: String(name.uses), per: FOUNDRY_USAGE_PERIODS[name.per] };
+    }
+    
+    const save = parseSavingThrow(text);
+    if (save) {
+        system.save = save;
+    }
+    
+    const attack = activation ? parseAttack(text) : null;
+    if (attack && attack.attackTypes.length > 0 && attack.toHit !== null) {
+        const ability = getAttackAbility(attack, context);
+        const attackBonus = attack.toHit - context.mods[ability] - context.proficiency;
+        
+        return {
+            name: name.name,
+            type: 'weapon',
+            system: {
+                ...system,
+                type: { value: 'natural' },
+                equipped: true,
+                proficient: 1,
+                actionType: ATTACK_TYPES[attack.attackTypes[0]] || 'mwak',
+                ability: ability,
+                attackBonus: attackBonus !== 0 ? String(attackBonus) : '',
+                damage: {
+                    // Damage from a rider's saving throw is listed too, as Foundry rolls it with the attack's
+                    parts: attack.damage.concat(...attack.riders.map(rider => rider.damage)).map(toDamagePart),
+                    // The first alternate damage, such as "or 8 (1d10 + 3) slashing damage if used with two hands"
+                    versatile: attack.alternates.length > 0 ? attack.alternates[0].damage[0].formula : ''
+                },
+                range: {
+                    // Thrown melee weapons use their thrown range, as dnd5e's own daggers and javelins do
+                    value: attack.range ? attack.range.normal : attack.reach || 5,
+                    long: attack.range ? attack.range.long : null,
+                    units: 'ft'
+                },
+                target: { value: attack.targets, type: 'creature' }
+            }
+        };
+    }
+    
+    if (save) {
+        system.actionType = 'save';
+        system.damage = { parts: parseDamageParts(text), versatile: '' };
+    }
+    
+    return {
+        name: name.name,
+        type: 'feat',
+        system: {
+            ...system,
+            type: { value: 'monster', subtype: '' }
+        }
+    };
+}
+
+/**
+ * Convert a parsed damage part into a Foundry [formula, type] damage part
+ * @param {Object} part - The damage part from parseAttack
+ * @returns {Array<string>} The Foundry damage part
+ */
+function toDamagePart(part) {
+    return [part.formula, part.type || ''];
+}
+
+/**
+ * Read the damage tags in text as Foundry [formula, type] damage parts
+ * @param {string} text - Tagged text such as "7 ({@damage 2d4 + 2}) piercing damage"
+ * @returns {Array<Array<string>>} The damage parts
+ */
+function parseDamageParts(text) {
+    const parts = [];
+    const pattern = /\{@damage ([^}]+)\}\)?(?:\s+(\w+))?/g;
+    let match;
+    
+    while ((match = pattern.exec(text)) !== null) {
+        const type = match[2] && DAMAGE_TYPES.includes(match[2].toLowerCase()) ? match[2].toLowerCase() : '';
+        parts.push([match[1].trim(), type]);
+    }
+    
+    return parts;
+}
+
+/**
+ * Read a saving throw such as "{@dc 13} Dexterity saving throw"
+ * @param {string} text - The tagged text
+ * @returns {Object|null} The Foundry save ({ability, dc, scaling}), or null if there is none
+ */
+function parseSavingThrow(text) {
+    const match = text.match(/\{@dc (\d+)\}\s+(Strength|Dexterity|Constitution|Intelligence|Wisdom|Charisma) saving throw/i);
+    if (!match) return null;
+    
+    return { ability: SAVE_ABILITIES[match[2].toLowerCase()], dc: parseInt(match[1]), scaling: 'flat' };
+}
+
+/**
+ * Pick the ability an attack uses so the actor's numbers reproduce its to-hit bonus
+ * @param {Object} attack - The parsed attack
+ * @param {Object} context - {mods, proficiency, spellcasting}
+ * @returns {string} The ability abbreviation
+ */
+function getAttackAbility(attack, context) {
+    let candidates;
+    if (attack.attackTypes[0] === 'mw') {
+        candidates = ['str', 'dex'];
+    } else if (attack.attackTypes[0] === 'rw') {
+        candidates = ['dex', 'str'];
+    } else {
+        candidates = [context.spellcasting, 'int', 'wis', 'cha'];
+    }
+    
+    return candidates.find(ability => attack.toHit === context.mods[ability] + context.proficiency) || candidates[0];
+}
+
+/**
+ * Convert a 5etools AC array into Foundry's attributes.ac
+ * @param {Array|number} ac - The 5etools armor class
+ * @returns {Object} {flat, calc}
+ */
+function convertArmorClass(ac) {
+    const first = Array.isArray(ac) ? ac[0] : ac;
+    
+    let value = 10;
+    let from = [];
+    if (typeof first === 'number') {
+        value = first;
+    } else if (first && typeof first === 'object') {
+        value = typeof first.ac === 'number' ? first.ac : parseInt(first.special) || 10;
+        from = Array.isArray(first.from) ? first.from.map(stripTags) : [];
+    }
+    
+    return {
+        flat: value,
+        calc: from.some(source => /natural armor/i.test(source)) ? 'natural' : 'flat'
+    };
+}
+
+/**
+ * Convert 5etools hit points into Foundry's attributes.hp
+ * @param {Object} hp - The 5etools HP ({average, formula} or {special})
+ * @returns {Object} {value, max, formula}
+ */
+function convertHitPoints(hp) {
+    if (!hp || typeof hp !== 'object') {
+        const value = parseInt(hp) || 0;
+        return { value: value, max: value, formula: '' };
+    }
+    
+    const value = typeof hp.average === 'number' ? hp.average : parseInt(stripTags(hp.special)) || 0;
+    return { value: value, max: value, formula: hp.formula || '' };
+}
+
+/**
+ * Convert a 5etools speed into Foundry's attributes.movement
+ * @param {Object|number} speed - The 5etools speed
+ * @returns {Object} {walk, fly, swim, climb, burrow, units, hover}
+ */
+function convertMovement(speed) {
+    const movement = { walk: 0, fly: 0, swim: 0, climb: 0, burrow: 0, units: 'ft', hover: false };
+    
+    if (typeof speed === 'number') {
+        movement.walk = speed;
+        return movement;
+    }
+    if (!speed || typeof speed !== 'object') return movement;
+    
+    SPEED_TYPES.forEach(type => {
+        movement[type] = getSpeedValue(speed[type]);
+    });
+    
+    const flyCondition = speed.fly && typeof speed.fly === 'object' ? speed.fly.condition : '';
+    movement.hover = !!speed.canHover || /hover/i.test(flyCondition || '');
+    
+    return movement;
+}
+
+/**
+ * Convert 5etools sense strings into Foundry's attributes.senses
+ * @param {Array<string>} senses - The senses (e.g. "blindsight 30 ft. (blind beyond this radius)")
+ * @returns {Object} The sense ranges, with anything else in special
+ */
+function convertSenses(senses) {
+    const converted = { darkvision: 0, blindsight: 0, tremorsense: 0, truesight: 0, units: 'ft', special: '' };
+    const special = [];
+    
+    (Array.isArray(senses) ? senses : []).map(stripTags).forEach(sense => {
+        const match = sense.match(/^(\w+) (\d+) ft\.?\s*(.*)$/i);
+        
+        if (match && SENSES.includes(match[1].toLowerCase())) {
+            converted[match[1].toLowerCase()] = parseInt(match[2]);
+            if (match[3]) {
+                special.push(match[3].replace(/^\((.*)\)$/, '$1'));
+            }
+        } else {
+            special.push(sense);
+        }
+    });
+    
+    converted.special = special.join(', ');
+    return converted;
+}
+
+/**
+ * Convert a 5etools creature type into Foundry's details.type
+ * @param {string|Object} type - The 5etools type ("beast" or {type, tags, swarmSize})
+ * @returns {Object} {value, subtype, swarm, custom}
+ */
+function convertType(type) {
+    const typeName = type && typeof type === 'object' ? type.type : type;
+    const name = typeof typeName === 'string' ? typeName.toLowerCase() : 'unknown';
+    const isKnown = CREATURE_TYPES.includes(name);
+    
+    const tags = type && typeof type === 'object' && Array.isArray(type.tags)
+        ? type.tags.map(tag => typeof tag === 'string' ? tag : tag && tag.tag).filter(Boolean)
+        : [];
+    
+    return {
+        value: isKnown ? name : 'custom',
+        subtype: tags.join(', '),
+        swarm: type && type.swarmSize ? FOUNDRY_SIZES[type.swarmSize] || '' : '',
+        custom: isKnown ? '' : name
+    };
+}
+
+/**
+ * Convert damage vulnerabilities, resistances or immunities into a Foundry trait
+ * "Bludgeoning, piercing, and slashing from nonmagical attacks" becomes the three
+ * damage types with the magical bypass rather than custom text
+ * @param {Array} list - The 5etools list
+ * @param {string} key - The property nested groups use ("resist", "immune" or "vulnerable")
+ * @returns {Object} {value, bypasses, custom}
+ */
+function convertDamageTraits(list, key) {
+    const trait = { value: [], bypasses: [], custom: '' };
+    const custom = [];
+    
+    (Array.isArray(list) ? list : []).forEach(entry => {
+        if (typeof entry === 'string' && DAMAGE_TYPES.includes(entry.toLowerCase())) {
+            trait.value.push(entry.toLowerCase());
+            return;
+        }
+        
+        const values = entry && typeof entry === 'object' && Array.isArray(entry[key]) ? entry[key] : null;
+        const bypasses = values && !entry.preNote
+            ? DAMAGE_BYPASSES.filter(bypass => bypass.pattern.test(entry.note || '')).map(bypass => bypass.key)
+            : [];
+        
+        if (bypasses.length > 0 && values.every(value => typeof value === 'string' && DAMAGE_TYPES.includes(value))) {
+            trait.value.push(...values);
+            trait.bypasses.push(...bypasses);
+        } else {
+            custom.push(formatTraitEntry(entry));
+        }
+    });
+    
+    trait.custom = custom.filter(Boolean).join('; ');
+    return trait;
+}
+
+/**
+ * Convert a list such as condition immunities into a Foundry trait
+ * @param {Array} list - The 5etools list
+ * @param {Array<string>} known - The values Foundry has keys for
+ * @returns {Object} {value, custom}
+ */
+function convertTraitList(list, known) {
+    const trait = { value: [], custom: '' };
+    const custom = [];
+    
+    (Array.isArray(list) ? list : []).forEach(entry => {
+        const text = formatTraitEntry(entry);
+        if (known.includes(text.toLowerCase())) {
+            trait.value.push(text.toLowerCase());
+        } else if (text) {
+            custom.push(text);
+        }
+    });
+    
+    trait.custom = custom.join('; ');
+    return trait;
+}
+
+/**
+ * Convert language names into Foundry language keys
+ * @param {Array<string>} languages - The 5etools languages
+ * @returns {Object} {value, custom}
+ */
+function convertLanguages(languages) {
+    const value = [];
+    const custom = [];
+    
+    (Array.isArray(languages) ? languages : []).map(stripTags).forEach(language => {
+        const key = FOUNDRY_LANGUAGES[language.toLowerCase()];
+        if (key) {
+            value.push(key);
+        } else {
+            custom.push(language);
+        }
+    });
+    
+    return { value, custom: custom.join('; ') };
+}
+
+/**
+ * Get the legendary action and legendary resistance counts
+ * @param {Object} monster - The 5etools monster
+ * @returns {Object} Foundry's system.resources
+ */
+function getResources(monster) {
+    const resources = {};
+    
+    if (Array.isArray(monster.legendary) && monster.legendary.length > 0) {
+        const count = monster.legendaryActions || 3;
+        resources.legact = { value: count, max: count };
+    }
+    
+    const resistance = (monster.trait || [])
+        .map(trait => trait && stripTags(trait.name))
+        .map(name => name && name.match(/^Legendary Resistance \((\d+)\/Day\)/i))
+        .find(Boolean);
+    if (resistance) {
+        resources.legres = { value: parseInt(resistance[1]), max: parseInt(resistance[1]) };
+    }
+    
+    return resources;
+}
+
+/**
+ * Format 5etools hit points for Improved Initiative
+ * @param {Object} hp - The 5etools HP
+ * @returns {Object} {Value, Notes}
+ */
+function formatHitPointsStat(hp) {
+    if (!hp || typeof hp !== 'object') {
+        return { Value: parseInt(hp) || 0, Notes: '' };
+    }
+    
+    if (hp.special) {
+        return { Value: parseInt(stripTags(hp.special)) || 0, Notes: stripTags(hp.special) };
+    }
+    
+    return { Value: hp.average || 0, Notes: hp.formula ? `(${hp.formula})` : '' };
+}
+
+/**
+ * Format a 5etools AC array for Improved Initiative
+ * @param {Array|number} ac - The 5etools armor class
+ * @returns {Object} {Value, Notes}
+ */
+function formatArmorClassStat(ac) {
+    const values = Array.isArray(ac) ? ac : [ac];
+    const first = values[0];
+    const value = typeof first === 'number' ? first
+        : first && typeof first.ac === 'number' ? first.ac
+            : parseInt(first && first.special) || 10;
+    
+    const notes = values.map((entry, index) => {
+        if (!entry || typeof entry !== 'object') {
+            return index === 0 ? '' : String(entry);
+        }
+        
+        const from = Array.isArray(entry.from) ? `(${entry.from.map(stripTags).join(', ')})` : '';
+        const condition = entry.condition ? stripTags(entry.condition) : '';
+        if (index === 0) {
+            return [from, entry.special && typeof entry.ac !== 'number' ? stripTags(entry.special) : ''].filter(Boolean).join(' ');
+        }
+        return [entry.ac, from, condition].filter(Boolean).join(' ');
+    }).filter(Boolean);
+    
+    return { Value: value, Notes: notes.join(', ') };
+}
+
+/**
+ * Format a 5etools speed as a list of speeds
+ * @param {Object|number} speed - The 5etools speed
+ * @returns {Array<string>} The speeds (e.g. ["30 ft.", "fly 60 ft. (hover)"])
+ */
+function formatSpeedList(speed) {
+    if (typeof speed === 'number') return [`${speed} ft.`];
+    if (!speed || typeof speed !== 'object') return [];
+    
+    return SPEED_TYPES
+        .filter(type => speed[type] !== undefined)
+        .map(type => {
+            const value = speed[type];
+            const condition = value && typeof value === 'object' && value.condition ? ` ${stripTags(value.condition)}` : '';
+            const prefix = type === 'walk' ? '' : `${type} `;
+            return `${prefix}${getSpeedValue(value)} ft.${condition}`;
+        });
+}
+
+/**
+ * Format each entry of a damage or condition list
+ * @param {Array} list - The 5etools list
+ * @returns {Array<string>} The entries as text
+ */
+function formatTraitList(list) {
+    return (Array.isArray(list) ? list : [])
+        .map(formatTraitEntry)
+        .filter(Boolean);
+}
+
+/**
+ * Read a speed value, which may be a number or {number, condition}
+ * @param {number|Object} value - The speed value
+ * @returns {number} The speed in feet
+ */
+function getSpeedValue(value) {
+    if (typeof value === 'number') return value;
+    if (value && typeof value === 'object' && typeof value.number === 'number') return value.number;
+    return 0;
+}
+
+/**
+ * Get the first size code of a 5etools size
+ * @param {Array|string} size - The size (e.g. ["M"])
+ * @returns {string} The size code
+ */
+function getSizeCode(size) {
+    return Array.isArray(size) ? size[0] : size;
+}
+
+/**
+ * Get an ability score, defaulting to 10 for missing or scaling scores
+ * @param {Object} monster - The 5etools monster
+ * @param {string} ability - The ability abbreviation
+ * @returns {number} The score
+ */
+function getAbilityScore(monster, ability) {
+    return typeof monster[ability] === 'number' ? monster[ability] : 10;
+}
+
+/**
+ * Get the modifier of each ability score
+ * @param {Object} monster - The 5etools monster
+ * @returns {Object} The modifiers keyed by ability abbreviation
+ */
+function getAbilityModifiers(monster) {
+    const mods = {};
+    ABILITIES.forEach(ability => {
+        mods[ability] = Math.floor((getAbilityScore(monster, ability) - 10) / 2);
+    });
+    return mods;
+}
+
+/**
+ * Read a signed bonus such as "+5"
+ * @param {string|number} value - The bonus
+ * @returns {number} The bonus, 0 if it can't be read
+ */
+function parseBonus(value) {
+    return parseInt(String(value).replace(/\s/g, '')) || 0;
+}
+
+/**
+ * Get the ordinal of a spell level
+ * @param {number} level - The spell level
+ * @returns {string} The ordinal (e.g. "1st" or "3rd")
+ */
+function getOrdinal(level) {
+    if (level === 1) return '1st';
+    if (level === 2) return '2nd';
+    if (level === 3) return '3rd';
+    return `${level}th`;
+}
+
+/**
+ * Capitalize the first letter of a string
+ * @param {string} text - The text
+ * @returns {string} The capitalized text
+ */
+function capitalize(text) {
+    return text.charAt(0).toUpperCase() + text.slice(1);
+}
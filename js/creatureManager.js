@@ -6,13 +6,17 @@
 
 import * as dataManager from './dataManager.js';
 import * as statBlockRenderer from './statBlockRenderer.js';
+import * as creatureExporter from './creatureExporter.js';
+import { parseUsage, rollRecharge, startTurn, finishRest } from './usageTracker.js';
+import { escapeHtml } from './tagEngine.js';
 
 // In-memory cache for filter options and search results
 const filterCache = {
     types: [],
     crs: [],
     sizes: [],
-    environments: [] // Added environment array for filtering
+    environments: [], // Added environment array for filtering
+    sources: [] // {source, name, official} for each loaded source
 };
 
 // Filter state
@@ -23,12 +27,23 @@ const filterState = {
     minSize: 'T',
     maxSize: 'G',
     environment: [], // Added environment filter
+    source: 'all',
+    sourceKind: 'all', // 'all', 'official' or 'homebrew'
     favorites: false
 };
 
 // Favorites management
 let favorites = [];
 
+// Object URLs of the lore images on show, revoked when another creature is displayed
+let loreImageUrls = [];
+
+// The popover spell links open, created the first time one is clicked
+let spellPopover = null;
+
+// Include favorites and saved filters in application backups, even before any data is loaded
+registerBackupSections();
+
 /**
  * Initialize the creature manager
  * @returns {Promise} Resolves when initialization is complete
@@ -74,9 +89,16 @@ async function loadFilterOptions() {
         // Set up environment filter options (extract from creatures)
         filterCache.environments = await loadEnvironmentOptions();
         
+        // Set up source filter options, by full source name
+        filterCache.sources = (await dataManager.getSources())
+            .map(({ source, name, official }) => ({ source, name, official }))
+            .sort((a, b) => a.name.localeCompare(b.name));
+        
         // Initialize filter state with all types selected
         filterState.type = [...filterCache.types];
         filterState.environment = [...filterCache.environments];
+        filterState.source = 'all';
+        filterState.sourceKind = 'all';
         
         // Set min/max CR based on available options
         if (filterCache.crs.length > 0) {
@@ -84,6 +106,9 @@ async function loadFilterOptions() {
             filterState.maxCR = Math.max(...filterCache.crs);
         }
         
+        // Put back the filters from the last session
+        applySavedFilters(loadSavedFilters());
+        
         console.log('Loaded filter options:', filterCache);
         return true;
     } catch (error) {
@@ -156,7 +181,7 @@ export function renderCreatureManager(container) {
                             <div class="type-options-container">
                                 ${filterCache.types.map(type => `
                                     <div class="type-option">
-                                        <input type="checkbox" id="type-${type}" class="type-checkbox" value="${type}" checked>
+                                        <input type="checkbox" id="type-${type}" class="type-checkbox" value="${type}" ${filterState.type.includes(type) ? 'checked' : ''}>
                                         <label for="type-${type}">${capitalizeFirstLetter(type)}</label>
                                     </div>
                                 `).join('')}
@@ -183,7 +208,7 @@ export function renderCreatureManager(container) {
                             <div class="environment-options-container">
                                 ${filterCache.environments.map(env => `
                                     <div class="environment-option">
-                                        <input type="checkbox" id="env-${env.replace(/\s+/g, '-').toLowerCase()}" class="environment-checkbox" value="${env}" checked>
+                                        <input type="checkbox" id="env-${env.replace(/\s+/g, '-').toLowerCase()}" class="environment-checkbox" value="${env}" ${filterState.environment.includes(env) ? 'checked' : ''}>
                                         <label for="env-${env.replace(/\s+/g, '-').toLowerCase()}">${env}</label>
                                     </div>
                                 `).join('')}
@@ -199,12 +224,12 @@ export function renderCreatureManager(container) {
                         <label for="min-cr-filter">CR:</label>
                         <select id="min-cr-filter" class="filter-select">
                             <option value="all">Min CR</option>
-                            ${filterCache.crs.map(cr => `<option value="${cr}">${formatCR(cr)}</option>`).join('')}
+                            ${filterCache.crs.map(cr => `<option value="${cr}" ${cr === filterState.minCR && cr !== filterCache.crs[0] ? 'selected' : ''}>${formatCR(cr)}</option>`).join('')}
                         </select>
                         <span>to</span>
                         <select id="max-cr-filter" class="filter-select">
                             <option value="all">Max CR</option>
-                            ${[...filterCache.crs].map(cr => `<option value="${cr}">${formatCR(cr)}</option>`).join('')}
+                            ${[...filterCache.crs].map(cr => `<option value="${cr}" ${cr === filterState.maxCR && cr !== filterCache.crs[filterCache.crs.length - 1] ? 'selected' : ''}>${formatCR(cr)}</option>`).join('')}
                         </select>
                     </div>
                     
@@ -212,17 +237,30 @@ export function renderCreatureManager(container) {
                         <label for="min-size-filter">Size:</label>
                         <select id="min-size-filter" class="filter-select">
                             <option value="all">Min Size</option>
-                            ${filterCache.sizes.map(size => `<option value="${size}">${getSizeName(size)}</option>`).join('')}
+                            ${filterCache.sizes.map(size => `<option value="${size}" ${size === filterState.minSize && size !== 'T' ? 'selected' : ''}>${getSizeName(size)}</option>`).join('')}
                         </select>
                         <span>to</span>
                         <select id="max-size-filter" class="filter-select">
                             <option value="all">Max Size</option>
-                            ${[...filterCache.sizes].reverse().map(size => `<option value="${size}">${getSizeName(size)}</option>`).join('')}
+                            ${[...filterCache.sizes].reverse().map(size => `<option value="${size}" ${size === filterState.maxSize && size !== 'G' ? 'selected' : ''}>${getSizeName(size)}</option>`).join('')}
+                        </select>
+                    </div>
+                    
+                    <div class="filter-group">
+                        <label for="source-filter">Source:</label>
+                        <select id="source-filter" class="filter-select">
+                            <option value="all">All Sources</option>
+                            ${filterCache.sources.map(source => `<option value="${escapeHtml(source.source)}" ${source.source === filterState.source ? 'selected' : ''}>${escapeHtml(source.name)}</option>`).join('')}
+                        </select>
+                        <select id="source-kind-filter" class="filter-select">
+                            <option value="all">Official & Homebrew</option>
+                            <option value="official" ${filterState.sourceKind === 'official' ? 'selected' : ''}>Official</option>
+                            <option value="homebrew" ${filterState.sourceKind === 'homebrew' ? 'selected' : ''}>Homebrew & Third-Party</option>
                         </select>
                     </div>
                     
                     <div class="filter-group favorites-filter">
-                        <input type="checkbox" id="favorites-only" class="favorites-checkbox">
+                        <input type="checkbox" id="favorites-only" class="favorites-checkbox" ${filterState.favorites ? 'checked' : ''}>
                         <label for="favorites-only">Favorites Only</label>
                     </div>
                 </div>
@@ -242,7 +280,10 @@ export function renderCreatureManager(container) {
                     <div id="favorites-section" class="favorites-section">
                         <div class="favorites-header">
                             <h3>Favorites</h3>
-                            <button id="clear-favorites-btn" class="secondary-btn">Clear All</button>
+                            <div class="favorites-header-actions">
+                                <button id="export-favorites-btn" class="secondary-btn">Export</button>
+                                <button id="clear-favorites-btn" class="secondary-btn">Clear All</button>
+                            </div>
                         </div>
                         <div id="favorites-list" class="favorites-list">
                             <!-- Favorites will be rendered here -->
@@ -498,6 +539,24 @@ function setupEventListeners() {
         });
     }
     
+    // Source filter change events
+    const sourceFilter = document.getElementById('source-filter');
+    const sourceKindFilter = document.getElementById('source-kind-filter');
+    
+    if (sourceFilter) {
+        sourceFilter.addEventListener('change', () => {
+            filterState.source = sourceFilter.value;
+            searchCreatures();
+        });
+    }
+    
+    if (sourceKindFilter) {
+        sourceKindFilter.addEventListener('change', () => {
+            filterState.sourceKind = sourceKindFilter.value;
+            searchCreatures();
+        });
+    }
+    
     // Favorites filter
     const favoritesFilter = document.getElementById('favorites-only');
     if (favoritesFilter) {
@@ -516,6 +575,18 @@ function setupEventListeners() {
     }
     
     // Clear all favorites button
+    const exportFavoritesBtn = document.getElementById('export-favorites-btn');
+    if (exportFavoritesBtn) {
+        exportFavoritesBtn.addEventListener('click', () => {
+            if (favorites.length === 0) {
+                showNotification('Add some favorites to export first', 'info');
+                return;
+            }
+            
+            showExportDialog(favorites.map(favorite => favorite.creatureId));
+        });
+    }
+    
     const clearFavoritesBtn = document.getElementById('clear-favorites-btn');
     if (clearFavoritesBtn) {
         clearFavoritesBtn.addEventListener('click', () => {
@@ -527,6 +598,119 @@ function setupEventListeners() {
             }
         });
     }
+    
+    // Spell links in statblocks open the spell's card, and usage pips track recharges and uses
+    const detailContainer = document.getElementById('creature-detail');
+    if (detailContainer) {
+        detailContainer.addEventListener('click', (event) => {
+            const link = event.target.closest('.spell-link');
+            if (link) {
+                event.preventDefault();
+                showSpellPopover(link);
+            }
+            
+            const pip = event.target.closest('.usage-pip');
+            if (pip) {
+                toggleUsagePip(pip);
+            }
+        });
+    }
+}
+
+/**
+ * Mark a usage pip spent, or restore it: a spent recharge pip rolls its recharge instead
+ * @param {HTMLElement} pip - The clicked pip
+ */
+function toggleUsagePip(pip) {
+    if (!pip.classList.contains('spent')) {
+        pip.classList.add('spent');
+        return;
+    }
+    
+    const recharge = parseInt(pip.parentElement.dataset.recharge);
+    if (!recharge) {
+        pip.classList.remove('spent');
+        return;
+    }
+    
+    const name = getPipsFeatureName(pip.parentElement);
+    const { roll, recharged } = rollRecharge(recharge);
+    if (recharged) {
+        pip.classList.remove('spent');
+    }
+    showNotification(`${name}: rolled ${roll} for recharge, ${recharged ? 'recharged' : 'not recharged'}`, recharged ? 'success' : 'info');
+}
+
+/**
+ * Start the shown creature's turn: roll recharges for its spent recharge abilities and restore its
+ * per-turn uses, such as legendary actions
+ * @param {HTMLElement} statblock - The statblock
+ */
+function startCreatureTurn(statblock) {
+    const { trackers: updated, rolls } = startTurn(readPipTrackers(statblock));
+    writePipTrackers(statblock, updated);
+    
+    if (rolls.length === 0) {
+        showNotification('Start of turn: no recharges to roll', 'info');
+        return;
+    }
+    
+    const results = rolls.map(({ name, roll, recharged }) => `${name} rolled ${roll}, ${recharged ? 'recharged' : 'not recharged'}`);
+    showNotification(`Start of turn: ${results.join('; ')}`, rolls.some(roll => roll.recharged) ? 'success' : 'info');
+}
+
+/**
+ * Restore the shown creature's uses after a rest
+ * @param {HTMLElement} statblock - The statblock
+ * @param {string} rest - 'short' or 'long'
+ */
+function finishCreatureRest(statblock, rest) {
+    writePipTrackers(statblock, finishRest(readPipTrackers(statblock), rest));
+    showNotification(`${rest === 'long' ? 'Long' : 'Short'} rest finished: uses restored`, 'success');
+}
+
+/**
+ * Read a statblock's usage pips as usage trackers (see createUsageTrackers), one per row of pips
+ * @param {HTMLElement} statblock - The statblock
+ * @returns {Array<Object>} The trackers, with the row's index as their ID
+ */
+function readPipTrackers(statblock) {
+    return Array.from(statblock.querySelectorAll('.usage-pips')).map((group, index) => {
+        const pips = Array.from(group.querySelectorAll('.usage-pip'));
+        const recharge = parseInt(group.dataset.recharge) || null;
+        return {
+            id: String(index),
+            name: getPipsFeatureName(group),
+            usage: { recharge: recharge, uses: recharge ? null : pips.length, per: group.dataset.per || null },
+            max: pips.length,
+            remaining: pips.filter(pip => !pip.classList.contains('spent')).length
+        };
+    });
+}
+
+/**
+ * Show updated usage trackers on a statblock's pips
+ * @param {HTMLElement} statblock - The statblock
+ * @param {Array<Object>} trackers - The trackers read by readPipTrackers, updated
+ */
+function writePipTrackers(statblock, trackers) {
+    const groups = statblock.querySelectorAll('.usage-pips');
+    trackers.forEach(tracker => {
+        groups[parseInt(tracker.id)].querySelectorAll('.usage-pip').forEach((pip, index) => {
+            pip.classList.toggle('spent', index >= tracker.remaining);
+        });
+    });
+}
+
+/**
+ * Get the name of the feature a row of usage pips belongs to
+ * @param {HTMLElement} group - The pips' container
+ * @returns {string} The feature's name without its usage limit, or "Ability" for pips outside a feature
+ */
+function getPipsFeatureName(group) {
+    const feature = group.closest('.creature-feature');
+    const nameElement = feature ? feature.querySelector('.feature-name') : null;
+    return nameElement ? parseUsage(nameElement.textContent).name.replace(/\s*\.$/, '') : 'Ability';
 }
 
 /**
@@ -540,6 +724,8 @@ function resetFilters() {
     filterState.maxCR = filterCache.crs.length > 0 ? Math.max(...filterCache.crs) : 30;
     filterState.minSize = 'T';
     filterState.maxSize = 'G';
+    filterState.source = 'all';
+    filterState.sourceKind = 'all';
     filterState.favorites = false;
     
     // Reset UI elements
@@ -547,6 +733,8 @@ function resetFilters() {
     const maxCRFilter = document.getElementById('max-cr-filter');
     const minSizeFilter = document.getElementById('min-size-filter');
     const maxSizeFilter = document.getElementById('max-size-filter');
+    const sourceFilter = document.getElementById('source-filter');
+    const sourceKindFilter = document.getElementById('source-kind-filter');
     const favoritesFilter = document.getElementById('favorites-only');
     const searchInput = document.getElementById('creature-search-input');
     
@@ -554,6 +742,8 @@ function resetFilters() {
     if (maxCRFilter) maxCRFilter.value = 'all';
     if (minSizeFilter) minSizeFilter.value = 'all';
     if (maxSizeFilter) maxSizeFilter.value = 'all';
+    if (sourceFilter) sourceFilter.value = 'all';
+    if (sourceKindFilter) sourceKindFilter.value = 'all';
     if (favoritesFilter) favoritesFilter.checked = false;
     if (searchInput) searchInput.value = '';
     
@@ -582,6 +772,9 @@ function resetFilters() {
  */
 async function searchCreatures() {
     try {
+        // Remember the filters for the next session and for backups
+        saveFilters();
+        
         // Get the search term
         const searchInput = document.getElementById('creature-search-input');
         const searchTerm = searchInput ? searchInput.value.trim() : '';
@@ -589,6 +782,14 @@ async function searchCreatures() {
         // Get all creatures
         let creatures = await dataManager.getAllCreatures();
         
+        // Hide creatures from sources switched off in the source manager
+        const disabledSources = dataManager.getDisabledSources();
+        if (disabledSources.length > 0) {
+            creatures = creatures.filter(creature =>
+                !disabledSources.includes(creature.source || 'Unknown')
+            );
+        }
+        
         // Apply search term filter
         if (searchTerm) {
             const term = searchTerm.toLowerCase();
@@ -640,6 +841,17 @@ async function searchCreatures() {
             });
         }
         
+        // Apply source filters
+        if (filterState.source !== 'all') {
+            creatures = creatures.filter(creature => creature.source === filterState.source);
+        }
+        if (filterState.sourceKind !== 'all') {
+            const official = filterState.sourceKind === 'official';
+            creatures = creatures.filter(creature =>
+                dataManager.isOfficialSource(creature.source) === official
+            );
+        }
+        
         // Apply favorites filter
         if (filterState.favorites) {
             creatures = creatures.filter(creature => 
@@ -817,29 +1029,35 @@ function renderFavorites() {
 /**
  * Display details of a creature
  * @param {string} creatureId - The ID of the creature to display
+ * @param {Object} displayOptions - Display options, such as the chosen variant ({variant})
  */
-async function displayCreatureDetails(creatureId) {
+async function displayCreatureDetails(creatureId, displayOptions = {}) {
     try {
         const detailContainer = document.getElementById('creature-detail');
         if (!detailContainer) return;
         
+        revokeLoreImageUrls();
+        hideSpellPopover();
+        
         // Fetch all creatures for lookup purposes
         const allCreatures = await dataManager.getAllCreatures();
         
-        // A function to fetch a monster by name and source
+        // A function to fetch a monster by name and source (as raw 5etools JSON)
         const fetchMonster = (name, source) => {
-            return allCreatures.find(c => 
+            const match = allCreatures.find(c => 
                 c.name === name && c.source === source
             );
+            return match ? statBlockRenderer.getRawMonster(match) : undefined;
         };
         
         // Get rendering options (for variants or scaling)
-        const options = {};
+        const options = { ...displayOptions };
         
         // If this is a summonable creature, add context for variable stats
         const creature = allCreatures.find(c => c.id === creatureId);
-        if (creature && creature.summonedBySpellLevel) {
-            options.spellLevel = creature.summonedBySpellLevel;
+        const rawCreature = creature ? statBlockRenderer.getRawMonster(creature) : null;
+        if (rawCreature && rawCreature.summonedBySpellLevel) {
+            options.spellLevel = rawCreature.summonedBySpellLevel;
         }
         
         // Use the statBlockRenderer to generate the HTML
@@ -861,11 +1079,8 @@ async function displayCreatureDetails(creatureId) {
                 const variantId = link.getAttribute('data-id');
                 const variantName = link.getAttribute('data-variant');
                 
-                // Update options for the specific variant
-                options.variant = variantName;
-                
                 // Re-render with the selected variant
-                displayCreatureDetails(variantId);
+                displayCreatureDetails(variantId, { variant: variantName });
             });
         });
         
@@ -882,9 +1097,26 @@ async function displayCreatureDetails(creatureId) {
                 <button id="add-to-combat-btn" class="primary-btn" data-id="${creatureId}">
                     Add to Combat <span class="quantity-badge">${favCount}</span>
                 </button>
+                <button id="export-creature-btn" class="secondary-btn" data-id="${creatureId}">
+                    Export
+                </button>
+                <button id="show-markdown-btn" class="secondary-btn">
+                    Markdown / Chat
+                </button>
                 <button id="toggle-favorite-btn" class="secondary-btn ${isFav ? 'favorite' : ''}" data-id="${creatureId}" data-count="${favCount}">
                     ${isFav ? 'Edit Favorite' : 'Add to Favorites'}
                 </button>
+                ${detailContainer.querySelector('.usage-pips') ? `
+                    <button id="start-turn-btn" class="secondary-btn" title="Roll recharges for spent recharge abilities and restore legendary actions and per-turn uses">
+                        Start Turn
+                    </button>
+                    <button class="secondary-btn finish-rest-btn" data-rest="short" title="Restore recharges and uses that come back after a short rest">
+                        Short Rest
+                    </button>
+                    <button class="secondary-btn finish-rest-btn" data-rest="long" title="Restore every use">
+                        Long Rest
+                    </button>
+                ` : ''}
             `;
             
             // Append to the statblock
@@ -909,6 +1141,39 @@ async function displayCreatureDetails(creatureId) {
                         showCombatQuantityDialog(creatureId, favCount);
                     });
                 }
+                
+                const exportBtn = document.getElementById('export-creature-btn');
+                if (exportBtn) {
+                    exportBtn.addEventListener('click', () => {
+                        showExportDialog([exportBtn.getAttribute('data-id')]);
+                    });
+                }
+                
+                const startTurnBtn = document.getElementById('start-turn-btn');
+                if (startTurnBtn) {
+                    startTurnBtn.addEventListener('click', () => {
+                        startCreatureTurn(statblock);
+                    });
+                }
+                
+                statblock.querySelectorAll('.finish-rest-btn').forEach(restBtn => {
+                    restBtn.addEventListener('click', () => {
+                        finishCreatureRest(statblock, restBtn.getAttribute('data-rest'));
+                    });
+                });
+                
+                // Markdown statblock and chat card, for the variant being shown
+                const displayed = statBlockRenderer.getDisplayMonster(creature, fetchMonster, options);
+                if (displayed) {
+                    const markdownPanel = renderMarkdownPanel(displayed, options.spellLevel, favCount);
+                    statblock.appendChild(markdownPanel);
+                    
+                    document.getElementById('show-markdown-btn').addEventListener('click', () => {
+                        markdownPanel.classList.toggle('hidden');
+                    });
+                    
+                    addLoreTab(statblock, rawCreature);
+                }
             }
         }
         
@@ -928,6 +1193,284 @@ async function displayCreatureDetails(creatureId) {
     }
 }
 
+/**
+ * Add Statblock and Lore tabs above a statblock; the lore is loaded the first time its tab is opened
+ * @param {HTMLElement} statblock - The rendered statblock
+ * @param {Object} monster - The monster shown, in 5etools format
+ */
+function addLoreTab(statblock, monster) {
+    const tabs = document.createElement('div');
+    tabs.className = 'detail-tabs';
+    tabs.innerHTML = `
+        <button class="detail-tab active" data-panel="statblock">Statblock</button>
+        <button class="detail-tab" data-panel="lore">Lore</button>
+    `;
+    
+    const lorePanel = document.createElement('div');
+    lorePanel.className = 'creature-lore hidden';
+    
+    statblock.parentNode.insertBefore(tabs, statblock);
+    statblock.parentNode.insertBefore(lorePanel, statblock.nextSibling);
+    
+    let loreLoaded = false;
+    tabs.querySelectorAll('.detail-tab').forEach(tab => {
+        tab.addEventListener('click', async () => {
+            const showLore = tab.getAttribute('data-panel') === 'lore';
+            tabs.querySelectorAll('.detail-tab').forEach(other => {
+                other.classList.toggle('active', other === tab);
+            });
+            statblock.classList.toggle('hidden', showLore);
+            lorePanel.classList.toggle('hidden', !showLore);
+            
+            if (showLore && !loreLoaded) {
+                loreLoaded = true;
+                lorePanel.innerHTML = '<p>Loading lore...</p>';
+                lorePanel.innerHTML = await renderLore(monster);
+            }
+        });
+    });
+}
+
+/**
+ * Render a creature's uploaded lore and art
+ * @param {Object} monster - The monster, in 5etools format
+ * @returns {Promise<string>} Resolves with the HTML for the Lore tab
+ */
+async function renderLore(monster) {
+    try {
+        const lore = await dataManager.getCreatureLore(monster);
+        
+        if (lore.entries.length === 0 && lore.images.length === 0) {
+            const fluffFile = `fluff-bestiary-${(monster.source || '').toLowerCase()}.json`;
+            return `
+                <div class="no-lore">
+                    <p>No lore has been uploaded for ${escapeHtml(monster.name)}.</p>
+                    ${monster.hasFluff || monster.hasFluffImages
+                        ? `<p>5etools has lore for this creature. Upload ${escapeHtml(fluffFile)} from its bestiary folder with "Add Data", along with the creature's images, to read it here.</p>`
+                        : ''}
+                </div>
+            `;
+        }
+        
+        const images = lore.images.map(image => {
+            const url = URL.createObjectURL(image.blob);
+            loreImageUrls.push(url);
+            return `
+                <figure class="lore-image lore-image-${image.kind}">
+                    <img src="${url}" alt="${escapeHtml(image.name)}">
+                    <figcaption>${image.kind === 'token' ? 'Token' : 'Art'}</figcaption>
+                </figure>
+            `;
+        }).join('');
+        
+        return `
+            ${images ? `<div class="lore-images">${images}</div>` : ''}
+            <div class="lore-entries">
+                ${lore.entries.length > 0
+                    ? statBlockRenderer.processEntries(lore.entries, { blocks: true })
+                    : `<p>No lore text has been uploaded for ${monster.name}.</p>`}
+            </div>
+        `;
+    } catch (error) {
+        console.error('Error loading lore:', error);
+        return `<div class="error-message">Error loading lore: ${error.message}</div>`;
+    }
+}
+
+/**
+ * Release the object URLs of the lore images on show
+ */
+function revokeLoreImageUrls() {
+    loreImageUrls.forEach(url => URL.revokeObjectURL(url));
+    loreImageUrls = [];
+}
+
+/**
+ * Show the card of a spell below the link to it
+ * @param {HTMLElement} link - The spell link, with the spell's name and source in data attributes
+ */
+async function showSpellPopover(link) {
+    const name = link.getAttribute('data-spell');
+    const source = link.getAttribute('data-source');
+    const popover = getSpellPopover();
+    
+    popover.setAttribute('data-spell', name);
+    popover.querySelector('.spell-popover-content').innerHTML = '<p>Loading spell...</p>';
+    popover.classList.remove('hidden');
+    
+    // Below the link, kept inside the window
+    const rect = link.getBoundingClientRect();
+    const left = Math.min(rect.left, window.innerWidth - popover.offsetWidth - 8);
+    popover.style.left = `${Math.max(8, left) + window.scrollX}px`;
+    popover.style.top = `${rect.bottom + window.scrollY + 4}px`;
+    
+    let content;
+    try {
+        const spell = await dataManager.getSpell(name, source);
+        content = spell
+            ? statBlockRenderer.renderSpellCard(spell)
+            : `
+                <div class="no-spell">
+                    <p><strong>${escapeHtml(link.textContent)}</strong> hasn't been uploaded.</p>
+                    <p>Upload the 5etools spell files (such as spells-${escapeHtml(source.toLowerCase())}.json from its spells folder) with "Add Data" to look spells up here.</p>
+                </div>
+            `;
+    } catch (error) {
+        console.error('Error loading spell:', error);
+        content = `<div class="error-message">Error loading spell: ${escapeHtml(error.message)}</div>`;
+    }
+    
+    // Another spell may have been opened while this one loaded
+    if (popover.getAttribute('data-spell') === name) {
+        popover.querySelector('.spell-popover-content').innerHTML = content;
+    }
+}
+
+/**
+ * Get the spell popover, creating it the first time; clicking outside it or pressing Escape closes it
+ * @returns {HTMLElement} The popover
+ */
+function getSpellPopover() {
+    if (spellPopover) return spellPopover;
+    
+    spellPopover = document.createElement('div');
+    spellPopover.className = 'spell-popover hidden';
+    spellPopover.innerHTML = `
+        <button class="spell-popover-close" title="Close">&times;</button>
+        <div class="spell-popover-content"></div>
+    `;
+    document.body.appendChild(spellPopover);
+    
+    spellPopover.querySelector('.spell-popover-close').addEventListener('click', hideSpellPopover);
+    
+    document.addEventListener('click', (event) => {
+        if (!spellPopover.contains(event.target) && !event.target.closest('.spell-link')) {
+            hideSpellPopover();
+        }
+    });
+    
+    document.addEventListener('keydown', (event) => {
+        if (event.key === 'Escape') {
+            hideSpellPopover();
+        }
+    });
+    
+    return spellPopover;
+}
+
+/**
+ * Close the spell popover
+ */
+function hideSpellPopover() {
+    if (spellPopover) {
+        spellPopover.classList.add('hidden');
+        spellPopover.removeAttribute('data-spell');
+    }
+}
+
+/**
+ * Create the panel that shows a creature as a markdown statblock or a plain-text chat card,
+ * with copy and download buttons
+ * @param {Object} monster - The 5etools monster being displayed
+ * @param {number} spellLevel - The spell level a summon is cast at by default
+ * @param {number} count - How many of the creature a chat card is for by default
+ * @returns {HTMLElement} The panel, hidden until the Markdown button is clicked
+ */
+function renderMarkdownPanel(monster, spellLevel, count = 1) {
+    const panel = document.createElement('div');
+    panel.className = 'statblock-markdown hidden';
+    
+    // Summons can be cast with higher-level slots, up to 9th level
+    const spellLevels = [];
+    for (let level = parseInt(spellLevel) || 10; level <= 9; level++) {
+        spellLevels.push(level);
+    }
+    
+    panel.innerHTML = `
+        <div class="statblock-markdown-controls">
+            <select class="filter-select markdown-format-select">
+                <option value="homebrewery">Homebrewery V3</option>
+                <option value="github">GitHub markdown</option>
+                <option value="chat">Chat card (plain text)</option>
+            </select>
+            <span class="chat-card-options hidden">
+                <label>Creatures:
+                    <input type="number" class="chat-card-count" min="1" max="20" value="${count}">
+                </label>
+                <label>
+                    <input type="checkbox" class="chat-card-monospace"> Monospace (40 columns)
+                </label>
+            </span>
+            ${spellLevels.length > 0 ? `
+                <label>Spell level:
+                    <select class="filter-select markdown-level-select">
+                        ${spellLevels.map(level => `<option value="${level}">${level}</option>`).join('')}
+                    </select>
+                </label>
+            ` : ''}
+            <button class="secondary-btn markdown-copy-btn">Copy</button>
+            <button class="secondary-btn markdown-download-btn">Download</button>
+        </div>
+        <textarea class="markdown-output" rows="14" readonly></textarea>
+    `;
+    
+    const formatSelect = panel.querySelector('.markdown-format-select');
+    const levelSelect = panel.querySelector('.markdown-level-select');
+    const chatOptions = panel.querySelector('.chat-card-options');
+    const countInput = panel.querySelector('.chat-card-count');
+    const monospaceCheckbox = panel.querySelector('.chat-card-monospace');
+    const output = panel.querySelector('.markdown-output');
+    
+    const updateMarkdown = () => {
+        const spellLevel = levelSelect ? parseInt(levelSelect.value) : undefined;
+        const isChat = formatSelect.value === 'chat';
+        chatOptions.classList.toggle('hidden', !isChat);
+        
+        output.value = isChat
+            ? statBlockRenderer.renderCreatureCard(monster, {
+                spellLevel: spellLevel,
+                count: Math.min(20, Math.max(1, parseInt(countInput.value) || 1)),
+                width: monospaceCheckbox.checked ? 40 : 0
+            })
+            : statBlockRenderer.renderCreatureMarkdown(monster, {
+                format: formatSelect.value,
+                spellLevel: spellLevel
+            });
+    };
+    
+    [formatSelect, levelSelect, countInput, monospaceCheckbox].filter(Boolean).forEach(control => {
+        control.addEventListener('change', updateMarkdown);
+    });
+    updateMarkdown();
+    
+    panel.querySelector('.markdown-copy-btn').addEventListener('click', () => {
+        navigator.clipboard.writeText(output.value)
+            .then(() => showNotification(`${formatSelect.value === 'chat' ? 'Chat card' : 'Markdown'} copied to clipboard`, 'success'))
+            .catch(error => {
+                console.error('Error copying markdown:', error);
+                output.select();
+                showNotification('Could not copy automatically; the text is selected so you can copy it', 'error');
+            });
+    });
+    
+    panel.querySelector('.markdown-download-btn').addEventListener('click', () => {
+        const isChat = formatSelect.value === 'chat';
+        const blob = new Blob([output.value], { type: isChat ? 'text/plain' : 'text/markdown' });
+        const url = URL.createObjectURL(blob);
+        const name = monster.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+        
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `${name}_${formatSelect.value}.${isChat ? 'txt' : 'md'}`;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+    });
+    
+    return panel;
+}
+
 /**
  * Show a dialog to set the quantity of creatures to add to favorites
  * @param {string} creatureId - The ID of the creature
@@ -1127,6 +1670,90 @@ function showCombatQuantityDialog(creatureId, defaultCount = 1) {
     });
 }
 
+/**
+ * Show a dialog to export creatures for a VTT or another tool
+ * @param {Array<string>} creatureIds - The IDs of the creatures to export
+ */
+function showExportDialog(creatureIds) {
+    dataManager.getAllCreatures().then(allCreatures => {
+        const creatures = creatureIds
+            .map(id => allCreatures.find(c => c.id === id))
+            .filter(Boolean);
+        
+        if (creatures.length === 0) {
+            console.error('Creatures not found:', creatureIds);
+            return;
+        }
+        
+        const subject = creatures.length === 1 ? creatures[0].name : `${creatures.length} creatures`;
+        
+        // Create a modal dialog
+        const dialogOverlay = document.createElement('div');
+        dialogOverlay.className = 'dialog-overlay';
+        
+        const dialog = document.createElement('div');
+        dialog.className = 'quantity-dialog export-dialog';
+        
+        dialog.innerHTML = `
+            <h3>Export ${subject}</h3>
+            <p>Choose the format to download ${creatures.length === 1 ? 'this creature' : 'these creatures'} in:</p>
+            <div class="export-format-options">
+                ${Object.entries(creatureExporter.EXPORT_FORMATS).map(([format, info], index) => `
+                    <label class="export-format-option">
+                        <input type="radio" name="export-format" value="${format}" ${index === 0 ? 'checked' : ''}>
+                        <span class="export-format-label">${info.label}</span>
+                        <span class="export-format-description">${info.description}</span>
+                    </label>
+                `).join('')}
+            </div>
+            <div class="dialog-buttons">
+                <button class="cancel-btn">Cancel</button>
+                <button class="confirm-btn">Export</button>
+            </div>
+        `;
+        
+        dialogOverlay.appendChild(dialog);
+        document.body.appendChild(dialogOverlay);
+        
+        dialog.querySelector('.cancel-btn').addEventListener('click', () => {
+            document.body.removeChild(dialogOverlay);
+        });
+        
+        dialog.querySelector('.confirm-btn').addEventListener('click', () => {
+            const format = dialog.querySelector('input[name="export-format"]:checked').value;
+            
+            try {
+                const { url, filename, count } = creatureExporter.exportCreatures(creatures, format, allCreatures);
+                
+                const link = document.createElement('a');
+                link.href = url;
+                link.download = filename;
+                document.body.appendChild(link);
+                link.click();
+                document.body.removeChild(link);
+                URL.revokeObjectURL(url);
+                
+                showNotification(`Exported ${count} creature${count === 1 ? '' : 's'} as ${creatureExporter.EXPORT_FORMATS[format].label}`, 'success');
+            } catch (error) {
+                console.error('Error exporting creatures:', error);
+                showNotification(`Export failed: ${error.message}`, 'error');
+            }
+            
+            document.body.removeChild(dialogOverlay);
+        });
+        
+        // Prevent closing when clicking on the dialog itself
+        dialog.addEventListener('click', (event) => {
+            event.stopPropagation();
+        });
+        
+        // Close when clicking outside the dialog
+        dialogOverlay.addEventListener('click', () => {
+            document.body.removeChild(dialogOverlay);
+        });
+    });
+}
+
 /**
  * Add or update a favorite creature
  * @param {string} creatureId - The ID of the creature
@@ -1256,6 +1883,109 @@ function loadFavorites() {
     }
 }
 
+/**
+ * Get the filter state to save, with type and environment lists left out (null) when everything is selected
+ * so creatures of types added later aren't hidden
+ * @returns {Object} The filters to save
+ */
+function getSavedFilters() {
+    return {
+        type: filterState.type.length === filterCache.types.length ? null : [...filterState.type],
+        environment: filterState.environment.length === filterCache.environments.length ? null : [...filterState.environment],
+        minCR: filterState.minCR,
+        maxCR: filterState.maxCR,
+        minSize: filterState.minSize,
+        maxSize: filterState.maxSize,
+        source: filterState.source,
+        sourceKind: filterState.sourceKind,
+        favorites: filterState.favorites
+    };
+}
+
+/**
+ * Save the current filters to localStorage
+ */
+function saveFilters() {
+    try {
+        localStorage.setItem('dnd5e_summons_filters', JSON.stringify(getSavedFilters()));
+    } catch (error) {
+        console.error('Error saving filters:', error);
+    }
+}
+
+/**
+ * Load the saved filters from localStorage
+ * @returns {Object|null} The saved filters, or null if there are none
+ */
+function loadSavedFilters() {
+    try {
+        const storedFilters = localStorage.getItem('dnd5e_summons_filters');
+        return storedFilters ? JSON.parse(storedFilters) : null;
+    } catch (error) {
+        console.error('Error loading filters:', error);
+        return null;
+    }
+}
+
+/**
+ * Apply saved filters to the filter state, ignoring values that don't fit the loaded creatures
+ * @param {Object|null} saved - Filters from getSavedFilters
+ */
+function applySavedFilters(saved) {
+    if (!saved || typeof saved !== 'object') return;
+    
+    if (Array.isArray(saved.type)) {
+        filterState.type = filterCache.types.filter(type => saved.type.includes(type));
+    }
+    if (Array.isArray(saved.environment)) {
+        filterState.environment = filterCache.environments.filter(env => saved.environment.includes(env));
+    }
+    if (typeof saved.minCR === 'number') filterState.minCR = saved.minCR;
+    if (typeof saved.maxCR === 'number') filterState.maxCR = saved.maxCR;
+    if (getSizeOrder(saved.minSize) !== 99) filterState.minSize = saved.minSize;
+    if (getSizeOrder(saved.maxSize) !== 99) filterState.maxSize = saved.maxSize;
+    if (filterCache.sources.some(source => source.source === saved.source)) filterState.source = saved.source;
+    if (['official', 'homebrew'].includes(saved.sourceKind)) filterState.sourceKind = saved.sourceKind;
+    filterState.favorites = saved.favorites === true;
+}
+
+/**
+ * Register the favorites and saved filters as backup sections with the data manager
+ */
+function registerBackupSections() {
+    dataManager.registerBackupSection('favorites', {
+        label: 'Favorites',
+        collect: () => favorites,
+        count: data => Array.isArray(data) ? data.length : 0,
+        restore: (data, mode) => {
+            // The creature manager may not have loaded the stored favorites yet
+            loadFavorites();
+            const restored = (Array.isArray(data) ? data : []).filter(favorite => favorite && favorite.creatureId);
+            
+            if (mode === 'merge') {
+                // Favorites already here keep their counts
+                const existingIds = new Set(favorites.map(favorite => favorite.creatureId));
+                favorites = [...favorites, ...restored.filter(favorite => !existingIds.has(favorite.creatureId))];
+            } else {
+                favorites = restored;
+            }
+            saveFavorites();
+        }
+    });
+    
+    dataManager.registerBackupSection('filters', {
+        label: 'Saved filters',
+        collect: () => getSavedFilters(),
+        count: data => data ? 1 : 0,
+        restore: (data, mode) => {
+            // Merging keeps the filters currently in use
+            if (mode === 'replace' && data && typeof data === 'object') {
+                localStorage.setItem('dnd5e_summons_filters', JSON.stringify(data));
+            }
+        }
+    });
+}
+
 /**
  * Show notification
  * @param {string} message - Message to display
@@ -4,11 +4,30 @@
  * Responsible for handling data loading, processing, and storage using IndexedDB
  */
 
+import { processMonsterCopy, registerTemplates, registerSources } from './statBlockRenderer.js';
+import { validateBestiaryFile } from './monsterValidator.js';
+import { isOpen5eData, convertOpen5eData } from './open5eImporter.js';
+import { convertFightClubXML } from './fightClubImporter.js';
+import { isFoundryActorData, convertFoundryActorData } from './foundryImporter.js';
+import { isZipFile, readZipArchive, createZipArchive } from './zipArchive.js';
+import { renderTags } from './tagEngine.js';
+import { parseAttack, parseMultiattack } from './attackParser.js';
+import { parseUsage } from './usageTracker.js';
+
 // Application constants
 const DB_NAME = 'dnd5e_summons_db';
-const DB_VERSION = 1;
+const DB_VERSION = 11;
 const CREATURES_STORE = 'creatures';
 const METADATA_STORE = 'metadata';
+const TEMPLATES_STORE = 'templates';
+const SOURCES_STORE = 'sources';
+const FLUFF_STORE = 'fluff';
+const IMAGES_STORE = 'images';
+const SPELLS_STORE = 'spells';
+
+// Backup archive format; bump BACKUP_VERSION and add a backup migration when the layout changes
+const BACKUP_FORMAT = 'dnd5e-summons-backup';
+const BACKUP_VERSION = 3;
 
 // Sample data URLs (relative to project root)
 const SAMPLE_DATA_FILES = [
@@ -18,6 +37,22 @@ const SAMPLE_DATA_FILES = [
     'data/bestiary/bestiary-reptiles.json'
 ];
 
+// 5etools data files that sit next to the bestiary files but don't hold monsters
+const NON_BESTIARY_FILES = [
+    { pattern: /^fluff-index\.json$/i, reason: 'Fluff index file, not needed to load the fluff files' },
+    { pattern: /^legendarygroups\.json$/i, reason: 'Legendary groups file (lair and regional actions), not a bestiary' },
+    { pattern: /^index\.json$/i, reason: 'Index file, used to find the bestiary files to load' },
+    { pattern: /^foundry\.json$/i, reason: '5etools Foundry VTT integration data, not a bestiary' },
+    { pattern: /^sources\.json$/i, reason: 'Spell class lists, not needed to look up spells' },
+    { pattern: /^fluff-spells-/i, reason: 'Spell lore file; spell cards show the spell text only' }
+];
+
+// Files loaded from a folder even when its index.json doesn't list them
+const INDEX_EXEMPT_FILES = [/^template\.json$/i, /^books\.json$/i, /^adventures\.json$/i, /^fluff-/i];
+
+// Token and art images, stored with the creatures they show
+const IMAGE_FILE_PATTERN = /\.(webp|png|jpe?g|gif)$/i;
+
 // In-memory cache for frequently accessed data
 const dataCache = {
     metadata: {
@@ -27,7 +62,10 @@ const dataCache = {
     },
     creatures: [],
     creaturesByType: {},
-    creaturesByCR: {}
+    creaturesByCR: {},
+    templates: [],
+    sources: {},
+    sourceDetails: {}
 };
 
 /**
@@ -38,6 +76,9 @@ export async function initDataManager() {
     console.log('Initializing data manager...');
     try {
         await setupDatabase();
+        await loadTemplates();
+        await loadSources();
+        await loadSourceDetails();
         await checkLocalData();
         return true;
     } catch (error) {
@@ -55,28 +96,16 @@ export async function initDataManager() {
 }
 
 /**
- * Set up the IndexedDB database and object stores
- * @returns {Promise} Resolves when setup is complete
+ * Schema migrations, applied in order on upgrade. A migration's migrate receives the database and the
+ * upgrade transaction, so it can add stores and indexes. Its upgradeCreature, if any, rewrites one stored
+ * creature record; these run in version order on each record in a single pass (see runMigrations).
+ * Never edit a released migration - add a new one and bump DB_VERSION instead.
  */
-function setupDatabase() {
-    return new Promise((resolve, reject) => {
-        const request = indexedDB.open(DB_NAME, DB_VERSION);
-        
-        request.onerror = (event) => {
-            console.error('IndexedDB error:', event.target.error);
-            reject(new Error('Could not open IndexedDB'));
-        };
-        
-        request.onsuccess = (event) => {
-            console.log('IndexedDB connection established successfully');
-            resolve();
-        };
-        
-        request.onupgradeneeded = (event) => {
-            console.log('Setting up or upgrading IndexedDB database');
-            const db = event.target.result;
-            
-            // Create object stores if they don't exist
+const MIGRATIONS = [
+    {
+        version: 1,
+        description: 'Create creatures and metadata stores',
+        migrate: (db) => {
             if (!db.objectStoreNames.contains(CREATURES_STORE)) {
                 const creatureStore = db.createObjectStore(CREATURES_STORE, { keyPath: 'id' });
                 
@@ -85,37 +114,294 @@ function setupDatabase() {
                 creatureStore.createIndex('byType', 'type', { unique: false });
                 creatureStore.createIndex('byCR', 'cr', { unique: false });
                 creatureStore.createIndex('bySize', 'size', { unique: false });
-                
-                console.log('Created creatures object store with indexes');
             }
             
             if (!db.objectStoreNames.contains(METADATA_STORE)) {
                 db.createObjectStore(METADATA_STORE, { keyPath: 'key' });
-                console.log('Created metadata object store');
             }
-        };
-    });
+        }
+    },
+    {
+        version: 2,
+        description: 'Create templates store',
+        migrate: (db) => {
+            if (!db.objectStoreNames.contains(TEMPLATES_STORE)) {
+                db.createObjectStore(TEMPLATES_STORE, { keyPath: 'id' });
+            }
+        }
+    },
+    {
+        version: 3,
+        description: 'Index creatures by source and lower-cased name',
+        migrate: (db, transaction) => {
+            const creatureStore = transaction.objectStore(CREATURES_STORE);
+            
+            if (!creatureStore.indexNames.contains('bySource')) {
+                creatureStore.createIndex('bySource', 'source', { unique: false });
+            }
+            if (!creatureStore.indexNames.contains('byNameLower')) {
+                creatureStore.createIndex('byNameLower', 'nameLower', { unique: false });
+            }
+        },
+        // Backfill the indexed fields on creatures stored before this version
+        upgradeCreature: (record) => toCreatureRecord(record)
+    },
+    {
+        version: 4,
+        description: 'Create sources store for source names and official/homebrew status',
+        migrate: (db) => {
+            if (!db.objectStoreNames.contains(SOURCES_STORE)) {
+                db.createObjectStore(SOURCES_STORE, { keyPath: 'id' });
+            }
+        }
+    },
+    {
+        version: 5,
+        description: 'Create fluff and images stores for creature lore and art',
+        migrate: (db) => {
+            if (!db.objectStoreNames.contains(FLUFF_STORE)) {
+                db.createObjectStore(FLUFF_STORE, { keyPath: 'id' });
+            }
+            
+            if (!db.objectStoreNames.contains(IMAGES_STORE)) {
+                const imageStore = db.createObjectStore(IMAGES_STORE, { keyPath: 'id' });
+                imageStore.createIndex('byNameLower', 'nameLower', { unique: false });
+            }
+        }
+    },
+    {
+        version: 6,
+        description: 'Create spells store for spell lookups from statblocks',
+        migrate: (db) => {
+            if (!db.objectStoreNames.contains(SPELLS_STORE)) {
+                const spellStore = db.createObjectStore(SPELLS_STORE, { keyPath: 'id' });
+                spellStore.createIndex('byNameLower', 'nameLower', { unique: false });
+            }
+        }
+    },
+    {
+        version: 7,
+        description: 'Re-parse stored attacks into structured attacks with reach, range, targets and damage parts',
+        upgradeCreature: (record) => ({ ...record, attacks: reparseAttacks(record) })
+    },
+    {
+        version: 8,
+        description: 'Re-parse stored attacks to read their on-hit riders',
+        upgradeCreature: (record) => ({ ...record, attacks: reparseAttacks(record) })
+    },
+    {
+        version: 9,
+        description: 'Read stored creatures\' Multiattack actions into attack sequences',
+        upgradeCreature: (record) => ({ ...record, multiattack: reparseMultiattack(record) })
+    },
+    {
+        version: 10,
+        description: 'Re-parse stored attacks and traits to read their recharge, uses and legendary action costs',
+        upgradeCreature: (record) => ({
+            ...record,
+            attacks: reparseAttacks(record),
+            specialAbilities: reparseTraits(record)
+        })
+    },
+    {
+        version: 11,
+        description: 'Re-parse stored attacks and traits to store their names without usage limits',
+        upgradeCreature: (record) => ({
+            ...record,
+            attacks: reparseAttacks(record),
+            specialAbilities: reparseTraits(record)
+        })
+    }
+];
+
+/**
+ * Backup migrations, applied in order to backups made by older versions of the app.
+ * Version 1 is the original export: {metadata, creatures} without a format marker.
+ */
+const BACKUP_MIGRATIONS = [
+    {
+        version: 2,
+        description: 'Wrap creature-only exports in the full backup layout',
+        migrate: (backup) => ({
+            format: BACKUP_FORMAT,
+            version: 2,
+            createdAt: backup.metadata.exportDate || null,
+            appVersion: backup.metadata.version || null,
+            metadata: {
+                lastUpdated: backup.metadata.lastUpdated || null,
+                creatureCount: backup.creatures.length
+            },
+            data: {
+                creatures: backup.creatures,
+                templates: [],
+                sources: {}
+            },
+            sections: {}
+        })
+    },
+    {
+        version: 3,
+        description: 'Add source names and official/homebrew status',
+        migrate: (backup) => ({
+            ...backup,
+            version: 3,
+            data: { ...backup.data, sourceDetails: {} }
+        })
+    }
+];
+
+// Backup sections owned by other modules (favorites, filters...), keyed by name
+const backupSections = {};
+
+registerStoreBackupSections();
+
+// Shared database connection, opened once and reused by every query
+let dbConnection = null;
+
+/**
+ * Set up the IndexedDB database and object stores
+ * @returns {Promise} Resolves when setup is complete
+ */
+async function setupDatabase() {
+    await openDatabase();
+    console.log('IndexedDB connection established successfully');
+}
+
+/**
+ * Run every migration newer than the version the database is being upgraded from. Schema changes run
+ * first, then stored creatures are upgraded in one cursor pass, so that each record upgrade builds on the
+ * fields written by the ones before it rather than on a stale copy of the record
+ * @param {IDBDatabase} db - The database being upgraded
+ * @param {IDBTransaction} transaction - The upgrade transaction
+ * @param {number} oldVersion - The version before the upgrade (0 for a new database)
+ */
+function runMigrations(db, transaction, oldVersion) {
+    let upgradesCreatures = false;
+    
+    for (const migration of MIGRATIONS) {
+        if (migration.version > oldVersion && migration.version <= DB_VERSION) {
+            console.log(`Applying IndexedDB migration ${migration.version}: ${migration.description}`);
+            if (migration.migrate) {
+                migration.migrate(db, transaction);
+            }
+            if (migration.upgradeCreature) {
+                upgradesCreatures = true;
+            }
+        }
+    }
+    
+    // A new database has no creatures to upgrade
+    if (!upgradesCreatures || oldVersion === 0) {
+        return;
+    }
+    
+    const request = transaction.objectStore(CREATURES_STORE).openCursor();
+    request.onsuccess = (event) => {
+        const cursor = event.target.result;
+        if (cursor) {
+            cursor.update(upgradeCreatureRecord(cursor.value, oldVersion));
+            cursor.continue();
+        }
+    };
+}
+
+/**
+ * Bring a creature record stored under an older database version up to date, applying each
+ * migration's record upgrade in version order
+ * @param {Object} record - The stored creature record
+ * @param {number} oldVersion - The database version the record was stored under
+ * @param {number} newVersion - The version to upgrade it to; defaults to the current version
+ * @returns {Object} The upgraded record
+ */
+export function upgradeCreatureRecord(record, oldVersion, newVersion = DB_VERSION) {
+    return MIGRATIONS.reduce((upgraded, migration) => {
+        if (!migration.upgradeCreature || migration.version <= oldVersion || migration.version > newVersion) {
+            return upgraded;
+        }
+        return migration.upgradeCreature(upgraded);
+    }, record);
 }
 
 /**
- * Open a connection to the IndexedDB database
+ * Open a connection to the IndexedDB database, running migrations if the schema is out of date
  * @returns {Promise<IDBDatabase>} Resolves with the database connection
  */
 function openDatabase() {
+    if (dbConnection) {
+        return Promise.resolve(dbConnection);
+    }
+    
     return new Promise((resolve, reject) => {
         const request = indexedDB.open(DB_NAME, DB_VERSION);
         
         request.onerror = (event) => {
+            console.error('IndexedDB error:', event.target.error);
             reject(new Error('Could not open IndexedDB'));
         };
         
+        request.onupgradeneeded = (event) => {
+            console.log(`Upgrading IndexedDB database from version ${event.oldVersion} to ${DB_VERSION}`);
+            runMigrations(event.target.result, event.target.transaction, event.oldVersion);
+        };
+        
+        request.onblocked = () => {
+            // Another tab still has the old version open; the upgrade continues once it closes
+            console.warn('IndexedDB upgrade blocked by another open tab');
+            showNotification('Please close other tabs running this app so the database can be upgraded.', 'warning');
+        };
+        
         request.onsuccess = (event) => {
             const db = event.target.result;
+            
+            // Let a newer version in another tab upgrade the database instead of blocking it
+            db.onversionchange = () => {
+                db.close();
+                dbConnection = null;
+                console.warn('IndexedDB connection closed for an upgrade in another tab');
+                showNotification('The app was updated in another tab. Please reload this page.', 'warning');
+            };
+            
+            db.onclose = () => {
+                dbConnection = null;
+            };
+            
+            dbConnection = db;
             resolve(db);
         };
     });
 }
 
+/**
+ * Convert a creature into the record stored in IndexedDB, adding the fields used by indexes
+ * @param {Object} creature - The creature to store
+ * @returns {Object} The creature record
+ */
+function toCreatureRecord(creature) {
+    return {
+        ...creature,
+        nameLower: (creature.name || '').toLowerCase()
+    };
+}
+
+/**
+ * Show a notification through the main module
+ * @param {string} message - Message to display
+ * @param {string} type - Notification type (success, error, info, warning)
+ */
+function showNotification(message, type = 'info') {
+    if (typeof document === 'undefined') {
+        return;
+    }
+    
+    const event = new CustomEvent('showNotification', {
+        detail: {
+            message,
+            type
+        }
+    });
+    document.dispatchEvent(event);
+}
+
 /**
  * Check if data exists in IndexedDB
  * @returns {Promise<boolean>} Resolves with true if data exists, false otherwise
@@ -163,7 +449,8 @@ async function buildLookupCaches() {
             const typeIndex = store.index('byType');
             const uniqueTypes = new Set();
             
-            const request = typeIndex.openCursor();
+            // Only visit each distinct key once
+            const request = typeIndex.openKeyCursor(null, 'nextunique');
             
             request.onsuccess = (event) => {
                 const cursor = event.target.result;
@@ -187,7 +474,8 @@ async function buildLookupCaches() {
             const crIndex = store.index('byCR');
             const uniqueCRs = new Set();
             
-            const request = crIndex.openCursor();
+            // Only visit each distinct key once
+            const request = crIndex.openKeyCursor(null, 'nextunique');
             
             request.onsuccess = (event) => {
                 const cursor = event.target.result;
@@ -225,33 +513,25 @@ async function buildLookupCaches() {
 }
 
 /**
- * Get creatures of a specific type from the database
- * @param {string} type - The creature type
+ * Get the creatures matching a key on one of the creature store indexes
+ * @param {string} indexName - The index to query (byType, byCR, bySize, bySource or byNameLower)
+ * @param {*} query - The key or IDBKeyRange to match
  * @returns {Promise<Array>} Resolves with an array of creatures
  */
-async function getCreaturesByTypeFromDB(type) {
+async function getCreaturesFromIndex(indexName, query) {
     return new Promise(async (resolve, reject) => {
         try {
             const db = await openDatabase();
             const transaction = db.transaction(CREATURES_STORE, 'readonly');
             const store = transaction.objectStore(CREATURES_STORE);
-            const index = store.index('byType');
-            const creatures = [];
+            const request = store.index(indexName).getAll(query);
             
-            const request = index.openCursor(IDBKeyRange.only(type));
-            
-            request.onsuccess = (event) => {
-                const cursor = event.target.result;
-                if (cursor) {
-                    creatures.push(cursor.value);
-                    cursor.continue();
-                } else {
-                    resolve(creatures);
-                }
+            request.onsuccess = () => {
+                resolve(request.result);
             };
             
             request.onerror = (event) => {
-                reject(new Error(`Error retrieving creatures of type ${type}`));
+                reject(new Error(`Error querying creatures on index ${indexName}`));
             };
         } catch (error) {
             reject(error);
@@ -259,39 +539,22 @@ async function getCreaturesByTypeFromDB(type) {
     });
 }
 
+/**
+ * Get creatures of a specific type from the database
+ * @param {string} type - The creature type
+ * @returns {Promise<Array>} Resolves with an array of creatures
+ */
+async function getCreaturesByTypeFromDB(type) {
+    return getCreaturesFromIndex('byType', IDBKeyRange.only(type));
+}
+
 /**
  * Get creatures of a specific CR from the database
  * @param {number} cr - The challenge rating
  * @returns {Promise<Array>} Resolves with an array of creatures
  */
 async function getCreaturesByCRFromDB(cr) {
-    return new Promise(async (resolve, reject) => {
-        try {
-            const db = await openDatabase();
-            const transaction = db.transaction(CREATURES_STORE, 'readonly');
-            const store = transaction.objectStore(CREATURES_STORE);
-            const index = store.index('byCR');
-            const creatures = [];
-            
-            const request = index.openCursor(IDBKeyRange.only(cr));
-            
-            request.onsuccess = (event) => {
-                const cursor = event.target.result;
-                if (cursor) {
-                    creatures.push(cursor.value);
-                    cursor.continue();
-                } else {
-                    resolve(creatures);
-                }
-            };
-            
-            request.onerror = (event) => {
-                reject(new Error(`Error retrieving creatures of CR ${cr}`));
-            };
-        } catch (error) {
-            reject(error);
-        }
-    });
+    return getCreaturesFromIndex('byCR', IDBKeyRange.only(cr));
 }
 
 /**
@@ -350,104 +613,423 @@ async function storeMetadata(key, value) {
 }
 
 /**
- * Fallback to localStorage if IndexedDB is not available
- * @returns {Promise<boolean>} Resolves with true if data exists, false otherwise
+ * Store every cached source record in IndexedDB
+ * @returns {Promise} Resolves when the source records are stored
  */
-async function checkLocalStorageFallback() {
-    try {
-        const versionData = localStorage.getItem('dnd5e_summons_data_version');
-        
-        if (versionData) {
-            // Load all data from localStorage
-            const storageData = JSON.parse(localStorage.getItem('dnd5e_summons_data'));
+async function storeSourceDetails() {
+    return new Promise(async (resolve, reject) => {
+        try {
+            const db = await openDatabase();
+            const transaction = db.transaction(SOURCES_STORE, 'readwrite');
+            const store = transaction.objectStore(SOURCES_STORE);
             
-            if (storageData && storageData.creatures && storageData.creatures.length > 0) {
-                // Copy loaded data to our cache
-                dataCache.metadata.version = storageData.version;
-                dataCache.metadata.lastUpdated = storageData.lastUpdated;
-                dataCache.metadata.creatureCount = storageData.creatures.length;
-                
-                dataCache.creatures = storageData.creatures;
-                dataCache.creaturesByType = storageData.creaturesByType || {};
-                dataCache.creaturesByCR = storageData.creaturesByCR || {};
-                
-                console.log(`Loaded ${dataCache.metadata.creatureCount} creatures from localStorage fallback (version ${dataCache.metadata.version})`);
-                return true;
+            for (const source of Object.values(dataCache.sourceDetails)) {
+                store.put(source);
             }
+            
+            transaction.oncomplete = () => {
+                resolve();
+            };
+            
+            transaction.onerror = (event) => {
+                reject(new Error('Error storing source details'));
+            };
+        } catch (error) {
+            reject(error);
         }
-        
-        console.log('No valid data found in localStorage fallback');
-        return false;
-    } catch (error) {
-        console.error('Error checking localStorage fallback:', error);
-        return false;
-    }
+    });
 }
 
 /**
- * Handle uploaded bestiary files
- * @param {FileList} files - The uploaded files
- * @returns {Promise<Object>} Resolves with results about the processed data
+ * Load uploaded templates from IndexedDB and register them with the statblock renderer
+ * @returns {Promise<Array>} Resolves with the stored templates
  */
-export async function handleFileUpload(files) {
-    if (!files || files.length === 0) {
-        throw new Error('No files selected');
-    }
-    
-    try {
-        // Reset the data cache before processing new files
-        resetDataCache();
-        
-        // Clear the database
-        await clearDatabase();
-        
-        // Track processing statistics
-        const stats = {
-            totalFiles: files.length,
-            processedFiles: 0,
-            validFiles: 0,
-            skippedFiles: 0,
-            totalCreatures: 0,
-            validCreatures: 0,
-            invalidCreatures: 0
-        };
-        
-        // Process each file
-        for (let i = 0; i < files.length; i++) {
-            const file = files[i];
-            stats.processedFiles++;
+async function loadTemplates() {
+    return new Promise(async (resolve, reject) => {
+        try {
+            const db = await openDatabase();
+            const transaction = db.transaction(TEMPLATES_STORE, 'readonly');
+            const store = transaction.objectStore(TEMPLATES_STORE);
             
-            // Check if file is JSON
-            if (!file.name.endsWith('.json')) {
-                console.warn(`Skipping non-JSON file: ${file.name}`);
-                stats.skippedFiles++;
-                continue;
-            }
+            const request = store.getAll();
             
-            const fileStats = await processJSONFile(file);
-            stats.validFiles++;
-            stats.totalCreatures += fileStats.totalMonsters;
-            stats.validCreatures += fileStats.validMonsters;
-            stats.invalidCreatures += fileStats.invalidMonsters;
+            request.onsuccess = () => {
+                dataCache.templates = request.result.map(record => record.template);
+                registerTemplates(dataCache.templates);
+                console.log(`Loaded ${dataCache.templates.length} templates from IndexedDB`);
+                resolve(dataCache.templates);
+            };
+            
+            request.onerror = (event) => {
+                reject(new Error('Error retrieving templates'));
+            };
+        } catch (error) {
+            reject(error);
         }
+    });
+}
+
+/**
+ * Collect the templates found in an upload batch so _copy._templates can be applied
+ * @param {Array} batch - Array of {fileName, jsonData} entries
+ * @returns {Array} Template objects in 5etools template.json format
+ */
+function collectBatchTemplates(batch) {
+    const templates = [];
+    
+    for (const { fileName, jsonData } of batch) {
+        if (!jsonData.monsterTemplate || !Array.isArray(jsonData.monsterTemplate)) continue;
         
-        // After processing all files, save the metadata
-        dataCache.metadata.lastUpdated = new Date().toISOString();
-        dataCache.metadata.creatureCount = dataCache.creatures.length;
-        
-        // Save to IndexedDB
-        await storeProcessedData();
-        
-        console.log(`Processed ${dataCache.creatures.length} creatures from ${stats.validFiles} files`);
-        
-        return {
-            success: true,
+        const validTemplates = jsonData.monsterTemplate.filter(template => template && template.name && template.apply);
+        console.log(`Found ${validTemplates.length} templates in ${fileName}`);
+        templates.push(...validTemplates);
+    }
+    
+    return templates;
+}
+
+/**
+ * Combine stored templates with newly uploaded ones
+ * @param {Array} templates - The current templates
+ * @param {Array} newTemplates - The uploaded templates
+ * @returns {Array} The combined templates; uploaded ones replace any with the same name and source
+ */
+function mergeTemplates(templates, newTemplates) {
+    const templateKeys = new Set(newTemplates.map(template => getCopyKey(template.name, template.source)));
+    return [
+        ...templates.filter(template => !templateKeys.has(getCopyKey(template.name, template.source))),
+        ...newTemplates
+    ];
+}
+
+/**
+ * Load source details from IndexedDB and register them with the statblock renderer
+ * @returns {Promise<Object>} Resolves with the source details keyed by source
+ */
+async function loadSourceDetails() {
+    return new Promise(async (resolve, reject) => {
+        try {
+            const db = await openDatabase();
+            const transaction = db.transaction(SOURCES_STORE, 'readonly');
+            const store = transaction.objectStore(SOURCES_STORE);
+            
+            const request = store.getAll();
+            
+            request.onsuccess = () => {
+                dataCache.sourceDetails = mergeSourceDetails({}, request.result);
+                registerSources(dataCache.sourceDetails);
+                console.log(`Loaded details for ${request.result.length} sources from IndexedDB`);
+                resolve(dataCache.sourceDetails);
+            };
+            
+            request.onerror = (event) => {
+                reject(new Error('Error retrieving source details'));
+            };
+        } catch (error) {
+            reject(error);
+        }
+    });
+}
+
+/**
+ * Collect source details from an upload batch: 5etools books.json and adventures.json,
+ * homebrew _meta.sources, and the sources used by official 5etools bestiary files
+ * @param {Array} batch - Array of {fileName, jsonData, format} entries
+ * @returns {Array} Source records ({id, name, kind, official, published, author, url})
+ */
+function collectBatchSources(batch) {
+    const sources = [];
+    const bestiarySources = new Set();
+    
+    for (const { fileName, jsonData, format } of batch) {
+        for (const [property, kind] of [['book', 'book'], ['adventure', 'adventure']]) {
+            if (!Array.isArray(jsonData[property])) continue;
+            
+            const records = jsonData[property]
+                .filter(entry => entry && entry.name && (entry.source || entry.id))
+                .map(entry => ({
+                    id: entry.source || entry.id,
+                    name: entry.name,
+                    kind: kind,
+                    official: true,
+                    published: entry.published || null,
+                    author: entry.author || null,
+                    url: null
+                }));
+            console.log(`Found ${records.length} ${kind} sources in ${fileName}`);
+            sources.push(...records);
+        }
+        
+        // Homebrew files describe their own sources; 5etools' own bestiary files have no _meta
+        const meta = jsonData._meta;
+        if (meta && Array.isArray(meta.sources)) {
+            sources.push(...meta.sources
+                .filter(entry => entry && entry.json)
+                .map(entry => ({
+                    id: entry.json,
+                    name: entry.full || entry.abbreviation || entry.json,
+                    kind: 'homebrew',
+                    official: false,
+                    published: null,
+                    author: Array.isArray(entry.authors) && entry.authors.length > 0 ? entry.authors.join(', ') : null,
+                    url: entry.url || null
+                })));
+        } else if (format === '5eTools' && Array.isArray(jsonData.monster)) {
+            jsonData.monster.forEach(monster => {
+                if (monster && monster.source) bestiarySources.add(monster.source);
+            });
+        }
+    }
+    
+    // Official bestiary files only tell us that a source is official, not its name
+    for (const source of bestiarySources) {
+        if (!sources.some(record => record.id === source)) {
+            sources.push({ id: source, name: null, kind: null, official: true, published: null, author: null, url: null });
+        }
+    }
+    
+    return sources;
+}
+
+/**
+ * Combine stored source details with newly uploaded ones
+ * @param {Object} sourceDetails - The current source details, keyed by source
+ * @param {Array} newSources - The uploaded source records
+ * @returns {Object} The combined source details; uploaded records replace stored ones,
+ *     except that a record without a name never replaces one with a name
+ */
+function mergeSourceDetails(sourceDetails, newSources) {
+    const merged = { ...sourceDetails };
+    
+    for (const source of newSources) {
+        const existing = merged[source.id];
+        if (!existing || source.name || !existing.name) {
+            merged[source.id] = source;
+        }
+    }
+    
+    return merged;
+}
+
+/**
+ * Load the per-source settings (import date, enabled state) from IndexedDB
+ * @returns {Promise<Object>} Resolves with the source settings keyed by source
+ */
+async function loadSources() {
+    try {
+        dataCache.sources = (await getMetadata('sources')) || {};
+        console.log(`Loaded settings for ${Object.keys(dataCache.sources).length} sources from IndexedDB`);
+    } catch (error) {
+        console.error('Error loading sources:', error);
+        dataCache.sources = {};
+    }
+    
+    return dataCache.sources;
+}
+
+/**
+ * Record the import date for every source present in a set of newly stored creatures
+ * @param {Array} creatures - The creatures that were just stored
+ * @returns {Promise} Resolves when the source settings are saved
+ */
+async function recordSourceImports(creatures) {
+    markSourcesImported(creatures);
+    await storeMetadata('sources', dataCache.sources);
+}
+
+/**
+ * Set the import date in the source cache for every source present in a set of creatures
+ * @param {Array} creatures - The imported creatures
+ */
+function markSourcesImported(creatures) {
+    const importedAt = new Date().toISOString();
+    const sources = new Set(creatures.map(creature => creature.source || 'Unknown'));
+    
+    for (const source of sources) {
+        const existing = dataCache.sources[source];
+        dataCache.sources[source] = {
+            importedAt: importedAt,
+            // Re-importing a source keeps the user's on/off choice
+            enabled: existing ? existing.enabled !== false : true
+        };
+    }
+}
+
+/**
+ * Fallback to localStorage if IndexedDB is not available
+ * @returns {Promise<boolean>} Resolves with true if data exists, false otherwise
+ */
+async function checkLocalStorageFallback() {
+    try {
+        const versionData = localStorage.getItem('dnd5e_summons_data_version');
+        
+        if (versionData) {
+            // Load all data from localStorage
+            const storageData = JSON.parse(localStorage.getItem('dnd5e_summons_data'));
+            
+            if (storageData && storageData.creatures && storageData.creatures.length > 0) {
+                // Copy loaded data to our cache
+                dataCache.metadata.version = storageData.version;
+                dataCache.metadata.lastUpdated = storageData.lastUpdated;
+                dataCache.metadata.creatureCount = storageData.creatures.length;
+                
+                dataCache.creatures = storageData.creatures;
+                dataCache.creaturesByType = storageData.creaturesByType || {};
+                dataCache.creaturesByCR = storageData.creaturesByCR || {};
+                
+                console.log(`Loaded ${dataCache.metadata.creatureCount} creatures from localStorage fallback (version ${dataCache.metadata.version})`);
+                return true;
+            }
+        }
+        
+        console.log('No valid data found in localStorage fallback');
+        return false;
+    } catch (error) {
+        console.error('Error checking localStorage fallback:', error);
+        return false;
+    }
+}
+
+/**
+ * Handle uploaded bestiary files
+ * Files are parsed and processed in a web worker; nothing is written to IndexedDB
+ * until processing has finished, so a cancelled import leaves the stored data untouched
+ * @param {FileList} files - The uploaded files: JSON or XML files, zip archives of them, or the contents
+ *     of a folder (files chosen with webkitdirectory are named by their relative path)
+ * @param {Object} options - Upload options
+ * @param {string} options.mode - 'replace' (default) clears existing data first, 'add' merges into it
+ * @param {Function} options.resolveConflict - Called in 'add' mode when an uploaded creature's ID is
+ *     already taken; receives {existing, incoming} and resolves with 'skip', 'overwrite' or 'keepBoth'
+ * @param {Function} options.onProgress - Called with {phase, fileIndex, fileCount, fileName, monstersProcessed}
+ * @param {AbortSignal} options.signal - Aborts the import; the promise then rejects with an AbortError
+ * @param {boolean} options.validateOnly - Validate and process the files but return the report without storing anything
+ * @returns {Promise<Object>} Resolves with results about the processed data
+ */
+export async function handleFileUpload(files, options = {}) {
+    if (!files || files.length === 0) {
+        throw new Error('No files selected');
+    }
+    
+    const mode = options.mode === 'add' ? 'add' : 'replace';
+    const onProgress = options.onProgress || (() => {});
+    const signal = options.signal;
+    
+    try {
+        // Make sure the existing creatures are in memory before merging
+        if (mode === 'add') {
+            await getAllCreatures();
+        }
+        
+        // When adding, _copy bases may also come from the data already loaded
+        const existingMonsters = mode === 'add'
+            ? dataCache.creatures.map(creature => creature.raw).filter(Boolean)
+            : [];
+        const existingTemplates = mode === 'add' ? dataCache.templates : [];
+        
+        // Keep the folder path of files picked from a directory, which is lost when they are sent to the worker
+        const uploads = Array.from(files).map(file => {
+            return file.webkitRelativePath ? new File([file], file.webkitRelativePath) : file;
+        });
+        
+        const processed = await runImportWorker(uploads, {
+            mode,
+            existingMonsters,
+            templates: existingTemplates
+        }, onProgress, signal);
+        
+        const { stats, report, creatures: newCreatures, creatureEntries } = processed;
+        
+        if (options.validateOnly) {
+            console.log(`Validated ${stats.totalCreatures} creatures from ${stats.totalFiles} files`);
+            return {
+                success: true,
+                validateOnly: true,
+                mode: mode,
+                stats: stats,
+                copyResolution: processed.copyResolution,
+                report: report
+            };
+        }
+        
+        let merge = null;
+        if (mode === 'add') {
+            merge = await mergeCreatures(newCreatures, options.resolveConflict, signal);
+            
+            merge.outcomes.forEach((outcome, index) => {
+                const entry = creatureEntries[index];
+                if (outcome === 'skipped') {
+                    skipMonsterReportEntry(entry, `A creature with ID ${entry.id} already exists`);
+                } else if (outcome === 'keptBoth') {
+                    entry.id = newCreatures[index].id;
+                }
+            });
+            report.summary = summarizeImportReport(report);
+        }
+        
+        throwIfAborted(signal);
+        onProgress({ phase: 'saving', fileIndex: files.length, fileCount: files.length, fileName: null, monstersProcessed: newCreatures.length });
+        
+        // From here on the import can no longer be cancelled
+        if (mode === 'add') {
+            applyMerge(merge);
+            dataCache.templates = mergeTemplates(dataCache.templates, processed.templates);
+            markSourcesImported(merge.stored);
+        } else {
+            resetDataCache();
+            newCreatures.forEach(addCreatureToCache);
+            dataCache.templates = processed.templates;
+            markSourcesImported(dataCache.creatures);
+        }
+        dataCache.sourceDetails = mergeSourceDetails(dataCache.sourceDetails, processed.sources);
+        registerTemplates(dataCache.templates);
+        registerSources(dataCache.sourceDetails);
+        
+        // After processing all files, save the metadata
+        dataCache.metadata.lastUpdated = new Date().toISOString();
+        dataCache.metadata.creatureCount = dataCache.creatures.length;
+        
+        // Save to IndexedDB in a single transaction
+        await commitImport({
+            clear: mode === 'replace' ? [CREATURES_STORE, TEMPLATES_STORE, SOURCES_STORE, FLUFF_STORE, IMAGES_STORE, SPELLS_STORE] : [],
+            creatures: mode === 'add' ? merge.stored : dataCache.creatures,
+            templates: processed.templates,
+            sourceDetails: Object.values(dataCache.sourceDetails),
+            fluff: processed.fluff,
+            images: processed.images,
+            spells: processed.spells
+        });
+        
+        console.log(`Processed ${newCreatures.length} creatures from ${stats.validFiles} files`);
+        
+        return {
+            success: true,
+            mode: mode,
             stats: stats,
+            merge: merge ? {
+                added: merge.added,
+                overwritten: merge.overwritten,
+                keptBoth: merge.keptBoth,
+                skipped: merge.skipped
+            } : null,
+            copyResolution: processed.copyResolution,
+            report: report,
+            templates: processed.templates.length,
+            fluff: processed.fluff.length,
+            images: processed.images.length,
+            spells: processed.spells.length,
             creatures: dataCache.creatures.length,
             types: Object.keys(dataCache.creaturesByType).length,
             crs: Object.keys(dataCache.creaturesByCR).length
         };
     } catch (error) {
+        // The worker may have registered uploaded templates when running inline
+        registerTemplates(dataCache.templates);
+        
+        if (error.name === 'AbortError') {
+            console.log('Import cancelled, stored data left unchanged');
+            throw error;
+        }
+        
         console.error('Error processing uploaded files:', error);
         
         // Try to fall back to localStorage
@@ -461,6 +1043,425 @@ export async function handleFileUpload(files) {
     }
 }
 
+/**
+ * Run processUploadBatch in the import worker, or on the main thread if workers are unavailable
+ * @param {Array<File>} files - The uploaded files
+ * @param {Object} options - Options passed on to processUploadBatch
+ * @param {Function} onProgress - Called with each progress update
+ * @param {AbortSignal} signal - Terminates the worker when aborted
+ * @returns {Promise<Object>} Resolves with the processUploadBatch result
+ */
+function runImportWorker(files, options, onProgress, signal) {
+    let worker;
+    try {
+        worker = new Worker(new URL('./importWorker.js', import.meta.url), { type: 'module' });
+    } catch (error) {
+        console.warn('Import worker unavailable, processing files on the main thread:', error);
+        return processUploadBatch(files, { ...options, onProgress, signal });
+    }
+    
+    return new Promise((resolve, reject) => {
+        const finish = () => {
+            worker.terminate();
+            if (signal) {
+                signal.removeEventListener('abort', onAbort);
+            }
+        };
+        
+        const onAbort = () => {
+            finish();
+            reject(createAbortError());
+        };
+        
+        if (signal) {
+            if (signal.aborted) {
+                onAbort();
+                return;
+            }
+            signal.addEventListener('abort', onAbort);
+        }
+        
+        worker.onmessage = (event) => {
+            const message = event.data;
+            
+            if (message.type === 'progress') {
+                onProgress(message.progress);
+            } else if (message.type === 'done') {
+                finish();
+                resolve(message.result);
+            } else if (message.type === 'error') {
+                finish();
+                reject(new Error(message.message));
+            }
+        };
+        
+        worker.onerror = (event) => {
+            finish();
+            reject(new Error(event.message || 'Import worker failed'));
+        };
+        
+        worker.postMessage({ files, options });
+    });
+}
+
+/**
+ * Parse and process a batch of uploaded files without touching IndexedDB or the data cache
+ * Runs inside the import worker: reads and parses each file, resolves _copy inheritance
+ * across the batch and converts the monsters into creatures
+ * @param {Array<File>} files - The uploaded files
+ * @param {Object} options - Processing options
+ * @param {string} options.mode - The import mode, recorded in the report
+ * @param {Array} options.existingMonsters - Raw monsters already stored, available as _copy bases
+ * @param {Array} options.templates - Stored templates, available to _copy._templates
+ * @param {Function} options.onProgress - Called with {phase, fileIndex, fileCount, fileName, monstersProcessed}
+ * @param {AbortSignal} options.signal - Stops processing between files when aborted
+ * @returns {Promise<Object>} Resolves with the stats, report, templates and creatures of the batch
+ */
+export async function processUploadBatch(files, options = {}) {
+    const onProgress = options.onProgress || (() => {});
+    
+    // Unpack zip archives and leave out files that aren't bestiaries
+    const selection = await selectBestiaryFiles(files);
+    files = selection.files;
+    const fileCount = files.length;
+    
+    // Track processing statistics
+    const stats = {
+        totalFiles: fileCount + selection.skipped.length,
+        processedFiles: 0,
+        validFiles: 0,
+        skippedFiles: 0,
+        totalCreatures: 0,
+        validCreatures: 0,
+        invalidCreatures: 0
+    };
+    
+    // Per-file, per-monster record of what happened during the import
+    const report = {
+        generatedAt: new Date().toISOString(),
+        mode: options.mode || 'replace',
+        summary: null,
+        files: []
+    };
+    const fileReports = {};
+    const fileDiagnostics = {};
+    
+    const images = selection.images.map(toImageRecord);
+    if (images.length > 0) {
+        console.log(`Found ${images.length} token and art images`);
+    }
+    for (const { fileName, reason } of selection.skipped) {
+        console.log(`Skipping ${fileName}: ${reason}`);
+        const fileReport = { fileName, format: null, status: 'skipped', reason, monsters: [] };
+        report.files.push(fileReport);
+        fileReports[fileName] = fileReport;
+        stats.skippedFiles++;
+    }
+    
+    // Read every file first so _copy references can be resolved across the whole batch
+    const batch = [];
+    for (let i = 0; i < fileCount; i++) {
+        throwIfAborted(options.signal);
+        
+        const file = files[i];
+        stats.processedFiles++;
+        onProgress({ phase: 'reading', fileIndex: i + 1, fileCount, fileName: file.name, monstersProcessed: 0 });
+        
+        const fileReport = { fileName: file.name, format: null, status: 'processed', reason: null, monsters: [] };
+        report.files.push(fileReport);
+        fileReports[file.name] = fileReport;
+        
+        // Check if file is JSON or an XML compendium
+        if (!/\.(json|xml)$/i.test(file.name)) {
+            console.warn(`Skipping unsupported file: ${file.name}`);
+            fileReport.status = 'skipped';
+            fileReport.reason = 'Not a JSON or XML file';
+            stats.skippedFiles++;
+            continue;
+        }
+        
+        try {
+            const { jsonData, format, sourcePaths } = await readBestiaryFile(file);
+            fileReport.format = format;
+            
+            // Validate the monsters as written, before _copy resolution fills anything in
+            fileDiagnostics[file.name] = validateBestiaryFile(jsonData, sourcePaths);
+            batch.push({ fileName: file.name, jsonData, format, sourcePaths });
+        } catch (error) {
+            console.error(`Error reading ${file.name}:`, error);
+            fileReport.status = 'skipped';
+            fileReport.reason = error.message;
+            stats.skippedFiles++;
+        }
+    }
+    
+    // Templates must be available before copies that reference them are resolved
+    const templates = collectBatchTemplates(batch);
+    registerTemplates(mergeTemplates(options.templates || [], templates));
+    const sources = collectBatchSources(batch);
+    const fluff = collectBatchFluff(batch);
+    const spells = collectBatchSpells(batch);
+    
+    // Materialize _copy creatures before anything is processed or stored
+    throwIfAborted(options.signal);
+    onProgress({ phase: 'resolving', fileIndex: fileCount, fileCount, fileName: null, monstersProcessed: 0 });
+    const copyResolution = resolveBatchCopies(batch, options.existingMonsters || []);
+    stats.totalCreatures += copyResolution.failedCount;
+    stats.invalidCreatures += copyResolution.failedCount;
+    
+    // Process each file
+    const creatures = [];
+    const creatureEntries = [];
+    let monstersProcessed = 0;
+    for (let i = 0; i < copyResolution.batch.length; i++) {
+        throwIfAborted(options.signal);
+        
+        const { fileName, jsonData, format, paths } = copyResolution.batch[i];
+        onProgress({ phase: 'processing', fileIndex: i + 1, fileCount: copyResolution.batch.length, fileName, monstersProcessed });
+        
+        const fileStats = processJSONFile(jsonData, fileName, paths);
+        const fileReport = fileReports[fileName];
+        const rejected = applyValidationResults(fileStats, fileDiagnostics[fileName] || {});
+        if (format && format !== '5eTools') {
+            fileStats.creatures.forEach(creature => {
+                creature.sourceFormat = format;
+            });
+        }
+        stats.validFiles++;
+        stats.totalCreatures += fileStats.totalMonsters;
+        stats.validCreatures += fileStats.validMonsters - rejected;
+        stats.invalidCreatures += fileStats.invalidMonsters + rejected;
+        monstersProcessed += fileStats.totalMonsters;
+        creatures.push(...fileStats.creatures);
+        
+        // Creatures are created in the same order as their non-skipped report entries
+        creatureEntries.push(...fileStats.monsters.filter(entry => entry.status !== 'skipped'));
+        fileReport.monsters.push(...fileStats.monsters);
+        if (fileStats.skippedReason) {
+            fileReport.status = 'skipped';
+            fileReport.reason = fileStats.skippedReason;
+        }
+    }
+    
+    addCopyFailuresToReport(copyResolution.unresolved, fileReports, fileDiagnostics);
+    report.summary = summarizeImportReport(report);
+    
+    onProgress({ phase: 'processed', fileIndex: fileCount, fileCount, fileName: null, monstersProcessed });
+    
+    return {
+        stats,
+        report,
+        templates,
+        sources,
+        fluff,
+        images,
+        spells,
+        creatures,
+        creatureEntries,
+        copyResolution: getCopyResolutionSummary(copyResolution)
+    };
+}
+
+/**
+ * Unpack the zip archives in an upload and pick out the bestiary files
+ * A 5etools index.json decides which JSON files in its folder are loaded (template.json, fluff files
+ * and the books.json/adventures.json source lists are always kept); known non-bestiary files such as
+ * legendarygroups.json are skipped, and images are set aside to be stored as creature art
+ * @param {Array<File>} files - The uploaded files; files from folders and archives are named by their path
+ * @returns {Promise<Object>} Resolves with {files, images, skipped}, skipped holding {fileName, reason} for each file left out
+ */
+async function selectBestiaryFiles(files) {
+    const expanded = [];
+    const skipped = [];
+    
+    for (const file of files) {
+        if (!isZipFile(file)) {
+            expanded.push(file);
+            continue;
+        }
+        
+        try {
+            const entries = await readZipArchive(file);
+            console.log(`Unpacked ${entries.length} files from ${file.name}`);
+            expanded.push(...entries.map(entry => new File([entry], `${file.name}/${entry.name}`)));
+        } catch (error) {
+            console.error(`Error unpacking ${file.name}:`, error);
+            skipped.push({ fileName: file.name, reason: `Could not unpack the zip archive: ${error.message}` });
+        }
+    }
+    
+    // Bestiary file names listed by each folder's index.json ({"MM": "bestiary-mm.json", ...})
+    const indexedFolders = {};
+    for (const file of expanded) {
+        const { folder, baseName } = splitFilePath(file.name);
+        if (baseName.toLowerCase() !== 'index.json') continue;
+        
+        try {
+            const index = JSON.parse(await readTextFile(file));
+            indexedFolders[folder] = new Set(Object.values(index)
+                .filter(value => typeof value === 'string')
+                .map(value => value.toLowerCase()));
+        } catch (error) {
+            console.warn(`Ignoring unreadable ${file.name}:`, error);
+        }
+    }
+    
+    const selected = [];
+    const images = [];
+    for (const file of expanded) {
+        const { folder, baseName } = splitFilePath(file.name);
+        const nonBestiary = NON_BESTIARY_FILES.find(rule => rule.pattern.test(baseName));
+        const index = indexedFolders[folder];
+        
+        if (IMAGE_FILE_PATTERN.test(baseName)) {
+            images.push(file);
+        } else if (nonBestiary) {
+            skipped.push({ fileName: file.name, reason: nonBestiary.reason });
+        } else if (index && /\.json$/i.test(baseName) && !INDEX_EXEMPT_FILES.some(pattern => pattern.test(baseName)) && !index.has(baseName.toLowerCase())) {
+            skipped.push({ fileName: file.name, reason: 'Not listed as a bestiary file in index.json' });
+        } else {
+            selected.push(file);
+        }
+    }
+    
+    return { files: selected, images, skipped };
+}
+
+/**
+ * Describe an uploaded token or art image for the images store
+ * 5etools keeps art in img/bestiary/<source>/<name>.webp and tokens in img/bestiary/tokens/<source>/<name>.webp,
+ * so the folder names the creature's source and the file name the creature
+ * @param {File} file - The image, named by its path
+ * @returns {Object} The image record ({id, path, name, nameLower, source, kind, blob})
+ */
+function toImageRecord(file) {
+    const segments = file.name.split('/');
+    const fileName = segments.pop();
+    const name = fileName.replace(/\.[^.]+$/, '');
+    
+    // Fluff files refer to images by their path from the bestiary folder ("bestiary/MM/Wolf.webp")
+    const bestiaryIndex = segments.lastIndexOf('bestiary');
+    const path = bestiaryIndex === -1 ? file.name : [...segments.slice(bestiaryIndex), fileName].join('/');
+    
+    return {
+        id: path,
+        path: path,
+        name: name,
+        nameLower: name.toLowerCase(),
+        source: segments.length > 0 ? segments[segments.length - 1] : null,
+        kind: segments.includes('tokens') ? 'token' : 'art',
+        blob: file
+    };
+}
+
+/**
+ * Collect the creature lore from the fluff files in an upload batch
+ * Fluff that copies another creature's fluff with _copy takes its entries and images when it has none of its own
+ * @param {Array} batch - Array of {fileName, jsonData} entries
+ * @returns {Array} Fluff records ({id, name, source, entries, images}), images holding the paths of the creature's art
+ */
+function collectBatchFluff(batch) {
+    const records = new Map();
+    
+    for (const { fileName, jsonData } of batch) {
+        if (!Array.isArray(jsonData.monsterFluff)) continue;
+        
+        const fluffs = jsonData.monsterFluff.filter(fluff => fluff && fluff.name);
+        console.log(`Found lore for ${fluffs.length} creatures in ${fileName}`);
+        
+        for (const fluff of fluffs) {
+            const id = getCopyKey(fluff.name, fluff.source);
+            records.set(id, {
+                id: id,
+                name: fluff.name,
+                source: fluff.source || 'Unknown',
+                entries: Array.isArray(fluff.entries) ? fluff.entries : [],
+                images: (Array.isArray(fluff.images) ? fluff.images : [])
+                    .map(image => image && image.href && image.href.path)
+                    .filter(Boolean),
+                copyOf: fluff._copy ? getCopyKey(fluff._copy.name, fluff._copy.source) : null
+            });
+        }
+    }
+    
+    const resolve = (record, seen) => {
+        if (!record.copyOf || seen.has(record.id)) return;
+        seen.add(record.id);
+        
+        const base = records.get(record.copyOf);
+        if (base) {
+            resolve(base, seen);
+            if (record.entries.length === 0) record.entries = base.entries;
+            if (record.images.length === 0) record.images = base.images;
+        }
+    };
+    
+    records.forEach(record => resolve(record, new Set()));
+    
+    return Array.from(records.values()).map(({ copyOf, ...record }) => record);
+}
+
+/**
+ * Collect the spells from the spell files in an upload batch (5etools spells-*.json, or homebrew with a spell array)
+ * @param {Array} batch - Array of {fileName, jsonData} entries
+ * @returns {Array} Spell records: the 5etools spell JSON with an id and lower-cased name to look it up by
+ */
+function collectBatchSpells(batch) {
+    const records = new Map();
+    
+    for (const { fileName, jsonData } of batch) {
+        if (!Array.isArray(jsonData.spell)) continue;
+        
+        const spells = jsonData.spell.filter(spell => spell && spell.name);
+        console.log(`Found ${spells.length} spells in ${fileName}`);
+        
+        for (const spell of spells) {
+            const id = getCopyKey(spell.name, spell.source);
+            records.set(id, {
+                ...spell,
+                id: id,
+                nameLower: spell.name.toLowerCase(),
+                source: spell.source || 'Unknown'
+            });
+        }
+    }
+    
+    return Array.from(records.values());
+}
+
+/**
+ * Split an uploaded file's name into its folder and base name
+ * @param {string} name - The file name, which may be a path such as "data.zip/bestiary/bestiary-mm.json"
+ * @returns {Object} {folder, baseName}
+ */
+function splitFilePath(name) {
+    const slash = name.lastIndexOf('/');
+    return {
+        folder: slash === -1 ? '' : name.slice(0, slash),
+        baseName: name.slice(slash + 1)
+    };
+}
+
+/**
+ * Create the error used to reject a cancelled import
+ * @returns {Error} An error named AbortError
+ */
+function createAbortError() {
+    const error = new Error('Import cancelled');
+    error.name = 'AbortError';
+    return error;
+}
+
+/**
+ * Throw an AbortError if the signal has been aborted
+ * @param {AbortSignal} signal - The abort signal, if any
+ */
+function throwIfAborted(signal) {
+    if (signal && signal.aborted) {
+        throw createAbortError();
+    }
+}
+
 /**
  * Load sample data from the predefined JSON files
  * @returns {Promise<Object>} Resolves with results about the processed data
@@ -484,7 +1485,8 @@ export async function loadSampleData() {
             invalidCreatures: 0
         };
         
-        // Process each sample file
+        // Fetch each sample file
+        const batch = [];
         for (const fileUrl of SAMPLE_DATA_FILES) {
             stats.processedFiles++;
             
@@ -497,13 +1499,8 @@ export async function loadSampleData() {
                 
                 const jsonData = await response.json();
                 
-                // Process the data
                 if (jsonData.monster && Array.isArray(jsonData.monster)) {
-                    const fileStats = processMonsterData(jsonData.monster, fileUrl);
-                    stats.validFiles++;
-                    stats.totalCreatures += fileStats.totalMonsters;
-                    stats.validCreatures += fileStats.validMonsters;
-                    stats.invalidCreatures += fileStats.invalidMonsters;
+                    batch.push({ fileName: fileUrl, jsonData, format: '5eTools' });
                 } else {
                     console.warn(`File ${fileUrl} does not contain monster data, skipping`);
                     stats.skippedFiles++;
@@ -514,18 +1511,40 @@ export async function loadSampleData() {
             }
         }
         
+        // Materialize _copy creatures across all sample files
+        const copyResolution = resolveBatchCopies(batch);
+        stats.totalCreatures += copyResolution.failedCount;
+        stats.invalidCreatures += copyResolution.failedCount;
+        
+        // Process the data
+        for (const { fileName, jsonData } of copyResolution.batch) {
+            const fileStats = processMonsterData(jsonData.monster, fileName);
+            stats.validFiles++;
+            stats.totalCreatures += fileStats.totalMonsters;
+            stats.validCreatures += fileStats.validMonsters;
+            stats.invalidCreatures += fileStats.invalidMonsters;
+            fileStats.creatures.forEach(addCreatureToCache);
+        }
+        
         // After processing all files, save the metadata
         dataCache.metadata.lastUpdated = new Date().toISOString();
         dataCache.metadata.creatureCount = dataCache.creatures.length;
         
+        // The sample files are official 5etools bestiary files
+        dataCache.sourceDetails = mergeSourceDetails(dataCache.sourceDetails, collectBatchSources(batch));
+        registerSources(dataCache.sourceDetails);
+        
         // Save to IndexedDB
         await storeProcessedData();
+        await recordSourceImports(dataCache.creatures);
+        await storeSourceDetails();
         
         console.log(`Processed ${dataCache.creatures.length} creatures from ${stats.validFiles} sample files`);
         
         return {
             success: true,
             stats: stats,
+            copyResolution: getCopyResolutionSummary(copyResolution),
             creatures: dataCache.creatures.length,
             types: Object.keys(dataCache.creaturesByType).length,
             crs: Object.keys(dataCache.creaturesByCR).length
@@ -562,7 +1581,47 @@ async function clearDatabase() {
                 
                 metadataClearRequest.onsuccess = () => {
                     console.log('Cleared metadata store');
-                    resolve();
+                    
+                    // Clear templates store
+                    const templateTransaction = db.transaction(TEMPLATES_STORE, 'readwrite');
+                    const templateStore = templateTransaction.objectStore(TEMPLATES_STORE);
+                    
+                    const templateClearRequest = templateStore.clear();
+                    
+                    templateClearRequest.onsuccess = () => {
+                        console.log('Cleared templates store');
+                        
+                        // Clear sources store
+                        const sourceTransaction = db.transaction(SOURCES_STORE, 'readwrite');
+                        const sourceClearRequest = sourceTransaction.objectStore(SOURCES_STORE).clear();
+                        
+                        sourceClearRequest.onsuccess = () => {
+                            console.log('Cleared sources store');
+                            
+                            // Clear lore, images and spells stores
+                            const loreTransaction = db.transaction([FLUFF_STORE, IMAGES_STORE, SPELLS_STORE], 'readwrite');
+                            loreTransaction.objectStore(FLUFF_STORE).clear();
+                            loreTransaction.objectStore(IMAGES_STORE).clear();
+                            loreTransaction.objectStore(SPELLS_STORE).clear();
+                            
+                            loreTransaction.oncomplete = () => {
+                                console.log('Cleared fluff, images and spells stores');
+                                resolve();
+                            };
+                            
+                            loreTransaction.onerror = (event) => {
+                                reject(new Error('Error clearing fluff, images and spells stores'));
+                            };
+                        };
+                        
+                        sourceClearRequest.onerror = (event) => {
+                            reject(new Error('Error clearing sources store'));
+                        };
+                    };
+                    
+                    templateClearRequest.onerror = (event) => {
+                        reject(new Error('Error clearing templates store'));
+                    };
                 };
                 
                 metadataClearRequest.onerror = (event) => {
@@ -596,7 +1655,7 @@ async function storeProcessedData() {
             let completed = 0;
             
             for (const creature of creatures) {
-                const request = creatureStore.add(creature);
+                const request = creatureStore.add(toCreatureRecord(creature));
                 
                 request.onsuccess = () => {
                     completed++;
@@ -655,54 +1714,626 @@ async function storeProcessedData() {
         } catch (error) {
             reject(error);
         }
-    });
+    });
+}
+
+/**
+ * Delete a set of creatures and update the app and source metadata in one transaction
+ * @param {Array<string>} creatureIds - The IDs of the creatures to delete
+ * @param {Object} metadata - The app metadata after the deletion ({version, lastUpdated, creatureCount})
+ * @param {Object} sources - The source settings after the deletion
+ * @returns {Promise} Resolves when deletion is complete
+ */
+async function deleteCreatures(creatureIds, metadata, sources) {
+    return new Promise(async (resolve, reject) => {
+        try {
+            const db = await openDatabase();
+            const transaction = db.transaction([CREATURES_STORE, METADATA_STORE], 'readwrite');
+            const creatureStore = transaction.objectStore(CREATURES_STORE);
+            const metadataStore = transaction.objectStore(METADATA_STORE);
+            
+            for (const creatureId of creatureIds) {
+                creatureStore.delete(creatureId);
+            }
+            
+            metadataStore.put({
+                key: 'appInfo',
+                value: {
+                    version: metadata.version,
+                    lastUpdated: metadata.lastUpdated,
+                    creatureCount: metadata.creatureCount
+                }
+            });
+            metadataStore.put({ key: 'sources', value: sources });
+            
+            transaction.oncomplete = () => {
+                console.log(`Deleted ${creatureIds.length} creatures from IndexedDB`);
+                resolve();
+            };
+            
+            transaction.onerror = (event) => {
+                reject(new Error('Error deleting creatures'));
+            };
+        } catch (error) {
+            reject(error);
+        }
+    });
+}
+
+/**
+ * Work out how newly imported creatures merge into the existing data
+ * Conflicts are resolved up front so the cache is only changed by applyMerge once the import is committed
+ * @param {Array} creatures - The newly processed creatures
+ * @param {Function} resolveConflict - Asked how to handle each ID collision (defaults to skipping)
+ * @param {AbortSignal} signal - Stops asking about conflicts when aborted
+ * @returns {Promise<Object>} Resolves with merge counts, the outcome for each creature, the IDs to replace and the creatures that need storing
+ */
+async function mergeCreatures(creatures, resolveConflict, signal) {
+    const result = {
+        added: 0,
+        overwritten: 0,
+        keptBoth: 0,
+        skipped: 0,
+        outcomes: [],
+        replacedIds: [],
+        stored: []
+    };
+    
+    const creaturesById = new Map(dataCache.creatures.map(creature => [creature.id, creature]));
+    
+    for (const creature of creatures) {
+        throwIfAborted(signal);
+        const existing = creaturesById.get(creature.id);
+        
+        if (!existing) {
+            creaturesById.set(creature.id, creature);
+            result.stored.push(creature);
+            result.outcomes.push('added');
+            result.added++;
+            continue;
+        }
+        
+        const action = resolveConflict
+            ? await resolveConflict({ existing, incoming: creature })
+            : 'skip';
+        
+        switch (action) {
+            case 'overwrite':
+                creaturesById.set(creature.id, creature);
+                result.replacedIds.push(creature.id);
+                result.stored = result.stored.filter(stored => stored.id !== creature.id);
+                result.stored.push(creature);
+                result.outcomes.push('overwritten');
+                result.overwritten++;
+                break;
+                
+            case 'keepBoth': {
+                // Keep both creatures by giving the new one a suffixed ID
+                let suffix = 2;
+                while (creaturesById.has(`${creature.id}-${suffix}`)) {
+                    suffix++;
+                }
+                creature.id = `${creature.id}-${suffix}`;
+                
+                creaturesById.set(creature.id, creature);
+                result.stored.push(creature);
+                result.outcomes.push('keptBoth');
+                result.keptBoth++;
+                break;
+            }
+                
+            default:
+                result.outcomes.push('skipped');
+                result.skipped++;
+        }
+    }
+    
+    console.log(`Merged creatures: ${result.added} added, ${result.overwritten} overwritten, ${result.keptBoth} kept both, ${result.skipped} skipped`);
+    return result;
+}
+
+/**
+ * Apply a merge from mergeCreatures to the in-memory cache
+ * @param {Object} merge - The merge result
+ */
+function applyMerge(merge) {
+    merge.replacedIds.forEach(removeCreatureFromCache);
+    merge.stored.forEach(addCreatureToCache);
+}
+
+/**
+ * Write the result of an import to IndexedDB in a single transaction, so it is stored completely or not at all
+ * @param {Object} changes - The changes to store
+ * @param {Array<string>} changes.clear - The object stores to clear first
+ * @param {Array} changes.creatures - The creatures to store
+ * @param {Array} changes.templates - The templates to store
+ * @param {Array} changes.sourceDetails - The source records to store
+ * @param {Array} changes.fluff - The creature lore records to store
+ * @param {Array} changes.images - The token and art image records to store
+ * @param {Array} changes.spells - The spell records to store
+ * @returns {Promise} Resolves when the transaction completes
+ */
+async function commitImport(changes) {
+    return new Promise(async (resolve, reject) => {
+        try {
+            const db = await openDatabase();
+            const transaction = db.transaction([CREATURES_STORE, METADATA_STORE, TEMPLATES_STORE, SOURCES_STORE, FLUFF_STORE, IMAGES_STORE, SPELLS_STORE], 'readwrite');
+            const creatureStore = transaction.objectStore(CREATURES_STORE);
+            const metadataStore = transaction.objectStore(METADATA_STORE);
+            const templateStore = transaction.objectStore(TEMPLATES_STORE);
+            const sourceStore = transaction.objectStore(SOURCES_STORE);
+            const fluffStore = transaction.objectStore(FLUFF_STORE);
+            const imageStore = transaction.objectStore(IMAGES_STORE);
+            const spellStore = transaction.objectStore(SPELLS_STORE);
+            
+            for (const storeName of changes.clear || []) {
+                transaction.objectStore(storeName).clear();
+            }
+            
+            for (const creature of changes.creatures) {
+                creatureStore.put(toCreatureRecord(creature));
+            }
+            
+            for (const template of changes.templates) {
+                templateStore.put({
+                    id: getCopyKey(template.name, template.source),
+                    name: template.name,
+                    source: template.source || 'Unknown',
+                    template
+                });
+            }
+            
+            for (const source of changes.sourceDetails || []) {
+                sourceStore.put(source);
+            }
+            
+            for (const fluff of changes.fluff || []) {
+                fluffStore.put(fluff);
+            }
+            
+            for (const image of changes.images || []) {
+                imageStore.put(image);
+            }
+            
+            for (const spell of changes.spells || []) {
+                spellStore.put(spell);
+            }
+            
+            metadataStore.put({
+                key: 'appInfo',
+                value: {
+                    version: dataCache.metadata.version,
+                    lastUpdated: dataCache.metadata.lastUpdated,
+                    creatureCount: dataCache.metadata.creatureCount
+                }
+            });
+            metadataStore.put({ key: 'sources', value: dataCache.sources });
+            
+            transaction.oncomplete = () => {
+                console.log(`Stored ${changes.creatures.length} creatures and ${changes.templates.length} templates in IndexedDB`);
+                resolve();
+            };
+            
+            transaction.onerror = (event) => {
+                reject(new Error('Error storing imported data'));
+            };
+        } catch (error) {
+            reject(error);
+        }
+    });
+}
+
+/**
+ * Read a single file as text
+ * @param {File} file - The file to read
+ * @returns {Promise<string>} Resolves with the file contents
+ */
+function readTextFile(file) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        
+        reader.onload = function(event) {
+            resolve(event.target.result);
+        };
+        
+        reader.onerror = function() {
+            reject(new Error(`Error reading file ${file.name}`));
+        };
+        
+        reader.readAsText(file);
+    });
+}
+
+/**
+ * Read and parse a single JSON file
+ * @param {File} file - The JSON file to read
+ * @returns {Promise<Object>} Resolves with the parsed JSON data
+ */
+async function readJSONFile(file) {
+    const text = await readTextFile(file);
+    
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        console.error(`Error parsing JSON file ${file.name}:`, error);
+        throw error;
+    }
+}
+
+/**
+ * Read a bestiary file, converting the supported third-party formats into 5etools-style {monster: [...]} data
+ * @param {File} file - A 5etools, Open5e or Foundry VTT actor JSON file, or a Fight Club 5e XML compendium
+ * @returns {Promise<Object>} Resolves with {jsonData, format, sourcePaths}, where sourcePaths holds
+ *     each monster's path in the original file for converted data (null for 5etools data)
+ */
+async function readBestiaryFile(file) {
+    if (/\.xml$/i.test(file.name)) {
+        const { monsters, paths } = convertFightClubXML(await readTextFile(file));
+        return { jsonData: { monster: monsters }, format: 'FightClub5e', sourcePaths: paths };
+    }
+    
+    const data = await readJSONFile(file);
+    
+    if (isOpen5eData(data)) {
+        const { monsters, paths } = convertOpen5eData(data);
+        return { jsonData: { monster: monsters }, format: 'Open5e', sourcePaths: paths };
+    }
+    
+    if (isFoundryActorData(data)) {
+        const { monsters, paths } = convertFoundryActorData(data);
+        return { jsonData: { monster: monsters }, format: 'Foundry', sourcePaths: paths };
+    }
+    
+    return { jsonData: data, format: '5eTools', sourcePaths: null };
+}
+
+/**
+ * Process the parsed contents of a single JSON file
+ * @param {Object} jsonData - The parsed JSON data
+ * @param {string} fileName - Name of the file the data came from
+ * @param {Array<string>} paths - Original JSON path of each monster, if copies were resolved
+ * @returns {Object} Statistics about the processed file, with the creatures created and a report entry per monster
+ */
+function processJSONFile(jsonData, fileName, paths = []) {
+    // Check if this is a bestiary file (should have a "monster" array)
+    if (jsonData.monster && Array.isArray(jsonData.monster)) {
+        // Detect if this is 5e Tools format
+        if (is5eToolsFormat(jsonData)) {
+            // Process using specialized 5e Tools parser
+            return process5eToolsMonsterData(jsonData.monster, fileName, paths);
+        }
+        
+        // Process using standard parser
+        return processMonsterData(jsonData.monster, fileName, paths);
+    }
+    
+    // Template, source, fluff and spell files are collected separately by collectBatchTemplates,
+    // collectBatchSources, collectBatchFluff and collectBatchSpells
+    const isCollectedFile = Array.isArray(jsonData.book) || Array.isArray(jsonData.adventure) ||
+        Array.isArray(jsonData.monsterFluff) || Array.isArray(jsonData.spell);
+    if ((jsonData.monsterTemplate && Array.isArray(jsonData.monsterTemplate)) || isCollectedFile) {
+        return {
+            totalMonsters: 0,
+            validMonsters: 0,
+            invalidMonsters: 0,
+            creatures: [],
+            monsters: []
+        };
+    }
+    
+    console.warn(`File ${fileName} does not contain monster data, skipping`);
+    return {
+        totalMonsters: 0,
+        validMonsters: 0,
+        invalidMonsters: 0,
+        creatures: [],
+        monsters: [],
+        skippedReason: 'File does not contain a monster array'
+    };
+}
+
+/**
+ * Build the lookup key used to match _copy references
+ * @param {string} name - Monster name
+ * @param {string} source - Monster source abbreviation
+ * @returns {string} Case-insensitive name/source key
+ */
+function getCopyKey(name, source) {
+    return `${(name || '').toLowerCase()}|${(source || '').toLowerCase()}`;
+}
+
+/**
+ * Resolve _copy inheritance across every file in an upload batch
+ * Builds a dependency graph of _copy references, resolves bases before the
+ * copies that depend on them, and drops any copy whose base is missing or
+ * part of a cycle so only fully materialized creatures are processed
+ * @param {Array} batch - Array of {fileName, jsonData} entries
+ * @param {Array} existingMonsters - Raw monsters already stored, available as bases
+ * @returns {Object} The materialized batch (with each monster's original JSON path) plus resolution details
+ */
+function resolveBatchCopies(batch, existingMonsters = []) {
+    // Index every monster by name and source; monsters in the batch take precedence
+    const monstersByKey = new Map();
+    for (const monster of existingMonsters) {
+        if (!monster || !monster.name) continue;
+        monstersByKey.set(getCopyKey(monster.name, monster.source), { monster, fileName: 'existing data' });
+    }
+    
+    // Converted files keep the paths of their original format
+    const getPath = (sourcePaths, index) => sourcePaths ? sourcePaths[index] : `monster[${index}]`;
+    
+    for (const { fileName, jsonData, sourcePaths } of batch) {
+        if (!jsonData.monster || !Array.isArray(jsonData.monster)) continue;
+        
+        jsonData.monster.forEach((monster, index) => {
+            if (!monster || !monster.name) return;
+            monstersByKey.set(getCopyKey(monster.name, monster.source), { monster, fileName, path: getPath(sourcePaths, index) });
+        });
+    }
+    
+    const resolved = new Map();
+    const failed = new Map();
+    const unresolved = [];
+    const cycles = [];
+    
+    // Depth-first resolution so every base is materialized before its copies
+    const resolveMonster = (key, path) => {
+        if (resolved.has(key)) return resolved.get(key);
+        if (failed.has(key)) return null;
+        
+        const { monster, fileName, path: jsonPath } = monstersByKey.get(key);
+        if (!monster._copy) {
+            resolved.set(key, monster);
+            return monster;
+        }
+        
+        const baseKey = getCopyKey(monster._copy.name, monster._copy.source);
+        const base = { name: monster._copy.name, source: monster._copy.source };
+        
+        // A base already on the current path means the references loop
+        const cycleStart = path.indexOf(baseKey);
+        if (cycleStart !== -1 || baseKey === key) {
+            const members = cycleStart !== -1 ? [...path.slice(cycleStart), key] : [key];
+            cycles.push(members.map(member => {
+                const { monster: cycleMonster } = monstersByKey.get(member);
+                return { name: cycleMonster.name, source: cycleMonster.source };
+            }));
+            
+            for (const member of members) {
+                const { monster: cycleMonster, fileName: cycleFile, path: cyclePath } = monstersByKey.get(member);
+                failed.set(member, true);
+                unresolved.push({
+                    name: cycleMonster.name,
+                    source: cycleMonster.source,
+                    file: cycleFile,
+                    path: cyclePath,
+                    base: { name: cycleMonster._copy.name, source: cycleMonster._copy.source },
+                    reason: 'cycle'
+                });
+            }
+            return null;
+        }
+        
+        if (!monstersByKey.has(baseKey)) {
+            failed.set(key, true);
+            unresolved.push({ name: monster.name, source: monster.source, file: fileName, path: jsonPath, base, reason: 'missing-base' });
+            return null;
+        }
+        
+        const baseMonster = resolveMonster(baseKey, [...path, key]);
+        
+        // Cycle members are already recorded by the time the recursion unwinds
+        if (failed.has(key)) return null;
+        
+        if (!baseMonster) {
+            failed.set(key, true);
+            unresolved.push({ name: monster.name, source: monster.source, file: fileName, path: jsonPath, base, reason: 'unresolved-base' });
+            return null;
+        }
+        
+        const materialized = processMonsterCopy(monster, () => baseMonster);
+        resolved.set(key, materialized);
+        return materialized;
+    };
+    
+    let resolvedCount = 0;
+    let failedCount = 0;
+    const resolvedBatch = batch.map(({ fileName, jsonData, format, sourcePaths }) => {
+        if (!jsonData.monster || !Array.isArray(jsonData.monster)) {
+            return { fileName, jsonData, format };
+        }
+        
+        // Keep each monster's original JSON path so the import report can point at it
+        const monsters = [];
+        const paths = [];
+        jsonData.monster.forEach((monster, index) => {
+            if (!monster || !monster.name || !monster._copy) {
+                monsters.push(monster);
+                paths.push(getPath(sourcePaths, index));
+                return;
+            }
+            
+            const materialized = resolveMonster(getCopyKey(monster.name, monster.source), []);
+            if (materialized) {
+                monsters.push(materialized);
+                paths.push(getPath(sourcePaths, index));
+                resolvedCount++;
+            } else {
+                failedCount++;
+            }
+        });
+        
+        return { fileName, jsonData: { ...jsonData, monster: monsters }, format, paths };
+    });
+    
+    unresolved.forEach(entry => {
+        console.warn(`Could not resolve _copy for ${entry.name} (${entry.source}) from ${entry.file}: base ${entry.base.name} (${entry.base.source}) ${entry.reason}`);
+    });
+    
+    return {
+        batch: resolvedBatch,
+        resolvedCount,
+        failedCount,
+        unresolved,
+        cycles
+    };
+}
+
+/**
+ * Summarize a copy resolution pass for the upload result
+ * @param {Object} copyResolution - Result of resolveBatchCopies
+ * @returns {Object} Resolved count, unresolved copies, missing bases and cycles
+ */
+function getCopyResolutionSummary(copyResolution) {
+    const missingBases = [];
+    copyResolution.unresolved
+        .filter(entry => entry.reason === 'missing-base')
+        .forEach(entry => {
+            const label = `${entry.base.name} (${entry.base.source})`;
+            if (!missingBases.includes(label)) {
+                missingBases.push(label);
+            }
+        });
+    
+    return {
+        resolved: copyResolution.resolvedCount,
+        unresolved: copyResolution.unresolved,
+        missingBases,
+        cycles: copyResolution.cycles
+    };
+}
+
+/**
+ * Create the import report entry for a monster, assuming it imports cleanly
+ * @param {Object} monster - The monster being processed
+ * @param {string} path - JSON path of the monster within its file
+ * @returns {Object} The report entry
+ */
+function createMonsterReportEntry(monster, path) {
+    return {
+        name: (monster && monster.name) || null,
+        source: (monster && monster.source) || 'Unknown',
+        path: path,
+        status: 'imported',
+        reason: null,
+        issues: [],
+        errors: [],
+        warnings: []
+    };
+}
+
+/**
+ * Attach schema validation results to a processed file's report entries
+ * Monsters with validation errors are skipped and their creatures dropped
+ * @param {Object} fileStats - Result of processJSONFile
+ * @param {Object} diagnostics - Validation results keyed by monster path, from validateBestiaryFile
+ * @returns {number} The number of processed creatures rejected by validation
+ */
+function applyValidationResults(fileStats, diagnostics) {
+    const creatures = [];
+    let creatureIndex = 0;
+    let rejected = 0;
+    
+    for (const entry of fileStats.monsters) {
+        // Skipped entries have no creature, the rest line up with fileStats.creatures
+        const creature = entry.status !== 'skipped' ? fileStats.creatures[creatureIndex++] : null;
+        const result = diagnostics[entry.path];
+        
+        if (result) {
+            entry.errors = result.errors;
+            entry.warnings = result.warnings;
+        }
+        
+        if (creature && entry.errors.length > 0) {
+            const count = entry.errors.length;
+            skipMonsterReportEntry(entry, `Failed validation with ${count} error${count === 1 ? '' : 's'}`, entry.errors[0].path);
+            delete entry.id;
+            rejected++;
+        } else if (creature) {
+            creatures.push(creature);
+        }
+    }
+    
+    fileStats.creatures = creatures;
+    return rejected;
 }
 
 /**
- * Process a single JSON file
- * @param {File} file - The JSON file to process
- * @returns {Promise<Object>} Resolves with statistics about the processed file
+ * Mark a monster's import report entry as skipped
+ * @param {Object} entry - The report entry
+ * @param {string} reason - Why the monster was skipped
+ * @param {string} path - JSON path of the offending value (defaults to the monster itself)
  */
-function processJSONFile(file) {
-    return new Promise((resolve, reject) => {
-        const reader = new FileReader();
+function skipMonsterReportEntry(entry, reason, path) {
+    entry.status = 'skipped';
+    entry.reason = reason;
+    entry.issues = [{ path: path || entry.path, message: reason }];
+}
+
+/**
+ * Add the creatures dropped during _copy resolution to the import report as skipped
+ * @param {Array} unresolved - Unresolved copies from resolveBatchCopies
+ * @param {Object} fileReports - File report entries keyed by file name
+ * @param {Object} fileDiagnostics - Validation results per file, keyed by monster path
+ */
+function addCopyFailuresToReport(unresolved, fileReports, fileDiagnostics = {}) {
+    const reasons = {
+        'cycle': base => `Circular _copy reference through ${base.name} (${base.source})`,
+        'missing-base': base => `Base creature ${base.name} (${base.source}) was not found`,
+        'unresolved-base': base => `Base creature ${base.name} (${base.source}) could not be resolved`
+    };
+    
+    for (const copy of unresolved) {
+        const fileReport = fileReports[copy.file];
+        if (!fileReport) continue;
         
-        reader.onload = function(event) {
-            try {
-                const jsonData = JSON.parse(event.target.result);
-                
-                // Check if this is a bestiary file (should have a "monster" array)
-                if (jsonData.monster && Array.isArray(jsonData.monster)) {
-                    // Detect if this is 5e Tools format
-                    if (is5eToolsFormat(jsonData)) {
-                        // Process using specialized 5e Tools parser
-                        const stats = process5eToolsMonsterData(jsonData.monster, file.name);
-                        resolve(stats);
-                    } else {
-                        // Process using standard parser
-                        const stats = processMonsterData(jsonData.monster, file.name);
-                        resolve(stats);
-                    }
-                } else {
-                    console.warn(`File ${file.name} does not contain monster data, skipping`);
-                    resolve({
-                        totalMonsters: 0,
-                        validMonsters: 0,
-                        invalidMonsters: 0
-                    });
-                }
-            } catch (error) {
-                console.error(`Error parsing JSON file ${file.name}:`, error);
-                reject(error);
-            }
-        };
+        const entry = createMonsterReportEntry(copy, copy.path);
+        skipMonsterReportEntry(entry, reasons[copy.reason](copy.base), `${copy.path}._copy`);
         
-        reader.onerror = function() {
-            reject(new Error(`Error reading file ${file.name}`));
-        };
+        const diagnostics = (fileDiagnostics[copy.file] || {})[copy.path];
+        if (diagnostics) {
+            entry.errors = diagnostics.errors;
+            entry.warnings = diagnostics.warnings;
+        }
+        fileReport.monsters.push(entry);
+    }
+    
+    // Keep each file's monsters in the order they appear in the file
+    const getIndex = entry => parseInt((entry.path.match(/\[(\d+)\]/) || [0, 0])[1]);
+    for (const fileReport of Object.values(fileReports)) {
+        fileReport.monsters.sort((a, b) => getIndex(a) - getIndex(b));
+    }
+}
+
+/**
+ * Count the imported, partially parsed and skipped monsters in an import report
+ * @param {Object} report - The import report
+ * @returns {Object} Summary counts
+ */
+function summarizeImportReport(report) {
+    const summary = {
+        files: report.files.length,
+        skippedFiles: 0,
+        imported: 0,
+        partial: 0,
+        skipped: 0,
+        errors: 0,
+        warnings: 0
+    };
+    
+    for (const fileReport of report.files) {
+        if (fileReport.status === 'skipped') {
+            summary.skippedFiles++;
+        }
         
-        reader.readAsText(file);
-    });
+        for (const entry of fileReport.monsters) {
+            summary[entry.status]++;
+            summary.errors += entry.errors.length;
+            summary.warnings += entry.warnings.length;
+        }
+    }
+    
+    return summary;
 }
 
 /**
@@ -740,21 +2371,29 @@ function is5eToolsFormat(jsonData) {
  * Process monster data from a bestiary file (standard format)
  * @param {Array} monsters - Array of monster objects
  * @param {string} source - Source file name
- * @returns {Object} Statistics about the processed monsters
+ * @param {Array<string>} paths - Original JSON path of each monster (defaults to its array position)
+ * @returns {Object} Statistics about the processed monsters, with the creatures created and a report entry per monster
  */
-function processMonsterData(monsters, source) {
+function processMonsterData(monsters, source, paths = []) {
     console.log(`Processing ${monsters.length} monsters from ${source} (standard format)`);
     
     const stats = {
         totalMonsters: monsters.length,
         validMonsters: 0,
-        invalidMonsters: 0
+        invalidMonsters: 0,
+        creatures: [],
+        monsters: []
     };
     
     // Filter and transform monsters
-    monsters.forEach(monster => {
+    monsters.forEach((monster, index) => {
+        const entry = createMonsterReportEntry(monster, paths[index] || `monster[${index}]`);
+        stats.monsters.push(entry);
+        
         // Validate the monster data
-        if (!validateMonsterData(monster)) {
+        const errors = [];
+        if (!validateMonsterData(monster, errors)) {
+            skipMonsterReportEntry(entry, errors[0].message, `${entry.path}.${errors[0].path}`);
             stats.invalidMonsters++;
             return;
         }
@@ -772,31 +2411,23 @@ function processMonsterData(monsters, source) {
                 speed: getSpeed(monster),
                 abilities: getAbilityScores(monster),
                 attacks: getAttacks(monster),
+                multiattack: extract5eToolsMultiattack(monster),
                 specialAbilities: getSpecialAbilities(monster),
                 // Add a unique ID
-                id: `${monster.name.toLowerCase().replace(/[^a-z0-9]/g, '-')}-${monster.source || 'unk'}`
+                id: `${monster.name.toLowerCase().replace(/[^a-z0-9]/g, '-')}-${monster.source || 'unk'}`,
+                
+                // Keep the original monster JSON for the statblock renderer
+                raw: monster
             };
             
-            // Add to our creatures array in memory
-            dataCache.creatures.push(creature);
-            
-            // Also update the lookup caches
-            // By type
-            if (!dataCache.creaturesByType[creature.type]) {
-                dataCache.creaturesByType[creature.type] = [];
-            }
-            dataCache.creaturesByType[creature.type].push(creature);
-            
-            // By CR
-            const crKey = creature.cr.toString();
-            if (!dataCache.creaturesByCR[crKey]) {
-                dataCache.creaturesByCR[crKey] = [];
-            }
-            dataCache.creaturesByCR[crKey].push(creature);
+            // Collect the creature; the caller decides how it joins the cache
+            stats.creatures.push(creature);
+            entry.id = creature.id;
             
             stats.validMonsters++;
         } catch (error) {
             console.error(`Error processing monster ${monster.name}:`, error);
+            skipMonsterReportEntry(entry, error.message);
             stats.invalidMonsters++;
         }
     });
@@ -808,40 +2439,51 @@ function processMonsterData(monsters, source) {
  * Process 5e Tools formatted monster data
  * @param {Array} monsters - Array of monster objects in 5e Tools format
  * @param {string} source - Source file name
- * @returns {Object} Statistics about the processed monsters
+ * @param {Array<string>} paths - Original JSON path of each monster (defaults to its array position)
+ * @returns {Object} Statistics about the processed monsters, with the creatures created and a report entry per monster
  */
-function process5eToolsMonsterData(monsters, source) {
+function process5eToolsMonsterData(monsters, source, paths = []) {
     console.log(`Processing ${monsters.length} monsters from ${source} (5e Tools format)`);
     
     const stats = {
         totalMonsters: monsters.length,
         validMonsters: 0,
-        invalidMonsters: 0
+        invalidMonsters: 0,
+        creatures: [],
+        monsters: []
     };
     
-    monsters.forEach(monster => {
+    monsters.forEach((monster, index) => {
+        const entry = createMonsterReportEntry(monster, paths[index] || `monster[${index}]`);
+        stats.monsters.push(entry);
+        
         try {
             // Basic validation
             if (!monster.name) {
+                skipMonsterReportEntry(entry, 'Missing name', `${entry.path}.name`);
                 stats.invalidMonsters++;
                 return;
             }
             
+            // Fields that had to fall back to defaults are recorded against the monster
+            const issues = [];
+            
             // Extract data using specialized 5e Tools extraction functions
             const creature = {
                 id: `${monster.name.toLowerCase().replace(/[^a-z0-9]/g, '-')}-${monster.source || 'unk'}`,
                 name: monster.name,
                 source: monster.source || 'Unknown',
                 sourceFormat: '5eTools',
-                type: extract5eToolsType(monster),
+                type: extract5eToolsType(monster, issues),
                 size: extract5eToolsSize(monster),
-                cr: extract5eToolsCR(monster),
-                hp: extract5eToolsHP(monster),
-                ac: extract5eToolsAC(monster),
+                cr: extract5eToolsCR(monster, issues),
+                hp: extract5eToolsHP(monster, issues),
+                ac: extract5eToolsAC(monster, issues),
                 speed: extract5eToolsSpeed(monster),
                 abilities: extract5eToolsAbilities(monster),
-                attacks: extract5eToolsAttacks(monster),
-                specialAbilities: extract5eToolsTraits(monster),
+                attacks: extract5eToolsAttacks(monster, issues),
+                multiattack: extract5eToolsMultiattack(monster, issues),
+                specialAbilities: extract5eToolsTraits(monster, issues),
                 
                 // Additional 5e Tools specific data
                 alignment: extractAlignment(monster),
@@ -852,29 +2494,34 @@ function process5eToolsMonsterData(monsters, source) {
                 conditionImmunities: monster.conditionImmune || [],
                 
                 // Save the token status if available (for future enhancements)
-                hasToken: !!monster.hasToken
+                hasToken: !!monster.hasToken,
+                
+                // Whether 5etools has lore and art for the creature in its fluff files
+                hasFluff: !!monster.hasFluff,
+                hasFluffImages: !!monster.hasFluffImages,
+                
+                // Keep the original monster JSON (action, trait, _copy, _versions, etc.)
+                // so the statblock renderer can draw the full creature
+                raw: monster
             };
             
-            // Add to our creatures array in memory
-            dataCache.creatures.push(creature);
-            
-            // Update lookup caches
-            // By type
-            if (!dataCache.creaturesByType[creature.type]) {
-                dataCache.creaturesByType[creature.type] = [];
-            }
-            dataCache.creaturesByType[creature.type].push(creature);
+            // Collect the creature; the caller decides how it joins the cache
+            stats.creatures.push(creature);
+            entry.id = creature.id;
             
-            // By CR
-            const crKey = creature.cr.toString();
-            if (!dataCache.creaturesByCR[crKey]) {
-                dataCache.creaturesByCR[crKey] = [];
+            if (issues.length > 0) {
+                entry.status = 'partial';
+                entry.reason = `Imported with ${issues.length} parsing ${issues.length === 1 ? 'issue' : 'issues'}`;
+                entry.issues = issues.map(issue => ({
+                    path: `${entry.path}.${issue.path}`,
+                    message: issue.message
+                }));
             }
-            dataCache.creaturesByCR[crKey].push(creature);
             
             stats.validMonsters++;
         } catch (error) {
             console.error(`Error processing 5e Tools monster ${monster.name}:`, error);
+            skipMonsterReportEntry(entry, error.message);
             stats.invalidMonsters++;
         }
     });
@@ -885,10 +2532,14 @@ function process5eToolsMonsterData(monsters, source) {
 /**
  * Extract creature type from 5e Tools monster
  * @param {Object} monster - 5e Tools monster object
+ * @param {Array} issues - Collects {path, message} for values that could not be parsed
  * @returns {string} The creature type
  */
-function extract5eToolsType(monster) {
-    if (!monster.type) return 'unknown';
+function extract5eToolsType(monster, issues = []) {
+    if (!monster.type) {
+        issues.push({ path: 'type', message: 'Missing type, using "unknown"' });
+        return 'unknown';
+    }
     
     if (typeof monster.type === 'string') {
         return monster.type.toLowerCase();
@@ -908,6 +2559,7 @@ function extract5eToolsType(monster) {
         }
     }
     
+    issues.push({ path: 'type', message: 'Unrecognized type format, using "unknown"' });
     return 'unknown';
 }
 
@@ -933,10 +2585,14 @@ function extract5eToolsSize(monster) {
 /**
  * Extract challenge rating from 5e Tools monster
  * @param {Object} monster - 5e Tools monster object
+ * @param {Array} issues - Collects {path, message} for values that could not be parsed
  * @returns {number} The challenge rating as a number
  */
-function extract5eToolsCR(monster) {
-    if (monster.cr === undefined || monster.cr === null) return 0;
+function extract5eToolsCR(monster, issues = []) {
+    if (monster.cr === undefined || monster.cr === null) {
+        issues.push({ path: 'cr', message: 'Missing challenge rating, using 0' });
+        return 0;
+    }
     
     // Handle simple number format
     if (typeof monster.cr === 'number') {
@@ -948,6 +2604,9 @@ function extract5eToolsCR(monster) {
         if (monster.cr === '1/8') return 0.125;
         if (monster.cr === '1/4') return 0.25;
         if (monster.cr === '1/2') return 0.5;
+        if (isNaN(parseFloat(monster.cr))) {
+            issues.push({ path: 'cr', message: `Unrecognized challenge rating "${monster.cr}", using 0` });
+        }
         return parseFloat(monster.cr) || 0;
     }
     
@@ -958,22 +2617,28 @@ function extract5eToolsCR(monster) {
                 if (monster.cr.cr === '1/8') return 0.125;
                 if (monster.cr.cr === '1/4') return 0.25;
                 if (monster.cr.cr === '1/2') return 0.5;
+                if (isNaN(parseFloat(monster.cr.cr))) {
+                    issues.push({ path: 'cr.cr', message: `Unrecognized challenge rating "${monster.cr.cr}", using 0` });
+                }
                 return parseFloat(monster.cr.cr) || 0;
             }
             return monster.cr.cr || 0;
         }
     }
     
+    issues.push({ path: 'cr', message: 'Unrecognized challenge rating format, using 0' });
     return 0;
 }
 
 /**
  * Extract hit points from 5e Tools monster
  * @param {Object} monster - 5e Tools monster object
+ * @param {Array} issues - Collects {path, message} for values that could not be parsed
  * @returns {Object} An object with average and formula
  */
-function extract5eToolsHP(monster) {
+function extract5eToolsHP(monster, issues = []) {
     if (!monster.hp) {
+        issues.push({ path: 'hp', message: 'Missing hit points, using 10' });
         return { average: 10, formula: null };
     }
     
@@ -995,6 +2660,9 @@ function extract5eToolsHP(monster) {
         // Handle 5e Tools {special: "X"} format
         if ('special' in monster.hp) {
             const hpValue = parseInt(monster.hp.special);
+            if (isNaN(hpValue)) {
+                issues.push({ path: 'hp.special', message: `No hit point value in "${monster.hp.special}", using 10` });
+            }
             return {
                 average: isNaN(hpValue) ? 10 : hpValue,
                 formula: null
@@ -1002,16 +2670,21 @@ function extract5eToolsHP(monster) {
         }
     }
     
+    issues.push({ path: 'hp', message: 'Unrecognized hit points format, using 10' });
     return { average: 10, formula: null };
 }
 
 /**
  * Extract armor class from 5e Tools monster
  * @param {Object} monster - 5e Tools monster object
+ * @param {Array} issues - Collects {path, message} for values that could not be parsed
  * @returns {number} The armor class value
  */
-function extract5eToolsAC(monster) {
-    if (!monster.ac) return 10;
+function extract5eToolsAC(monster, issues = []) {
+    if (!monster.ac) {
+        issues.push({ path: 'ac', message: 'Missing armor class, using 10' });
+        return 10;
+    }
     
     // Handle simple number format
     if (typeof monster.ac === 'number') {
@@ -1040,6 +2713,7 @@ function extract5eToolsAC(monster) {
         return monster.ac.ac;
     }
     
+    issues.push({ path: 'ac', message: 'Unrecognized armor class format, using 10' });
     return 10;
 }
 
@@ -1146,77 +2820,161 @@ function extract5eToolsAbilities(monster) {
 /**
  * Extract attacks from 5e Tools monster's actions
  * @param {Object} monster - 5e Tools monster object
- * @returns {Array} Array of attack objects
+ * @param {Array} issues - Collects {path, message} for values that could not be parsed
+ * @returns {Array} Array of attack objects (see parseAttack for their fields)
  */
-function extract5eToolsAttacks(monster) {
+function extract5eToolsAttacks(monster, issues = []) {
     const attacks = [];
     
     if (!monster.action || !Array.isArray(monster.action)) {
         return attacks;
     }
     
-    monster.action.forEach(action => {
+    monster.action.forEach((action, index) => {
         if (!action.name || !action.entries || !Array.isArray(action.entries) || action.entries.length === 0) {
+            issues.push({ path: `action[${index}]`, message: 'Action is missing a name or entries' });
             return;
         }
         
-        const firstEntry = action.entries[0];
-        if (typeof firstEntry !== 'string') {
+        const attack = readActionAttack(action);
+        if (!attack) {
             return;
         }
         
-        // Look for attack patterns in the formatted text
-        if (firstEntry.includes('{@atk') || 
-            firstEntry.includes('{@hit') || 
-            firstEntry.includes('{@damage')) {
-            
-            // Create attack object
-            const attack = {
-                name: action.name,
-                description: parseDnd5eToolsText(firstEntry),
-                raw: firstEntry
-            };
-            
-            // Determine attack type
-            attack.attackType = firstEntry.includes('{@atk mw}') ? 'melee' : 
-                               firstEntry.includes('{@atk rw}') ? 'ranged' : 
-                               'other';
-            
-            // Extract hit bonus
-            const hitMatch = firstEntry.match(/{@hit (\d+)}/);
-            if (hitMatch) {
-                attack.hitBonus = parseInt(hitMatch[1]);
+        // An attack roll without a bonus or damage is only partly usable in combat
+        if (attack.attackTypes.length > 0) {
+            if (attack.toHit === null && !attack.usesSpellAttack) {
+                issues.push({ path: `action[${index}].entries[0]`, message: `No {@hit} bonus found for attack "${action.name}"` });
             }
-            
-            // Extract damage
-            const damageMatches = firstEntry.match(/{@damage ([^}]+)}/g);
-            if (damageMatches) {
-                attack.damage = damageMatches.map(match => {
-                    return match.replace(/{@damage ([^}]+)}/g, '$1');
-                }).join(', ');
+            if (attack.damage.length === 0) {
+                issues.push({ path: `action[${index}].entries[0]`, message: `No {@damage} found for attack "${action.name}"` });
             }
-            
-            attacks.push(attack);
         }
+        
+        attacks.push(attack);
     });
     
     return attacks;
 }
 
+/**
+ * Read an action as a structured attack
+ * @param {Object} action - The 5etools action ({name, entries})
+ * @returns {Object|null} The attack ({name, description, raw, usage} plus the fields parseAttack reads), or
+ *     null if the action has no attack roll or damage; usage is the recharge or uses in its name (see parseUsage)
+ */
+function readActionAttack(action) {
+    const text = action.entries.filter(entry => typeof entry === 'string').join(' ');
+    const attack = parseAttack(text);
+    if (!attack) {
+        return null;
+    }
+    
+    // The usage limit is kept apart from the name, so "Web {@recharge 5}" is stored as "Web"
+    const { name, usage } = parseUsage(action.name);
+    return {
+        name: name,
+        description: parseDnd5eToolsText(text),
+        raw: text,
+        usage: usage,
+        ...attack
+    };
+}
+
+/**
+ * Parse a stored creature's attacks again from its original JSON
+ * Used when attacks were stored by an older version of the app, before they were structured
+ * @param {Object} creature - The creature record
+ * @returns {Array} The creature's attacks, or its stored attacks if it has no original JSON
+ */
+function reparseAttacks(creature) {
+    if (!creature.raw || typeof creature.raw !== 'object') {
+        return creature.attacks || [];
+    }
+    
+    return isStored5eToolsMonster(creature) ? extract5eToolsAttacks(creature.raw) : getAttacks(creature.raw);
+}
+
+/**
+ * Parse a stored creature's traits again from its original JSON
+ * @param {Object} creature - The creature record
+ * @returns {Array} The creature's traits, or its stored traits if it has no original JSON
+ */
+function reparseTraits(creature) {
+    if (!creature.raw || typeof creature.raw !== 'object') {
+        return creature.specialAbilities || [];
+    }
+    
+    return isStored5eToolsMonster(creature) ? extract5eToolsTraits(creature.raw) : getSpecialAbilities(creature.raw);
+}
+
+/**
+ * Check whether a stored creature's original JSON is a 5e Tools monster. Open5e, Fight Club 5e and
+ * Foundry files are converted to 5e Tools monsters before processing and keep their own sourceFormat;
+ * only creatures from the standard-format path are stored without one
+ * @param {Object} creature - The creature record
+ * @returns {boolean} True if its attacks and traits are read with the 5e Tools extractors
+ */
+function isStored5eToolsMonster(creature) {
+    return !!creature.sourceFormat;
+}
+
+/**
+ * Extract the sequence of attacks a 5e Tools monster's Multiattack action makes
+ * @param {Object} monster - 5e Tools monster object
+ * @param {Array} issues - Collects {path, message} for values that could not be parsed
+ * @returns {Object|null} The parsed Multiattack (see parseMultiattack), or null if there is none
+ */
+function extract5eToolsMultiattack(monster, issues = []) {
+    if (!monster.action || !Array.isArray(monster.action)) {
+        return null;
+    }
+    
+    const index = monster.action.findIndex(action => {
+        return action && typeof action.name === 'string' && /^multiattack/i.test(action.name) && Array.isArray(action.entries);
+    });
+    if (index === -1) {
+        return null;
+    }
+    
+    const text = monster.action[index].entries.filter(entry => typeof entry === 'string').join(' ');
+    const multiattack = parseMultiattack(text, monster.action);
+    if (!multiattack) {
+        issues.push({ path: `action[${index}]`, message: 'Could not read which attacks Multiattack makes' });
+    }
+    
+    return multiattack;
+}
+
+/**
+ * Read a stored creature's Multiattack again from its original JSON
+ * @param {Object} creature - The creature record
+ * @returns {Object|null} The parsed Multiattack, or the stored one if the creature has no original JSON
+ */
+function reparseMultiattack(creature) {
+    if (!creature.raw || typeof creature.raw !== 'object') {
+        return creature.multiattack || null;
+    }
+    
+    return extract5eToolsMultiattack(creature.raw);
+}
+
 /**
  * Extract special abilities/traits from 5e Tools monster
  * @param {Object} monster - 5e Tools monster object
- * @returns {Array} Array of trait objects
+ * @param {Array} issues - Collects {path, message} for values that could not be parsed
+ * @returns {Array} Array of trait objects ({name, description, usage}, usage as read by parseUsage)
  */
-function extract5eToolsTraits(monster) {
+function extract5eToolsTraits(monster, issues = []) {
     const traits = [];
     
     if (!monster.trait || !Array.isArray(monster.trait)) {
         return traits;
     }
     
-    monster.trait.forEach(trait => {
+    monster.trait.forEach((trait, index) => {
         if (!trait.name || !trait.entries || !Array.isArray(trait.entries)) {
+            issues.push({ path: `trait[${index}]`, message: 'Trait is missing a name or entries' });
             return;
         }
         
@@ -1231,9 +2989,11 @@ function extract5eToolsTraits(monster) {
             return '';
         }).join(' ');
         
+        const { name, usage } = parseUsage(trait.name);
         traits.push({
-            name: trait.name,
-            description: description
+            name: name,
+            description: description,
+            usage: usage
         });
     });
     
@@ -1427,57 +3187,30 @@ function mapDamageTag(tag) {
  */
 function parseDnd5eToolsText(text) {
     if (!text || typeof text !== 'string') return '';
-    
-    // Replace common 5e Tools tags
-    return text
-        // Attack tags
-        .replace(/{@atk mw}/g, 'Melee Weapon Attack:')
-        .replace(/{@atk rw}/g, 'Ranged Weapon Attack:')
-        .replace(/{@atk ms}/g, 'Melee Spell Attack:')
-        .replace(/{@atk rs}/g, 'Ranged Spell Attack:')
-        
-        // Hit and damage tags
-        .replace(/{@hit (\d+)}/g, '+$1')
-        .replace(/{@h}/g, 'Hit: ')
-        .replace(/{@damage ([^}]+)}/g, '$1')
-        
-        // Dice tags
-        .replace(/{@dice ([^}]+)}/g, '$1')
-        
-        // Condition tags
-        .replace(/{@condition ([^}]+)}/g, '$1')
-        
-        // Spell tags
-        .replace(/{@spell ([^}]+)}/g, '$1')
-        
-        // DC tags
-        .replace(/{@dc (\d+)}/g, 'DC $1')
-        
-        // Recharge tags
-        .replace(/{@recharge}/g, 'Recharge')
-        .replace(/{@recharge (\d+)(?:-(\d+))?}/g, (match, min, max) => {
-            return max ? `Recharge ${min}-${max}` : `Recharge ${min}`;
-        })
-        
-        // Other format cleanup
-        .replace(/\s+/g, ' ').trim();
+    return renderTags(text, 'text').replace(/\s+/g, ' ').trim();
 }
 
 /**
  * Validate monster data for required fields and data types
  * @param {Object} monster - The monster data to validate
+ * @param {Array} errors - Collects {path, message} for the first problem found
  * @returns {boolean} True if valid, false otherwise
  */
-function validateMonsterData(monster) {
+function validateMonsterData(monster, errors = []) {
+    const invalid = (path, message) => {
+        const label = typeof monster.name === 'string' ? `Invalid monster ${monster.name}` : 'Invalid monster';
+        console.warn(`${label}: ${message}`);
+        errors.push({ path, message });
+        return false;
+    };
+    
     // Check for required fields
     if (!monster.name || typeof monster.name !== 'string') {
-        console.warn('Invalid monster: missing or invalid name');
-        return false;
+        return invalid('name', 'missing or invalid name');
     }
     
     if (!monster.type) {
-        console.warn(`Invalid monster ${monster.name}: missing type`);
-        return false;
+        return invalid('type', 'missing type');
     }
     
     // Validate size - either string or array
@@ -1485,14 +3218,12 @@ function validateMonsterData(monster) {
         if (typeof monster.size === 'string') {
             const validSizes = ['T', 'S', 'M', 'L', 'H', 'G'];
             if (!validSizes.includes(monster.size)) {
-                console.warn(`Invalid monster ${monster.name}: invalid size ${monster.size}`);
-                return false;
+                return invalid('size', `invalid size ${monster.size}`);
             }
         } else if (Array.isArray(monster.size)) {
             // 5e Tools format - size as array is valid
         } else {
-            console.warn(`Invalid monster ${monster.name}: invalid size type ${typeof monster.size}`);
-            return false;
+            return invalid('size', `invalid size type ${typeof monster.size}`);
         }
     }
     
@@ -1504,19 +3235,16 @@ function validateMonsterData(monster) {
             const isValidNumberString = !isNaN(parseFloat(monster.cr));
             
             if (!validCRStrings.includes(monster.cr) && !isValidNumberString) {
-                console.warn(`Invalid monster ${monster.name}: invalid CR string ${monster.cr}`);
-                return false;
+                return invalid('cr', `invalid CR string ${monster.cr}`);
             }
         }
         // If CR is an object, it should have a 'cr' property (5e Tools format)
         else if (typeof monster.cr === 'object' && monster.cr !== null && !monster.cr.cr) {
-            console.warn(`Invalid monster ${monster.name}: CR object missing 'cr' property`);
-            return false;
+            return invalid('cr', "CR object missing 'cr' property");
         }
         // If CR is neither string, number, nor object, it's invalid
         else if (typeof monster.cr !== 'number' && typeof monster.cr !== 'object') {
-            console.warn(`Invalid monster ${monster.name}: invalid CR type ${typeof monster.cr}`);
-            return false;
+            return invalid('cr', `invalid CR type ${typeof monster.cr}`);
         }
     }
     
@@ -1682,59 +3410,18 @@ function getAbilityScores(monster) {
 /**
  * Get attacks from actions
  * @param {Object} monster - Monster data
- * @returns {Array} Array of attack objects
+ * @returns {Array} Array of attack objects (see parseAttack for their fields)
  */
 function getAttacks(monster) {
-    const attacks = [];
-    
     if (!monster.action || !Array.isArray(monster.action)) {
-        return attacks;
+        return [];
     }
     
-    monster.action.forEach(action => {
-        // Simple heuristic to identify attack actions
-        if (!action.name || !action.entries || !Array.isArray(action.entries)) {
-            return;
-        }
-        
-        const firstEntry = action.entries[0];
-        if (typeof firstEntry !== 'string') {
-            return;
-        }
-        
-        // Look for attack patterns like "{@atk mw} {@hit 5} to hit" or similar
-        if (
-            firstEntry.includes('{@atk') && 
-            (firstEntry.includes('{@hit') || firstEntry.includes('to hit'))
-        ) {
-            // Extract basic attack information
-            const attack = {
-                name: action.name,
-                description: firstEntry,
-                attackType: firstEntry.includes('{@atk mw}') ? 'melee' : 
-                            firstEntry.includes('{@atk rw}') ? 'ranged' : 'other'
-            };
-            
-            // Try to extract hit bonus
-            const hitMatch = firstEntry.match(/{@hit (\d+)}/);
-            if (hitMatch) {
-                attack.hitBonus = parseInt(hitMatch[1]);
-            }
-            
-            // Try to extract damage
-            const damageMatches = firstEntry.match(/{@damage (.+?)}/g);
-            if (damageMatches) {
-                attack.damage = damageMatches.map(m => {
-                    const cleanMatch = m.replace(/{@damage (.+?)}/g, '$1');
-                    return cleanMatch;
-                }).join(', ');
-            }
-            
-            attacks.push(attack);
-        }
-    });
-    
-    return attacks;
+    return monster.action
+        .filter(action => action.name && Array.isArray(action.entries))
+        .map(readActionAttack)
+        // Only actions with an attack roll, like "{@atk mw} {@hit 5} to hit"
+        .filter(attack => attack && attack.attackTypes.length > 0);
 }
 
 /**
@@ -1754,15 +3441,58 @@ function getSpecialAbilities(monster) {
             return;
         }
         
+        const { name, usage } = parseUsage(trait.name);
         abilities.push({
-            name: trait.name,
-            description: trait.entries.join(' ')
+            name: name,
+            description: trait.entries.join(' '),
+            usage: usage
         });
     });
     
     return abilities;
 }
 
+/**
+ * Add a creature to the in-memory cache and its type/CR lookups
+ * @param {Object} creature - The creature to add
+ */
+function addCreatureToCache(creature) {
+    dataCache.creatures.push(creature);
+    
+    // By type
+    if (!dataCache.creaturesByType[creature.type]) {
+        dataCache.creaturesByType[creature.type] = [];
+    }
+    dataCache.creaturesByType[creature.type].push(creature);
+    
+    // By CR
+    const crKey = creature.cr.toString();
+    if (!dataCache.creaturesByCR[crKey]) {
+        dataCache.creaturesByCR[crKey] = [];
+    }
+    dataCache.creaturesByCR[crKey].push(creature);
+}
+
+/**
+ * Remove a creature from the in-memory cache and its type/CR lookups
+ * @param {string} creatureId - The ID of the creature to remove
+ */
+function removeCreatureFromCache(creatureId) {
+    dataCache.creatures = dataCache.creatures.filter(creature => creature.id !== creatureId);
+    
+    // Lookup caches may hold separate copies loaded from IndexedDB, so match by ID
+    for (const lookup of [dataCache.creaturesByType, dataCache.creaturesByCR]) {
+        for (const [key, creatures] of Object.entries(lookup)) {
+            const remaining = creatures.filter(creature => creature.id !== creatureId);
+            if (remaining.length > 0) {
+                lookup[key] = remaining;
+            } else {
+                delete lookup[key];
+            }
+        }
+    }
+}
+
 /**
  * Reset the data cache to its initial state
  */
@@ -1770,11 +3500,16 @@ function resetDataCache() {
     dataCache.creatures = [];
     dataCache.creaturesByType = {};
     dataCache.creaturesByCR = {};
+    dataCache.templates = [];
+    dataCache.sources = {};
+    dataCache.sourceDetails = {};
     dataCache.metadata = {
         version: '0.1.0',
         lastUpdated: null,
         creatureCount: 0
     };
+    registerTemplates([]);
+    registerSources({});
 }
 
 /**
@@ -1949,23 +3684,20 @@ export async function searchCreatures(searchTerm) {
             );
         }
         
-        // Otherwise, query the IndexedDB
+        // Otherwise, walk the lower-cased name index so names don't need lower-casing per record
         const db = await openDatabase();
         const transaction = db.transaction(CREATURES_STORE, 'readonly');
-        const store = transaction.objectStore(CREATURES_STORE);
+        const index = transaction.objectStore(CREATURES_STORE).index('byNameLower');
         
-        // We could use a specific index, but for now, let's just search all creatures
-        // This is simpler and works for partial matches
         return new Promise((resolve, reject) => {
             const creatures = [];
-            const request = store.openCursor();
+            const request = index.openCursor();
             
             request.onsuccess = (event) => {
                 const cursor = event.target.result;
                 if (cursor) {
-                    const creature = cursor.value;
-                    if (creature.name.toLowerCase().includes(term)) {
-                        creatures.push(creature);
+                    if (cursor.key.includes(term)) {
+                        creatures.push(cursor.value);
                     }
                     cursor.continue();
                 } else {
@@ -1984,152 +3716,442 @@ export async function searchCreatures(searchTerm) {
 }
 
 /**
- * Clear all data
- * @returns {Promise} Resolves when clearing is complete
+ * Get creatures with an exact (case-insensitive) name
+ * @param {string} name - The creature name
+ * @returns {Promise<Array>} Resolves with array of creatures with that name
+ */
+export async function getCreaturesByName(name) {
+    if (!name || typeof name !== 'string') {
+        return [];
+    }
+    
+    try {
+        return await getCreaturesFromIndex('byNameLower', IDBKeyRange.only(name.toLowerCase().trim()));
+    } catch (error) {
+        console.error(`Error getting creatures named ${name}:`, error);
+        return [];
+    }
+}
+
+/**
+ * Get creatures from a source
+ * @param {string} source - The source abbreviation (e.g. MM)
+ * @returns {Promise<Array>} Resolves with array of creatures from the source
+ */
+export async function getCreaturesBySource(source) {
+    if (!source) return [];
+    
+    try {
+        return await getCreaturesFromIndex('bySource', IDBKeyRange.only(source));
+    } catch (error) {
+        console.error(`Error getting creatures from source ${source}:`, error);
+        return [];
+    }
+}
+
+/**
+ * Clear all data
+ * @returns {Promise} Resolves when clearing is complete
+ */
+export async function clearData() {
+    try {
+        // Reset in-memory cache
+        resetDataCache();
+        
+        // Clear IndexedDB
+        await clearDatabase();
+        
+        // Clear localStorage fallback
+        localStorage.removeItem('dnd5e_summons_data');
+        localStorage.removeItem('dnd5e_summons_data_version');
+        
+        console.log('Cleared all data from storage');
+        return true;
+    } catch (error) {
+        console.error('Error clearing data:', error);
+        return false;
+    }
+}
+
+/**
+ * Register application state owned by another module so it is saved in backups and restored from them
+ * @param {string} name - The section's key in the backup (e.g. "favorites")
+ * @param {Object} section - The section handlers
+ * @param {string} section.label - Name shown in the restore preview
+ * @param {Function} section.collect - Returns (or resolves with) the data to back up
+ * @param {Function} section.restore - Called with (data, mode) to restore the data; mode is 'merge' or 'replace'
+ * @param {Function} section.count - Returns the number of items in the data, for the restore preview
+ */
+export function registerBackupSection(name, section) {
+    backupSections[name] = section;
+}
+
+/**
+ * Register the uploaded creature lore and spells as backup sections. Images are left out of backups,
+ * as a full set of 5etools art would make the backup too large to write or read in one piece
+ */
+function registerStoreBackupSections() {
+    registerBackupSection('lore', {
+        label: 'Creature lore',
+        collect: () => getAllStoreRecords(FLUFF_STORE),
+        count: data => Array.isArray(data) ? data.length : 0,
+        restore: (data, mode) => restoreStoreRecords(FLUFF_STORE, data, mode)
+    });
+    
+    registerBackupSection('spells', {
+        label: 'Spells',
+        collect: () => getAllStoreRecords(SPELLS_STORE),
+        count: data => Array.isArray(data) ? data.length : 0,
+        restore: (data, mode) => restoreStoreRecords(SPELLS_STORE, data, mode)
+    });
+}
+
+/**
+ * Export a backup of all application data as a JSON file
+ * The backup holds the creatures (with their original source JSON), templates, source settings
+ * and every registered section such as favorites and saved filters
+ * @param {Object} options - Export options
+ * @param {boolean} options.compress - Write the backup as a JSON file inside a compressed zip archive
+ * @returns {Promise<Object>} Resolves with a blob URL to download the backup
+ */
+export async function exportData(options = {}) {
+    try {
+        const creatures = await getAllCreatures();
+        
+        const sections = {};
+        for (const [name, section] of Object.entries(backupSections)) {
+            sections[name] = await section.collect();
+        }
+        
+        const backup = {
+            format: BACKUP_FORMAT,
+            version: BACKUP_VERSION,
+            createdAt: new Date().toISOString(),
+            appVersion: dataCache.metadata.version,
+            metadata: {
+                lastUpdated: dataCache.metadata.lastUpdated,
+                creatureCount: creatures.length
+            },
+            data: {
+                creatures: creatures,
+                templates: dataCache.templates,
+                sources: dataCache.sources,
+                sourceDetails: dataCache.sourceDetails
+            },
+            sections: sections
+        };
+        
+        const jsonString = JSON.stringify(backup, null, 2);
+        const filename = `dnd5e_summons_backup_${new Date().toISOString().slice(0, 10)}.json`;
+        
+        if (options.compress) {
+            const archive = await createZipArchive([{ name: filename, content: jsonString }]);
+            return {
+                success: true,
+                url: URL.createObjectURL(archive),
+                filename: filename.replace(/\.json$/, '.zip')
+            };
+        }
+        
+        const blob = new Blob([jsonString], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        
+        return {
+            success: true,
+            url: url,
+            filename: filename
+        };
+    } catch (error) {
+        console.error('Error exporting data:', error);
+        throw error;
+    }
+}
+
+/**
+ * Export an import report as a JSON file
+ * @param {Object} report - The report returned by handleFileUpload
+ * @returns {Object} A blob URL and file name to download the report
+ */
+export function exportImportReport(report) {
+    const jsonString = JSON.stringify(report, null, 2);
+    const blob = new Blob([jsonString], { type: 'application/json' });
+    
+    return {
+        success: true,
+        url: URL.createObjectURL(blob),
+        filename: `dnd5e_import_report_${report.generatedAt.slice(0, 19).replace(/[T:]/g, '-')}.json`
+    };
+}
+
+/**
+ * Read a backup file and describe what restoring it would do, without changing any data
+ * Backups from older versions are upgraded; backups from newer versions and other files are refused
+ * @param {File} file - The backup file, as JSON or a zip archive holding the JSON file
+ * @returns {Promise<Object>} Resolves with {backup, version, upgradedFrom, createdAt, sections, warnings};
+ *     pass the backup to restoreBackup
  */
-export async function clearData() {
+export async function readBackup(file) {
+    let backupFile = file;
+    if (isZipFile(file)) {
+        const entries = await readZipArchive(file);
+        backupFile = entries.find(entry => /\.json$/i.test(entry.name));
+        if (!backupFile) {
+            throw new Error(`${file.name} doesn't contain a backup JSON file`);
+        }
+    }
+    
+    let json;
     try {
-        // Reset in-memory cache
-        resetDataCache();
-        
-        // Clear IndexedDB
-        await clearDatabase();
-        
-        // Clear localStorage fallback
-        localStorage.removeItem('dnd5e_summons_data');
-        localStorage.removeItem('dnd5e_summons_data_version');
-        
-        console.log('Cleared all data from storage');
-        return true;
+        json = JSON.parse(await readTextFile(backupFile));
     } catch (error) {
-        console.error('Error clearing data:', error);
-        return false;
+        throw new Error(`${backupFile.name} is not a valid JSON file`);
+    }
+    
+    const version = getBackupVersion(json);
+    if (version > BACKUP_VERSION) {
+        throw new Error(`This backup was made by a newer version of the app (backup version ${version}). Update the app to restore it.`);
+    }
+    
+    let backup = json;
+    for (const migration of BACKUP_MIGRATIONS) {
+        if (migration.version > version) {
+            console.log(`Upgrading backup to version ${migration.version}: ${migration.description}`);
+            backup = migration.migrate(backup);
+        }
+    }
+    
+    const warnings = [];
+    const data = backup.data || {};
+    
+    // Records saved by older versions can miss fields the app relies on, such as the challenge rating
+    const creatures = [];
+    let invalidCreatures = 0;
+    let repairedCreatures = 0;
+    for (const creature of Array.isArray(data.creatures) ? data.creatures : []) {
+        const repaired = repairBackupCreature(creature);
+        if (!repaired) {
+            invalidCreatures++;
+        } else {
+            creatures.push(repaired.creature);
+            if (repaired.changed) repairedCreatures++;
+        }
+    }
+    
+    if (invalidCreatures > 0) {
+        warnings.push(`${invalidCreatures} ${invalidCreatures === 1 ? 'creature has' : 'creatures have'} no ID or name and will be skipped.`);
+    }
+    if (repairedCreatures > 0) {
+        warnings.push(`${repairedCreatures} ${repairedCreatures === 1 ? 'creature was' : 'creatures were'} missing a type or source, or had a non-numeric challenge rating; these will be filled in from the original JSON or defaults.`);
+    }
+    
+    backup.data = {
+        creatures: creatures,
+        templates: (Array.isArray(data.templates) ? data.templates : []).filter(template => template && template.name && template.apply),
+        sources: data.sources && typeof data.sources === 'object' ? data.sources : {},
+        sourceDetails: data.sourceDetails && typeof data.sourceDetails === 'object' ? data.sourceDetails : {}
+    };
+    backup.sections = backup.sections && typeof backup.sections === 'object' ? backup.sections : {};
+    
+    const sections = [
+        { name: 'creatures', label: 'Creatures', count: creatures.length },
+        { name: 'templates', label: 'Templates', count: backup.data.templates.length },
+        { name: 'sources', label: 'Source settings', count: Object.keys(backup.data.sources).length },
+        { name: 'sourceDetails', label: 'Source names', count: Object.keys(backup.data.sourceDetails).length }
+    ];
+    
+    for (const [name, sectionData] of Object.entries(backup.sections)) {
+        const section = backupSections[name];
+        if (section) {
+            sections.push({ name: name, label: section.label, count: section.count(sectionData) });
+        } else {
+            warnings.push(`The backup's "${name}" data isn't supported by this version of the app and will be skipped.`);
+        }
     }
+    
+    return {
+        backup: backup,
+        version: version,
+        upgradedFrom: version < BACKUP_VERSION ? version : null,
+        createdAt: backup.createdAt,
+        sections: sections,
+        warnings: warnings
+    };
 }
 
 /**
- * Export the current data as a JSON file
- * @returns {Promise<Object>} Resolves with a blob URL to download the data
+ * Restore a backup read by readBackup
+ * @param {Object} backup - The backup from the readBackup preview
+ * @param {Object} options - Restore options
+ * @param {string} options.mode - 'replace' (default) clears existing data first, 'merge' adds to it
+ * @param {Function} options.resolveConflict - Called in 'merge' mode when a backed up creature's ID is
+ *     already taken; receives {existing, incoming} and resolves with 'skip', 'overwrite' or 'keepBoth'
+ * @returns {Promise<Object>} Resolves with results about the restored data
  */
-export async function exportData() {
+export async function restoreBackup(backup, options = {}) {
+    const mode = options.mode === 'merge' ? 'merge' : 'replace';
+    const { creatures, templates, sources, sourceDetails } = backup.data;
+    
     try {
-        // Get all the creatures
-        const creatures = await getAllCreatures();
-        
-        // Get the metadata
-        const metadata = {
-            version: dataCache.metadata.version,
-            lastUpdated: dataCache.metadata.lastUpdated,
-            creatureCount: creatures.length,
-            exportDate: new Date().toISOString()
-        };
+        let merge = null;
+        if (mode === 'merge') {
+            await getAllCreatures();
+            merge = await mergeCreatures(creatures.map(creature => ({ ...creature })), options.resolveConflict);
+            
+            applyMerge(merge);
+            dataCache.templates = mergeTemplates(dataCache.templates, templates);
+            
+            // Settings already made for a source here win over the backup's
+            for (const [source, settings] of Object.entries(sources)) {
+                if (!dataCache.sources[source]) {
+                    dataCache.sources[source] = settings;
+                }
+            }
+        } else {
+            resetDataCache();
+            creatures.forEach(addCreatureToCache);
+            dataCache.templates = templates;
+            dataCache.sources = { ...sources };
+        }
+        dataCache.sourceDetails = mergeSourceDetails(dataCache.sourceDetails, Object.values(sourceDetails));
+        registerTemplates(dataCache.templates);
+        registerSources(dataCache.sourceDetails);
         
-        // Create the export object
-        const exportData = {
-            metadata: metadata,
-            creatures: creatures
-        };
+        dataCache.metadata.lastUpdated = new Date().toISOString();
+        dataCache.metadata.creatureCount = dataCache.creatures.length;
         
-        // Convert to JSON
-        const jsonString = JSON.stringify(exportData, null, 2);
+        // Lore and spells are restored by their own backup sections; images aren't backed up, so they are kept
+        await commitImport({
+            clear: mode === 'replace' ? [CREATURES_STORE, TEMPLATES_STORE, SOURCES_STORE] : [],
+            creatures: mode === 'merge' ? merge.stored : dataCache.creatures,
+            templates: templates,
+            sourceDetails: Object.values(dataCache.sourceDetails)
+        });
         
-        // Create a blob
-        const blob = new Blob([jsonString], { type: 'application/json' });
+        const restoredSections = [];
+        for (const [name, sectionData] of Object.entries(backup.sections)) {
+            const section = backupSections[name];
+            if (!section) continue;
+            
+            await section.restore(sectionData, mode);
+            restoredSections.push(section.label);
+        }
         
-        // Create a URL for the blob
-        const url = URL.createObjectURL(blob);
+        console.log(`Restored backup (${mode}): ${dataCache.creatures.length} creatures, sections: ${restoredSections.join(', ') || 'none'}`);
         
         return {
             success: true,
-            url: url,
-            filename: `dnd5e_summons_data_${new Date().toISOString().slice(0, 10)}.json`
+            mode: mode,
+            merge: merge ? {
+                added: merge.added,
+                overwritten: merge.overwritten,
+                keptBoth: merge.keptBoth,
+                skipped: merge.skipped
+            } : null,
+            restoredSections: restoredSections,
+            validCreatures: creatures.length,
+            creatures: dataCache.creatures.length,
+            types: Object.keys(dataCache.creaturesByType).length,
+            crs: Object.keys(dataCache.creaturesByCR).length
         };
     } catch (error) {
-        console.error('Error exporting data:', error);
+        console.error('Error restoring backup:', error);
+        registerTemplates(dataCache.templates);
         throw error;
     }
 }
 
 /**
- * Import data from a JSON file
- * @param {File} file - The JSON file to import
+ * Import data from a backup file, replacing the existing data
+ * @param {File} file - The backup file to import
+ * @param {Object} options - Restore options, as for restoreBackup
  * @returns {Promise<Object>} Resolves with results about the imported data
  */
-export async function importData(file) {
-    return new Promise((resolve, reject) => {
-        const reader = new FileReader();
-        
-        reader.onload = async function(event) {
-            try {
-                const jsonData = JSON.parse(event.target.result);
-                
-                // Validate the import data
-                if (!jsonData.metadata || !jsonData.creatures || !Array.isArray(jsonData.creatures)) {
-                    throw new Error('Invalid import file format');
-                }
-                
-                // Reset the data cache
-                resetDataCache();
-                
-                // Clear the database
-                await clearDatabase();
-                
-                // Update the cache with the imported data
-                dataCache.metadata.version = jsonData.metadata.version || '0.1.0';
-                dataCache.metadata.lastUpdated = jsonData.metadata.lastUpdated || new Date().toISOString();
-                dataCache.metadata.creatureCount = jsonData.creatures.length;
-                
-                // Process creatures
-                let validCreatures = 0;
-                let invalidCreatures = 0;
-                
-                jsonData.creatures.forEach(creature => {
-                    // Basic validation
-                    if (!creature.id || !creature.name || !creature.type) {
-                        invalidCreatures++;
-                        return;
-                    }
-                    
-                    // Add to our creatures array
-                    dataCache.creatures.push(creature);
-                    
-                    // Update the lookup caches
-                    if (!dataCache.creaturesByType[creature.type]) {
-                        dataCache.creaturesByType[creature.type] = [];
-                    }
-                    dataCache.creaturesByType[creature.type].push(creature);
-                    
-                    const crKey = creature.cr.toString();
-                    if (!dataCache.creaturesByCR[crKey]) {
-                        dataCache.creaturesByCR[crKey] = [];
-                    }
-                    dataCache.creaturesByCR[crKey].push(creature);
-                    
-                    validCreatures++;
-                });
-                
-                // Save to IndexedDB
-                await storeProcessedData();
-                
-                resolve({
-                    success: true,
-                    validCreatures: validCreatures,
-                    invalidCreatures: invalidCreatures,
-                    types: Object.keys(dataCache.creaturesByType).length,
-                    crs: Object.keys(dataCache.creaturesByCR).length
-                });
-            } catch (error) {
-                console.error('Error importing data:', error);
-                reject(error);
-            }
-        };
-        
-        reader.onerror = function() {
-            reject(new Error('Error reading import file'));
-        };
-        
-        reader.readAsText(file);
-    });
+export async function importData(file, options = {}) {
+    const preview = await readBackup(file);
+    return restoreBackup(preview.backup, options);
+}
+
+/**
+ * Work out the format version of a parsed backup file
+ * @param {Object} json - The parsed file
+ * @returns {number} The backup version (1 for the original creature-only export)
+ */
+function getBackupVersion(json) {
+    if (json && json.format === BACKUP_FORMAT) {
+        const version = parseInt(json.version);
+        if (!version) {
+            throw new Error('The backup has no readable version number');
+        }
+        return version;
+    }
+    
+    if (json && json.metadata && Array.isArray(json.creatures)) {
+        return 1;
+    }
+    
+    throw new Error('This file is not a D&D 5e Summons Assistant backup');
+}
+
+/**
+ * Check a backed up creature record and fill in fields older versions may have left out
+ * @param {Object} creature - The creature record from the backup
+ * @returns {Object|null} {creature, changed}, or null if the record has no ID or name and can't be restored
+ */
+function repairBackupCreature(creature) {
+    if (!creature || typeof creature !== 'object' || !creature.id || !creature.name) {
+        return null;
+    }
+    
+    const repaired = { ...creature };
+    const raw = repaired.raw && typeof repaired.raw === 'object' ? repaired.raw : {};
+    let changed = false;
+    
+    // The CR lookups need a number; fall back to the original JSON's CR, then 0
+    if (typeof repaired.cr !== 'number' || isNaN(repaired.cr)) {
+        const cr = repaired.cr !== undefined && repaired.cr !== null ? { cr: repaired.cr } : raw;
+        repaired.cr = extract5eToolsCR(cr);
+        changed = true;
+    }
+    
+    if (!repaired.type) {
+        repaired.type = raw.type ? extract5eToolsType(raw) : 'unknown';
+        changed = true;
+    }
+    
+    if (!repaired.source) {
+        repaired.source = raw.source || 'Unknown';
+        changed = true;
+    }
+    
+    // Attacks from before they were structured have their damage as a single string, and no riders or usage.
+    // Older attacks and traits also kept their usage limit in their name
+    if (Array.isArray(repaired.attacks) && repaired.attacks.some(attack => {
+        return !Array.isArray(attack.damage) || !Array.isArray(attack.riders) || attack.usage === undefined ||
+            hasUsageInName(attack);
+    })) {
+        repaired.attacks = reparseAttacks(repaired);
+    }
+    
+    if (Array.isArray(repaired.specialAbilities) && repaired.specialAbilities.some(trait => {
+        return trait.usage === undefined || hasUsageInName(trait);
+    })) {
+        repaired.specialAbilities = reparseTraits(repaired);
+    }
+    
+    if (repaired.multiattack === undefined) {
+        repaired.multiattack = reparseMultiattack(repaired);
+    }
+    
+    return { creature: repaired, changed: changed };
+}
+
+/**
+ * Check whether a stored attack or trait still has its usage limit in its name
+ * @param {Object} entry - The attack or trait
+ * @returns {boolean} True for names such as "Web {@recharge 5}" or "Keen Smell (1/Day)"
+ */
+function hasUsageInName(entry) {
+    return typeof entry.name === 'string' && parseUsage(entry.name).name !== entry.name;
 }
 
 /**
@@ -2179,4 +4201,274 @@ export async function getDataStatistics() {
             sizeStats: {}
         };
     }
-}
\ No newline at end of file
+}
+/**
+ * Get a summary of every loaded source
+ * @returns {Promise<Array>} Resolves with {source, name, official, creatureCount, importedAt, enabled} for each
+ *     source, sorted by source
+ */
+export async function getSources() {
+    const creatures = await getAllCreatures();
+    
+    const counts = {};
+    for (const creature of creatures) {
+        const source = creature.source || 'Unknown';
+        counts[source] = (counts[source] || 0) + 1;
+    }
+    
+    return Object.keys(counts).sort().map(source => {
+        const settings = dataCache.sources[source] || {};
+        const details = getSourceDetails(source);
+        return {
+            source: source,
+            name: details && details.name ? details.name : source,
+            official: isOfficialSource(source),
+            creatureCount: counts[source],
+            // Data imported before sources were tracked falls back to the last update date
+            importedAt: settings.importedAt || dataCache.metadata.lastUpdated,
+            enabled: settings.enabled !== false
+        };
+    });
+}
+
+/**
+ * Get the lore and art uploaded for a creature
+ * Lore is matched by name and source, falling back to the creature a _copy creature is based on.
+ * Images are those the lore refers to, plus images named after the creature in a folder named after
+ * its source (or in a folder that isn't a loaded source)
+ * @param {Object} monster - The creature's 5etools monster JSON
+ * @returns {Promise<Object>} Resolves with {entries, images}; images are {name, kind, blob} with kind 'token' or 'art'
+ */
+export async function getCreatureLore(monster) {
+    let fluff = await getStoreRecord(FLUFF_STORE, getCopyKey(monster.name, monster.source));
+    if (!fluff && monster._copy) {
+        fluff = await getStoreRecord(FLUFF_STORE, getCopyKey(monster._copy.name, monster._copy.source));
+    }
+    
+    const images = [];
+    for (const path of fluff ? fluff.images : []) {
+        const image = await getStoreRecord(IMAGES_STORE, path);
+        if (image) images.push(image);
+    }
+    
+    const source = (monster.source || '').toLowerCase();
+    const named = await getRecordsByName(IMAGES_STORE, monster.name);
+    const sameSource = named.filter(image => (image.source || '').toLowerCase() === source);
+    const matches = sameSource.length > 0
+        ? sameSource
+        : named.filter(image => !image.source || !dataCache.sources[image.source]);
+    
+    for (const image of matches) {
+        if (!images.some(existing => existing.id === image.id)) images.push(image);
+    }
+    
+    return {
+        entries: fluff ? fluff.entries : [],
+        images: images.map(image => ({ name: image.name, kind: image.kind, blob: image.blob }))
+    };
+}
+
+/**
+ * Look up an uploaded spell
+ * Spell references name the source they mean, but a spell from any source will do when that one
+ * wasn't uploaded (for example the 2024 rules version of a spell a 2014 monster casts)
+ * @param {string} name - The spell's name
+ * @param {string} source - The source abbreviation the reference names
+ * @returns {Promise<Object|null>} Resolves with the spell in 5etools format, or null if it hasn't been uploaded
+ */
+export async function getSpell(name, source) {
+    const spell = await getStoreRecord(SPELLS_STORE, getCopyKey(name, source));
+    if (spell) return spell;
+    
+    const named = await getRecordsByName(SPELLS_STORE, name);
+    return named.length > 0 ? named[0] : null;
+}
+
+/**
+ * Get one record from an object store by its key
+ * @param {string} storeName - The object store
+ * @param {string} key - The record's key
+ * @returns {Promise<Object|undefined>} Resolves with the record, or undefined if there is none
+ */
+async function getStoreRecord(storeName, key) {
+    return new Promise(async (resolve, reject) => {
+        try {
+            const db = await openDatabase();
+            const transaction = db.transaction(storeName, 'readonly');
+            const request = transaction.objectStore(storeName).get(key);
+            
+            request.onsuccess = () => {
+                resolve(request.result);
+            };
+            
+            request.onerror = (event) => {
+                reject(new Error(`Error retrieving ${key} from ${storeName}`));
+            };
+        } catch (error) {
+            reject(error);
+        }
+    });
+}
+
+/**
+ * Get every record in an object store
+ * @param {string} storeName - The object store
+ * @returns {Promise<Array>} Resolves with the records
+ */
+async function getAllStoreRecords(storeName) {
+    return new Promise(async (resolve, reject) => {
+        try {
+            const db = await openDatabase();
+            const transaction = db.transaction(storeName, 'readonly');
+            const request = transaction.objectStore(storeName).getAll();
+            
+            request.onsuccess = () => {
+                resolve(request.result);
+            };
+            
+            request.onerror = (event) => {
+                reject(new Error(`Error retrieving records from ${storeName}`));
+            };
+        } catch (error) {
+            reject(error);
+        }
+    });
+}
+
+/**
+ * Restore an object store's records from a backup in a single transaction
+ * @param {string} storeName - The object store
+ * @param {Array} records - The records from the backup
+ * @param {string} mode - 'replace' clears the store first; 'merge' keeps records already stored
+ * @returns {Promise} Resolves when the transaction completes
+ */
+async function restoreStoreRecords(storeName, records, mode) {
+    const db = await openDatabase();
+    
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(storeName, 'readwrite');
+        const store = transaction.objectStore(storeName);
+        const restored = (Array.isArray(records) ? records : []).filter(record => record && record.id);
+        
+        if (mode === 'replace') {
+            store.clear();
+            restored.forEach(record => store.put(record));
+        } else {
+            const keysRequest = store.getAllKeys();
+            keysRequest.onsuccess = () => {
+                const storedKeys = new Set(keysRequest.result);
+                restored.filter(record => !storedKeys.has(record.id)).forEach(record => store.put(record));
+            };
+        }
+        
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(new Error(`Error restoring ${storeName}: ${transaction.error}`));
+    });
+}
+
+/**
+ * Get the records with a name from an object store indexed by lower-cased name
+ * @param {string} storeName - The object store (images or spells)
+ * @param {string} name - The name, in any case
+ * @returns {Promise<Array>} Resolves with the matching records
+ */
+async function getRecordsByName(storeName, name) {
+    return new Promise(async (resolve, reject) => {
+        try {
+            const db = await openDatabase();
+            const transaction = db.transaction(storeName, 'readonly');
+            const request = transaction.objectStore(storeName).index('byNameLower').getAll(name.toLowerCase());
+            
+            request.onsuccess = () => {
+                resolve(request.result);
+            };
+            
+            request.onerror = (event) => {
+                reject(new Error(`Error retrieving ${name} from ${storeName}`));
+            };
+        } catch (error) {
+            reject(error);
+        }
+    });
+}
+
+/**
+ * Get the details of a source: its full name and whether it is an official book or adventure or homebrew
+ * @param {string} source - The source abbreviation
+ * @returns {Object|null} The source record ({id, name, kind, official, published, author, url}),
+ *     or null if nothing is known about the source
+ */
+export function getSourceDetails(source) {
+    return dataCache.sourceDetails[source] || null;
+}
+
+/**
+ * Check whether a source is official published material
+ * Sources from books.json, adventures.json or 5etools' own bestiary files are official; homebrew
+ * sources and those of converted third-party data are not
+ * @param {string} source - The source abbreviation
+ * @returns {boolean} True if the source is official
+ */
+export function isOfficialSource(source) {
+    const details = getSourceDetails(source);
+    return Boolean(details && details.official);
+}
+
+/**
+ * Get the sources the user has turned off for search
+ * @returns {Array<string>} The disabled sources
+ */
+export function getDisabledSources() {
+    return Object.keys(dataCache.sources).filter(source => dataCache.sources[source].enabled === false);
+}
+
+/**
+ * Turn a source on or off for search
+ * @param {string} source - The source to update
+ * @param {boolean} enabled - Whether the source's creatures should appear in search results
+ * @returns {Promise} Resolves when the setting is saved
+ */
+export async function setSourceEnabled(source, enabled) {
+    const settings = dataCache.sources[source] || { importedAt: dataCache.metadata.lastUpdated };
+    dataCache.sources[source] = { ...settings, enabled: enabled };
+    
+    await storeMetadata('sources', dataCache.sources);
+    console.log(`Source ${source} ${enabled ? 'enabled' : 'disabled'}`);
+}
+
+/**
+ * Delete every creature from one source, leaving all other sources untouched
+ * @param {string} source - The source to delete
+ * @returns {Promise<number>} Resolves with the number of creatures deleted
+ */
+export async function deleteSource(source) {
+    try {
+        // Creatures stored without a source are listed as 'Unknown' (see getSources), but aren't in the bySource index
+        const creatures = source === 'Unknown'
+            ? (await getAllCreatures()).filter(creature => (creature.source || 'Unknown') === 'Unknown')
+            : await getCreaturesBySource(source);
+        const creatureIds = creatures.map(creature => creature.id);
+        const deletedIds = new Set(creatureIds);
+        
+        const sources = { ...dataCache.sources };
+        delete sources[source];
+        const metadata = {
+            ...dataCache.metadata,
+            lastUpdated: new Date().toISOString(),
+            creatureCount: dataCache.creatures.filter(creature => !deletedIds.has(creature.id)).length
+        };
+        
+        // The cache only changes once the creatures are gone from the database
+        await deleteCreatures(creatureIds, metadata, sources);
+        creatureIds.forEach(removeCreatureFromCache);
+        dataCache.sources = sources;
+        dataCache.metadata.lastUpdated = metadata.lastUpdated;
+        dataCache.metadata.creatureCount = dataCache.creatures.length;
+        
+        console.log(`Deleted ${creatureIds.length} creatures from source ${source}`);
+        return creatureIds.length;
+    } catch (error) {
+        console.error(`Error deleting source ${source}:`, error);
+        throw error;
+    }
+}
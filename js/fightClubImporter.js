@@ -0,0 +1,326 @@
+/**
+ * D&D 5e Summons Assistant
+ * Fight Club 5e Importer Module
+ * Converts Fight Club 5e / Game Master 5 XML compendiums into 5etools-format monsters
+ * so they go through the same processing and statblock rendering
+ */
+
+import {
+    toSizeCode,
+    parseCreatureType,
+    formatChallengeRating,
+    parseDamageList,
+    convertRechargeName,
+    addStatblockTags,
+    formatDiceFormula,
+    formatBonus,
+    splitList,
+    getPassivePerception,
+    decodeEntities
+} from './conversionUtils.js';
+
+const ABILITIES = ['str', 'dex', 'con', 'int', 'wis', 'cha'];
+
+// Statblock sections; Fight Club uses the same element names as the 5etools properties
+const SECTIONS = ['trait', 'action', 'bonus', 'reaction', 'legendary', 'mythic'];
+
+/**
+ * Convert a Fight Club 5e XML compendium into 5etools-format monsters
+ * @param {string} text - The XML file contents
+ * @returns {Object} {monsters, paths} with the converted monsters and the path of each in the compendium
+ */
+export function convertFightClubXML(text) {
+    const root = parseXML(text);
+    
+    if (root.name !== 'compendium') {
+        throw new Error(`Expected a <compendium> root element but found <${root.name}>`);
+    }
+    
+    const monsterElements = root.children.filter(child => child.name === 'monster');
+    if (monsterElements.length === 0) {
+        throw new Error('Compendium does not contain any <monster> elements');
+    }
+    
+    return {
+        monsters: monsterElements.map(convertMonster),
+        paths: monsterElements.map((element, index) => `compendium.monster[${index}]`)
+    };
+}
+
+/**
+ * Convert a single <monster> element into a 5etools monster
+ * @param {Object} element - The parsed <monster> element
+ * @returns {Object} The equivalent 5etools monster
+ */
+function convertMonster(element) {
+    const get = name => getChildText(element, name);
+    
+    // Some compendiums append the book to the type ("beast, monster manual")
+    const [typeText, ...typeSource] = get('type').split(',');
+    
+    const monster = {
+        name: get('name'),
+        source: get('source') || getDescriptionSource(get('description')) || typeSource.join(',').trim() || 'FightClub5e',
+        alignment: get('alignment').toLowerCase() || 'unaligned'
+    };
+    
+    // Missing or unreadable core stats are left out or kept as written so validation reports them
+    if (get('size')) monster.size = [toSizeCode(get('size'))];
+    if (typeText.trim()) monster.type = parseCreatureType(typeText);
+    if (get('ac')) monster.ac = parseArmorClass(get('ac'));
+    if (get('hp')) monster.hp = parseHitPoints(get('hp'));
+    if (get('speed')) monster.speed = parseSpeed(get('speed'));
+    
+    ABILITIES.forEach(ability => {
+        const score = get(ability);
+        if (score !== '') {
+            monster[ability] = isNaN(parseInt(score)) ? score : parseInt(score);
+        }
+    });
+    
+    const saves = parseBonusList(get('save'));
+    if (Object.keys(saves).length > 0) {
+        monster.save = saves;
+    }
+    
+    const skills = parseBonusList(get('skill'));
+    if (Object.keys(skills).length > 0) {
+        monster.skill = skills;
+    }
+    
+    ['vulnerable', 'resist', 'immune'].forEach(property => {
+        const values = parseDamageList(get(property));
+        if (values.length > 0) {
+            monster[property] = values;
+        }
+    });
+    
+    const conditionImmunities = splitList(get('conditionImmune')).map(condition => condition.toLowerCase());
+    if (conditionImmunities.length > 0) {
+        monster.conditionImmune = conditionImmunities;
+    }
+    
+    monster.senses = splitList(get('senses')).filter(sense => !/^passive perception/i.test(sense));
+    monster.passive = parseInt(get('passive')) || getPassivePerception(parseInt(monster.wis));
+    monster.languages = splitList(get('languages')).filter(language => language !== '—' && language !== '-');
+    monster.cr = formatChallengeRating(get('cr'));
+    
+    for (const section of SECTIONS) {
+        const entries = element.children
+            .filter(child => child.name === section)
+            .map(convertEntry)
+            .filter(Boolean);
+        
+        if (entries.length > 0) {
+            monster[section] = entries;
+        }
+    }
+    
+    const environments = splitList(get('environment')).map(environment => environment.toLowerCase());
+    if (environments.length > 0) {
+        monster.environment = environments;
+    }
+    
+    return monster;
+}
+
+/**
+ * Convert a <trait>, <action>, <reaction> or <legendary> element into a 5etools entry
+ * Structured <attack> elements ("name|bonus|damage") supply the to-hit bonus and damage
+ * dice when the text doesn't spell them out
+ * @param {Object} element - The parsed element
+ * @returns {Object|null} The {name, entries} entry, or null if it has no name or text
+ */
+function convertEntry(element) {
+    const name = getChildText(element, 'name');
+    const entries = element.children
+        .filter(child => child.name === 'text')
+        .map(child => child.text.trim())
+        .filter(Boolean)
+        .map(addStatblockTags);
+    
+    if (!name && entries.length === 0) return null;
+    
+    const attacks = element.children
+        .filter(child => child.name === 'attack')
+        .map(child => child.text.split('|'))
+        .filter(parts => parts.length >= 3);
+    
+    if (attacks.length > 0 && !entries.some(entry => entry.includes('{@hit') || entry.includes('{@damage'))) {
+        entries.unshift(buildAttackEntry(attacks, entries[0] || ''));
+    }
+    
+    return { name: convertRechargeName(name || 'Unnamed'), entries };
+}
+
+/**
+ * Build tagged attack text from structured <attack> values
+ * @param {Array<Array<string>>} attacks - Split attack values ([name, bonus, damage])
+ * @param {string} text - The entry's first paragraph, used to tell melee from ranged
+ * @returns {string} Text with {@hit} and {@damage} tags
+ */
+function buildAttackEntry(attacks, text) {
+    const [, bonus] = attacks.find(([, attackBonus]) => attackBonus.trim() !== '') || [];
+    const damage = attacks
+        .map(([, , dice]) => dice.trim())
+        .filter(Boolean)
+        .map(dice => `{@damage ${formatDiceFormula(dice)}}`)
+        .join(' plus ');
+    
+    let attackType = '';
+    if (/melee/i.test(text) && /ranged/i.test(text)) attackType = '{@atk mw,rw} ';
+    else if (/melee/i.test(text)) attackType = '{@atk mw} ';
+    else if (/ranged/i.test(text)) attackType = '{@atk rw} ';
+    
+    const parts = [];
+    if (bonus) {
+        parts.push(`${attackType}{@hit ${parseInt(bonus)}} to hit.`);
+    }
+    if (damage) {
+        parts.push(`{@h}${damage} damage.`);
+    }
+    
+    return parts.join(' ');
+}
+
+/**
+ * Parse an armor class such as "13 (natural armor)"
+ * @param {string} text - The AC text
+ * @returns {Array|string} The 5etools AC array, or the text if it can't be read
+ */
+function parseArmorClass(text) {
+    const match = text.match(/^(\d+)\s*(?:\((.+)\))?/);
+    if (!match) return text;
+    
+    const ac = parseInt(match[1]);
+    return match[2] ? [{ ac: ac, from: splitList(match[2]) }] : [ac];
+}
+
+/**
+ * Parse hit points such as "11 (2d8+2)"
+ * @param {string} text - The HP text
+ * @returns {Object} The 5etools HP object
+ */
+function parseHitPoints(text) {
+    const match = text.match(/^(\d+)\s*(?:\(([^)]+)\))?/);
+    if (!match) {
+        return { special: text };
+    }
+    
+    const hp = { average: parseInt(match[1]) };
+    if (match[2]) {
+        hp.formula = formatDiceFormula(match[2]);
+    }
+    return hp;
+}
+
+/**
+ * Parse a speed such as "30 ft., fly 60 ft. (hover), swim 30 ft."
+ * @param {string} text - The speed text
+ * @returns {Object|string} The 5etools speed object, or the text if it can't be read
+ */
+function parseSpeed(text) {
+    const speed = {};
+    
+    splitList(text).forEach(part => {
+        const match = part.match(/^(?:(walk|fly|swim|climb|burrow)\s+)?(\d+)\s*ft\.?\s*(\(.+\))?/i);
+        if (!match) return;
+        
+        const type = (match[1] || 'walk').toLowerCase();
+        const value = parseInt(match[2]);
+        
+        if (type === 'fly' && match[3] && /hover/i.test(match[3])) {
+            speed.fly = { number: value, condition: match[3] };
+            speed.canHover = true;
+        } else {
+            speed[type] = value;
+        }
+    });
+    
+    return Object.keys(speed).length > 0 ? speed : text;
+}
+
+/**
+ * Parse a list of bonuses such as "Dex +5, Wis +3" or "Perception +3, Stealth +4"
+ * @param {string} text - The bonus list text
+ * @returns {Object} Bonuses keyed by lower-case save or skill name
+ */
+function parseBonusList(text) {
+    const bonuses = {};
+    
+    splitList(text).forEach(part => {
+        const match = part.match(/^(.+?)\s*([+-]\s*\d+)$/);
+        if (match) {
+            bonuses[match[1].trim().toLowerCase()] = formatBonus(match[2].replace(/\s/g, ''));
+        }
+    });
+    
+    return bonuses;
+}
+
+/**
+ * Read the source book from a description ending in "Source: Monster Manual p. 341"
+ * @param {string} description - The monster description
+ * @returns {string|null} The source name, if present
+ */
+function getDescriptionSource(description) {
+    const match = description.match(/Source:\s*([^,\n]+?)(?:\s+p\.\s*\d+)?\s*(?:,|\n|$)/);
+    return match ? match[1].trim() : null;
+}
+
+/**
+ * Get the text of the first child element with a name
+ * @param {Object} element - The parent element
+ * @param {string} name - The child element name
+ * @returns {string} The trimmed text, or an empty string if there is no such child
+ */
+function getChildText(element, name) {
+    const child = element.children.find(candidate => candidate.name === name);
+    return child ? child.text.trim() : '';
+}
+
+/**
+ * Parse an XML document into a tree of {name, children, text} elements
+ * A small parser is used instead of DOMParser because imports run in a web worker,
+ * where DOMParser isn't available. Attributes are ignored; Fight Club data doesn't use them.
+ * @param {string} text - The XML text
+ * @returns {Object} The root element
+ */
+function parseXML(text) {
+    const stack = [{ name: null, children: [], text: '' }];
+    const tokenPattern = /<!--[\s\S]*?-->|<!\[CDATA\[([\s\S]*?)\]\]>|<\?[\s\S]*?\?>|<!DOCTYPE[^>]*>|<(\/?)([\w:.-]+)[^>]*?(\/?)>|([^<]+)/g;
+    let match;
+    
+    while ((match = tokenPattern.exec(text)) !== null) {
+        const [, cdata, closing, name, selfClosing, content] = match;
+        const current = stack[stack.length - 1];
+        
+        if (cdata !== undefined) {
+            current.text += cdata;
+        } else if (content !== undefined) {
+            current.text += decodeEntities(content);
+        } else if (name && closing) {
+            if (current.name !== name) {
+                throw new Error(`Invalid XML: expected </${current.name}> but found </${name}>`);
+            }
+            stack.pop();
+        } else if (name) {
+            const element = { name, children: [], text: '' };
+            current.children.push(element);
+            if (!selfClosing) {
+                stack.push(element);
+            }
+        }
+    }
+    
+    if (stack.length > 1) {
+        throw new Error(`Invalid XML: <${stack[stack.length - 1].name}> is never closed`);
+    }
+    
+    const root = stack[0].children[0];
+    if (!root) {
+        throw new Error('Invalid XML: no root element');
+    }
+    
+    return root;
+}
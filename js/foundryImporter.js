@@ -0,0 +1,560 @@
+/**
+ * D&D 5e Summons Assistant
+ * Foundry VTT Importer Module
+ * Converts exported Foundry VTT dnd5e actors into 5etools-format monsters
+ * so they go through the same processing and statblock rendering
+ */
+
+import {
+    toSizeCode,
+    formatChallengeRating,
+    getProficiencyBonus,
+    parseDamageList,
+    addStatblockTags,
+    formatDiceFormula,
+    formatBonus,
+    htmlToParagraphs
+} from './conversionUtils.js';
+
+const ABILITIES = ['str', 'dex', 'con', 'int', 'wis', 'cha'];
+
+const SIZES = {
+    'tiny': 'T',
+    'sm': 'S',
+    'med': 'M',
+    'lg': 'L',
+    'huge': 'H',
+    'grg': 'G'
+};
+
+const SKILLS = {
+    'acr': 'acrobatics',
+    'ani': 'animal handling',
+    'arc': 'arcana',
+    'ath': 'athletics',
+    'dec': 'deception',
+    'his': 'history',
+    'ins': 'insight',
+    'itm': 'intimidation',
+    'inv': 'investigation',
+    'med': 'medicine',
+    'nat': 'nature',
+    'prc': 'perception',
+    'prf': 'performance',
+    'per': 'persuasion',
+    'rel': 'religion',
+    'slt': 'sleight of hand',
+    'ste': 'stealth',
+    'sur': 'survival'
+};
+
+const LANGUAGES = {
+    'deep': 'Deep Speech',
+    'cant': "Thieves' Cant"
+};
+
+const SENSES = ['darkvision', 'blindsight', 'tremorsense', 'truesight'];
+const SPEED_TYPES = ['walk', 'fly', 'swim', 'climb', 'burrow'];
+
+const ATTACK_TYPES = {
+    'mwak': 'mw',
+    'rwak': 'rw',
+    'msak': 'ms',
+    'rsak': 'rs'
+};
+
+// Feats that need an action to use go in the matching statblock section, the rest are traits
+const ACTIVATION_SECTIONS = {
+    'action': 'action',
+    'bonus': 'bonus',
+    'reaction': 'reaction',
+    'legendary': 'legendary',
+    'mythic': 'mythic'
+};
+
+/**
+ * Get an actor's system data; Foundry versions before v10 call it "data"
+ * @param {Object} actor - The actor
+ * @returns {Object|null} The system data
+ */
+function getSystemData(actor) {
+    return actor.system || actor.data || null;
+}
+
+/**
+ * Check whether a value looks like an exported dnd5e actor
+ * @param {*} value - The value to check
+ * @returns {boolean} True if it has dnd5e actor abilities and attributes
+ */
+function isFoundryActor(value) {
+    if (!value || typeof value !== 'object' || Array.isArray(value) || typeof value.name !== 'string') {
+        return false;
+    }
+    
+    const system = getSystemData(value);
+    return !!system && typeof system === 'object' && !!system.abilities && !!system.attributes;
+}
+
+/**
+ * Detect Foundry VTT dnd5e actor data: a single exported actor or an array of them
+ * @param {*} jsonData - The parsed JSON data
+ * @returns {boolean} True if the data is a Foundry actor export
+ */
+export function isFoundryActorData(jsonData) {
+    if (Array.isArray(jsonData)) {
+        return jsonData.length > 0 && isFoundryActor(jsonData[0]);
+    }
+    
+    return isFoundryActor(jsonData);
+}
+
+/**
+ * Convert Foundry actor data into 5etools-format monsters
+ * @param {*} jsonData - Foundry data accepted by isFoundryActorData
+ * @returns {Object} {monsters, paths} with the converted monsters and the JSON path of each in the original file
+ */
+export function convertFoundryActorData(jsonData) {
+    if (!Array.isArray(jsonData)) {
+        return { monsters: [convertActor(jsonData)], paths: ['$'] };
+    }
+    
+    return {
+        monsters: jsonData.map(actor => isFoundryActor(actor) ? convertActor(actor) : actor),
+        paths: jsonData.map((actor, index) => `[${index}]`)
+    };
+}
+
+/**
+ * Convert a single actor into a 5etools monster
+ * @param {Object} actor - The exported actor
+ * @returns {Object} The equivalent 5etools monster
+ */
+function convertActor(actor) {
+    const system = getSystemData(actor);
+    const attributes = system.attributes || {};
+    const details = system.details || {};
+    const traits = system.traits || {};
+    
+    const cr = typeof details.cr === 'number' ? details.cr : parseFloat(details.cr) || 0;
+    const proficiency = typeof attributes.prof === 'number' ? attributes.prof : getProficiencyBonus(cr);
+    
+    const scores = {};
+    ABILITIES.forEach(ability => {
+        const value = system.abilities[ability] && system.abilities[ability].value;
+        scores[ability] = typeof value === 'number' ? value : 10;
+    });
+    const mods = {};
+    ABILITIES.forEach(ability => {
+        mods[ability] = Math.floor((scores[ability] - 10) / 2);
+    });
+    
+    const monster = {
+        name: actor.name,
+        source: getSource(details.source),
+        size: [SIZES[traits.size] || toSizeCode(traits.size)],
+        type: convertType(details.type),
+        alignment: (details.alignment || 'unaligned').toLowerCase(),
+        ac: convertArmorClass(attributes.ac, mods.dex),
+        hp: convertHitPoints(attributes.hp),
+        speed: convertMovement(attributes.movement),
+        ...scores
+    };
+    
+    // Saving throw proficiencies
+    const saves = {};
+    ABILITIES.forEach(ability => {
+        if (system.abilities[ability] && system.abilities[ability].proficient) {
+            saves[ability] = formatBonus(mods[ability] + proficiency * system.abilities[ability].proficient);
+        }
+    });
+    if (Object.keys(saves).length > 0) {
+        monster.save = saves;
+    }
+    
+    // Skill proficiencies; value is the proficiency multiplier (1 or 2 for expertise)
+    const skills = {};
+    for (const [key, skill] of Object.entries(system.skills || {})) {
+        if (SKILLS[key] && skill && skill.value > 0) {
+            const ability = skill.ability || 'wis';
+            skills[SKILLS[key]] = formatBonus(mods[ability] + Math.floor(proficiency * skill.value));
+        }
+    }
+    if (Object.keys(skills).length > 0) {
+        monster.skill = skills;
+    }
+    
+    const damageTraits = { vulnerable: traits.dv, resist: traits.dr, immune: traits.di };
+    for (const [property, trait] of Object.entries(damageTraits)) {
+        const values = convertTraitList(trait);
+        if (values.length > 0) {
+            monster[property] = values;
+        }
+    }
+    
+    const conditionImmunities = convertTraitList(traits.ci);
+    if (conditionImmunities.length > 0) {
+        monster.conditionImmune = conditionImmunities;
+    }
+    
+    monster.senses = convertSenses(attributes.senses);
+    monster.passive = 10 + (skills.perception ? parseInt(skills.perception) : mods.wis);
+    monster.languages = convertLanguages(traits.languages);
+    monster.cr = formatChallengeRating(cr);
+    
+    addItems(monster, actor.items || [], { mods, proficiency, spellcasting: attributes.spellcasting || 'int' });
+    
+    return monster;
+}
+
+/**
+ * Read a source abbreviation from details.source ("MM pg. 341" or {book, page, custom})
+ * @param {string|Object} source - The actor's source
+ * @returns {string} The source, "Foundry" if none is set
+ */
+function getSource(source) {
+    const text = source && typeof source === 'object'
+        ? source.book || source.custom || ''
+        : source || '';
+    
+    return text.replace(/\s*(pg\.?|p\.)\s*\d+.*$/i, '').trim() || 'Foundry';
+}
+
+/**
+ * Convert details.type ({value, subtype, swarm, custom}) into a 5etools type
+ * @param {Object|string} type - The actor's creature type
+ * @returns {string|Object} The 5etools type
+ */
+function convertType(type) {
+    if (!type || typeof type !== 'object') {
+        return (type || 'unknown').toLowerCase();
+    }
+    
+    const value = (type.value === 'custom' ? type.custom : type.value) || 'unknown';
+    const converted = { type: value.toLowerCase() };
+    
+    if (type.subtype) {
+        converted.tags = type.subtype.split(',').map(tag => tag.trim().toLowerCase()).filter(Boolean);
+    }
+    if (type.swarm) {
+        converted.swarmSize = SIZES[type.swarm] || toSizeCode(type.swarm);
+    }
+    
+    return converted.tags || converted.swarmSize ? converted : converted.type;
+}
+
+/**
+ * Convert attributes.ac into a 5etools AC array
+ * @param {Object} ac - The actor's armor class ({flat, calc, value})
+ * @param {number} dexMod - Dexterity modifier, for the default calculation
+ * @returns {Array} The 5etools AC array
+ */
+function convertArmorClass(ac, dexMod) {
+    if (!ac) return [10 + dexMod];
+    
+    const value = typeof ac.flat === 'number' ? ac.flat
+        : typeof ac.value === 'number' ? ac.value
+            : 10 + dexMod;
+    
+    return ac.calc === 'natural' ? [{ ac: value, from: ['natural armor'] }] : [value];
+}
+
+/**
+ * Convert attributes.hp into a 5etools HP object
+ * @param {Object} hp - The actor's hit points ({value, max, formula})
+ * @returns {Object} The 5etools HP object
+ */
+function convertHitPoints(hp) {
+    if (!hp) return { average: 0 };
+    
+    const converted = { average: parseInt(hp.max) || parseInt(hp.value) || 0 };
+    if (hp.formula) {
+        converted.formula = formatDiceFormula(hp.formula);
+    }
+    return converted;
+}
+
+/**
+ * Convert attributes.movement into a 5etools speed object
+ * @param {Object} movement - The actor's movement ({walk, fly, ..., hover})
+ * @returns {Object} The 5etools speed
+ */
+function convertMovement(movement) {
+    const speed = {};
+    if (!movement) return { walk: 30 };
+    
+    SPEED_TYPES.forEach(type => {
+        const value = parseInt(movement[type]);
+        if (value > 0) {
+            speed[type] = value;
+        }
+    });
+    
+    if (movement.hover && speed.fly) {
+        speed.fly = { number: speed.fly, condition: '(hover)' };
+        speed.canHover = true;
+    }
+    
+    if (Object.keys(speed).length === 0) {
+        speed.walk = 0;
+    }
+    
+    return speed;
+}
+
+/**
+ * Convert attributes.senses into a list of sense strings
+ * @param {Object} senses - The actor's senses ({darkvision: 60, ..., special})
+ * @returns {Array<string>} The senses (e.g. "darkvision 60 ft.")
+ */
+function convertSenses(senses) {
+    if (!senses) return [];
+    
+    const converted = SENSES
+        .filter(sense => parseInt(senses[sense]) > 0)
+        .map(sense => `${sense} ${parseInt(senses[sense])} ${senses.units || 'ft'}.`);
+    
+    if (senses.special) {
+        converted.push(senses.special);
+    }
+    
+    return converted;
+}
+
+/**
+ * Convert a trait list ({value: [...], custom: "a; b"}) into a 5etools list
+ * @param {Object} trait - The damage or condition trait
+ * @returns {Array<string>} The list entries
+ */
+function convertTraitList(trait) {
+    if (!trait) return [];
+    
+    const values = Array.isArray(trait.value) ? [...trait.value] : [];
+    if (trait.custom) {
+        values.push(...parseDamageList(trait.custom));
+    }
+    
+    return values.map(value => value.toLowerCase());
+}
+
+/**
+ * Convert traits.languages into language names
+ * @param {Object} languages - The actor's languages ({value: [...], custom})
+ * @returns {Array<string>} The language names
+ */
+function convertLanguages(languages) {
+    if (!languages) return [];
+    
+    const converted = (Array.isArray(languages.value) ? languages.value : [])
+        .map(language => LANGUAGES[language] || language.charAt(0).toUpperCase() + language.slice(1));
+    
+    if (languages.custom) {
+        converted.push(...languages.custom.split(';').map(language => language.trim()).filter(Boolean));
+    }
+    
+    return converted;
+}
+
+/**
+ * Add the actor's weapon and feat items to the statblock sections
+ * @param {Object} monster - The monster being built
+ * @param {Array} items - The actor's embedded items
+ * @param {Object} context - {mods, proficiency, spellcasting} for attack calculations
+ */
+function addItems(monster, items, context) {
+    items.forEach(item => {
+        if (!item || !item.name) return;
+        
+        const itemSystem = item.system || item.data || {};
+        const paragraphs = htmlToParagraphs(itemSystem.description && itemSystem.description.value)
+            .map(convertEnrichers)
+            .map(addStatblockTags);
+        
+        let entry;
+        let section;
+        
+        if (item.type === 'weapon') {
+            entry = convertWeapon(item.name, itemSystem, paragraphs, context);
+            section = 'action';
+        } else if (item.type === 'feat') {
+            const activation = itemSystem.activation && itemSystem.activation.type;
+            entry = { name: getItemName(item.name, itemSystem), entries: paragraphs };
+            section = ACTIVATION_SECTIONS[activation] || 'trait';
+        } else {
+            return;
+        }
+        
+        if (entry.entries.length === 0) return;
+        
+        if (!monster[section]) {
+            monster[section] = [];
+        }
+        monster[section].push(entry);
+    });
+    
+    // Statblocks list Multiattack before the attacks it refers to
+    if (monster.action) {
+        const multiattackIndex = monster.action.findIndex(entry => entry.name === 'Multiattack');
+        if (multiattackIndex > 0) {
+            monster.action.unshift(...monster.action.splice(multiattackIndex, 1));
+        }
+    }
+}
+
+/**
+ * Convert a weapon item into an action with a tagged attack line
+ * The attack bonus and damage come from the item's data; a description that
+ * already spells out the attack ("+4 to hit") is used as written instead
+ * @param {string} name - The item name
+ * @param {Object} itemSystem - The item's system data
+ * @param {Array<string>} paragraphs - The tagged description paragraphs
+ * @param {Object} context - {mods, proficiency, spellcasting}
+ * @returns {Object} The {name, entries} action
+ */
+function convertWeapon(name, itemSystem, paragraphs, context) {
+    const entryName = getItemName(name, itemSystem);
+    
+    if (paragraphs.some(paragraph => paragraph.includes('{@hit'))) {
+        return { name: entryName, entries: paragraphs };
+    }
+    
+    const actionType = ATTACK_TYPES[itemSystem.actionType] ? itemSystem.actionType : 'mwak';
+    const ability = getAttackAbility(itemSystem, actionType, context);
+    const mod = context.mods[ability] || 0;
+    
+    const toHit = mod +
+        (itemSystem.proficient === false || itemSystem.proficient === 0 ? 0 : context.proficiency) +
+        (parseInt(String(itemSystem.attackBonus || '0').replace(/\s/g, '')) || 0);
+    
+    const damage = getDamageParts(itemSystem)
+        .map(([formula, type]) => {
+            const dice = formatDiceFormula(resolveFormula(formula, mod, context.proficiency));
+            return `${getAverage(dice)} ({@damage ${dice}})${type ? ` ${type}` : ''} damage`;
+        })
+        .join(' plus ');
+    
+    const range = itemSystem.range || {};
+    const reach = actionType === 'mwak' || actionType === 'msak'
+        ? `reach ${range.value || 5} ft.`
+        : `range ${range.value || 30}${range.long ? `/${range.long}` : ''} ft.`;
+    
+    let attackLine = `{@atk ${ATTACK_TYPES[actionType]}} {@hit ${toHit}} to hit, ${reach}, one target.`;
+    if (damage) {
+        attackLine += ` {@h}${damage}.`;
+    }
+    
+    // The description holds any riders, such as a saving throw on a hit
+    return { name: entryName, entries: [[attackLine, ...paragraphs].join(' ')] };
+}
+
+/**
+ * Work out which ability a weapon attacks with
+ * @param {Object} itemSystem - The item's system data
+ * @param {string} actionType - The attack type (mwak, rwak, msak or rsak)
+ * @param {Object} context - {mods, spellcasting}
+ * @returns {string} The ability abbreviation
+ */
+function getAttackAbility(itemSystem, actionType, context) {
+    if (itemSystem.ability && ABILITIES.includes(itemSystem.ability)) {
+        return itemSystem.ability;
+    }
+    
+    if (actionType === 'msak' || actionType === 'rsak') {
+        return context.spellcasting;
+    }
+    
+    const properties = itemSystem.properties || {};
+    const isFinesse = Array.isArray(properties) ? properties.includes('fin') : !!properties.fin;
+    if (isFinesse) {
+        return context.mods.dex > context.mods.str ? 'dex' : 'str';
+    }
+    
+    return actionType === 'rwak' ? 'dex' : 'str';
+}
+
+/**
+ * Read a weapon's damage as [formula, type] pairs
+ * Handles damage.parts and the damage.base object used by newer dnd5e versions
+ * @param {Object} itemSystem - The item's system data
+ * @returns {Array<Array<string>>} The damage parts
+ */
+function getDamageParts(itemSystem) {
+    const damage = itemSystem.damage || {};
+    
+    if (Array.isArray(damage.parts) && damage.parts.length > 0) {
+        return damage.parts.filter(part => Array.isArray(part) && part[0]);
+    }
+    
+    if (damage.base && damage.base.number && damage.base.denomination) {
+        const base = damage.base;
+        const formula = `${base.number}d${base.denomination}${base.bonus ? ` + ${base.bonus}` : ' + @mod'}`;
+        return [[formula, Array.isArray(base.types) ? base.types[0] : '']];
+    }
+    
+    return [];
+}
+
+/**
+ * Replace @mod and @prof in a damage formula and drop any other roll data references
+ * @param {string} formula - The damage formula (e.g. "1d6 + @mod")
+ * @param {number} mod - The attack ability modifier
+ * @param {number} proficiency - The proficiency bonus
+ * @returns {string} The formula with numbers in place of the references
+ */
+function resolveFormula(formula, mod, proficiency) {
+    const resolved = String(formula)
+        .replace(/@mod/g, mod)
+        .replace(/@prof/g, proficiency)
+        .replace(/\s*[+-]\s*@[\w.]+/g, '');
+    
+    // Fold the constant terms into one bonus ("1d6 + 2 + 1" becomes "1d6 + 3")
+    const dice = resolved.match(/\d*d\d+/g) || [];
+    const constant = (resolved.replace(/\d*d\d+/g, '').match(/[+-]?\s*\d+/g) || [])
+        .reduce((total, term) => total + parseInt(term.replace(/\s/g, '')), 0);
+    
+    if (dice.length === 0) return String(constant);
+    if (constant === 0) return dice.join(' + ');
+    return `${dice.join(' + ')} ${constant > 0 ? '+' : '-'} ${Math.abs(constant)}`;
+}
+
+/**
+ * Calculate the average result of a dice formula, rounded down
+ * @param {string} formula - The formula (e.g. "2d6 + 3")
+ * @returns {number} The average
+ */
+function getAverage(formula) {
+    let average = 0;
+    formula.replace(/([+-]?)\s*(\d*)d(\d+)|([+-]?)\s*(\d+)/g, (match, diceSign, count, sides, sign, value) => {
+        if (sides) {
+            average += (diceSign === '-' ? -1 : 1) * (parseInt(count) || 1) * (parseInt(sides) + 1) / 2;
+        } else if (value) {
+            average += (sign === '-' ? -1 : 1) * parseInt(value);
+        }
+        return match;
+    });
+    return Math.floor(average);
+}
+
+/**
+ * Add a recharge tag to an item name when the item recharges on a roll
+ * @param {string} name - The item name
+ * @param {Object} itemSystem - The item's system data
+ * @returns {string} The 5etools entry name
+ */
+function getItemName(name, itemSystem) {
+    const recharge = itemSystem.recharge && parseInt(itemSystem.recharge.value);
+    if (!recharge) return name;
+    
+    return recharge === 6 ? `${name} {@recharge}` : `${name} {@recharge ${recharge}}`;
+}
+
+/**
+ * Replace Foundry text enrichers with plain text or 5etools tags
+ * @param {string} text - Description text
+ * @returns {string} Text with @UUID links reduced to their labels and inline rolls as dice tags
+ */
+function convertEnrichers(text) {
+    return text
+        .replace(/@\w+\[[^\]]*\]\{([^}]*)\}/g, '$1')
+        .replace(/@\w+\[([^\]]*)\]/g, (match, target) => target.split('.').pop())
+        .replace(/\[\[\/(?:r|roll)\s+([^\]]+)\]\]/g, '{@dice $1}');
+}
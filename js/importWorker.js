@@ -0,0 +1,29 @@
+/**
+ * D&D 5e Summons Assistant
+ * Import Worker
+ * Parses and processes uploaded bestiary files off the main thread, streaming progress back
+ */
+
+import { processUploadBatch } from './dataManager.js';
+
+/**
+ * Process one upload batch and post progress updates followed by the result
+ * @param {MessageEvent} event - Message with the files and processing options
+ */
+self.onmessage = async (event) => {
+    const { files, options } = event.data;
+    
+    try {
+        const result = await processUploadBatch(files, {
+            ...options,
+            onProgress: (progress) => {
+                self.postMessage({ type: 'progress', progress });
+            }
+        });
+        
+        self.postMessage({ type: 'done', result });
+    } catch (error) {
+        console.error('Error processing files in import worker:', error);
+        self.postMessage({ type: 'error', message: error.message });
+    }
+};
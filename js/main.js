@@ -5,6 +5,7 @@
 import * as dataManager from './dataManager.js';
 import * as creatureManager from './creatureManager.js';
 import * as statBlockRenderer from './statBlockRenderer.js';
+import { escapeHtml } from './tagEngine.js';
 
 // DOM Elements
 const statusMessage = document.getElementById('status-message');
@@ -92,15 +93,76 @@ function updateDataStatus(isLoaded) {
             });
             statusContainer.appendChild(refreshBtn);
         }
+        
+        // Create source manager button if it doesn't exist
+        if (!document.getElementById('manage-sources-btn')) {
+            const sourcesBtn = document.createElement('button');
+            sourcesBtn.id = 'manage-sources-btn';
+            sourcesBtn.className = 'secondary-btn';
+            sourcesBtn.textContent = 'Sources';
+            sourcesBtn.title = 'Manage the loaded sources';
+            sourcesBtn.addEventListener('click', () => {
+                showSourceManager();
+            });
+            statusContainer.appendChild(sourcesBtn);
+        }
+        
+        // Create add data button if it doesn't exist
+        if (!document.getElementById('add-data-btn')) {
+            const addDataInput = document.createElement('input');
+            addDataInput.type = 'file';
+            addDataInput.id = 'add-data-files';
+            addDataInput.className = 'file-input';
+            addDataInput.multiple = true;
+            addDataInput.accept = '.json,.xml,.zip,.webp,.png,.jpg,.jpeg,.gif';
+            addDataInput.addEventListener('change', async () => {
+                if (addDataInput.files.length > 0) {
+                    await addDataFiles(addDataInput.files);
+                    addDataInput.value = '';
+                }
+            });
+            
+            const addDataBtn = document.createElement('button');
+            addDataBtn.id = 'add-data-btn';
+            addDataBtn.className = 'secondary-btn';
+            addDataBtn.textContent = 'Add Data';
+            addDataBtn.title = 'Add more bestiary files to the existing data';
+            addDataBtn.addEventListener('click', () => {
+                addDataInput.click();
+            });
+            
+            statusContainer.appendChild(addDataBtn);
+            statusContainer.appendChild(addDataInput);
+        }
+        
+        // Create backup and restore buttons if they don't exist
+        if (!document.getElementById('backup-data-btn')) {
+            const backupBtn = document.createElement('button');
+            backupBtn.id = 'backup-data-btn';
+            backupBtn.className = 'secondary-btn';
+            backupBtn.textContent = 'Backup';
+            backupBtn.title = 'Download a backup of your creatures, favorites, filters and settings';
+            backupBtn.addEventListener('click', async () => {
+                const format = await showBackupDialog();
+                if (format) {
+                    await downloadBackup(format === 'zip');
+                }
+            });
+            
+            statusContainer.appendChild(backupBtn);
+            statusContainer.append(...createRestoreButton('restore-data-btn', 'restore-data-file'));
+        }
     } else {
         statusMessage.textContent = 'Data status: Not loaded';
         statusMessage.style.color = 'white';
         
-        // Remove refresh button if it exists
-        const refreshBtn = document.getElementById('refresh-data-btn');
-        if (refreshBtn) {
-            refreshBtn.remove();
-        }
+        // Remove refresh, source manager, add data and backup buttons if they exist
+        ['refresh-data-btn', 'manage-sources-btn', 'add-data-btn', 'add-data-files', 'backup-data-btn', 'restore-data-btn', 'restore-data-file'].forEach(id => {
+            const element = document.getElementById(id);
+            if (element) {
+                element.remove();
+            }
+        });
     }
 }
 
@@ -228,9 +290,11 @@ function showNotification(message, type = 'info', duration = 5000) {
     const notification = document.createElement('div');
     notification.className = `notification notification-${type}`;
     notification.innerHTML = `
-        <div class="notification-message">${message}</div>
+        <div class="notification-message"></div>
         <button class="notification-close">×</button>
     `;
+    // Messages can quote imported names and source IDs, so they are set as text
+    notification.querySelector('.notification-message').textContent = message;
     
     // Add to body
     document.body.appendChild(notification);
@@ -264,7 +328,7 @@ function renderUploadInterface() {
         <div class="upload-container">
             <h2>Upload Bestiary Files</h2>
             <p>Upload JSON files containing D&D 5e monster data.</p>
-            <p>You can find these files in the 5etools GitHub repository under "/data/bestiary" folder or use our sample files.</p>
+            <p>You can find these files in the 5etools GitHub repository under "/data/bestiary" folder or use our sample files. Upload the whole bestiary folder, or a zip of it, and its index.json picks out the bestiary files to load. Add books.json and adventures.json from the "/data" folder to show full source names, and the "/data/spells" folder to look up the spells creatures cast. Open5e monster JSON (a list of monsters or an API page with "results"), Fight Club 5e XML compendiums and Foundry VTT actor exports are also accepted.</p>
             
             <div class="action-buttons">
                 <button id="load-sample-data-btn" class="primary-btn">Load Sample Data</button>
@@ -275,14 +339,24 @@ function renderUploadInterface() {
             <div class="file-upload-area">
                 <label for="bestiary-files" class="upload-label">
                     <div class="upload-icon">📁</div>
-                    <span>Drag files here or click to browse</span>
+                    <span>Drag files or folders here or click to browse</span>
                 </label>
-                <input type="file" id="bestiary-files" multiple accept=".json" class="file-input" />
+                <input type="file" id="bestiary-files" multiple accept=".json,.xml,.zip,.webp,.png,.jpg,.jpeg,.gif" class="file-input" />
+                <label for="bestiary-folder" class="upload-folder-label">Choose a folder</label>
+                <input type="file" id="bestiary-folder" webkitdirectory multiple class="file-input" />
             </div>
             
+            <label class="validate-only-option">
+                <input type="checkbox" id="validate-only-checkbox" />
+                Validate only (check files for errors without importing them)
+            </label>
+            
+            <p class="restore-backup-option">Have a backup from this app? <span id="restore-backup-placeholder"></span></p>
+            
             <div class="upload-status hidden">
                 <div class="spinner"></div>
                 <p id="upload-status-message">Processing files...</p>
+                <button id="cancel-upload-btn" class="secondary-btn">Cancel</button>
             </div>
             
             <div class="upload-help">
@@ -291,6 +365,7 @@ function renderUploadInterface() {
                 <ol>
                     <li>Visit the <a href="https://github.com/5etools-mirror-3/5etools-2014-src/tree/master/data/bestiary" target="_blank">5etools GitHub repository</a></li>
                     <li>Download the JSON files in the bestiary folder (bestiary-mm.json, bestiary-phb.json, etc.)</li>
+                    <li>Include template.json from the same folder if your creatures use templates</li>
                     <li>Upload those files here</li>
                 </ol>
                 
@@ -317,6 +392,10 @@ function renderUploadInterface() {
         </div>
     `;
     
+    // Set up the "Restore Backup" button
+    const restorePlaceholder = document.getElementById('restore-backup-placeholder');
+    restorePlaceholder.replaceWith(...createRestoreButton('restore-backup-btn', 'restore-backup-file'));
+    
     // Set up the "Load Sample Data" button
     const loadSampleDataBtn = document.getElementById('load-sample-data-btn');
     loadSampleDataBtn.addEventListener('click', async () => {
@@ -335,7 +414,7 @@ function renderUploadInterface() {
             
             // Show success notification
             showNotification(
-                `Successfully loaded ${result.creatures} creatures from sample data!`,
+                `Successfully loaded ${result.creatures} creatures from sample data!${describeCopyResolution(result.copyResolution)}`,
                 'success'
             );
             
@@ -364,35 +443,85 @@ function renderUploadInterface() {
     
     // Set up the file upload event handlers
     const fileInput = document.getElementById('bestiary-files');
+    const folderInput = document.getElementById('bestiary-folder');
     const uploadArea = document.querySelector('.file-upload-area');
     const uploadStatus = document.querySelector('.upload-status');
     const uploadStatusMessage = document.getElementById('upload-status-message');
     
-    fileInput.addEventListener('change', async (event) => {
-        if (fileInput.files.length > 0) {
+    const cancelUploadBtn = document.getElementById('cancel-upload-btn');
+    const validateOnlyCheckbox = document.getElementById('validate-only-checkbox');
+    let uploadController = null;
+    
+    cancelUploadBtn.addEventListener('click', () => {
+        if (uploadController) {
+            uploadController.abort();
+        }
+    });
+    
+    const resetFileInputs = () => {
+        fileInput.value = '';
+        folderInput.value = '';
+    };
+    
+    const uploadFiles = async (files) => {
+        if (files.length > 0) {
             try {
                 uploadStatus.classList.remove('hidden');
-                uploadStatusMessage.textContent = `Processing ${fileInput.files.length} files...`;
+                uploadStatusMessage.textContent = `Processing ${files.length} files...`;
+                cancelUploadBtn.disabled = false;
                 appState.isLoading = true;
+                uploadController = new AbortController();
                 
-                const result = await dataManager.handleFileUpload(fileInput.files);
+                const result = await dataManager.handleFileUpload(files, {
+                    signal: uploadController.signal,
+                    validateOnly: validateOnlyCheckbox.checked,
+                    onProgress: (progress) => {
+                        uploadStatusMessage.textContent = describeImportProgress(progress);
+                        // Saving happens in one transaction and can't be cancelled
+                        cancelUploadBtn.disabled = progress.phase === 'saving';
+                    }
+                });
+                
+                if (result.validateOnly) {
+                    const { summary } = result.report;
+                    uploadStatus.classList.add('hidden');
+                    resetFileInputs();
+                    showNotification(
+                        `Validation finished: ${summary.errors} errors and ${summary.warnings} warnings in ${summary.files} files. Nothing was imported.`,
+                        summary.errors > 0 ? 'warning' : 'success'
+                    );
+                    renderImportReport(result.report, 'Validation report');
+                    appState.isLoading = false;
+                    return;
+                }
                 
                 // Update status and interface
                 updateDataStatus(true);
                 
                 // Show success notification with stats
+                const templateText = result.templates > 0 ? ` and ${result.templates} templates` : '';
                 showNotification(
-                    `Successfully loaded ${result.creatures} creatures from ${result.stats.validFiles} files!`,
+                    `Successfully loaded ${result.creatures} creatures${templateText} from ${result.stats.validFiles} files!${describeLoreAndSpells(result)}${describeCopyResolution(result.copyResolution)}`,
                     'success'
                 );
                 
                 // Render the app interface with the loaded data
-                renderAppInterface();
+                await renderAppInterface();
+                renderImportReport(result.report);
                 
                 appState.isLoading = false;
             } catch (error) {
+                if (error.name === 'AbortError') {
+                    uploadStatus.classList.add('hidden');
+                    resetFileInputs();
+                    showNotification('Import cancelled. No data was changed.', 'info');
+                    appState.isLoading = false;
+                    return;
+                }
+                
                 console.error('Error uploading files:', error);
                 uploadStatusMessage.textContent = `Error: ${error.message}`;
+                cancelUploadBtn.disabled = true;
                 
                 // Show error notification
                 showNotification(
@@ -401,8 +530,18 @@ function renderUploadInterface() {
                 );
                 
                 appState.isLoading = false;
+            } finally {
+                uploadController = null;
             }
         }
+    };
+    
+    fileInput.addEventListener('change', () => {
+        uploadFiles(fileInput.files);
+    });
+    
+    folderInput.addEventListener('change', () => {
+        uploadFiles(folderInput.files);
     });
     
     // Add drag and drop support
@@ -419,15 +558,664 @@ function renderUploadInterface() {
         event.preventDefault();
         uploadArea.classList.remove('drag-over');
         
-        if (event.dataTransfer.files.length > 0) {
-            fileInput.files = event.dataTransfer.files;
-            // Trigger the change event
-            const changeEvent = new Event('change');
-            fileInput.dispatchEvent(changeEvent);
+        const files = await getDroppedFiles(event.dataTransfer);
+        await uploadFiles(files);
+    });
+}
+
+/**
+ * Collect the files dropped on the upload area, including everything inside dropped folders
+ * @param {DataTransfer} dataTransfer - The drop event's data
+ * @returns {Promise<Array<File>>} The files; files from folders are named by their path, such as "bestiary/index.json"
+ */
+async function getDroppedFiles(dataTransfer) {
+    // Entries must be taken from the drop event before anything is awaited
+    const entries = Array.from(dataTransfer.items || [])
+        .map(item => item.webkitGetAsEntry ? item.webkitGetAsEntry() : null)
+        .filter(Boolean);
+    
+    if (entries.length === 0) {
+        return Array.from(dataTransfer.files);
+    }
+    
+    const files = [];
+    for (const entry of entries) {
+        await readDroppedEntry(entry, files);
+    }
+    return files;
+}
+
+/**
+ * Read a dropped file, or every file inside a dropped folder
+ * @param {FileSystemEntry} entry - The dropped file or folder
+ * @param {Array<File>} files - The list the files are added to
+ */
+async function readDroppedEntry(entry, files) {
+    if (entry.isFile) {
+        const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+        const path = entry.fullPath.replace(/^\//, '');
+        files.push(path === file.name ? file : new File([file], path));
+        return;
+    }
+    
+    if (entry.isDirectory) {
+        // readEntries returns a folder's contents in batches, ending with an empty one
+        const reader = entry.createReader();
+        let batch;
+        do {
+            batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+            for (const child of batch) {
+                await readDroppedEntry(child, files);
+            }
+        } while (batch.length > 0);
+    }
+}
+
+/**
+ * Add uploaded files to the existing data instead of replacing it
+ * @param {FileList} files - The files to add
+ */
+async function addDataFiles(files) {
+    if (appState.isLoading) return;
+    
+    appState.isLoading = true;
+    statusMessage.textContent = `Data status: Adding ${files.length} files...`;
+    
+    // Let the user cancel the import from the header while it runs
+    const controller = new AbortController();
+    const cancelBtn = document.createElement('button');
+    cancelBtn.id = 'cancel-import-btn';
+    cancelBtn.className = 'secondary-btn';
+    cancelBtn.textContent = 'Cancel';
+    cancelBtn.addEventListener('click', () => {
+        controller.abort();
+    });
+    document.getElementById('data-status').appendChild(cancelBtn);
+    
+    try {
+        const result = await dataManager.handleFileUpload(files, {
+            mode: 'add',
+            resolveConflict: createConflictResolver(),
+            signal: controller.signal,
+            onProgress: (progress) => {
+                statusMessage.textContent = `Data status: ${describeImportProgress(progress)}`;
+                cancelBtn.disabled = progress.phase === 'saving';
+            }
+        });
+        const { merge } = result;
+        
+        const mergeParts = [`${merge.added} added`];
+        if (merge.overwritten > 0) mergeParts.push(`${merge.overwritten} overwritten`);
+        if (merge.keptBoth > 0) mergeParts.push(`${merge.keptBoth} kept as copies`);
+        if (merge.skipped > 0) mergeParts.push(`${merge.skipped} skipped`);
+        
+        showNotification(
+            `Added data from ${result.stats.validFiles} files: ${mergeParts.join(', ')}.${describeLoreAndSpells(result)}${describeCopyResolution(result.copyResolution)}`,
+            'success'
+        );
+        
+        // Refresh the interface with the merged data
+        updateDataStatus(true);
+        await creatureManager.initCreatureManager();
+        renderTabContent(appState.activeTab);
+        renderImportReport(result.report);
+    } catch (error) {
+        if (error.name === 'AbortError') {
+            showNotification('Import cancelled. No data was changed.', 'info');
+        } else {
+            console.error('Error adding files:', error);
+            showNotification(`Error adding files: ${error.message}`, 'error');
+        }
+        updateDataStatus(dataManager.getData().isLoaded);
+    } finally {
+        cancelBtn.remove();
+        appState.isLoading = false;
+    }
+}
+
+/**
+ * Create a conflict handler for merging creatures that asks the user about each ID collision
+ * @returns {Function} Resolves each conflict with 'skip', 'overwrite' or 'keepBoth'
+ */
+function createConflictResolver() {
+    // Remember the user's choice when they apply it to all remaining conflicts
+    let rememberedAction = null;
+    
+    return async (conflict) => {
+        if (rememberedAction) {
+            return rememberedAction;
+        }
+        
+        const { action, applyToAll } = await showImportConflictDialog(conflict);
+        if (applyToAll) {
+            rememberedAction = action;
+        }
+        return action;
+    };
+}
+
+/**
+ * Ask the user which format to download a backup in
+ * @returns {Promise<string|null>} Resolves with 'zip' or 'json', or null if cancelled
+ */
+function showBackupDialog() {
+    return new Promise(resolve => {
+        const dialogOverlay = document.createElement('div');
+        dialogOverlay.className = 'dialog-overlay';
+        
+        const dialog = document.createElement('div');
+        dialog.className = 'quantity-dialog';
+        dialog.innerHTML = `
+            <h3>Download Backup</h3>
+            <p>The backup holds your creatures, templates, source settings, favorites and saved filters.</p>
+            <div class="export-format-options">
+                <label class="export-format-option">
+                    <input type="radio" name="backup-format" value="zip" checked>
+                    <span class="export-format-label">Compressed (.zip)</span>
+                    <span class="export-format-description">A much smaller file, best for large bestiaries.</span>
+                </label>
+                <label class="export-format-option">
+                    <input type="radio" name="backup-format" value="json">
+                    <span class="export-format-label">JSON</span>
+                    <span class="export-format-description">Plain JSON you can read or edit.</span>
+                </label>
+            </div>
+            <div class="dialog-buttons">
+                <button class="cancel-btn">Cancel</button>
+                <button class="confirm-btn">Download</button>
+            </div>
+        `;
+        
+        dialogOverlay.appendChild(dialog);
+        document.body.appendChild(dialogOverlay);
+        
+        const close = (format) => {
+            document.body.removeChild(dialogOverlay);
+            resolve(format);
+        };
+        
+        dialog.querySelector('.cancel-btn').addEventListener('click', () => close(null));
+        dialog.querySelector('.confirm-btn').addEventListener('click', () => {
+            close(dialog.querySelector('input[name="backup-format"]:checked').value);
+        });
+    });
+}
+
+/**
+ * Download a backup of all application data
+ * @param {boolean} compress - Download the backup as a zip archive instead of plain JSON
+ */
+async function downloadBackup(compress = false) {
+    try {
+        const { url, filename } = await dataManager.exportData({ compress });
+        
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+        
+        showNotification('Backup downloaded.', 'success');
+    } catch (error) {
+        console.error('Error creating backup:', error);
+        showNotification(`Error creating backup: ${error.message}`, 'error');
+    }
+}
+
+/**
+ * Create a "Restore Backup" button with its hidden file input
+ * @param {string} buttonId - The button's ID
+ * @param {string} inputId - The file input's ID
+ * @returns {Array<HTMLElement>} The button and its file input, to be inserted together
+ */
+function createRestoreButton(buttonId, inputId) {
+    const restoreInput = document.createElement('input');
+    restoreInput.type = 'file';
+    restoreInput.id = inputId;
+    restoreInput.className = 'file-input';
+    restoreInput.accept = '.json,.zip';
+    restoreInput.addEventListener('change', async () => {
+        if (restoreInput.files.length > 0) {
+            await restoreBackupFile(restoreInput.files[0]);
+            restoreInput.value = '';
+        }
+    });
+    
+    const restoreBtn = document.createElement('button');
+    restoreBtn.id = buttonId;
+    restoreBtn.className = 'secondary-btn';
+    restoreBtn.textContent = 'Restore Backup';
+    restoreBtn.title = 'Restore a backup, or merge it into your current data';
+    restoreBtn.addEventListener('click', () => {
+        restoreInput.click();
+    });
+    
+    return [restoreBtn, restoreInput];
+}
+
+/**
+ * Read a backup file, show what it contains and restore it the way the user chooses
+ * @param {File} file - The backup file
+ */
+async function restoreBackupFile(file) {
+    if (appState.isLoading) return;
+    
+    let preview;
+    try {
+        preview = await dataManager.readBackup(file);
+    } catch (error) {
+        console.error('Error reading backup:', error);
+        showNotification(`Can't restore ${file.name}: ${error.message}`, 'error');
+        return;
+    }
+    
+    const mode = await showRestoreDialog(preview);
+    if (!mode) return;
+    
+    appState.isLoading = true;
+    statusMessage.textContent = 'Data status: Restoring backup...';
+    
+    try {
+        const result = await dataManager.restoreBackup(preview.backup, {
+            mode: mode,
+            resolveConflict: createConflictResolver()
+        });
+        
+        let message = `Restored ${result.creatures} creatures`;
+        if (result.merge) {
+            message = `Merged backup: ${result.merge.added} creatures added`;
+            if (result.merge.overwritten > 0) message += `, ${result.merge.overwritten} overwritten`;
+            if (result.merge.keptBoth > 0) message += `, ${result.merge.keptBoth} kept as copies`;
+            if (result.merge.skipped > 0) message += `, ${result.merge.skipped} skipped`;
+        }
+        if (result.restoredSections.length > 0) {
+            message += ` and ${result.restoredSections.join(', ').toLowerCase()}`;
         }
+        showNotification(`${message}.`, 'success');
+        
+        const isLoaded = dataManager.getData().isLoaded;
+        updateDataStatus(isLoaded);
+        if (isLoaded) {
+            await renderAppInterface();
+        } else {
+            renderUploadInterface();
+        }
+    } catch (error) {
+        console.error('Error restoring backup:', error);
+        showNotification(`Error restoring backup: ${error.message}`, 'error');
+        updateDataStatus(dataManager.getData().isLoaded);
+    } finally {
+        appState.isLoading = false;
+    }
+}
+
+/**
+ * Show what a backup contains and ask whether to merge it into the current data or replace it
+ * @param {Object} preview - The preview from dataManager.readBackup
+ * @returns {Promise<string|null>} Resolves with 'merge' or 'replace', or null if cancelled
+ */
+function showRestoreDialog(preview) {
+    return new Promise(resolve => {
+        const hasData = dataManager.getData().isLoaded;
+        const createdAt = preview.createdAt ? new Date(preview.createdAt).toLocaleString() : 'an unknown date';
+        
+        const dialogOverlay = document.createElement('div');
+        dialogOverlay.className = 'dialog-overlay';
+        
+        const dialog = document.createElement('div');
+        dialog.className = 'quantity-dialog restore-dialog';
+        dialog.innerHTML = `
+            <h3>Restore Backup</h3>
+            <p>Backup from ${createdAt}${preview.upgradedFrom ? ` (made by an older version of the app and upgraded from backup version ${preview.upgradedFrom})` : ''}.</p>
+            <table class="source-table">
+                <thead>
+                    <tr>
+                        <th>Contents</th>
+                        <th>Items</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${preview.sections.map(section => `
+                        <tr>
+                            <td>${section.label}</td>
+                            <td>${section.count}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+            ${preview.warnings.length > 0 ? `
+                <ul class="restore-warnings">
+                    ${preview.warnings.map(warning => `<li>${escapeHtml(warning)}</li>`).join('')}
+                </ul>
+            ` : ''}
+            <div class="export-format-options">
+                <label class="export-format-option">
+                    <input type="radio" name="restore-mode" value="merge" ${hasData ? 'checked' : 'disabled'}>
+                    <span class="export-format-label">Merge</span>
+                    <span class="export-format-description">Add the backup to your current data. You choose what happens to creatures that already exist, and your current filters are kept.</span>
+                </label>
+                <label class="export-format-option">
+                    <input type="radio" name="restore-mode" value="replace" ${hasData ? '' : 'checked'}>
+                    <span class="export-format-label">Replace</span>
+                    <span class="export-format-description">Clear your current data and use the backup's creatures, favorites, filters and settings instead.</span>
+                </label>
+            </div>
+            <div class="dialog-buttons">
+                <button class="cancel-btn">Cancel</button>
+                <button class="confirm-btn">Restore</button>
+            </div>
+        `;
+        
+        dialogOverlay.appendChild(dialog);
+        document.body.appendChild(dialogOverlay);
+        
+        const close = (mode) => {
+            document.body.removeChild(dialogOverlay);
+            resolve(mode);
+        };
+        
+        dialog.querySelector('.cancel-btn').addEventListener('click', () => close(null));
+        dialog.querySelector('.confirm-btn').addEventListener('click', () => {
+            const mode = dialog.querySelector('input[name="restore-mode"]:checked').value;
+            if (mode === 'replace' && hasData && !confirm('This will replace all your current data with the backup. Are you sure?')) {
+                return;
+            }
+            close(mode);
+        });
+    });
+}
+
+/**
+ * Ask the user how to handle an uploaded creature whose ID already exists
+ * @param {Object} conflict - The conflicting creatures ({existing, incoming})
+ * @returns {Promise<Object>} Resolves with the chosen action and whether to apply it to all conflicts
+ */
+function showImportConflictDialog(conflict) {
+    return new Promise(resolve => {
+        const { existing, incoming } = conflict;
+        
+        const dialogOverlay = document.createElement('div');
+        dialogOverlay.className = 'dialog-overlay';
+        
+        const dialog = document.createElement('div');
+        dialog.className = 'quantity-dialog import-conflict-dialog';
+        dialog.innerHTML = `
+            <h3>Creature Already Exists</h3>
+            <p><strong>${escapeHtml(incoming.name)}</strong> (${escapeHtml(incoming.source)}) has the same ID as <strong>${escapeHtml(existing.name)}</strong> (${escapeHtml(existing.source)}) in your existing data.</p>
+            <label class="apply-to-all">
+                <input type="checkbox" class="apply-to-all-checkbox">
+                Apply to all remaining conflicts
+            </label>
+            <div class="dialog-buttons">
+                <button class="secondary-btn" data-action="skip">Skip</button>
+                <button class="secondary-btn" data-action="keepBoth">Keep Both</button>
+                <button class="primary-btn" data-action="overwrite">Overwrite</button>
+            </div>
+        `;
+        
+        dialogOverlay.appendChild(dialog);
+        document.body.appendChild(dialogOverlay);
+        
+        dialog.querySelectorAll('[data-action]').forEach(button => {
+            button.addEventListener('click', () => {
+                const applyToAll = dialog.querySelector('.apply-to-all-checkbox').checked;
+                document.body.removeChild(dialogOverlay);
+                resolve({ action: button.getAttribute('data-action'), applyToAll });
+            });
+        });
     });
 }
 
+/**
+ * Show the source manager, listing each loaded source with its creature count and import date
+ */
+async function showSourceManager() {
+    const dialogOverlay = document.createElement('div');
+    dialogOverlay.className = 'dialog-overlay';
+    
+    const dialog = document.createElement('div');
+    dialog.className = 'quantity-dialog source-manager-dialog';
+    
+    dialogOverlay.appendChild(dialog);
+    document.body.appendChild(dialogOverlay);
+    
+    const closeDialog = () => {
+        document.body.removeChild(dialogOverlay);
+    };
+    
+    const renderSources = async () => {
+        const sources = await dataManager.getSources();
+        
+        dialog.innerHTML = `
+            <h3>Sources</h3>
+            <p>Switch a source off to hide its creatures from search, or delete it to remove its creatures from your data.</p>
+            <table class="source-table">
+                <thead>
+                    <tr>
+                        <th>Source</th>
+                        <th>Type</th>
+                        <th>Creatures</th>
+                        <th>Imported</th>
+                        <th>Search</th>
+                        <th></th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${sources.map(source => `
+                        <tr data-source="${escapeHtml(source.source)}">
+                            <td>${escapeHtml(source.name !== source.source ? `${source.name} (${source.source})` : source.source)}</td>
+                            <td>${source.official ? 'Official' : 'Homebrew / third-party'}</td>
+                            <td>${source.creatureCount}</td>
+                            <td>${source.importedAt ? new Date(source.importedAt).toLocaleDateString() : 'Unknown'}</td>
+                            <td><input type="checkbox" class="source-enabled-checkbox" ${source.enabled ? 'checked' : ''}></td>
+                            <td><button class="action-btn delete-source-btn">Delete</button></td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+            <div class="dialog-buttons">
+                <button class="primary-btn close-sources-btn">Close</button>
+            </div>
+        `;
+        
+        dialog.querySelector('.close-sources-btn').addEventListener('click', closeDialog);
+        
+        dialog.querySelectorAll('tr[data-source]').forEach(row => {
+            const source = row.getAttribute('data-source');
+            
+            row.querySelector('.source-enabled-checkbox').addEventListener('change', async (event) => {
+                await dataManager.setSourceEnabled(source, event.target.checked);
+                renderTabContent(appState.activeTab);
+            });
+            
+            row.querySelector('.delete-source-btn').addEventListener('click', async () => {
+                if (!confirm(`This will delete all creatures from ${source}. Are you sure?`)) {
+                    return;
+                }
+                
+                try {
+                    const deletedCount = await dataManager.deleteSource(source);
+                    showNotification(`Deleted ${deletedCount} creatures from ${source}.`, 'success');
+                    
+                    if (!dataManager.getData().isLoaded) {
+                        // Nothing left to manage, so go back to the upload screen
+                        closeDialog();
+                        navTabs.classList.add('hidden');
+                        tabContent.classList.add('hidden');
+                        updateDataStatus(false);
+                        renderUploadInterface();
+                        return;
+                    }
+                    
+                    await creatureManager.initCreatureManager();
+                    renderTabContent(appState.activeTab);
+                    await renderSources();
+                } catch (error) {
+                    console.error('Error deleting source:', error);
+                    showNotification(`Error deleting ${source}: ${error.message}`, 'error');
+                }
+            });
+        });
+    };
+    
+    await renderSources();
+}
+
+/**
+ * Describe an import progress update for the status message
+ * @param {Object} progress - Progress from handleFileUpload ({phase, fileIndex, fileCount, fileName, monstersProcessed})
+ * @returns {string} The progress message
+ */
+function describeImportProgress(progress) {
+    switch (progress.phase) {
+        case 'reading':
+            return `Reading file ${progress.fileIndex} of ${progress.fileCount}: ${progress.fileName}`;
+        case 'resolving':
+            return 'Resolving _copy references...';
+        case 'processing':
+            return `Processing file ${progress.fileIndex} of ${progress.fileCount}: ${progress.fileName} (${progress.monstersProcessed} monsters processed)`;
+        case 'saving':
+            return `Saving ${progress.monstersProcessed} creatures...`;
+        default:
+            return `Processed ${progress.monstersProcessed} monsters`;
+    }
+}
+
+/**
+ * Render the import report as a collapsible panel above the app
+ * @param {Object} report - The import report from the upload result
+ * @param {string} title - Panel title (defaults to "Import report")
+ */
+function renderImportReport(report, title = 'Import report') {
+    const existingPanel = document.getElementById('import-report');
+    if (existingPanel) {
+        existingPanel.remove();
+    }
+    
+    const { summary } = report;
+    const skippedFilesText = summary.skippedFiles > 0 ? `, ${summary.skippedFiles} files skipped` : '';
+    const diagnosticsText = summary.errors + summary.warnings > 0
+        ? ` (${summary.errors} validation errors, ${summary.warnings} warnings)`
+        : '';
+    
+    const panel = document.createElement('details');
+    panel.id = 'import-report';
+    panel.className = 'import-report';
+    panel.innerHTML = `
+        <summary>${title}: ${summary.imported} imported, ${summary.partial} partially parsed, ${summary.skipped} skipped${skippedFilesText}${diagnosticsText}</summary>
+        <div class="import-report-actions">
+            <button class="secondary-btn download-report-btn">Download JSON</button>
+            <button class="secondary-btn dismiss-report-btn">Dismiss</button>
+        </div>
+        ${report.files.map(fileReport => {
+            const counts = { imported: 0, partial: 0, skipped: 0 };
+            fileReport.monsters.forEach(entry => counts[entry.status]++);
+            
+            return `
+                <details class="import-report-file">
+                    <summary>
+                        ${escapeHtml(fileReport.fileName)}:
+                        ${fileReport.status === 'skipped'
+                            ? 'file skipped'
+                            : `${counts.imported} imported, ${counts.partial} partial, ${counts.skipped} skipped`}
+                    </summary>
+                    ${fileReport.reason ? `<p class="import-report-reason">${escapeHtml(fileReport.reason)}</p>` : ''}
+                    <ul class="import-report-monsters">
+                        ${fileReport.monsters.map(entry => `
+                            <li class="import-report-entry import-report-${entry.status}">
+                                <span class="import-report-status">${entry.status}</span>
+                                <strong>${escapeHtml(entry.name || '(unnamed)')}</strong>
+                                <code>${escapeHtml(entry.path)}</code>
+                                ${entry.reason ? `<span class="import-report-reason">${escapeHtml(entry.reason)}</span>` : ''}
+                                ${entry.status === 'partial' ? `
+                                    <ul class="import-report-issues">
+                                        ${entry.issues.map(issue => `<li><code>${escapeHtml(issue.path)}</code> ${escapeHtml(issue.message)}</li>`).join('')}
+                                    </ul>
+                                ` : ''}
+                                ${entry.errors.length + entry.warnings.length > 0 ? `
+                                    <ul class="import-report-diagnostics">
+                                        ${[
+                                            ...entry.errors.map(diagnostic => ({ ...diagnostic, level: 'error' })),
+                                            ...entry.warnings.map(diagnostic => ({ ...diagnostic, level: 'warning' }))
+                                        ].map(diagnostic => `
+                                            <li class="import-report-${diagnostic.level}">
+                                                <span class="import-report-level">${diagnostic.level}</span>
+                                                <code>${escapeHtml(diagnostic.path)}</code> ${escapeHtml(diagnostic.message)}
+                                                ${diagnostic.suggestion ? `<span class="import-report-suggestion">${escapeHtml(diagnostic.suggestion)}</span>` : ''}
+                                            </li>
+                                        `).join('')}
+                                    </ul>
+                                ` : ''}
+                            </li>
+                        `).join('')}
+                    </ul>
+                </details>
+            `;
+        }).join('')}
+    `;
+    
+    appContainer.appendChild(panel);
+    
+    panel.querySelector('.download-report-btn').addEventListener('click', () => {
+        const { url, filename } = dataManager.exportImportReport(report);
+        
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+    });
+    
+    panel.querySelector('.dismiss-report-btn').addEventListener('click', () => {
+        panel.remove();
+    });
+}
+
+/**
+ * Describe the creature lore, images and spells stored by an upload for the upload notification
+ * @param {Object} result - The upload result
+ * @returns {string} Message suffix, or an empty string if the upload had no lore, images or spells
+ */
+function describeLoreAndSpells(result) {
+    const parts = [];
+    if (result.fluff > 0) parts.push(`lore for ${result.fluff} creatures`);
+    if (result.images > 0) parts.push(`${result.images} images`);
+    if (result.spells > 0) parts.push(`${result.spells} spells`);
+    
+    if (parts.length === 0) return '';
+    
+    const last = parts.pop();
+    return ` Stored ${parts.length > 0 ? `${parts.join(', ')} and ${last}` : last}.`;
+}
+
+/**
+ * Describe creatures skipped during _copy resolution for the upload notification
+ * @param {Object} copyResolution - The copy resolution summary from the upload result
+ * @returns {string} Message suffix, or an empty string if every copy resolved
+ */
+function describeCopyResolution(copyResolution) {
+    if (!copyResolution || copyResolution.unresolved.length === 0) {
+        return '';
+    }
+    
+    let message = ` ${copyResolution.unresolved.length} copied creatures were skipped.`;
+    
+    if (copyResolution.missingBases.length > 0) {
+        message += ` Missing base creatures: ${copyResolution.missingBases.join(', ')}.`;
+    }
+    
+    if (copyResolution.cycles.length > 0) {
+        const cycleNames = copyResolution.cycles.map(cycle => cycle.map(monster => monster.name).join(' → '));
+        message += ` Circular _copy references: ${cycleNames.join('; ')}.`;
+    }
+    
+    return message;
+}
+
 /**
  * Render the main application interface
  */
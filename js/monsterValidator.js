@@ -0,0 +1,869 @@
+/**
+ * D&D 5e Summons Assistant
+ * Monster Validator Module
+ * Checks monsters against the 5etools bestiary schema and reports errors and warnings
+ * with JSON paths and suggested fixes
+ */
+
+const SIZES = ['T', 'S', 'M', 'L', 'H', 'G'];
+
+const CREATURE_TYPES = [
+    'aberration', 'beast', 'celestial', 'construct', 'dragon', 'elemental', 'fey',
+    'fiend', 'giant', 'humanoid', 'monstrosity', 'ooze', 'plant', 'undead'
+];
+
+const ABILITIES = ['str', 'dex', 'con', 'int', 'wis', 'cha'];
+
+const SPEED_TYPES = ['walk', 'fly', 'swim', 'climb', 'burrow'];
+const SPEED_KEYS = [...SPEED_TYPES, 'canHover', 'choose', 'alternate', 'hidden'];
+
+const HP_KEYS = ['average', 'formula', 'special'];
+const AC_KEYS = ['ac', 'from', 'condition', 'braces', 'special'];
+
+// Statblock sections made of named entries ({name, entries})
+const ENTRY_SECTIONS = ['trait', 'action', 'bonus', 'reaction', 'legendary', 'mythic'];
+
+// Top-level monster properties used by 5etools bestiary files
+const KNOWN_PROPERTIES = [
+    'name', 'shortName', 'alias', 'group', 'source', 'page', 'srd', 'srd52', 'basicRules', 'basicRules2024',
+    'otherSources', 'reprintedAs', 'isNpc', 'isNamedCreature', 'familiar', 'level', 'summonedBySpell',
+    'summonedBySpellLevel', 'summonedByClass', 'size', 'sizeNote', 'type', 'alignment', 'alignmentPrefix',
+    'ac', 'hp', 'speed', 'initiative', 'str', 'dex', 'con', 'int', 'wis', 'cha', 'save', 'skill', 'tool',
+    'gear', 'senses', 'passive', 'resist', 'immune', 'vulnerable', 'conditionImmune', 'languages', 'cr', 'pbNote',
+    'spellcasting', 'trait', 'actionNote', 'actionHeader', 'action', 'bonusNote', 'bonusHeader', 'bonus',
+    'reactionNote', 'reactionHeader', 'reaction', 'legendaryGroup', 'legendaryActions', 'legendaryActionsLair',
+    'legendaryHeader', 'legendary', 'mythicHeader', 'mythic', 'variant', 'environment', 'treasure',
+    'soundClip', 'dragonCastingColor', 'dragonAge', 'traitTags', 'actionTags', 'languageTags', 'senseTags',
+    'spellcastingTags', 'damageTags', 'damageTagsSpell', 'damageTagsLegendary', 'miscTags', 'conditionInflict',
+    'conditionInflictLegendary', 'conditionInflictSpell', 'savingThrowForced', 'savingThrowForcedLegendary',
+    'savingThrowForcedSpell', 'attachedItems', 'hasToken', 'hasFluff', 'hasFluffImages', 'token', 'tokenUrl',
+    'foundryImg', 'fluff', 'altArt', 'isTokenUnavailable', 'tokenCredit', 'tokenCustom', 'footer',
+    'customHitDieTypes'
+];
+
+// Inline tags understood by 5etools ({@tag ...})
+const KNOWN_TAGS = [
+    'atk', 'atkr', 'hit', 'h', 'hom', 'm', 'damage', 'dice', 'autodice', 'd20', 'dc', 'dcYourSpellSave',
+    'hitYourSpellAttack', 'recharge', 'chance', 'coinflip', 'scaledice', 'scaledamage', 'ability', 'savingThrow',
+    'skillCheck', 'actSave', 'actSaveSuccess', 'actSaveFail', 'actSaveFailBy', 'actSaveSuccessOrFail', 'actTrigger',
+    'actResponse', 'spell', 'creature', 'condition', 'disease', 'status', 'item', 'itemProperty', 'itemMastery',
+    'skill', 'sense', 'action', 'hazard', 'trap', 'object', 'vehicle', 'vehupgrade', 'reward', 'race', 'class',
+    'subclass', 'classFeature', 'subclassFeature', 'feat', 'background', 'deity', 'language', 'optfeature',
+    'psionic', 'cult', 'boon', 'charoption', 'card', 'deck', 'legroup', 'table', 'variantrule', 'quickref',
+    'book', 'adventure', 'filter', 'link', '5etools', 'footnote', 'homebrew', 'area', 'note', 'tip', 'cite',
+    'i', 'italic', 'b', 'bold', 's', 'strike', 'strikeDouble', 'u', 'underline', 'underlineDouble', 'sup',
+    'sub', 'kbd', 'code', 'style', 'font', 'color', 'highlight', 'help', 'loader', 'comic', 'comicH1',
+    'comicH2', 'comicH3', 'comicH4', 'comicNote'
+];
+
+const DICE_PATTERN = /^\s*(\d*d\d+|\d+)(\s*[+-]\s*(\d*d\d+|\d+))*\s*$/i;
+// Dice in tags may also add variables such as summonSpellLevel
+const TAG_DICE_PATTERN = /^\s*(\d*d\d+|\d+)(\s*[+-]\s*(\d*d\d+|\d+|[a-z]\w*))*\s*$/i;
+const BONUS_PATTERN = /^[+-]\d+$/;
+
+/**
+ * Validate a single monster
+ * Monsters that inherit from another creature via _copy only have the fields they present checked
+ * @param {Object} monster - The monster in 5etools format
+ * @param {string} path - JSON path of the monster within its file (e.g. monster[3])
+ * @returns {Object} {errors, warnings}, each an array of {path, message, suggestion}
+ */
+export function validateMonster(monster, path = 'monster') {
+    const result = { errors: [], warnings: [] };
+    
+    if (!monster || typeof monster !== 'object' || Array.isArray(monster)) {
+        addError(result, path, 'Monster must be an object');
+        return result;
+    }
+    
+    const isCopy = !!monster._copy;
+    
+    validateName(monster, path, result);
+    validateUnknownProperties(monster, path, result);
+    
+    if (monster.source === undefined) {
+        addWarning(result, `${path}.source`, 'Missing source', 'Add a "source" such as "MyHomebrew" so the creature gets a stable ID');
+    } else if (typeof monster.source !== 'string') {
+        addError(result, `${path}.source`, 'Source must be a string');
+    }
+    
+    validateRequired(monster, path, result, isCopy);
+    
+    if (monster.size !== undefined) validateSize(monster.size, `${path}.size`, result);
+    if (monster.type !== undefined) validateType(monster.type, `${path}.type`, result);
+    if (monster.ac !== undefined) validateAC(monster.ac, `${path}.ac`, result);
+    if (monster.hp !== undefined) validateHP(monster.hp, `${path}.hp`, result);
+    if (monster.speed !== undefined) validateSpeed(monster.speed, `${path}.speed`, result);
+    if (monster.cr !== undefined) validateCR(monster.cr, `${path}.cr`, result);
+    
+    ABILITIES.forEach(ability => {
+        if (monster[ability] !== undefined) {
+            validateAbilityScore(monster[ability], `${path}.${ability}`, result);
+        }
+    });
+    
+    ['save', 'skill'].forEach(property => {
+        if (monster[property] !== undefined) {
+            validateBonuses(monster[property], `${path}.${property}`, result);
+        }
+    });
+    
+    ['senses', 'languages'].forEach(property => {
+        if (monster[property] !== undefined && !Array.isArray(monster[property]) && monster[property] !== null) {
+            addWarning(result, `${path}.${property}`, `${property} should be an array of strings`,
+                typeof monster[property] === 'string' ? `Use ${JSON.stringify([monster[property]])}` : null);
+        }
+    });
+    
+    if (monster.passive !== undefined && typeof monster.passive !== 'number') {
+        addWarning(result, `${path}.passive`, 'Passive Perception should be a number',
+            !isNaN(parseInt(monster.passive)) ? `Use ${parseInt(monster.passive)}` : null);
+    }
+    
+    ENTRY_SECTIONS.forEach(section => {
+        if (monster[section] !== undefined && monster[section] !== null) {
+            validateEntrySection(monster[section], `${path}.${section}`, result);
+        }
+    });
+    
+    if (monster.spellcasting !== undefined) {
+        validateSpellcasting(monster.spellcasting, `${path}.spellcasting`, result);
+    }
+    
+    return result;
+}
+
+/**
+ * Validate every monster in a parsed bestiary file
+ * @param {Object} jsonData - The parsed file contents
+ * @param {Array<string>|null} paths - Path of each monster in the original file, for converted formats
+ * @returns {Object} Diagnostics keyed by monster path (e.g. monster[3]), each {errors, warnings}
+ */
+export function validateBestiaryFile(jsonData, paths = null) {
+    const diagnostics = {};
+    
+    if (!jsonData || !Array.isArray(jsonData.monster)) {
+        return diagnostics;
+    }
+    
+    jsonData.monster.forEach((monster, index) => {
+        const path = paths ? paths[index] : `monster[${index}]`;
+        diagnostics[path] = validateMonster(monster, path);
+    });
+    
+    return diagnostics;
+}
+
+/**
+ * Record an error
+ * @param {Object} result - The validation result
+ * @param {string} path - JSON path of the problem
+ * @param {string} message - What is wrong
+ * @param {string|null} suggestion - How to fix it
+ */
+function addError(result, path, message, suggestion = null) {
+    result.errors.push({ path, message, suggestion });
+}
+
+/**
+ * Record a warning
+ * @param {Object} result - The validation result
+ * @param {string} path - JSON path of the problem
+ * @param {string} message - What is wrong
+ * @param {string|null} suggestion - How to fix it
+ */
+function addWarning(result, path, message, suggestion = null) {
+    result.warnings.push({ path, message, suggestion });
+}
+
+/**
+ * Validate the monster name
+ * @param {Object} monster - The monster
+ * @param {string} path - JSON path of the monster
+ * @param {Object} result - The validation result
+ */
+function validateName(monster, path, result) {
+    if (monster.name === undefined) {
+        addError(result, `${path}.name`, 'Missing name', 'Add a "name" string');
+    } else if (typeof monster.name !== 'string' || monster.name.trim() === '') {
+        addError(result, `${path}.name`, 'Name must be a non-empty string');
+    }
+}
+
+/**
+ * Warn about top-level properties 5etools doesn't use, which are usually typos
+ * @param {Object} monster - The monster
+ * @param {string} path - JSON path of the monster
+ * @param {Object} result - The validation result
+ */
+function validateUnknownProperties(monster, path, result) {
+    for (const key of Object.keys(monster)) {
+        if (key.startsWith('_') || KNOWN_PROPERTIES.includes(key)) continue;
+        
+        addWarning(result, `${path}.${key}`, `Unknown property "${key}"`, suggestKey(key, KNOWN_PROPERTIES));
+    }
+}
+
+/**
+ * Check the properties every complete statblock needs
+ * @param {Object} monster - The monster
+ * @param {string} path - JSON path of the monster
+ * @param {Object} result - The validation result
+ * @param {boolean} isCopy - Whether the monster inherits missing properties through _copy
+ */
+function validateRequired(monster, path, result, isCopy) {
+    if (isCopy) return;
+    
+    ['size', 'type', 'ac', 'hp', 'speed'].forEach(property => {
+        if (monster[property] === undefined) {
+            addError(result, `${path}.${property}`, `Missing ${property}`);
+        }
+    });
+    
+    ABILITIES.forEach(ability => {
+        if (monster[ability] === undefined) {
+            addError(result, `${path}.${ability}`, `Missing ${ability.toUpperCase()} score`, `Add "${ability}": 10`);
+        }
+    });
+    
+    if (monster.cr === undefined && !monster.summonedBySpell && !monster.summonedByClass) {
+        addWarning(result, `${path}.cr`, 'Missing challenge rating; the creature will be treated as CR 0');
+    }
+}
+
+/**
+ * Validate the size
+ * @param {*} size - The size value
+ * @param {string} path - JSON path of the size
+ * @param {Object} result - The validation result
+ */
+function validateSize(size, path, result) {
+    if (typeof size === 'string') {
+        if (SIZES.includes(size)) {
+            addWarning(result, path, 'Size should be an array', `Use ${JSON.stringify([size])}`);
+        } else {
+            addError(result, path, `Invalid size "${size}"`, suggestSize(size));
+        }
+        return;
+    }
+    
+    if (!Array.isArray(size) || size.length === 0) {
+        addError(result, path, 'Size must be an array of size codes', 'Use ["M"]');
+        return;
+    }
+    
+    size.forEach((value, index) => {
+        if (!SIZES.includes(value)) {
+            addError(result, `${path}[${index}]`, `Invalid size "${value}"`, suggestSize(value));
+        }
+    });
+}
+
+/**
+ * Suggest a size code for a written-out or lower-case size
+ * @param {*} size - The invalid size
+ * @returns {string} The suggested fix
+ */
+function suggestSize(size) {
+    const code = typeof size === 'string' ? size.trim().charAt(0).toUpperCase() : '';
+    return SIZES.includes(code)
+        ? `Use ${JSON.stringify([code])}`
+        : `Use one of ${SIZES.join(', ')}`;
+}
+
+/**
+ * Validate the creature type
+ * @param {*} type - The type value
+ * @param {string} path - JSON path of the type
+ * @param {Object} result - The validation result
+ */
+function validateType(type, path, result) {
+    let typeName = type;
+    
+    if (typeof type === 'object' && type !== null && !Array.isArray(type)) {
+        if (type.type === undefined) {
+            addError(result, `${path}.type`, 'Type object is missing "type"', 'Use {"type": "beast"}');
+            return;
+        }
+        
+        if (type.tags !== undefined && !Array.isArray(type.tags)) {
+            addError(result, `${path}.tags`, 'Type tags must be an array');
+        }
+        
+        if (type.swarmSize !== undefined && !SIZES.includes(type.swarmSize)) {
+            addError(result, `${path}.swarmSize`, `Invalid swarm size "${type.swarmSize}"`, suggestSize(type.swarmSize));
+        }
+        
+        typeName = type.type;
+        
+        // {"choose": [...]} lets the user pick from several types
+        if (typeof typeName === 'object' && typeName !== null) {
+            if (!Array.isArray(typeName.choose)) {
+                addError(result, `${path}.type`, 'Type must be a string or {"choose": [...]}');
+            }
+            return;
+        }
+    }
+    
+    if (typeof typeName !== 'string') {
+        addError(result, path, 'Type must be a string or an object with a "type" property', 'Use "beast" or {"type": "beast"}');
+        return;
+    }
+    
+    if (!CREATURE_TYPES.includes(typeName.toLowerCase())) {
+        addWarning(result, typeof type === 'object' ? `${path}.type` : path,
+            `Unknown creature type "${typeName}"`, suggestValue(typeName.toLowerCase(), CREATURE_TYPES));
+    } else if (typeName !== typeName.toLowerCase()) {
+        addWarning(result, typeof type === 'object' ? `${path}.type` : path,
+            'Creature types are lower-case', `Use "${typeName.toLowerCase()}"`);
+    }
+}
+
+/**
+ * Validate the armor class
+ * @param {*} ac - The AC value
+ * @param {string} path - JSON path of the AC
+ * @param {Object} result - The validation result
+ */
+function validateAC(ac, path, result) {
+    if (typeof ac === 'number') {
+        addWarning(result, path, 'AC should be an array', `Use [${ac}]`);
+        return;
+    }
+    
+    if (typeof ac === 'string') {
+        const value = parseInt(ac);
+        addError(result, path, 'AC must be an array of numbers or {"ac": number} objects',
+            isNaN(value) ? 'Use [{"special": "..."}] for a calculated AC' : `Use [${value}]`);
+        return;
+    }
+    
+    if (!Array.isArray(ac) || ac.length === 0) {
+        addError(result, path, 'AC must be a non-empty array', 'Use [12]');
+        return;
+    }
+    
+    ac.forEach((entry, index) => {
+        const entryPath = `${path}[${index}]`;
+        
+        if (typeof entry === 'number') return;
+        
+        if (typeof entry !== 'object' || entry === null) {
+            addError(result, entryPath, 'AC entries must be numbers or objects',
+                !isNaN(parseInt(entry)) ? `Use ${parseInt(entry)}` : null);
+            return;
+        }
+        
+        for (const key of Object.keys(entry)) {
+            if (!AC_KEYS.includes(key)) {
+                addWarning(result, `${entryPath}.${key}`, `Unknown AC property "${key}"`, suggestKey(key, AC_KEYS));
+            }
+        }
+        
+        if (entry.ac === undefined && entry.special === undefined) {
+            addError(result, entryPath, 'AC object needs an "ac" number or a "special" string', 'Use {"ac": 12, "from": ["natural armor"]}');
+        } else if (entry.ac !== undefined && typeof entry.ac !== 'number') {
+            addError(result, `${entryPath}.ac`, 'AC must be a number',
+                !isNaN(parseInt(entry.ac)) ? `Use ${parseInt(entry.ac)}` : null);
+        }
+        
+        if (entry.from !== undefined && !Array.isArray(entry.from)) {
+            addError(result, `${entryPath}.from`, '"from" must be an array of strings',
+                typeof entry.from === 'string' ? `Use ${JSON.stringify([entry.from])}` : null);
+        }
+        
+        if (entry.from !== undefined && Array.isArray(entry.from)) {
+            entry.from.forEach((source, sourceIndex) => {
+                validateText(source, `${entryPath}.from[${sourceIndex}]`, result);
+            });
+        }
+    });
+}
+
+/**
+ * Validate the hit points
+ * @param {*} hp - The HP value
+ * @param {string} path - JSON path of the HP
+ * @param {Object} result - The validation result
+ */
+function validateHP(hp, path, result) {
+    if (typeof hp === 'number') {
+        addWarning(result, path, 'HP should be an object', `Use {"average": ${hp}}`);
+        return;
+    }
+    
+    if (typeof hp !== 'object' || hp === null || Array.isArray(hp)) {
+        addError(result, path, 'HP must be an object with "average" and "formula"', 'Use {"average": 11, "formula": "2d8 + 2"}');
+        return;
+    }
+    
+    const unknownKeys = Object.keys(hp).filter(key => !HP_KEYS.includes(key));
+    unknownKeys.forEach(key => {
+        addError(result, `${path}.${key}`, `Unknown HP property "${key}"`, suggestKey(key, HP_KEYS));
+    });
+    
+    if (hp.special !== undefined) {
+        if (typeof hp.special !== 'string') {
+            addError(result, `${path}.special`, 'HP "special" must be a string');
+        }
+        return;
+    }
+    
+    if (hp.average === undefined) {
+        addError(result, `${path}.average`, 'HP is missing "average"', 'Add "average" with the hit point value');
+    } else if (typeof hp.average !== 'number') {
+        addError(result, `${path}.average`, 'HP average must be a number',
+            !isNaN(parseInt(hp.average)) ? `Use ${parseInt(hp.average)}` : null);
+    }
+    
+    // A misspelled formula has already been reported as an unknown property
+    if (hp.formula === undefined && unknownKeys.length === 0) {
+        addWarning(result, `${path}.formula`, 'HP is missing "formula"', 'Add a dice formula such as "2d8 + 2"');
+    } else if (hp.formula !== undefined && (typeof hp.formula !== 'string' || !DICE_PATTERN.test(hp.formula))) {
+        addError(result, `${path}.formula`, `Invalid HP formula ${JSON.stringify(hp.formula)}`, 'Use a dice formula such as "2d8 + 2"');
+    }
+}
+
+/**
+ * Validate the speed
+ * @param {*} speed - The speed value
+ * @param {string} path - JSON path of the speed
+ * @param {Object} result - The validation result
+ */
+function validateSpeed(speed, path, result) {
+    if (typeof speed === 'number') {
+        addError(result, path, 'Speed must be an object of movement types', `Use {"walk": ${speed}}`);
+        return;
+    }
+    
+    if (typeof speed === 'string') {
+        const suggestion = suggestSpeed(speed);
+        addError(result, path, 'Speed must be an object of movement types, not a string',
+            suggestion ? `Use ${JSON.stringify(suggestion)}` : 'Use {"walk": 30}');
+        return;
+    }
+    
+    if (typeof speed !== 'object' || speed === null || Array.isArray(speed)) {
+        addError(result, path, 'Speed must be an object of movement types', 'Use {"walk": 30}');
+        return;
+    }
+    
+    for (const [key, value] of Object.entries(speed)) {
+        const valuePath = `${path}.${key}`;
+        
+        if (!SPEED_KEYS.includes(key)) {
+            addError(result, valuePath, `Unknown movement type "${key}"`, suggestKey(key, SPEED_KEYS));
+            continue;
+        }
+        
+        if (!SPEED_TYPES.includes(key)) continue;
+        
+        if (typeof value === 'number' || value === true) continue;
+        
+        if (typeof value === 'object' && value !== null) {
+            if (typeof value.number !== 'number') {
+                addError(result, `${valuePath}.number`, 'Speed object needs a "number"', 'Use {"number": 30, "condition": "(hover)"}');
+            }
+            continue;
+        }
+        
+        addError(result, valuePath, `${key} speed must be a number`,
+            !isNaN(parseInt(value)) ? `Use ${parseInt(value)}` : null);
+    }
+    
+    if (speed.canHover !== undefined && typeof speed.canHover !== 'boolean') {
+        addError(result, `${path}.canHover`, '"canHover" must be true or false');
+    }
+}
+
+/**
+ * Build a speed object from a written-out speed such as "30 ft., fly 60 ft."
+ * @param {string} speed - The speed text
+ * @returns {Object|null} The equivalent speed object, or null if no speeds could be read
+ */
+function suggestSpeed(speed) {
+    const suggestion = {};
+    
+    speed.split(',').forEach(part => {
+        const match = part.trim().match(/^(?:(walk|fly|swim|climb|burrow)\s+)?(\d+)/i);
+        if (match) {
+            suggestion[(match[1] || 'walk').toLowerCase()] = parseInt(match[2]);
+        }
+    });
+    
+    return Object.keys(suggestion).length > 0 ? suggestion : null;
+}
+
+/**
+ * Validate the challenge rating
+ * @param {*} cr - The CR value
+ * @param {string} path - JSON path of the CR
+ * @param {Object} result - The validation result
+ */
+function validateCR(cr, path, result) {
+    const isValidCR = value => typeof value === 'string' && /^(\d+|1\/8|1\/4|1\/2|Unknown)$/.test(value);
+    
+    if (typeof cr === 'number') {
+        const fractions = { 0.125: '1/8', 0.25: '1/4', 0.5: '1/2' };
+        addWarning(result, path, 'CR should be a string', `Use "${fractions[cr] || cr}"`);
+        return;
+    }
+    
+    if (typeof cr === 'object' && cr !== null) {
+        if (!isValidCR(cr.cr)) {
+            addError(result, `${path}.cr`, `Invalid CR ${JSON.stringify(cr.cr)}`, 'Use a string such as "1/2" or "3"');
+        }
+        return;
+    }
+    
+    if (!isValidCR(cr)) {
+        addError(result, path, `Invalid CR ${JSON.stringify(cr)}`, 'Use a string such as "1/2" or "3"');
+    }
+}
+
+/**
+ * Validate an ability score
+ * @param {*} score - The score value
+ * @param {string} path - JSON path of the score
+ * @param {Object} result - The validation result
+ */
+function validateAbilityScore(score, path, result) {
+    if (typeof score !== 'number') {
+        // Some summons use {"special": "..."} for scores that scale
+        if (typeof score === 'object' && score !== null && typeof score.special === 'string') return;
+        
+        addError(result, path, 'Ability score must be a number',
+            !isNaN(parseInt(score)) ? `Use ${parseInt(score)}` : null);
+        return;
+    }
+    
+    if (!Number.isInteger(score) || score < 0 || score > 30) {
+        addWarning(result, path, `Ability score ${score} is outside the usual 1-30 range`);
+    }
+}
+
+/**
+ * Validate saving throw or skill bonuses
+ * @param {*} bonuses - Object mapping the save or skill to its bonus
+ * @param {string} path - JSON path of the bonuses
+ * @param {Object} result - The validation result
+ */
+function validateBonuses(bonuses, path, result) {
+    if (typeof bonuses !== 'object' || bonuses === null || Array.isArray(bonuses)) {
+        addError(result, path, 'Bonuses must be an object such as {"perception": "+3"}');
+        return;
+    }
+    
+    for (const [key, value] of Object.entries(bonuses)) {
+        if (typeof value === 'number') {
+            addWarning(result, `${path}.${key}`, 'Bonus should be a signed string', `Use "${value >= 0 ? '+' : ''}${value}"`);
+        } else if (typeof value === 'string' && !BONUS_PATTERN.test(value.trim())) {
+            validateText(value, `${path}.${key}`, result);
+        } else if (typeof value !== 'string' && key !== 'other') {
+            addError(result, `${path}.${key}`, 'Bonus must be a string such as "+3"');
+        }
+    }
+}
+
+/**
+ * Validate a statblock section made of named entries (traits, actions, ...)
+ * @param {*} section - The section value
+ * @param {string} path - JSON path of the section
+ * @param {Object} result - The validation result
+ */
+function validateEntrySection(section, path, result) {
+    if (!Array.isArray(section)) {
+        addError(result, path, 'Section must be an array of {"name", "entries"} objects',
+            typeof section === 'object' ? `Wrap it in an array: [${JSON.stringify(section).slice(0, 40)}...]` : null);
+        return;
+    }
+    
+    section.forEach((item, index) => {
+        const itemPath = `${path}[${index}]`;
+        
+        if (typeof item !== 'object' || item === null) {
+            addError(result, itemPath, 'Entry must be an object with "name" and "entries"',
+                typeof item === 'string' ? `Use {"name": "...", "entries": [${JSON.stringify(item)}]}` : null);
+            return;
+        }
+        
+        if (item.name !== undefined) {
+            if (typeof item.name !== 'string') {
+                addError(result, `${itemPath}.name`, 'Name must be a string');
+            } else {
+                validateText(item.name, `${itemPath}.name`, result);
+            }
+        } else if (!item.type) {
+            addWarning(result, `${itemPath}.name`, 'Entry has no name');
+        }
+        
+        if (item.entries === undefined) {
+            addError(result, `${itemPath}.entries`, 'Missing "entries"', 'Add "entries": ["..."]');
+        } else {
+            validateEntries(item.entries, `${itemPath}.entries`, result);
+        }
+        
+        // Catch common misspellings of "entries"
+        for (const key of Object.keys(item)) {
+            if (key !== 'entries' && suggestKey(key, ['entries'])) {
+                addError(result, `${itemPath}.${key}`, `Unknown property "${key}"`, suggestKey(key, ['entries']));
+            }
+        }
+    });
+}
+
+/**
+ * Validate an entries array, recursing into nested entry objects
+ * @param {*} entries - The entries value
+ * @param {string} path - JSON path of the entries
+ * @param {Object} result - The validation result
+ */
+function validateEntries(entries, path, result) {
+    if (typeof entries === 'string') {
+        addError(result, path, '"entries" must be an array', `Use ${JSON.stringify([entries]).slice(0, 60)}`);
+        return;
+    }
+    
+    if (!Array.isArray(entries)) {
+        addError(result, path, '"entries" must be an array of strings or entry objects');
+        return;
+    }
+    
+    entries.forEach((entry, index) => {
+        validateEntry(entry, `${path}[${index}]`, result);
+    });
+}
+
+/**
+ * Validate a single entry (a string or a typed entry object)
+ * @param {*} entry - The entry
+ * @param {string} path - JSON path of the entry
+ * @param {Object} result - The validation result
+ */
+function validateEntry(entry, path, result) {
+    if (typeof entry === 'string') {
+        validateText(entry, path, result);
+        return;
+    }
+    
+    if (typeof entry !== 'object' || entry === null) {
+        addError(result, path, 'Entry must be a string or an object');
+        return;
+    }
+    
+    if (!entry.type) {
+        addWarning(result, `${path}.type`, 'Entry object has no "type"', 'Add "type": "entries"');
+    }
+    
+    if (entry.name !== undefined && typeof entry.name === 'string') {
+        validateText(entry.name, `${path}.name`, result);
+    }
+    
+    if (entry.type === 'list') {
+        if (!Array.isArray(entry.items)) {
+            addError(result, `${path}.items`, 'List entry needs an "items" array');
+        } else {
+            entry.items.forEach((item, index) => validateEntry(item, `${path}.items[${index}]`, result));
+        }
+    }
+    
+    if (entry.type === 'table' && !Array.isArray(entry.rows)) {
+        addError(result, `${path}.rows`, 'Table entry needs a "rows" array');
+    }
+    
+    if (entry.entries !== undefined) {
+        validateEntries(entry.entries, `${path}.entries`, result);
+    }
+    
+    if (entry.entry !== undefined) {
+        validateEntry(entry.entry, `${path}.entry`, result);
+    }
+}
+
+/**
+ * Validate the spellcasting section
+ * @param {*} spellcasting - The spellcasting value
+ * @param {string} path - JSON path of the spellcasting
+ * @param {Object} result - The validation result
+ */
+function validateSpellcasting(spellcasting, path, result) {
+    if (!Array.isArray(spellcasting)) {
+        addError(result, path, 'Spellcasting must be an array');
+        return;
+    }
+    
+    spellcasting.forEach((block, index) => {
+        const blockPath = `${path}[${index}]`;
+        
+        if (typeof block !== 'object' || block === null) {
+            addError(result, blockPath, 'Spellcasting entry must be an object');
+            return;
+        }
+        
+        if (typeof block.name !== 'string') {
+            addError(result, `${blockPath}.name`, 'Spellcasting entry needs a "name"', 'Use "Spellcasting" or "Innate Spellcasting"');
+        }
+        
+        ['headerEntries', 'footerEntries'].forEach(property => {
+            if (block[property] !== undefined) {
+                validateEntries(block[property], `${blockPath}.${property}`, result);
+            }
+        });
+        
+        if (block.will !== undefined) {
+            validateSpellList(block.will, `${blockPath}.will`, result);
+        }
+        
+        ['daily', 'rest', 'weekly', 'spells'].forEach(property => {
+            if (block[property] === undefined) return;
+            
+            if (typeof block[property] !== 'object' || block[property] === null || Array.isArray(block[property])) {
+                addError(result, `${blockPath}.${property}`, `"${property}" must be an object`);
+                return;
+            }
+            
+            for (const [key, value] of Object.entries(block[property])) {
+                const spells = property === 'spells' && value && typeof value === 'object' ? value.spells : value;
+                validateSpellList(spells, `${blockPath}.${property}.${key}`, result);
+            }
+        });
+    });
+}
+
+/**
+ * Validate a list of spell references
+ * @param {*} spells - The spell list
+ * @param {string} path - JSON path of the list
+ * @param {Object} result - The validation result
+ */
+function validateSpellList(spells, path, result) {
+    if (!Array.isArray(spells)) {
+        addError(result, path, 'Spell list must be an array',
+            typeof spells === 'string' ? `Use ${JSON.stringify([spells])}` : null);
+        return;
+    }
+    
+    spells.forEach((spell, index) => {
+        if (typeof spell === 'string') {
+            validateText(spell, `${path}[${index}]`, result);
+        } else if (typeof spell !== 'object' || spell === null || typeof spell.entry !== 'string') {
+            addError(result, `${path}[${index}]`, 'Spell must be a string such as "{@spell fire bolt}"');
+        }
+    });
+}
+
+/**
+ * Check the {@tag ...} syntax in a piece of text
+ * @param {string} text - The text to check
+ * @param {string} path - JSON path of the text
+ * @param {Object} result - The validation result
+ */
+function validateText(text, path, result) {
+    if (typeof text !== 'string') return;
+    
+    let depth = 0;
+    for (let i = 0; i < text.length; i++) {
+        if (text[i] === '{') {
+            if (text[i + 1] !== '@') {
+                addError(result, path, `"{" at position ${i} does not start a tag`, 'Tags are written as {@tag text}');
+                return;
+            }
+            depth++;
+        } else if (text[i] === '}') {
+            depth--;
+            if (depth < 0) {
+                addError(result, path, `Unmatched "}" at position ${i}`, 'Remove the extra "}"');
+                return;
+            }
+        }
+    }
+    
+    if (depth > 0) {
+        addError(result, path, 'Unclosed tag', 'Add the missing "}"');
+        return;
+    }
+    
+    const tagPattern = /\{@(\w+)\s?([^{}]*)\}/g;
+    let match;
+    while ((match = tagPattern.exec(text)) !== null) {
+        const [tag, name, content] = match;
+        
+        if (!KNOWN_TAGS.includes(name)) {
+            addWarning(result, path, `Unknown tag {@${name}}`, suggestValue(name, KNOWN_TAGS, value => `{@${value}}`));
+            continue;
+        }
+        
+        if (name === 'hit' && !/^[+-]?\d+$/.test(content.trim())) {
+            addError(result, path, `${tag} needs a number`, 'Use {@hit 5}');
+        } else if (name === 'dc' && !/^\d+$/.test(content.trim().split('|')[0])) {
+            addError(result, path, `${tag} needs a number`, 'Use {@dc 13}');
+        } else if ((name === 'damage' || name === 'dice') && !TAG_DICE_PATTERN.test(content.split('|')[0])) {
+            addWarning(result, path, `${tag} does not contain a dice expression`, `Use {@${name} 2d6 + 3}`);
+        } else if ((name === 'atk' || name === 'atkr') && !/^[mrsw,]+$/.test(content.trim())) {
+            addError(result, path, `${tag} has an unknown attack type`, 'Use {@atk mw}, {@atk rw}, {@atk ms} or {@atk rs}');
+        } else if (name === 'recharge' && content.trim() !== '' && !/^[1-6]$/.test(content.trim())) {
+            addError(result, path, `${tag} needs a number from 1 to 6`, 'Use {@recharge 5} for "Recharge 5-6"');
+        }
+    }
+}
+
+/**
+ * Suggest the known property closest to a misspelled one
+ * @param {string} key - The unknown property
+ * @param {Array<string>} knownKeys - The valid properties
+ * @returns {string|null} The suggested fix, or null if nothing is close
+ */
+function suggestKey(key, knownKeys) {
+    return suggestValue(key, knownKeys, value => `Rename "${key}" to "${value}"`);
+}
+
+/**
+ * Suggest the known value closest to an unknown one
+ * @param {string} value - The unknown value
+ * @param {Array<string>} knownValues - The valid values
+ * @param {Function} format - Formats the suggestion (defaults to 'Did you mean "x"?')
+ * @returns {string|null} The suggested fix, or null if nothing is close
+ */
+function suggestValue(value, knownValues, format = closest => `Did you mean "${closest}"?`) {
+    let best = null;
+    let bestDistance = Infinity;
+    
+    for (const known of knownValues) {
+        const distance = getEditDistance(value.toLowerCase(), known.toLowerCase());
+        if (distance < bestDistance) {
+            best = known;
+            bestDistance = distance;
+        }
+    }
+    
+    // Only suggest close matches; anything further is probably a different property
+    const maxDistance = value.length <= 4 ? 1 : 2;
+    return best !== null && bestDistance <= maxDistance && bestDistance > 0 ? format(best) : null;
+}
+
+/**
+ * Levenshtein distance between two strings
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} The number of single-character edits between them
+ */
+function getEditDistance(a, b) {
+    const previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+    
+    for (let i = 1; i <= a.length; i++) {
+        let diagonal = previous[0];
+        previous[0] = i;
+        
+        for (let j = 1; j <= b.length; j++) {
+            const above = previous[j];
+            previous[j] = Math.min(
+                previous[j] + 1,
+                previous[j - 1] + 1,
+                diagonal + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+            diagonal = above;
+        }
+    }
+    
+    return previous[b.length];
+}
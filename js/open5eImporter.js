@@ -0,0 +1,242 @@
+/**
+ * D&D 5e Summons Assistant
+ * Open5e Importer Module
+ * Converts Open5e / SRD API monster objects into 5etools-format monsters
+ * so they go through the same processing and statblock rendering
+ */
+
+import {
+    toSizeCode,
+    parseCreatureType,
+    formatChallengeRating,
+    parseDamageList,
+    convertRechargeName,
+    addStatblockTags,
+    formatDiceFormula,
+    formatBonus,
+    splitList,
+    getPassivePerception
+} from './conversionUtils.js';
+
+const ABILITY_NAMES = {
+    'strength': 'str',
+    'dexterity': 'dex',
+    'constitution': 'con',
+    'intelligence': 'int',
+    'wisdom': 'wis',
+    'charisma': 'cha'
+};
+
+const SPEED_TYPES = ['walk', 'fly', 'swim', 'climb', 'burrow'];
+
+/**
+ * Check whether a value looks like a single Open5e monster
+ * @param {*} value - The value to check
+ * @returns {boolean} True if it has Open5e statblock fields
+ */
+function isOpen5eMonster(value) {
+    return !!value && typeof value === 'object' && !Array.isArray(value) &&
+        typeof value.name === 'string' &&
+        (value.armor_class !== undefined || value.hit_points !== undefined || value.challenge_rating !== undefined);
+}
+
+/**
+ * Detect Open5e monster data: a bare array of monsters, an API page ({results: [...]}) or a single monster
+ * @param {*} jsonData - The parsed JSON data
+ * @returns {boolean} True if the data is in Open5e format
+ */
+export function isOpen5eData(jsonData) {
+    if (Array.isArray(jsonData)) {
+        return jsonData.length > 0 && isOpen5eMonster(jsonData[0]);
+    }
+    
+    if (jsonData && Array.isArray(jsonData.results)) {
+        return jsonData.results.length > 0 && isOpen5eMonster(jsonData.results[0]);
+    }
+    
+    return isOpen5eMonster(jsonData);
+}
+
+/**
+ * Convert Open5e monster data into 5etools-format monsters
+ * @param {*} jsonData - Open5e data accepted by isOpen5eData
+ * @returns {Object} {monsters, paths} with the converted monsters and the JSON path of each in the original file
+ */
+export function convertOpen5eData(jsonData) {
+    let monsters;
+    let pathPrefix;
+    
+    if (Array.isArray(jsonData)) {
+        monsters = jsonData;
+        pathPrefix = '';
+    } else if (Array.isArray(jsonData.results)) {
+        monsters = jsonData.results;
+        pathPrefix = 'results';
+    } else {
+        return { monsters: [convertOpen5eMonster(jsonData)], paths: ['$'] };
+    }
+    
+    return {
+        monsters: monsters.map(monster => isOpen5eMonster(monster) ? convertOpen5eMonster(monster) : monster),
+        paths: monsters.map((monster, index) => `${pathPrefix}[${index}]`)
+    };
+}
+
+/**
+ * Convert a single Open5e monster into 5etools format
+ * @param {Object} monster - The Open5e monster
+ * @returns {Object} The equivalent 5etools monster
+ */
+function convertOpen5eMonster(monster) {
+    const converted = {
+        name: monster.name,
+        source: monster.document__slug || 'Open5e',
+        size: [toSizeCode(monster.size)],
+        type: parseCreatureType(monster.subtype ? `${monster.type} (${monster.subtype})` : monster.type),
+        alignment: monster.alignment ? monster.alignment.toLowerCase() : 'unaligned',
+        ac: convertArmorClass(monster),
+        hp: { average: parseInt(monster.hit_points) || 0 },
+        speed: convertSpeed(monster.speed)
+    };
+    
+    if (monster.hit_dice) {
+        converted.hp.formula = formatDiceFormula(monster.hit_dice);
+    }
+    
+    // Ability scores
+    for (const [name, ability] of Object.entries(ABILITY_NAMES)) {
+        converted[ability] = parseInt(monster[name]) || 10;
+    }
+    
+    // Saving throws are stored as strength_save, dexterity_save, ...
+    const saves = {};
+    for (const [name, ability] of Object.entries(ABILITY_NAMES)) {
+        const value = monster[`${name}_save`];
+        if (value !== null && value !== undefined && value !== '') {
+            saves[ability] = formatBonus(value);
+        }
+    }
+    if (Object.keys(saves).length > 0) {
+        converted.save = saves;
+    }
+    
+    if (monster.skills && typeof monster.skills === 'object' && Object.keys(monster.skills).length > 0) {
+        converted.skill = {};
+        for (const [skill, value] of Object.entries(monster.skills)) {
+            converted.skill[skill.replace(/_/g, ' ').toLowerCase()] = formatBonus(value);
+        }
+    }
+    
+    const damageLists = {
+        vulnerable: monster.damage_vulnerabilities,
+        resist: monster.damage_resistances,
+        immune: monster.damage_immunities
+    };
+    for (const [property, text] of Object.entries(damageLists)) {
+        const values = parseDamageList(text);
+        if (values.length > 0) {
+            converted[property] = values;
+        }
+    }
+    
+    const conditionImmunities = splitList(monster.condition_immunities).map(condition => condition.toLowerCase());
+    if (conditionImmunities.length > 0) {
+        converted.conditionImmune = conditionImmunities;
+    }
+    
+    // Senses arrive as one string that ends with the passive Perception
+    const senses = splitList(monster.senses);
+    const passive = senses.find(sense => /^passive perception/i.test(sense));
+    converted.senses = senses.filter(sense => sense !== passive);
+    converted.passive = passive
+        ? parseInt(passive.replace(/\D+/g, ''))
+        : getPassivePerception(converted.wis);
+    
+    converted.languages = splitList(monster.languages).filter(language => language !== '—' && language !== '-');
+    converted.cr = formatChallengeRating(monster.challenge_rating !== undefined && monster.challenge_rating !== '' ? monster.challenge_rating : monster.cr);
+    
+    addEntrySection(converted, 'trait', monster.special_abilities);
+    addEntrySection(converted, 'action', monster.actions);
+    addEntrySection(converted, 'bonus', monster.bonus_actions);
+    addEntrySection(converted, 'reaction', monster.reactions);
+    addEntrySection(converted, 'legendary', monster.legendary_actions);
+    
+    if (converted.legendary && monster.legendary_desc) {
+        converted.legendaryHeader = [addStatblockTags(monster.legendary_desc)];
+    }
+    
+    if (monster.page_no) {
+        converted.page = parseInt(monster.page_no);
+    }
+    
+    if (Array.isArray(monster.environments) && monster.environments.length > 0) {
+        converted.environment = monster.environments.map(environment => environment.toLowerCase());
+    }
+    
+    return converted;
+}
+
+/**
+ * Convert the armor class and its description
+ * @param {Object} monster - The Open5e monster
+ * @returns {Array} The 5etools AC array
+ */
+function convertArmorClass(monster) {
+    const ac = parseInt(monster.armor_class) || 10;
+    
+    if (monster.armor_desc) {
+        return [{ ac: ac, from: [monster.armor_desc] }];
+    }
+    
+    return [ac];
+}
+
+/**
+ * Convert the speed object, turning "hover" into a hovering fly speed
+ * @param {Object} speed - Open5e speed ({walk: 30, fly: 60, hover: true, ...})
+ * @returns {Object} The 5etools speed
+ */
+function convertSpeed(speed) {
+    if (!speed || typeof speed !== 'object') {
+        return { walk: parseInt(speed) || 30 };
+    }
+    
+    const converted = {};
+    for (const type of SPEED_TYPES) {
+        if (speed[type] !== undefined && speed[type] !== null) {
+            converted[type] = parseInt(speed[type]) || 0;
+        }
+    }
+    
+    if (speed.hover && converted.fly !== undefined) {
+        converted.fly = { number: converted.fly, condition: '(hover)' };
+        converted.canHover = true;
+    }
+    
+    if (Object.keys(converted).length === 0) {
+        converted.walk = 0;
+    }
+    
+    return converted;
+}
+
+/**
+ * Add a statblock section made of {name, desc} entries
+ * @param {Object} converted - The monster being built
+ * @param {string} property - The 5etools section (trait, action, ...)
+ * @param {Array} items - Open5e entries
+ */
+function addEntrySection(converted, property, items) {
+    if (!Array.isArray(items) || items.length === 0) return;
+    
+    converted[property] = items
+        .filter(item => item && item.name)
+        .map(item => ({
+            name: convertRechargeName(item.name),
+            entries: (item.desc || '')
+                .split(/\n+/)
+                .map(paragraph => paragraph.trim())
+                .filter(Boolean)
+                .map(addStatblockTags)
+        }));
+}
@@ -3,15 +3,18 @@
  * This module handles accurate rendering of monster stat blocks from 5etools JSON format
  */
 
+import { renderTags } from './tagEngine.js';
+import { parseAttack, describeRider } from './attackParser.js';
+import { parseUsage, getUsagePips } from './usageTracker.js';
+
 // Data processor functions
 /**
  * Process a monster with _copy property by fetching and applying the referenced monster
  * @param {Object} monster - The monster object with _copy
- * @param {Object} sourceBooks - Object mapping source abbreviations to book names
  * @param {Function} fetchMonsterFn - Function to fetch a monster by name/source
  * @returns {Object} The processed monster with template applied
  */
-function processMonsterCopy(monster, sourceBooks, fetchMonsterFn) {
+function processMonsterCopy(monster, fetchMonsterFn) {
     if (!monster._copy) return monster;
     
     // Make a copy of the monster to avoid modifying the original
@@ -25,8 +28,9 @@ function processMonsterCopy(monster, sourceBooks, fetchMonsterFn) {
     }
     
     // Apply templates if specified
+    let processedMonster = baseMonster;
     if (monster._copy._templates && monster._copy._templates.length > 0) {
-        let processedMonster = {...baseMonster};
+        processedMonster = {...baseMonster};
         
         for (const template of monster._copy._templates) {
             // Fetch the template from template.json
@@ -35,25 +39,68 @@ function processMonsterCopy(monster, sourceBooks, fetchMonsterFn) {
                 processedMonster = applyTemplate(processedMonster, templateData);
             }
         }
-        
-        // Merge with original monster data (original takes precedence)
-        return mergeMonsterData(processedMonster, result);
     }
     
-    // Simple copy without templates
-    return mergeMonsterData(baseMonster, result);
+    // Merge with original monster data (original takes precedence)
+    const merged = mergeMonsterData(processedMonster, result);
+    
+    // Apply the copy's own modifications on top of the merged data
+    if (monster._copy._mod) {
+        applyModifications(merged, monster._copy._mod);
+    }
+    
+    // The copy is now fully materialized
+    delete merged._copy;
+    
+    return merged;
+}
+
+// Templates registered from the template store, keyed by lower-cased name and source
+const templateRegistry = new Map();
+
+// Source details (full name, official or homebrew) registered from the sources store, keyed by source
+const sourceRegistry = new Map();
+
+// Entry arrays targeted by a "*" key in a _mod object
+const ENTRY_ARRAY_PROPERTIES = ['trait', 'action', 'bonus', 'reaction', 'legendary', 'mythic'];
+
+/**
+ * Register templates so they can be applied to _copy._templates references
+ * @param {Array} templates - Template objects in 5etools template.json format
+ */
+function registerTemplates(templates) {
+    templateRegistry.clear();
+    
+    if (!Array.isArray(templates)) return;
+    
+    for (const template of templates) {
+        if (!template || !template.name) continue;
+        templateRegistry.set(`${template.name.toLowerCase()}|${(template.source || '').toLowerCase()}`, template);
+    }
 }
 
 /**
  * Fetch a template from templates data
  * @param {string} name - Template name
  * @param {string} source - Template source
- * @returns {Object} The template data
+ * @returns {Object|null} The template data, or null if it has not been uploaded
  */
 function fetchTemplate(name, source) {
-    // This would be implemented to fetch from the template.json data
-    // For now, return a placeholder
-    console.log(`Fetching template ${name} from ${source}`);
+    if (!name) return null;
+    
+    const template = templateRegistry.get(`${name.toLowerCase()}|${(source || '').toLowerCase()}`);
+    if (template) {
+        return template;
+    }
+    
+    // Fall back to a name-only match when the source is omitted or differs
+    for (const candidate of templateRegistry.values()) {
+        if (candidate.name.toLowerCase() === name.toLowerCase()) {
+            return candidate;
+        }
+    }
+    
+    console.warn(`Template ${name} from ${source} not found`);
     return null;
 }
 
@@ -66,12 +113,12 @@ function fetchTemplate(name, source) {
 function applyTemplate(monster, template) {
     if (!template || !template.apply) return monster;
     
-    // Make a copy to avoid modifying the original
-    const result = {...monster};
+    // Make a deep copy so modifications don't leak into the base monster
+    const result = JSON.parse(JSON.stringify(monster));
     
     // Apply root properties
     if (template.apply._root) {
-        Object.assign(result, template.apply._root);
+        Object.assign(result, JSON.parse(JSON.stringify(template.apply._root)));
     }
     
     // Apply modifications
@@ -95,6 +142,9 @@ function mergeMonsterData(base, override) {
     // Create a deep copy of the base monster
     const result = JSON.parse(JSON.stringify(base));
     
+    // Variants belong to the base creature and are not inherited by copies
+    delete result._versions;
+    
     // Merge properties, with override taking precedence
     for (const [key, value] of Object.entries(override)) {
         // Skip metadata properties (those starting with _)
@@ -102,19 +152,9 @@ function mergeMonsterData(base, override) {
             continue;
         }
         
-        // Handle arrays (like actions, traits)
-        if (Array.isArray(value) && Array.isArray(result[key])) {
-            // For arrays, we want to append rather than replace unless specified in _mod
-            result[key] = [...result[key], ...value];
-        }
-        // Handle objects (like speed, hp)
-        else if (value !== null && typeof value === 'object' && result[key] !== null && typeof result[key] === 'object') {
-            result[key] = {...result[key], ...value};
-        }
-        // Handle primitive values
-        else {
-            result[key] = value;
-        }
+        // As in 5etools, properties declared on the copy replace the base ones
+        // outright; partial changes to arrays are expressed through _copy._mod
+        result[key] = JSON.parse(JSON.stringify(value));
     }
     
     return result;
@@ -171,168 +211,240 @@ function processMonsterVariants(baseMonster) {
 function applyModifications(monster, mods) {
     // Process each modification type
     for (const [property, modifications] of Object.entries(mods)) {
+        // A single modification object is treated as a one-item array
+        const modList = Array.isArray(modifications) ? modifications : [modifications];
+        
         if (property === '_') {
             // Special case for root level modifications
-            applyRootModifications(monster, modifications);
+            applyRootModifications(monster, modList);
             continue;
         }
         
-        if (!Array.isArray(modifications)) {
-            // Handle non-array modifications (like object replacements)
-            if (modifications.mode === 'replaceArr') {
-                if (monster[property] && Array.isArray(monster[property])) {
-                    // Find and replace the item
-                    const index = monster[property].findIndex(item => 
-                        (item.name === modifications.replace) || 
-                        (item === modifications.replace));
-                    
-                    if (index !== -1) {
-                        monster[property][index] = modifications.items;
-                    }
+        if (property === '*') {
+            // Apply to every action/trait array the monster has
+            for (const entryProperty of ENTRY_ARRAY_PROPERTIES) {
+                if (Array.isArray(monster[entryProperty])) {
+                    applyPropertyModifications(monster, entryProperty, modList);
                 }
-            } else if (modifications.mode === 'setProp') {
-                // Set a property directly
-                const props = modifications.prop.split('.');
-                let target = monster;
-                
-                // Navigate to the correct nested property
-                for (let i = 0; i < props.length - 1; i++) {
-                    if (!target[props[i]]) {
-                        target[props[i]] = {};
-                    }
-                    target = target[props[i]];
-                }
-                
-                // Set the final property
-                target[props[props.length - 1]] = modifications.value;
             }
             continue;
         }
         
-        // Handle array of modifications
-        for (const mod of modifications) {
-            if (!monster[property]) {
-                if (['appendArr', 'prependArr', 'appendIfNotExistsArr'].includes(mod.mode)) {
-                    monster[property] = [];
-                } else {
-                    continue; // Skip mods for nonexistent properties
+        applyPropertyModifications(monster, property, modList);
+    }
+}
+
+/**
+ * Get the name used to match an array item in a modification
+ * @param {Object|string} item - The array item
+ * @returns {string} The item name, or the item itself for strings
+ */
+function getItemName(item) {
+    return item && typeof item === 'object' ? item.name : item;
+}
+
+/**
+ * Apply a list of modifications to a single monster property
+ * @param {Object} monster - The monster to modify
+ * @param {string} property - The property being modified
+ * @param {Array} modList - The modifications to apply
+ */
+function applyPropertyModifications(monster, property, modList) {
+    for (const mod of modList) {
+        if (!mod || !mod.mode) continue;
+        
+        if (!monster[property]) {
+            if (['appendArr', 'prependArr', 'appendIfNotExistsArr'].includes(mod.mode)) {
+                monster[property] = [];
+            } else {
+                continue; // Skip mods for nonexistent properties
+            }
+        }
+        
+        switch (mod.mode) {
+            case 'removeArr': {
+                // Remove items by name or from array of names
+                if (Array.isArray(monster[property])) {
+                    const names = Array.isArray(mod.names) ? mod.names : [mod.names];
+                    const items = mod.items ? (Array.isArray(mod.items) ? mod.items : [mod.items]) : [];
+                    monster[property] = monster[property].filter(item => 
+                        !names.includes(getItemName(item)) && !items.includes(item)
+                    );
                 }
+                break;
             }
-            
-            switch (mod.mode) {
-                case 'removeArr':
-                    // Remove items by name or from array of names
-                    if (Array.isArray(monster[property])) {
-                        if (Array.isArray(mod.names)) {
-                            monster[property] = monster[property].filter(item => {
-                                // Handle both object items with name and string items
-                                const itemName = item && typeof item === 'object' ? item.name : item;
-                                return !mod.names.includes(itemName);
-                            });
-                        } else {
-                            monster[property] = monster[property].filter(item => {
-                                const itemName = item && typeof item === 'object' ? item.name : item;
-                                return itemName !== mod.names;
-                            });
-                        }
-                    }
-                    break;
-                    
-                case 'appendArr':
-                    // Add items to the end
-                    if (Array.isArray(monster[property])) {
-                        if (Array.isArray(mod.items)) {
-                            monster[property].push(...mod.items);
-                        } else {
-                            monster[property].push(mod.items);
-                        }
-                    }
-                    break;
+                
+            case 'appendArr': {
+                // Add items to the end
+                if (Array.isArray(monster[property])) {
+                    const items = Array.isArray(mod.items) ? mod.items : [mod.items];
+                    monster[property].push(...JSON.parse(JSON.stringify(items)));
+                }
+                break;
+            }
+                
+            case 'appendIfNotExistsArr': {
+                // Add items to the end if they don't already exist
+                if (Array.isArray(monster[property])) {
+                    const items = Array.isArray(mod.items) ? mod.items : [mod.items];
                     
-                case 'appendIfNotExistsArr':
-                    // Add items to the end if they don't already exist
-                    if (Array.isArray(monster[property])) {
-                        const items = Array.isArray(mod.items) ? mod.items : [mod.items];
+                    for (const item of items) {
+                        const exists = monster[property].some(existing => 
+                            getItemName(existing) === getItemName(item)
+                        );
                         
-                        for (const item of items) {
-                            const exists = monster[property].some(existing => {
-                                const existingName = existing && typeof existing === 'object' ? existing.name : existing;
-                                const itemName = item && typeof item === 'object' ? item.name : item;
-                                return existingName === itemName;
-                            });
-                            
-                            if (!exists) {
-                                monster[property].push(item);
-                            }
+                        if (!exists) {
+                            monster[property].push(JSON.parse(JSON.stringify(item)));
                         }
                     }
-                    break;
+                }
+                break;
+            }
+                
+            case 'prependArr': {
+                // Add items to the beginning
+                if (Array.isArray(monster[property])) {
+                    const items = Array.isArray(mod.items) ? mod.items : [mod.items];
+                    monster[property].unshift(...JSON.parse(JSON.stringify(items)));
+                }
+                break;
+            }
+            
+            case 'insertArr': {
+                // Insert items at a specific index
+                if (Array.isArray(monster[property])) {
+                    const items = Array.isArray(mod.items) ? mod.items : [mod.items];
+                    monster[property].splice(mod.index || 0, 0, ...JSON.parse(JSON.stringify(items)));
+                }
+                break;
+            }
+            
+            case 'replaceArr':
+            case 'replaceOrAppendArr': {
+                // Replace an item (matched by name, string value or {index}) with one or more items
+                if (Array.isArray(monster[property])) {
+                    const items = Array.isArray(mod.items) ? mod.items : [mod.items];
+                    const index = mod.replace && typeof mod.replace === 'object' && 'index' in mod.replace
+                        ? mod.replace.index
+                        : monster[property].findIndex(item => getItemName(item) === mod.replace);
                     
-                case 'prependArr':
-                    // Add items to the beginning
-                    if (Array.isArray(monster[property])) {
-                        if (Array.isArray(mod.items)) {
-                            monster[property].unshift(...mod.items);
-                        } else {
-                            monster[property].unshift(mod.items);
-                        }
+                    if (index !== -1 && index < monster[property].length) {
+                        monster[property].splice(index, 1, ...JSON.parse(JSON.stringify(items)));
+                    } else if (mod.mode === 'replaceOrAppendArr') {
+                        monster[property].push(...JSON.parse(JSON.stringify(items)));
                     }
-                    break;
+                }
+                break;
+            }
+                
+            case 'renameArr': {
+                // Rename one or more items
+                if (Array.isArray(monster[property])) {
+                    const renames = Array.isArray(mod.renames) ? mod.renames : [mod.renames];
                     
-                case 'renameArr':
-                    // Rename an item
-                    if (Array.isArray(monster[property])) {
-                        const index = monster[property].findIndex(item => 
-                            item && typeof item === 'object' && item.name === mod.renames.rename);
+                    for (const rename of renames) {
+                        const item = monster[property].find(existing => 
+                            existing && typeof existing === 'object' && existing.name === rename.rename);
                         
-                        if (index !== -1 && monster[property][index].name) {
-                            monster[property][index].name = mod.renames.with;
+                        if (item) {
+                            item.name = rename.with;
                         }
                     }
-                    break;
+                }
+                break;
+            }
+                
+            case 'replaceTxt': {
+                // Replace text in all string properties
+                monster[property] = replaceTextDeep(monster[property], mod);
+                break;
+            }
+            
+            case 'scalarAddProp':
+            case 'scalarMultProp': {
+                // Adjust numeric values inside an object property (e.g. speed, save, skill)
+                if (monster[property] && typeof monster[property] === 'object') {
+                    const keys = mod.prop === '*' ? Object.keys(monster[property]) : [mod.prop];
                     
-                case 'replaceTxt':
-                    // Replace text in all string properties
-                    if (Array.isArray(monster[property])) {
-                        monster[property] = monster[property].map(item => {
-                            if (typeof item === 'string') {
-                                return item.replace(new RegExp(mod.replace, 'g'), mod.with);
-                            } else if (item && typeof item === 'object') {
-                                // Deep copy to avoid modifying original
-                                const itemCopy = JSON.parse(JSON.stringify(item));
-                                
-                                // Recursively replace text in all string properties
-                                function replaceInObject(obj) {
-                                    for (const key in obj) {
-                                        if (typeof obj[key] === 'string') {
-                                            obj[key] = obj[key].replace(new RegExp(mod.replace, 'g'), mod.with);
-                                        } else if (Array.isArray(obj[key])) {
-                                            obj[key] = obj[key].map(subItem => {
-                                                if (typeof subItem === 'string') {
-                                                    return subItem.replace(new RegExp(mod.replace, 'g'), mod.with);
-                                                } else if (subItem && typeof subItem === 'object') {
-                                                    replaceInObject(subItem);
-                                                }
-                                                return subItem;
-                                            });
-                                        } else if (obj[key] && typeof obj[key] === 'object') {
-                                            replaceInObject(obj[key]);
-                                        }
-                                    }
-                                }
-                                
-                                replaceInObject(itemCopy);
-                                return itemCopy;
-                            }
-                            return item;
-                        });
+                    for (const key of keys) {
+                        if (key in monster[property]) {
+                            monster[property][key] = applyScalar(monster[property][key], mod);
+                        }
                     }
-                    break;
+                }
+                break;
             }
         }
     }
 }
 
+/**
+ * Replace text in an entry array for a replaceTxt modification
+ * As in 5etools, only plain strings and the listed entry properties are touched,
+ * so names are left alone unless a modification explicitly asks for them
+ * @param {Array} items - The array to process
+ * @param {Object} mod - The replaceTxt modification
+ * @returns {Array} A copy of the array with the text replaced
+ */
+function replaceTextDeep(items, mod) {
+    if (!Array.isArray(items)) return items;
+    
+    const regex = new RegExp(mod.replace, `g${(mod.flags || '').replace(/g/g, '')}`);
+    const props = Array.isArray(mod.props) ? mod.props : [null, 'entries', 'headerEntries', 'footerEntries'];
+    
+    const replaceAll = (value) => {
+        if (typeof value === 'string') return value.replace(regex, mod.with);
+        if (Array.isArray(value)) return value.map(replaceAll);
+        if (value && typeof value === 'object') {
+            const copy = {};
+            for (const [key, subValue] of Object.entries(value)) {
+                copy[key] = replaceAll(subValue);
+            }
+            return copy;
+        }
+        return value;
+    };
+    
+    return items.map(item => {
+        if (typeof item === 'string') {
+            return props.includes(null) ? replaceAll(item) : item;
+        }
+        
+        if (item && typeof item === 'object') {
+            const copy = { ...item };
+            for (const prop of props) {
+                if (prop !== null && prop in copy) {
+                    copy[prop] = replaceAll(copy[prop]);
+                }
+            }
+            return copy;
+        }
+        
+        return item;
+    });
+}
+
+/**
+ * Apply a scalarAddProp/scalarMultProp modification to a single value
+ * Keeps the "+N" string format used for saves and skills
+ * @param {number|string} value - The current value
+ * @param {Object} mod - The scalar modification
+ * @returns {number|string} The adjusted value
+ */
+function applyScalar(value, mod) {
+    const isString = typeof value === 'string';
+    const current = Number(value);
+    
+    if (isNaN(current)) return value;
+    
+    let result = mod.mode === 'scalarMultProp' ? current * mod.scalar : current + mod.scalar;
+    if (mod.floor) {
+        result = Math.floor(result);
+    }
+    
+    return isString ? `${result >= 0 ? '+' : ''}${result}` : result;
+}
+
 /**
  * Apply root-level modifications
  * @param {Object} monster - The monster to modify
@@ -342,8 +454,10 @@ function applyRootModifications(monster, mods) {
     if (!Array.isArray(mods)) return;
     
     for (const mod of mods) {
+        if (!mod || !mod.mode) continue;
+        
         switch (mod.mode) {
-            case 'addSenses':
+            case 'addSenses': {
                 // Add senses to the monster
                 if (!monster.senses) {
                     monster.senses = [];
@@ -365,8 +479,9 @@ function applyRootModifications(monster, mods) {
                     }
                 }
                 break;
+            }
                 
-            case 'addSkills':
+            case 'addSkills': {
                 // Add skills to the monster
                 if (!monster.skill) {
                     monster.skill = {};
@@ -378,11 +493,26 @@ function applyRootModifications(monster, mods) {
                     }
                 }
                 break;
+            }
+            
+            case 'addSaves': {
+                // Add saving throw bonuses to the monster
+                if (!monster.save) {
+                    monster.save = {};
+                }
                 
-            case 'maxSize':
+                for (const [ability, value] of Object.entries(mod.saves)) {
+                    if (!monster.save[ability]) {
+                        monster.save[ability] = value > 0 ? `+${value}` : `${value}`;
+                    }
+                }
+                break;
+            }
+                
+            case 'maxSize': {
                 // Ensure the monster's size is no larger than the specified max
                 const sizeOrder = { 'T': 0, 'S': 1, 'M': 2, 'L': 3, 'H': 4, 'G': 5 };
-                const maxSizeValue = sizeOrder[mod.max] || 5;
+                const maxSizeValue = mod.max in sizeOrder ? sizeOrder[mod.max] : 5;
                 
                 if (Array.isArray(monster.size)) {
                     monster.size = monster.size.filter(size => 
@@ -398,6 +528,49 @@ function applyRootModifications(monster, mods) {
                     }
                 }
                 break;
+            }
+            
+            case 'setProp': {
+                // Set a property directly
+                const props = mod.prop.split('.');
+                let target = monster;
+                
+                // Navigate to the correct nested property
+                for (let i = 0; i < props.length - 1; i++) {
+                    if (!target[props[i]]) {
+                        target[props[i]] = {};
+                    }
+                    target = target[props[i]];
+                }
+                
+                // Set the final property
+                target[props[props.length - 1]] = JSON.parse(JSON.stringify(mod.value));
+                break;
+            }
+            
+            case 'scalarAddProp':
+            case 'scalarMultProp': {
+                // Adjust root-level numbers, e.g. {prop: "str", scalar: 2} for ability scores
+                const props = Array.isArray(mod.prop) ? mod.prop : [mod.prop];
+                const keys = mod.prop === '*' ? ['str', 'dex', 'con', 'int', 'wis', 'cha'] : props;
+                
+                for (const key of keys) {
+                    if (key in monster) {
+                        monster[key] = applyScalar(monster[key], mod);
+                    }
+                }
+                break;
+            }
+            
+            case 'replaceTxt': {
+                // Replace text throughout every action/trait array
+                for (const entryProperty of ENTRY_ARRAY_PROPERTIES) {
+                    if (Array.isArray(monster[entryProperty])) {
+                        monster[entryProperty] = replaceTextDeep(monster[entryProperty], mod);
+                    }
+                }
+                break;
+            }
         }
     }
 }
@@ -485,52 +658,22 @@ function renderVariableStat(stat, context) {
  * Parse D&D 5e formatting tags in text
  * @param {string} text - Text containing formatting tags
  * @param {Object} context - Optional context for tag resolution
- * @returns {string} Formatted text with parsed tags
+ * @returns {string} Formatted HTML with parsed tags
  */
 function parseFormattingTags(text, context = {}) {
     if (!text || typeof text !== 'string') return '';
     
-    // Create a copy to avoid modifying the original
-    let result = text;
-    
-    // Replace attack tags
-    result = result.replace(/{@atk mw}/g, 'Melee Weapon Attack:')
-                   .replace(/{@atk rw}/g, 'Ranged Weapon Attack:')
-                   .replace(/{@atk ms}/g, 'Melee Spell Attack:')
-                   .replace(/{@atk rs}/g, 'Ranged Spell Attack:');
-    
-    // Replace hit bonus tags
-    result = result.replace(/{@hit (\d+)}/g, '+$1')
-                   .replace(/{@hitYourSpellAttack}/g, '+ your spell attack modifier');
-    
-    // Replace damage tags
-    result = result.replace(/{@damage ([^}]+)}/g, '$1');
-    
-    // Replace condition tags
-    result = result.replace(/{@condition ([^}]+)}/g, '$1');
-    
-    // Replace DC tags
-    result = result.replace(/{@dc (\d+)}/g, 'DC $1');
-    
     // Replace dynamic values
-    result = result.replace(/\bPB\b/g, context.proficiencyBonus || 'your proficiency bonus')
-                   .replace(/\bsummonSpellLevel\b/g, context.spellLevel || 'the spell\'s level');
-    
-    // Replace recharge tags
-    result = result.replace(/{@recharge}/g, 'Recharge')
-                   .replace(/{@recharge (\d+)}/g, 'Recharge $1')
-                   .replace(/{@recharge (\d+)-(\d+)}/g, 'Recharge $1–$2');
-    
-    // Replace H for "Hit:" tags
-    result = result.replace(/{@h}/g, 'Hit: ');
-    
-    return result;
+    return renderTags(text, 'html', context)
+        .replace(/\bPB\b/g, context.proficiencyBonus || 'your proficiency bonus')
+        .replace(/\bsummonSpellLevel\b/g, context.spellLevel || 'the spell\'s level');
 }
 
 /**
  * Process entries array for display
  * @param {Array|string} entries - The entries to process
- * @param {Object} context - Context for tag resolution
+ * @param {Object} context - Context for tag resolution; context.blocks lays longer text such as
+ *     creature lore out as paragraphs, with named entries as headings
  * @returns {string} Processed HTML for display
  */
 function processEntries(entries, context = {}) {
@@ -545,7 +688,19 @@ function processEntries(entries, context = {}) {
     if (Array.isArray(entries)) {
         return entries.map(entry => {
             if (typeof entry === 'string') {
-                return parseFormattingTags(entry, context);
+                return context.blocks ? `<p>${parseFormattingTags(entry, context)}</p>` : parseFormattingTags(entry, context);
+            }
+            
+            if (!entry || typeof entry !== 'object') return '';
+            
+            // Quotes and insets, mostly found in lore
+            if (entry.type === 'quote') {
+                const by = entry.by ? `<cite>— ${entry.by}${entry.from ? `, ${entry.from}` : ''}</cite>` : '';
+                return `<blockquote class="stat-block-quote">${processEntries(entry.entries, { ...context, blocks: true })}${by}</blockquote>`;
+            }
+            
+            if (entry.type === 'inset' || entry.type === 'insetReadaloud') {
+                return `<div class="stat-block-inset">${entry.name ? `<h4>${entry.name}</h4>` : ''}${processEntries(entry.entries, { ...context, blocks: true })}</div>`;
             }
             
             // Handle object entries with type
@@ -556,7 +711,7 @@ function processEntries(entries, context = {}) {
                     if (typeof item === 'string') {
                         listHtml += `<li>${parseFormattingTags(item, context)}</li>`;
                     } else if (item.type === 'item' && item.name && item.entry) {
-                        listHtml += `<li><strong>${item.name}.</strong> ${parseFormattingTags(item.entry, context)}</li>`;
+                        listHtml += `<li><strong>${parseFormattingTags(item.name, context)}.</strong> ${parseFormattingTags(item.entry, context)}</li>`;
                     }
                 }
                 
@@ -566,7 +721,15 @@ function processEntries(entries, context = {}) {
             
             // Handle object entries with name/entries
             if (entry.name && entry.entries) {
-                return `<p><strong>${entry.name}.</strong> ${processEntries(entry.entries, context)}</p>`;
+                if (context.blocks) {
+                    return `<h4 class="entries-heading">${entry.name}</h4>${processEntries(entry.entries, context)}`;
+                }
+                return `<p><strong>${parseFormattingTags(entry.name, context)}.</strong> ${processEntries(entry.entries, context)}</p>`;
+            }
+            
+            // Unnamed groups of entries just hold more entries
+            if (entry.entries) {
+                return processEntries(entry.entries, context);
             }
             
             return '';
@@ -620,15 +783,15 @@ function renderCreatureStatBlock(creature, context = {}) {
             <div class="creature-attributes">
                 <div class="attribute-line">
                     <div class="attribute-name">Armor Class</div>
-                    <div class="attribute-value">${renderVariableStat(creature.ac, 'ac')}</div>
+                    <div class="attribute-value">${parseFormattingTags(renderVariableStat(creature.ac, 'ac'))}</div>
                 </div>
                 <div class="attribute-line">
                     <div class="attribute-name">Hit Points</div>
-                    <div class="attribute-value">${renderVariableStat(creature.hp, 'hp')}</div>
+                    <div class="attribute-value">${parseFormattingTags(renderVariableStat(creature.hp, 'hp'))}</div>
                 </div>
                 <div class="attribute-line">
                     <div class="attribute-name">Speed</div>
-                    <div class="attribute-value">${renderVariableStat(creature.speed, 'speed')}</div>
+                    <div class="attribute-value">${parseFormattingTags(renderVariableStat(creature.speed, 'speed'))}</div>
                 </div>
             </div>
             
@@ -675,7 +838,8 @@ function renderCreatureStatBlock(creature, context = {}) {
             ${renderCreatureSection(creature.action, 'Actions', parsingContext)}
             ${renderCreatureSection(creature.bonus, 'Bonus Actions', parsingContext)}
             ${renderCreatureSection(creature.reaction, 'Reactions', parsingContext)}
-            ${renderCreatureSection(creature.legendary, 'Legendary Actions', parsingContext)}
+            ${renderCreatureSection(creature.legendary, 'Legendary Actions', parsingContext, creature.legendaryActions || 3)}
+            ${renderSourceLine(creature.source, creature.page)}
         </div>
     `;
 }
@@ -685,15 +849,16 @@ function renderCreatureStatBlock(creature, context = {}) {
  * @param {Array} items - The items to render
  * @param {string} title - The section title
  * @param {Object} context - Context for tag parsing
+ * @param {number} pips - Trackable pips for the heading, such as the legendary actions a creature can take each round
  * @returns {string} HTML for the section
  */
-function renderCreatureSection(items, title, context) {
+function renderCreatureSection(items, title, context, pips = 0) {
     if (!items || !Array.isArray(items) || items.length === 0) {
         return '';
     }
     
     let html = `<div class="creature-section">
-        <h3>${title}</h3>`;
+        <h3>${title}${renderPips(pips, `${pips} ${title} per round`, null, 'turn')}</h3>`;
     
     html += items.map(item => {
         if (typeof item === 'string') {
@@ -704,8 +869,9 @@ function renderCreatureSection(items, title, context) {
         if (item.name && item.entries) {
             return `
                 <div class="creature-feature">
-                    <div class="feature-name">${item.name}.</div>
+                    <div class="feature-name">${parseFormattingTags(item.name, context)}.</div>${renderUsagePips(item.name)}
                     <div class="feature-description">${processEntries(item.entries, context)}</div>
+                    ${renderFeatureRiders(item.entries, context)}
                 </div>
             `;
         }
@@ -717,6 +883,56 @@ function renderCreatureSection(items, title, context) {
     return html;
 }
 
+/**
+ * Render a feature's riders (saving throws, conditions and escape DCs) as highlighted badges
+ * @param {Array} entries - The feature's entries
+ * @param {Object} context - Context for variable data resolution
+ * @returns {string} HTML for the riders, empty if the feature has none
+ */
+function renderFeatureRiders(entries, context) {
+    const text = (Array.isArray(entries) ? entries : [entries]).filter(entry => typeof entry === 'string').join(' ');
+    const attack = parseAttack(text);
+    if (!attack || attack.riders.length === 0) {
+        return '';
+    }
+    
+    return `<div class="feature-riders">${attack.riders.map(rider => {
+        return `<span class="feature-rider" title="${parseFormattingTags(rider.text, context)}">${parseFormattingTags(describeRider(rider), context)}</span>`;
+    }).join('')}</div>`;
+}
+
+/**
+ * Render trackable pips for a feature's recharge or uses, read from its name
+ * @param {string} name - The feature name, e.g. "Fire Breath {@recharge 5}" or "Web (2/Day)"
+ * @returns {string} HTML for the pips, empty if the feature has no usage limit
+ */
+function renderUsagePips(name) {
+    const { usage } = parseUsage(name);
+    if (!usage) {
+        return '';
+    }
+    
+    return renderPips(getUsagePips(usage), usage.label, usage.uses ? null : usage.recharge, usage.per);
+}
+
+/**
+ * Render a row of pips that can be clicked to mark uses spent
+ * @param {number} count - How many pips
+ * @param {string} label - What the pips track, shown as their tooltip
+ * @param {number|null} recharge - The lowest d6 roll that recharges a spent recharge ability, if it is one
+ * @param {string|null} per - How often the uses come back ('day', 'shortRest', 'longRest' or 'turn'), if known
+ * @returns {string} HTML for the pips, empty when count is 0
+ */
+function renderPips(count, label, recharge = null, per = null) {
+    if (!count) {
+        return '';
+    }
+    
+    const hint = recharge ? 'click to mark used, then click again to roll the recharge' : 'click to mark a use';
+    const pips = '<button type="button" class="usage-pip"></button>'.repeat(count);
+    return `<span class="usage-pips"${recharge ? ` data-recharge="${recharge}"` : ''}${per ? ` data-per="${per}"` : ''} title="${label}: ${hint}">${pips}</span>`;
+}
+
 /**
  * Helper functions for rendering
  */
@@ -994,7 +1210,7 @@ function renderResistancesAndImmunities(items, title) {
     return `
         <div class="detail-line">
             <div class="detail-name">${title}</div>
-            <div class="detail-value">${itemStrings.join(', ')}</div>
+            <div class="detail-value">${parseFormattingTags(itemStrings.join(', '))}</div>
         </div>
     `;
 }
@@ -1023,7 +1239,7 @@ function renderSenses(senses, passivePerception) {
     return `
         <div class="detail-line">
             <div class="detail-name">Senses</div>
-            <div class="detail-value">${sensesArray.join(', ')}</div>
+            <div class="detail-value">${parseFormattingTags(sensesArray.join(', '))}</div>
         </div>
     `;
 }
@@ -1046,7 +1262,7 @@ function renderLanguages(languages) {
     return `
         <div class="detail-line">
             <div class="detail-name">Languages</div>
-            <div class="detail-value">${languages.join(', ')}</div>
+            <div class="detail-value">${parseFormattingTags(languages.join(', '))}</div>
         </div>
     `;
 }
@@ -1083,7 +1299,7 @@ function renderSpellcasting(spellcasting, context) {
         if (caster.will && caster.will.length > 0) {
             spellLists.push(`<div class="spell-group">
                 <div class="spell-frequency">At will:</div>
-                <div class="spell-list">${caster.will.join(', ')}</div>
+                <div class="spell-list">${renderSpellList(caster.will, context)}</div>
             </div>`);
         }
         
@@ -1093,7 +1309,7 @@ function renderSpellcasting(spellcasting, context) {
                 const uses = frequency.replace('e', '');
                 spellLists.push(`<div class="spell-group">
                     <div class="spell-frequency">${uses}/day each:</div>
-                    <div class="spell-list">${spells.join(', ')}</div>
+                    <div class="spell-list">${renderSpellList(spells, context)}</div>
                 </div>`);
             }
         }
@@ -1111,7 +1327,7 @@ function renderSpellcasting(spellcasting, context) {
                 
                 spellLists.push(`<div class="spell-group">
                     <div class="spell-level">${levelName}${slotsText}:</div>
-                    <div class="spell-list">${spellData.spells.join(', ')}</div>
+                    <div class="spell-list">${renderSpellList(spellData.spells, context)}</div>
                 </div>`);
             }
         }
@@ -1127,6 +1343,24 @@ function renderSpellcasting(spellcasting, context) {
     return html;
 }
 
+/**
+ * Render a spellcasting list with every spell linked to its spell card
+ * @param {Array} spells - The spells, as strings such as "{@spell fly} (self only)" or {entry} objects
+ * @param {Object} context - Context for tag parsing
+ * @returns {string} HTML for the comma-separated list
+ */
+function renderSpellList(spells, context) {
+    return (spells || [])
+        .map(spell => typeof spell === 'string' ? spell : spell && spell.entry)
+        .filter(Boolean)
+        .map(spell => {
+            // Spells written without a tag are linked by name
+            const tagged = /{@spell /.test(spell) ? spell : spell.replace(/^([^(*]+?)(\s*[(*].*)?$/, '{@spell $1}$2');
+            return parseFormattingTags(tagged, context);
+        })
+        .join(', ');
+}
+
 /**
  * Get ordinal suffix for a number
  * @param {number} num - The number
@@ -1148,6 +1382,183 @@ function getOrdinalSuffix(num) {
     return 'th';
 }
 
+/**
+ * Register source details so statblocks can show full source names
+ * @param {Object} sources - Source details keyed by source abbreviation ({name, kind, official, ...})
+ */
+function registerSources(sources) {
+    sourceRegistry.clear();
+    
+    if (!sources || typeof sources !== 'object') return;
+    
+    for (const [source, details] of Object.entries(sources)) {
+        sourceRegistry.set(source.toLowerCase(), details);
+    }
+}
+
+/**
+ * Get the full name of a source
+ * @param {string} source - The source abbreviation (e.g. "MPMM")
+ * @returns {string} The registered name (e.g. "Mordenkainen Presents: Monsters of the Multiverse"),
+ *     or the abbreviation if the source's name isn't known
+ */
+function getSourceName(source) {
+    if (!source) return 'Unknown';
+    
+    const details = sourceRegistry.get(source.toLowerCase());
+    return details && details.name ? details.name : source;
+}
+
+/**
+ * Render the source line shown at the bottom of a statblock
+ * @param {string} source - The creature's source abbreviation
+ * @param {number} page - The page the creature is on, if known
+ * @returns {string} HTML for the source line
+ */
+function renderSourceLine(source, page) {
+    if (!source) return '';
+    
+    const name = getSourceName(source);
+    const abbreviation = name !== source ? ` (${source})` : '';
+    return `<div class="statblock-source">Source: ${name}${abbreviation}${page ? `, page ${page}` : ''}</div>`;
+}
+
+/**
+ * Render the card a spell link opens: level and school, casting time, range, components,
+ * duration, concentration and the spell's text
+ * @param {Object} spell - The spell in 5etools format
+ * @returns {string} HTML for the spell card
+ */
+function renderSpellCard(spell) {
+    const concentration = (spell.duration || []).some(duration => duration.concentration);
+    const properties = [
+        ['Casting Time', getSpellTimeText(spell.time)],
+        ['Range', getSpellRangeText(spell.range)],
+        ['Components', getSpellComponentsText(spell.components)],
+        ['Duration', getSpellDurationText(spell.duration)],
+        ['Concentration', concentration ? 'Yes' : 'No']
+    ];
+    
+    return `
+        <div class="spell-card">
+            <h4 class="spell-card-name">${spell.name}</h4>
+            <div class="spell-card-level">${getSpellLevelText(spell)}</div>
+            ${properties.map(([label, value]) => `
+                <div class="spell-card-property"><strong>${label}:</strong> ${value}</div>
+            `).join('')}
+            <div class="spell-card-entries">
+                ${processEntries(spell.entries, { blocks: true })}
+                ${processEntries(spell.entriesHigherLevel, { blocks: true })}
+            </div>
+            ${renderSourceLine(spell.source, spell.page)}
+        </div>
+    `;
+}
+
+/**
+ * Describe a spell's level and school ("3rd-level evocation", "Conjuration cantrip")
+ * @param {Object} spell - The spell in 5etools format
+ * @returns {string} The level text, with "(ritual)" for rituals
+ */
+function getSpellLevelText(spell) {
+    const school = SPELL_SCHOOLS[spell.school] || spell.school || '';
+    const level = parseInt(spell.level) || 0;
+    const text = level === 0
+        ? `${capitalizeWords(school)} cantrip`.trim()
+        : `${level}${getOrdinalSuffix(level)}-level ${school}`.trim();
+    
+    return spell.meta && spell.meta.ritual ? `${text} (ritual)` : text;
+}
+
+/**
+ * Describe a spell's casting time ("1 action", "1 reaction, which you take when you fall")
+ * @param {Array} time - The 5etools casting times ({number, unit, condition})
+ * @returns {string} The casting time text
+ */
+function getSpellTimeText(time) {
+    if (!Array.isArray(time) || time.length === 0) return 'Unknown';
+    
+    return time.map(entry => {
+        const unit = entry.unit === 'bonus' ? 'bonus action' : entry.unit;
+        const plural = entry.number > 1 && ['minute', 'hour', 'round'].includes(unit) ? 's' : '';
+        const condition = entry.condition ? `, ${parseFormattingTags(entry.condition)}` : '';
+        return `${entry.number} ${unit}${plural}${condition}`;
+    }).join(' or ');
+}
+
+/**
+ * Describe a spell's range ("120 feet", "Self (15-foot cone)", "Touch")
+ * @param {Object} range - The 5etools range ({type, distance: {type, amount}})
+ * @returns {string} The range text
+ */
+function getSpellRangeText(range) {
+    if (!range || range.type === 'special') return 'Special';
+    
+    const distance = range.distance || {};
+    const amount = distance.amount;
+    const unit = distance.type === 'miles' ? 'mile' : 'foot';
+    
+    if (range.type !== 'point') {
+        // Areas centred on the caster: radius, sphere, cone, line, cube, hemisphere...
+        return amount ? `Self (${amount}-${unit} ${range.type})` : 'Self';
+    }
+    
+    // Self, touch, sight and unlimited ranges have no distance
+    if (amount === undefined) {
+        return capitalizeWords(distance.type || 'special');
+    }
+    
+    if (distance.type === 'miles') {
+        return `${amount} mile${amount === 1 ? '' : 's'}`;
+    }
+    return `${amount} ${amount === 1 ? 'foot' : 'feet'}`;
+}
+
+/**
+ * Describe a spell's components ("V, S, M (a bit of fleece)")
+ * @param {Object} components - The 5etools components ({v, s, m})
+ * @returns {string} The components text
+ */
+function getSpellComponentsText(components) {
+    if (!components) return 'None';
+    
+    const parts = [];
+    if (components.v) parts.push('V');
+    if (components.s) parts.push('S');
+    if (components.m) {
+        const material = typeof components.m === 'string' ? components.m : components.m.text;
+        parts.push(material ? `M (${material})` : 'M');
+    }
+    
+    return parts.length > 0 ? parts.join(', ') : 'None';
+}
+
+/**
+ * Describe a spell's duration ("Concentration, up to 1 minute", "Instantaneous")
+ * @param {Array} duration - The 5etools durations ({type, duration: {type, amount}, concentration, ends})
+ * @returns {string} The duration text
+ */
+function getSpellDurationText(duration) {
+    if (!Array.isArray(duration) || duration.length === 0) return 'Unknown';
+    
+    return duration.map(entry => {
+        switch (entry.type) {
+            case 'instant':
+                return 'Instantaneous';
+            case 'permanent':
+                return Array.isArray(entry.ends) && entry.ends.includes('dispel') ? 'Until dispelled' : 'Permanent';
+            case 'timed': {
+                const amount = entry.duration ? entry.duration.amount : 1;
+                const unit = entry.duration ? entry.duration.type : 'round';
+                const text = `${amount} ${unit}${amount > 1 ? 's' : ''}`;
+                return entry.concentration ? `Concentration, up to ${text}` : text;
+            }
+            default:
+                return 'Special';
+        }
+    }).join(' or ');
+}
+
 // Main function for displaying creature details
 /**
  * Display details of a creature with proper handling of variants and templates
@@ -1162,52 +1573,117 @@ function displayCreatureDetails(creatureId, getAllCreatures, fetchMonster, optio
     const creatures = getAllCreatures();
     
     // Find the requested creature
-    const creature = creatures.find(c => c.id === creatureId);
+    const storedCreature = creatures.find(c => c.id === creatureId);
     
-    if (!creature) {
+    if (!storedCreature) {
         return `<div class="error-message">Creature with ID ${creatureId} not found.</div>`;
     }
     
-    // Check if we need to process the _copy property
-    if (creature._copy) {
-        // Create source book mapping for lookup
-        const sourceBooks = createSourceBookMapping();
-        
-        // Process the creature with copy and templates
-        const processedCreature = processMonsterCopy(creature, sourceBooks, fetchMonster);
-        
-        // Now render the processed creature
-        return renderCreatureStatBlock(processedCreature, options);
-    }
+    // Render from the original monster JSON rather than the simplified record,
+    // with any _copy materialized so a copy's variants can be offered too
+    const creature = getDisplayMonster(storedCreature, fetchMonster);
     
-    // Check if we have variants to handle
-    if (creature._versions && Array.isArray(creature._versions) && creature._versions.length > 0) {
-        // If a specific variant is requested
-        if (options.variant) {
-            // Find the requested variant
-            const variant = creature._versions.find(v => v.name === options.variant);
-            
-            if (variant) {
-                // Process the variant
-                const variantCreatures = processMonsterVariants(creature);
-                const processed = variantCreatures.find(v => v.name === options.variant);
-                
-                if (processed) {
-                    return renderCreatureStatBlock(processed, options);
-                }
-            }
-            
+    if (Array.isArray(creature._versions) && creature._versions.length > 0) {
+        // If no variant has been picked yet, show a selection dialog
+        if (options.variant === undefined) {
+            return renderVariantSelection(creature);
+        }
+        
+        const variant = selectVariant(creature, options.variant);
+        if (!variant) {
             return `<div class="error-message">Variant ${options.variant} not found for creature ${creature.name}.</div>`;
         }
         
-        // If no specific variant is requested, show a selection dialog
-        return renderVariantSelection(creature);
+        return renderCreatureStatBlock(variant, { ...options, processVariants: true });
     }
     
     // Simple case - just render the creature
     return renderCreatureStatBlock(creature, options);
 }
 
+/**
+ * Get the monster a stored creature is displayed as: its original 5etools JSON with
+ * any _copy resolved and, when options.variant names one, the chosen _versions variant
+ * @param {Object} storedCreature - The stored creature record
+ * @param {Function} fetchMonster - Function to fetch a monster by name and source
+ * @param {Object} options - Display options ({variant})
+ * @returns {Object|null} The monster, or null if the requested variant doesn't exist
+ */
+function getDisplayMonster(storedCreature, fetchMonster, options = {}) {
+    const creature = getRawMonster(storedCreature);
+    
+    const resolved = creature._copy
+        ? processMonsterCopy(creature, fetchMonster)
+        : creature;
+    
+    if (options.variant === undefined || !Array.isArray(resolved._versions) || resolved._versions.length === 0) {
+        return resolved;
+    }
+    
+    return selectVariant(resolved, options.variant);
+}
+
+/**
+ * Pick one of a monster's _versions variants
+ * @param {Object} monster - The base monster with _versions
+ * @param {string} variantName - The variant's name; an empty name (the "Base" link) picks the base creature
+ * @returns {Object|null} The variant, or null if there is no variant with that name
+ */
+function selectVariant(monster, variantName) {
+    if (!variantName) return monster;
+    
+    return processMonsterVariants(monster).find(variant => variant._isVariant && variant.name === variantName) || null;
+}
+
+/**
+ * Get the original monster JSON stored with a creature record
+ * Falls back to rebuilding the raw fields from the simplified record for
+ * creatures stored before the raw payload was kept
+ * @param {Object} creature - The stored creature record
+ * @returns {Object} Monster object in 5etools format, carrying the creature ID
+ */
+function getRawMonster(creature) {
+    if (!creature) return creature;
+    
+    if (creature.raw) {
+        return { ...creature.raw, id: creature.id };
+    }
+    
+    const abilities = creature.abilities || {};
+    
+    return {
+        ...creature,
+        str: abilities.str || 10,
+        dex: abilities.dex || 10,
+        con: abilities.con || 10,
+        int: abilities.int || 10,
+        wis: abilities.wis || 10,
+        cha: abilities.cha || 10,
+        hp: creature.hp,
+        ac: creature.ac,
+        speed: creature.speed,
+        skill: creature.skills,
+        conditionImmune: creature.conditionImmunities,
+        trait: (creature.specialAbilities || []).map(ability => ({
+            name: getNameWithUsage(ability),
+            entries: [ability.description]
+        })),
+        action: (creature.attacks || []).map(attack => ({
+            name: getNameWithUsage(attack),
+            entries: [attack.raw || attack.description]
+        }))
+    };
+}
+
+/**
+ * Put a stored attack or trait's usage limit back into its name, where statblocks read it from
+ * @param {Object} entry - The attack or trait ({name, usage})
+ * @returns {string} The name, e.g. "Fire Breath (Recharge 5–6)"
+ */
+function getNameWithUsage(entry) {
+    return entry.usage && entry.usage.label ? `${entry.name} (${entry.usage.label})` : entry.name;
+}
+
 /**
  * Render a selection dialog for creature variants
  * @param {Object} creature - The base creature with variants
@@ -1243,30 +1719,6 @@ function renderVariantSelection(creature) {
     return html;
 }
 
-/**
- * Create a mapping of source abbreviations to book names
- * @returns {Object} Mapping of sources
- */
-function createSourceBookMapping() {
-    // This would normally load from index.json
-    // For now, hard-code common sources
-    return {
-        "MM": "Monster Manual",
-        "DMG": "Dungeon Master's Guide",
-        "PHB": "Player's Handbook",
-        "TCE": "Tasha's Cauldron of Everything",
-        "VGM": "Volo's Guide to Monsters",
-        "MTF": "Mordenkainen's Tome of Foes",
-        "MOT": "Mythic Odysseys of Theros",
-        "EGW": "Explorer's Guide to Wildemount",
-        "ERLW": "Eberron: Rising from the Last War",
-        "EEPC": "Elemental Evil Player's Companion",
-        "XGTE": "Xanathar's Guide to Everything",
-        "CoS": "Curse of Strahd",
-        "TftYP": "Tales from the Yawning Portal"
-    };
-}
-
 /**
  * Helper function to extract scaling information for summoned creatures
  * @param {Object} creature - The creature to process
@@ -1292,6 +1744,558 @@ function getScalingContext(creature, level) {
     return context;
 }
 
+const SPELL_SCHOOLS = {
+    'A': 'abjuration',
+    'C': 'conjuration',
+    'D': 'divination',
+    'E': 'enchantment',
+    'V': 'evocation',
+    'I': 'illusion',
+    'N': 'necromancy',
+    'T': 'transmutation'
+};
+
+// Plain text and markdown rendering functions
+// Experience points by challenge rating, for the "Challenge" line
+const CR_XP = {
+    '0': 10, '1/8': 25, '1/4': 50, '1/2': 100, '1': 200, '2': 450, '3': 700, '4': 1100,
+    '5': 1800, '6': 2300, '7': 2900, '8': 3900, '9': 5000, '10': 5900, '11': 7200,
+    '12': 8400, '13': 10000, '14': 11500, '15': 13000, '16': 15000, '17': 18000,
+    '18': 20000, '19': 22000, '20': 25000, '21': 33000, '22': 41000, '23': 50000,
+    '24': 62000, '25': 75000, '26': 90000, '27': 105000, '28': 120000, '29': 135000, '30': 155000
+};
+
+// Conditions a failed save can inflict ("or be knocked prone"), named on chat cards
+const CARD_CONDITION_PATTERN = /\bor (?:be |become )?(?:knocked )?(blinded|charmed|deafened|frightened|grappled|incapacitated|paralyzed|petrified|poisoned|prone|restrained|stunned|unconscious)\b/i;
+
+const MARKDOWN_SECTIONS = [
+    { property: 'action', title: 'Actions' },
+    { property: 'bonus', title: 'Bonus Actions' },
+    { property: 'reaction', title: 'Reactions' },
+    { property: 'legendary', title: 'Legendary Actions' },
+    { property: 'mythic', title: 'Mythic Actions' }
+];
+
+/**
+ * Replace 5etools tags with the text they display
+ * @param {string} text - Text with tags such as {@hit 4} or {@creature wolf|MM|wolves}
+ * @returns {string} The plain text
+ */
+function stripTags(text) {
+    return replaceTags(text, false);
+}
+
+/**
+ * Replace 5etools tags with their display text, optionally italicizing attack types
+ * and "Hit:" the way printed statblocks do
+ * @param {string} text - Text with tags
+ * @param {boolean} markdown - Whether to add markdown emphasis
+ * @returns {string} The text
+ */
+function replaceTags(text, markdown) {
+    if (typeof text !== 'string') return '';
+    return renderTags(text, markdown ? 'markdown' : 'text');
+}
+
+/**
+ * Format one entry of a damage or condition list as text
+ * @param {string|Object} entry - A value, or a group ({resist: [...], note, preNote} or {special})
+ * @returns {string} The entry as text
+ */
+function formatTraitEntry(entry) {
+    if (typeof entry === 'string') return stripTags(entry);
+    if (!entry || typeof entry !== 'object') return '';
+    if (entry.special) return stripTags(entry.special);
+    
+    const group = entry.resist || entry.immune || entry.vulnerable || entry.conditionImmune;
+    const values = (Array.isArray(group) ? group : [])
+        .map(formatTraitEntry)
+        .filter(Boolean);
+    
+    let list = values.join(' and ');
+    if (values.length > 2) {
+        list = `${values.slice(0, -1).join(', ')}, and ${values[values.length - 1]}`;
+    }
+    
+    return [entry.preNote, list, entry.note].filter(Boolean).map(stripTags).join(' ');
+}
+
+/**
+ * Work out summon scaling in a monster for a spell level and proficiency bonus
+ * summonSpellLevel and PB inside tags are replaced and the formula's numbers added up
+ * ("{@damage 1d8 + 4 + summonSpellLevel}" at 3rd level becomes "{@damage 1d8 + 7}"), and
+ * special AC and HP text such as "40 + 10 for each spell level above 4th" is worked out
+ * @param {Object} monster - The 5etools monster
+ * @param {Object} context - {spellLevel, proficiencyBonus}
+ * @returns {Object} A scaled copy of the monster, or the monster itself if there is nothing to scale with
+ */
+function scaleMonster(monster, context = {}) {
+    const spellLevel = parseInt(context.spellLevel) || null;
+    const proficiencyBonus = parseInt(context.proficiencyBonus) || null;
+    if (!spellLevel && !proficiencyBonus) return monster;
+    
+    const scaleValue = value => {
+        if (typeof value === 'string') return scaleTagVariables(value, spellLevel, proficiencyBonus);
+        if (Array.isArray(value)) return value.map(scaleValue);
+        if (value && typeof value === 'object') {
+            const scaled = {};
+            for (const [key, item] of Object.entries(value)) {
+                scaled[key] = scaleValue(item);
+            }
+            return scaled;
+        }
+        return value;
+    };
+    
+    const scaled = scaleValue(monster);
+    
+    if (spellLevel) {
+        if (scaled.hp && scaled.hp.special) {
+            scaled.hp.special = scaleSpecialText(scaled.hp.special, spellLevel);
+        }
+        if (Array.isArray(scaled.ac)) {
+            scaled.ac = scaled.ac.map(ac => ac && ac.special ? { ...ac, special: scaleSpecialText(ac.special, spellLevel) } : ac);
+        }
+    }
+    
+    return scaled;
+}
+
+/**
+ * Replace summonSpellLevel and PB inside tags with numbers
+ * @param {string} text - Tagged text
+ * @param {number|null} spellLevel - The spell level, if known
+ * @param {number|null} proficiencyBonus - The proficiency bonus, if known
+ * @returns {string} The text with the variables worked out
+ */
+function scaleTagVariables(text, spellLevel, proficiencyBonus) {
+    return text.replace(/\{@(\w+) ([^{}]*)\}/g, (match, tag, content) => {
+        const [formula, ...rest] = content.split('|');
+        let scaled = formula;
+        
+        if (spellLevel) scaled = scaled.replace(/\bsummonSpellLevel\b/g, spellLevel);
+        if (proficiencyBonus) scaled = scaled.replace(/\bPB\b/g, proficiencyBonus);
+        if (scaled === formula) return match;
+        
+        return `{@${tag} ${[simplifyFormula(scaled), ...rest].join('|')}}`;
+    });
+}
+
+/**
+ * Add up the numbers in a dice formula ("1d8 + 4 + 3" becomes "1d8 + 7")
+ * @param {string} formula - The formula
+ * @returns {string} The simplified formula, or the formula unchanged if it has anything but dice and numbers
+ */
+function simplifyFormula(formula) {
+    if (!/^[\dd\s+-]+$/.test(formula)) return formula;
+    
+    const terms = formula.replace(/\s/g, '').match(/[+-]?[^+-]+/g) || [];
+    const dice = terms.filter(term => term.includes('d')).map(term => term.replace(/^\+/, ''));
+    const constant = terms
+        .filter(term => !term.includes('d'))
+        .reduce((total, term) => total + parseInt(term), 0);
+    
+    if (dice.length === 0) return String(constant);
+    
+    const diceText = dice.join(' + ').replace(/\+ -/g, '- ');
+    if (constant === 0) return diceText;
+    return `${diceText} ${constant > 0 ? '+' : '-'} ${Math.abs(constant)}`;
+}
+
+/**
+ * Work out special AC or HP text that depends on the spell level
+ * @param {string} text - e.g. "11 + the level of the spell (natural armor)" or
+ *                        "30 (Land and Water only) + 5 for each spell level above 2nd"
+ * @param {number} spellLevel - The spell level
+ * @returns {string} The text with the values for that level
+ */
+function scaleSpecialText(text, spellLevel) {
+    let result = text.replace(/(\d+) \+ the level of the spell/g, (match, base) => String(parseInt(base) + spellLevel));
+    
+    // The per-level bonus applies to every value listed before it
+    const perLevel = result.match(/\s*\+ (\d+) for each spell level above (\d+)(?:st|nd|rd|th)/);
+    if (perLevel) {
+        const bonus = parseInt(perLevel[1]) * Math.max(0, spellLevel - parseInt(perLevel[2]));
+        result = result.slice(0, perLevel.index).replace(/\b\d+\b/g, value => String(parseInt(value) + bonus)) +
+            result.slice(perLevel.index + perLevel[0].length);
+    }
+    
+    return result;
+}
+
+/**
+ * Render a monster as a markdown statblock
+ * @param {Object} creature - The 5etools monster (a resolved variant, not a base with _versions)
+ * @param {Object} options - {format: "homebrewery" (Homebrewery V3) or "github", spellLevel, proficiencyBonus}
+ * @returns {string} The markdown
+ */
+function renderCreatureMarkdown(creature, options = {}) {
+    const monster = scaleMonster(creature, options);
+    const isHomebrewery = options.format !== 'github';
+    const text = value => replaceTags(value, true);
+    
+    // Homebrewery V3 keeps the frame's blocks on consecutive lines, writes "Name :: value"
+    // pairs and spaces features apart with ":" lines; GitHub needs blank lines and hard breaks
+    const blockSeparator = isHomebrewery ? '\n' : '\n\n';
+    const featureSeparator = isHomebrewery ? '\n:\n' : '\n\n';
+    const rule = isHomebrewery ? '___' : '---';
+    
+    const propertyLines = properties => properties
+        .filter(([, value]) => value)
+        .map(([name, value]) => isHomebrewery ? `**${name}** :: ${value}` : `**${name}** ${value}`)
+        .join(isHomebrewery ? '\n' : '\\\n');
+    
+    const properties = [
+        ['Armor Class', text(renderVariableStat(monster.ac, 'ac'))],
+        ['Hit Points', text(renderVariableStat(monster.hp, 'hp'))],
+        ['Speed', getSpeedText(monster.speed)]
+    ];
+    
+    if (monster.summonedBySpell) {
+        const spell = String(monster.summonedBySpell).split('|')[0];
+        const level = parseInt(options.spellLevel) || monster.summonedBySpellLevel;
+        properties.push(['Summoned By', `${spell}${level ? ` at ${level}${getOrdinalSuffix(level)} level` : ''}`]);
+    }
+    
+    const abilities = ['str', 'dex', 'con', 'int', 'wis', 'cha'];
+    const abilityTable = [
+        `| ${abilities.map(ability => ability.toUpperCase()).join(' | ')} |`,
+        `|${abilities.map(() => ':---:').join('|')}|`,
+        `| ${abilities.map(ability => `${monster[ability]} (${getAbilityModifier(monster[ability])})`).join(' | ')} |`
+    ].join('\n');
+    
+    const senses = (Array.isArray(monster.senses) ? monster.senses : []).map(sense => text(sense));
+    if (monster.passive) {
+        senses.push(`passive Perception ${monster.passive}`);
+    }
+    
+    const languages = Array.isArray(monster.languages) && monster.languages.length > 0
+        ? monster.languages.map(language => text(language)).join(', ')
+        : '—';
+    
+    const details = [
+        ['Saving Throws', Object.entries(monster.save || {}).map(([ability, bonus]) => `${capitalizeWords(ability)} ${bonus}`).join(', ')],
+        ['Skills', Object.entries(monster.skill || {}).filter(([skill]) => skill !== 'other').map(([skill, bonus]) => `${capitalizeWords(skill)} ${bonus}`).join(', ')],
+        ['Damage Vulnerabilities', (monster.vulnerable || []).map(formatTraitEntry).join(', ')],
+        ['Damage Resistances', (monster.resist || []).map(formatTraitEntry).join(', ')],
+        ['Damage Immunities', (monster.immune || []).map(formatTraitEntry).join(', ')],
+        ['Condition Immunities', (monster.conditionImmune || []).map(formatTraitEntry).join(', ')],
+        ['Senses', senses.join(', ')],
+        ['Languages', languages]
+    ];
+    
+    if (monster.cr !== undefined) {
+        const cr = formatChallengeRating(monster.cr);
+        details.push(['Challenge', CR_XP[cr] !== undefined ? `${cr} (${CR_XP[cr].toLocaleString('en-US')} XP)` : cr]);
+    }
+    
+    const features = [];
+    
+    const traits = [...(monster.trait || []), ...getMarkdownSpellcasting(monster.spellcasting)]
+        .filter(entry => entry && entry.name);
+    if (traits.length > 0) {
+        features.push(traits.map(renderMarkdownFeature).join(featureSeparator));
+    }
+    
+    for (const section of MARKDOWN_SECTIONS) {
+        const entries = (monster[section.property] || []).filter(entry => entry && entry.name);
+        if (entries.length === 0) continue;
+        
+        const name = monster.name.toLowerCase();
+        const header = section.property === 'legendary'
+            ? (monster.legendaryHeader || [`The ${name} can take 3 legendary actions, choosing from the options below. Only one legendary action option can be used at a time and only at the end of another creature's turn. The ${name} regains spent legendary actions at the start of its turn.`]).map(entry => text(entry))
+            : [];
+        
+        features.push(`${isHomebrewery ? '###' : '####'} ${section.title}${blockSeparator}` +
+            [...header, ...entries.map(renderMarkdownFeature)].join(featureSeparator));
+    }
+    
+    const blocks = [
+        `${isHomebrewery ? '##' : '###'} ${monster.name}`,
+        `*${getSizeString(monster.size)} ${getTypeWithTags(monster.type)}, ${getAlignmentString(monster.alignment)}*`,
+        rule,
+        propertyLines(properties),
+        rule,
+        abilityTable,
+        rule,
+        propertyLines(details)
+    ];
+    
+    if (features.length > 0) {
+        blocks.push(rule, features.join(featureSeparator));
+    }
+    
+    const markdown = blocks.join(blockSeparator);
+    return isHomebrewery ? `{{monster,frame\n${markdown}\n}}\n` : `${markdown}\n`;
+}
+
+/**
+ * Render a named trait, action or spellcasting entry as markdown
+ * @param {Object} entry - The {name, entries} entry
+ * @returns {string} The markdown paragraphs
+ */
+function renderMarkdownFeature(entry) {
+    const paragraphs = getMarkdownParagraphs(entry.entries || entry.entry);
+    const name = `***${replaceTags(entry.name, true)}.***`;
+    
+    if (paragraphs.length === 0) return name;
+    paragraphs[0] = `${name} ${paragraphs[0]}`;
+    return paragraphs.join('\n\n');
+}
+
+/**
+ * Convert 5etools entries into markdown paragraphs
+ * @param {Array|string} entries - The entries
+ * @returns {Array<string>} The paragraphs; lists become bulleted lines
+ */
+function getMarkdownParagraphs(entries) {
+    if (typeof entries === 'string') return [replaceTags(entries, true)];
+    if (!Array.isArray(entries)) return [];
+    
+    return entries.flatMap(entry => {
+        if (typeof entry === 'string') return [replaceTags(entry, true)];
+        if (!entry || typeof entry !== 'object') return [];
+        
+        if (entry.type === 'list') {
+            const items = (entry.items || []).map(item => {
+                if (typeof item === 'string') return `- ${replaceTags(item, true)}`;
+                const itemText = getMarkdownParagraphs(item.entries || (item.entry ? [item.entry] : [])).join(' ');
+                return item.name ? `- ***${replaceTags(item.name, true)}.*** ${itemText}` : `- ${itemText}`;
+            });
+            return [items.join('\n')];
+        }
+        
+        if (entry.name) {
+            return [renderMarkdownFeature(entry)];
+        }
+        
+        return getMarkdownParagraphs(entry.entries || entry.entry);
+    });
+}
+
+/**
+ * Write spellcasting blocks as named entries for the markdown traits
+ * @param {Array} spellcasting - The 5etools spellcasting blocks
+ * @returns {Array<Object>} The {name, entries} entries
+ */
+function getMarkdownSpellcasting(spellcasting) {
+    if (!Array.isArray(spellcasting)) return [];
+    
+    const spellList = spells => (spells || [])
+        .map(spell => typeof spell === 'string' ? spell : spell && spell.entry)
+        .filter(Boolean)
+        .map(spell => `*${replaceTags(spell, true)}*`)
+        .join(', ');
+    
+    return spellcasting.map(caster => {
+        const lines = [];
+        
+        if (caster.will && caster.will.length > 0) {
+            lines.push(`- At will: ${spellList(caster.will)}`);
+        }
+        
+        for (const [frequency, spells] of Object.entries(caster.daily || {})) {
+            lines.push(`- ${parseInt(frequency)}/day${frequency.endsWith('e') ? ' each' : ''}: ${spellList(spells)}`);
+        }
+        
+        for (const [level, spellData] of Object.entries(caster.spells || {})) {
+            const levelNum = parseInt(level);
+            const levelName = levelNum === 0 ? 'Cantrips (at will)' : `${levelNum}${getOrdinalSuffix(levelNum)} level`;
+            const slots = spellData.slots ? ` (${spellData.slots} slot${spellData.slots > 1 ? 's' : ''})` : '';
+            lines.push(`- ${levelName}${slots}: ${spellList(spellData.spells)}`);
+        }
+        
+        return {
+            name: caster.name || 'Spellcasting',
+            entries: [...(caster.headerEntries || []), ...(lines.length > 0 ? [lines.join('\n')] : []), ...(caster.footerEntries || [])]
+        };
+    });
+}
+
+/**
+ * Format a speed the way statblocks print it ("30 ft., fly 60 ft. (hover)")
+ * @param {Object|number} speed - The 5etools speed
+ * @returns {string} The speed text
+ */
+function getSpeedText(speed) {
+    if (typeof speed === 'number') return `${speed} ft.`;
+    if (!speed || typeof speed !== 'object') return stripTags(String(speed || ''));
+    
+    return ['walk', 'burrow', 'climb', 'fly', 'swim']
+        .filter(type => speed[type] !== undefined)
+        .map(type => {
+            const value = speed[type];
+            const number = typeof value === 'object' ? value.number : value;
+            const condition = typeof value === 'object' && value.condition ? ` ${stripTags(value.condition)}` : '';
+            return `${type === 'walk' ? '' : `${type} `}${number} ft.${condition}`;
+        })
+        .join(', ');
+}
+
+/**
+ * Capitalize each word except "of" (e.g. "sleight of hand" becomes "Sleight of Hand")
+ * @param {string} text - The text
+ * @returns {string} The capitalized text
+ */
+function capitalizeWords(text) {
+    return text.replace(/\b\w+/g, word => word === 'of' ? word : word.charAt(0).toUpperCase() + word.slice(1));
+}
+
+/**
+ * Render a monster as a compact plain-text card for pasting into chat
+ * Attacks are summarized on one line each ("Bite: +4, 2d4+2 piercing, DC 11 STR or prone")
+ * @param {Object} creature - The 5etools monster (a resolved variant, not a base with _versions)
+ * @param {Object} options - {width: wrap to this many columns in a monospace block, count: number of
+ *                           identical summons to give HP columns, spellLevel, proficiencyBonus}
+ * @returns {string} The plain text
+ */
+function renderCreatureCard(creature, options = {}) {
+    const monster = scaleMonster(creature, options);
+    const width = parseInt(options.width) || 0;
+    const count = Math.max(1, parseInt(options.count) || 1);
+    const abilities = ['str', 'dex', 'con', 'int', 'wis', 'cha'];
+    
+    const hp = stripTags(renderVariableStat(monster.hp, 'hp'));
+    const stats = [
+        `AC ${stripTags(renderVariableStat(monster.ac, 'ac'))}`,
+        `HP ${hp}${count > 1 ? ' each' : ''}`,
+        `Speed ${getSpeedText(monster.speed)}`
+    ];
+    
+    // Narrow cards give each stat its own line so wrapping doesn't split them mid-value
+    const lines = [
+        count > 1 ? `${count}× ${monster.name}` : monster.name,
+        ...(width ? stats : [stats.join(' | ')])
+    ];
+    
+    // A monospace table lines the ability scores up; otherwise they go on one line
+    if (width) {
+        lines.push(
+            abilities.map(ability => ability.toUpperCase().padStart(4)).join(''),
+            abilities.map(ability => String(monster[ability]).padStart(4)).join(''),
+            abilities.map(ability => getAbilityModifier(monster[ability]).padStart(4)).join('')
+        );
+    } else {
+        lines.push(abilities.map(ability => `${ability.toUpperCase()} ${monster[ability]} (${getAbilityModifier(monster[ability])})`).join(' '));
+    }
+    
+    for (const section of MARKDOWN_SECTIONS) {
+        const entries = (monster[section.property] || []).filter(entry => entry && entry.name);
+        if (entries.length === 0) continue;
+        
+        if (section.property !== 'action') {
+            lines.push(`${section.title}:`);
+        }
+        lines.push(...entries.map(getCardActionLine));
+    }
+    
+    if (count > 1) {
+        lines.push(...getCardHitPointColumns(count, parseInt(hp) || 0, width));
+    }
+    
+    if (!width) {
+        return `${lines.join('\n')}\n`;
+    }
+    
+    const wrapped = lines.flatMap(line => wrapText(line, width));
+    return `\`\`\`\n${wrapped.join('\n')}\n\`\`\`\n`;
+}
+
+/**
+ * Summarize an action on one line: attacks and saving throws as their numbers, anything else as its text
+ * @param {Object} entry - The {name, entries} action
+ * @returns {string} e.g. "Bite: +4, 2d4+2 piercing, DC 11 STR or prone"
+ */
+function getCardActionLine(entry) {
+    const name = stripTags(entry.name);
+    const tagged = (Array.isArray(entry.entries) ? entry.entries : [entry.entries])
+        .filter(paragraph => typeof paragraph === 'string')
+        .join(' ');
+    
+    const parts = [];
+    
+    const toHit = tagged.match(/\{@hit ([^}]+)\}/);
+    if (toHit) {
+        parts.push(stripTags(toHit[0]));
+    }
+    
+    // Damage after "Hit:" for attacks (an alternative such as versatile damage is left out)
+    const hitIndex = tagged.indexOf('{@h}');
+    const damageText = (hitIndex !== -1 ? tagged.slice(hitIndex) : tagged).split(/,?\s+or\s+\d+\s*\(\{@damage/)[0];
+    const damage = [];
+    const damagePattern = /\{@damage ([^}]+)\}\)?(?:\s+(\w+) damage)?/g;
+    let match;
+    while ((match = damagePattern.exec(damageText)) !== null) {
+        damage.push(`${match[1].replace(/\s/g, '')}${match[2] ? ` ${match[2]}` : ''}`);
+    }
+    if (damage.length > 0) {
+        parts.push(damage.join(' + '));
+    }
+    
+    // Saving throws are matched on the plain text, since older data doesn't always tag the DC or condition
+    const save = stripTags(tagged).match(/DC (\d+) (Strength|Dexterity|Constitution|Intelligence|Wisdom|Charisma) saving throw([^.]*)/i);
+    if (save) {
+        const condition = save[3].match(CARD_CONDITION_PATTERN);
+        parts.push(`DC ${save[1]} ${save[2].slice(0, 3).toUpperCase()}${condition ? ` or ${condition[1]}` : ''}`);
+    }
+    
+    if (parts.length === 0) {
+        return `${name}: ${stripTags(tagged)}`;
+    }
+    
+    return `${name}: ${parts.join(', ')}`;
+}
+
+/**
+ * Build HP tracking columns for a group of identical summons, wrapping to the width
+ * @param {number} count - The number of summons
+ * @param {number} hp - Each summon's hit points
+ * @param {number} width - The maximum line width, or 0 for no limit
+ * @returns {Array<string>} The table lines
+ */
+function getCardHitPointColumns(count, hp, width) {
+    const columnWidth = Math.max(String(count).length + 1, String(hp).length) + 2;
+    const perRow = width ? Math.max(1, Math.floor((width - 3) / columnWidth)) : count;
+    const lines = [];
+    
+    for (let start = 1; start <= count; start += perRow) {
+        const numbers = [];
+        for (let number = start; number < start + perRow && number <= count; number++) {
+            numbers.push(number);
+        }
+        lines.push(
+            `#  ${numbers.map(number => `#${number}`.padStart(columnWidth)).join('')}`,
+            `HP ${numbers.map(() => String(hp).padStart(columnWidth)).join('')}`
+        );
+    }
+    
+    return lines;
+}
+
+/**
+ * Wrap a line of text at word boundaries, indenting the continuation lines
+ * @param {string} line - The line
+ * @param {number} width - The maximum width
+ * @returns {Array<string>} The wrapped lines
+ */
+function wrapText(line, width) {
+    if (line.length <= width) return [line];
+    
+    const lines = [];
+    let current = '';
+    for (const word of line.split(' ')) {
+        if (current && `${current} ${word}`.length > width) {
+            lines.push(current);
+            current = `  ${word}`;
+        } else {
+            current = current ? `${current} ${word}` : word;
+        }
+    }
+    lines.push(current);
+    
+    return lines;
+}
+
 // CSS for styling stat blocks
 const statBlockCSS = `
 .statblock {
@@ -1341,6 +2345,62 @@ const statBlockCSS = `
     color: #666;
 }
 
+.stat-block-quote {
+    margin: 0.5rem 1rem;
+    font-style: italic;
+}
+
+.stat-block-quote cite {
+    display: block;
+    text-align: right;
+}
+
+.stat-block-inset {
+    margin: 0.5rem 0;
+    padding: 0.5rem 0.75rem;
+    background: #e9d7a0;
+    border-radius: 3px;
+}
+
+.statblock-source {
+    margin-top: 1rem;
+    font-size: 0.85rem;
+    font-style: italic;
+    color: #666;
+}
+
+.spell-link {
+    color: #704cd9;
+    font-style: italic;
+    text-decoration: none;
+    border-bottom: 1px dotted #704cd9;
+}
+
+.spell-link:hover {
+    color: #922610;
+    border-bottom-color: #922610;
+}
+
+.spell-card-name {
+    margin: 0;
+    color: #922610;
+    font-size: 1.2rem;
+}
+
+.spell-card-level {
+    font-style: italic;
+    margin-bottom: 0.5rem;
+}
+
+.spell-card-property {
+    margin-bottom: 0.2rem;
+}
+
+.spell-card-entries {
+    margin-top: 0.5rem;
+    border-top: 1px solid #922610;
+}
+
 .creature-attributes {
     background: #e9d7a0;
     padding: 0.5rem;
@@ -1425,6 +2485,42 @@ const statBlockCSS = `
     margin-left: 0.5rem;
 }
 
+.usage-pips {
+    display: inline-flex;
+    gap: 0.2rem;
+    margin-left: 0.4rem;
+    vertical-align: middle;
+}
+
+.usage-pip {
+    width: 0.8rem;
+    height: 0.8rem;
+    padding: 0;
+    border: 1px solid #922610;
+    border-radius: 50%;
+    background-color: #922610;
+    cursor: pointer;
+}
+
+.usage-pip.spent {
+    background-color: transparent;
+}
+
+.feature-riders {
+    margin-top: 0.2rem;
+}
+
+.feature-rider {
+    display: inline-block;
+    margin: 0.1rem 0.3rem 0.1rem 0;
+    padding: 0.05rem 0.4rem;
+    font-size: 0.85em;
+    color: #922610;
+    background-color: #fbeee0;
+    border: 1px solid #e0b9a0;
+    border-radius: 3px;
+}
+
 .stat-block-list {
     padding-left: 1rem;
     margin: 0.5rem 0;
@@ -1494,12 +2590,29 @@ export {
     renderCreatureStatBlock,
     processMonsterVariants,
     processMonsterCopy,
+    registerTemplates,
+    registerSources,
+    getSourceName,
+    getRawMonster,
+    getDisplayMonster,
+    processEntries,
     parseFormattingTags,
+    renderSpellCard,
+    getSizeString,
+    getTypeWithTags,
+    getAlignmentString,
+    stripTags,
+    formatTraitEntry,
+    scaleMonster,
+    renderCreatureMarkdown,
+    renderCreatureCard,
     getScalingContext,
     statBlockCSS
 };
 
-// Add CSS to document
-const style = document.createElement('style');
-style.textContent = statBlockCSS;
-document.head.appendChild(style);
\ No newline at end of file
+// Add CSS to document (skipped when loaded in the import worker, which has no DOM)
+if (typeof document !== 'undefined') {
+    const style = document.createElement('style');
+    style.textContent = statBlockCSS;
+    document.head.appendChild(style);
+}
\ No newline at end of file
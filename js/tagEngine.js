@@ -0,0 +1,414 @@
+/**
+ * D&D 5e Summons Assistant
+ * Tag Engine Module
+ * Parses 5etools {@tag ...} formatting into tokens and renders them as HTML, plain text, markdown
+ * or structured tokens. Each tag is defined once in the tag registry; each output target decides
+ * how a tag's display text is shown
+ */
+
+const ATTACK_TYPES = {
+    'mw': 'Melee Weapon Attack:',
+    'rw': 'Ranged Weapon Attack:',
+    'mw,rw': 'Melee or Ranged Weapon Attack:',
+    'ms': 'Melee Spell Attack:',
+    'rs': 'Ranged Spell Attack:',
+    'ms,rs': 'Melee or Ranged Spell Attack:'
+};
+
+// 2024 rules attack rolls ({@atkr m})
+const ATTACK_ROLL_TYPES = {
+    'm': 'Melee Attack Roll:',
+    'r': 'Ranged Attack Roll:',
+    'm,r': 'Melee or Ranged Attack Roll:'
+};
+
+const ABILITY_NAMES = {
+    'str': 'Strength',
+    'dex': 'Dexterity',
+    'con': 'Constitution',
+    'int': 'Intelligence',
+    'wis': 'Wisdom',
+    'cha': 'Charisma'
+};
+
+const HTML_STYLES = {
+    'bold': 'strong',
+    'italic': 'em',
+    'strike': 's',
+    'underline': 'u',
+    'superscript': 'sup',
+    'subscript': 'sub',
+    'code': 'code'
+};
+
+const MARKDOWN_STYLES = {
+    'bold': '**',
+    'italic': '*',
+    'strike': '~~',
+    'code': '`'
+};
+
+// Tag definitions keyed by tag name
+const tagRegistry = new Map();
+
+// Output targets keyed by name
+const outputTargets = new Map();
+
+/**
+ * Most tags are name|source|display text and show the display text, or else the name
+ * A reference to a spell, creature, item, condition... carries its name and source as data
+ */
+const DEFAULT_TAG = {
+    display: tag => tag.args[2] ? tag.parts[2] : tag.parts[0] || [],
+    data: tag => ({ name: tag.args[0], source: tag.args[1] || null })
+};
+
+/**
+ * Register a tag, or several tags that share a definition
+ * @param {string|Array<string>} names - The tag names (e.g. "b" and "bold")
+ * @param {Object} definition - How the tag is shown:
+ *     display(tag, context) returns the text shown, as a string or an array of tokens (default: the display text or name);
+ *     style is 'bold', 'italic', 'strike', 'underline', 'superscript', 'subscript' or 'code';
+ *     after is text added after the styled text (such as the space after "Hit:");
+ *     data(tag) returns the values the structured tokens target records (such as {bonus: 4} for {@hit 4});
+ *     html(tag, content) wraps the rendered content for the HTML target (such as a link)
+ */
+export function registerTag(names, definition) {
+    (Array.isArray(names) ? names : [names]).forEach(name => {
+        tagRegistry.set(name, definition);
+    });
+}
+
+/**
+ * Register an output target
+ * @param {string} name - The target name, passed to renderTags
+ * @param {Object} target - {text(value), tag(tag, definition, content, context), join(outputs)}:
+ *     text renders plain text, tag wraps a tag's rendered display text, join combines rendered pieces
+ */
+export function registerOutputTarget(name, target) {
+    outputTargets.set(name, target);
+}
+
+/**
+ * Split text into plain text and tags
+ * Nested tags are parsed inside each |-separated part, so {@b {@spell fly}} works;
+ * a "{@" without a closing brace is left as text
+ * @param {string} text - Text with 5etools tags
+ * @returns {Array} Strings for plain text and {tag, args, parts, raw} for tags, where args are the
+ *     |-separated parts as written and parts the same parts as token arrays
+ */
+export function tokenizeTags(text) {
+    const tokens = [];
+    if (typeof text !== 'string') return tokens;
+    
+    let plain = '';
+    let index = 0;
+    while (index < text.length) {
+        const end = text.startsWith('{@', index) ? findClosingBrace(text, index) : -1;
+        if (end === -1) {
+            plain += text[index];
+            index++;
+            continue;
+        }
+        
+        if (plain) {
+            tokens.push(plain);
+            plain = '';
+        }
+        tokens.push(parseTag(text.slice(index, end + 1)));
+        index = end + 1;
+    }
+    
+    if (plain) tokens.push(plain);
+    return tokens;
+}
+
+/**
+ * Render text with 5etools tags
+ * @param {string} text - Text with tags such as {@hit 4} or {@creature wolf|MM|wolves}
+ * @param {string} target - The output target: 'html', 'text', 'markdown' or 'tokens'
+ * @param {Object} context - Passed on to the tag definitions
+ * @returns {string|Array} The rendered text; for 'tokens', an array of {type: 'text', text}
+ *     and {type: 'tag', tag, text, data} tokens
+ */
+export function renderTags(text, target = 'text', context = {}) {
+    const output = outputTargets.get(target);
+    if (!output) {
+        throw new Error(`Unknown tag output target: ${target}`);
+    }
+    
+    return renderTokens(tokenizeTags(text), output, context);
+}
+
+/**
+ * Escape text for use in HTML, in element content or a quoted attribute. Every renderer uses this
+ * for names, sources and other text from imported data
+ * @param {*} value - The text; other values are converted to strings
+ * @returns {string} The escaped text
+ */
+export function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Render tokens with an output target
+ * @param {Array} tokens - Strings and tags from tokenizeTags
+ * @param {Object} output - The output target
+ * @param {Object} context - Passed on to the tag definitions
+ * @returns {*} The target's output
+ */
+function renderTokens(tokens, output, context) {
+    return output.join(tokens.map(token => {
+        if (typeof token === 'string') {
+            return output.text(token);
+        }
+        
+        const definition = tagRegistry.get(token.tag) || DEFAULT_TAG;
+        const display = (definition.display || DEFAULT_TAG.display)(token, context);
+        const content = renderTokens(typeof display === 'string' ? [display] : display, output, context);
+        return output.tag(token, definition, content, context);
+    }));
+}
+
+/**
+ * Find the brace that closes a tag
+ * @param {string} text - The text
+ * @param {number} start - The index of the tag's "{@"
+ * @returns {number} The index of the closing brace, or -1 if the tag isn't closed
+ */
+function findClosingBrace(text, start) {
+    let depth = 0;
+    for (let i = start; i < text.length; i++) {
+        if (text[i] === '{') {
+            depth++;
+        } else if (text[i] === '}') {
+            depth--;
+            if (depth === 0) return i;
+        }
+    }
+    return -1;
+}
+
+/**
+ * Parse one tag
+ * @param {string} raw - The tag as written, braces included
+ * @returns {Object} {tag, args, parts, raw}
+ */
+function parseTag(raw) {
+    const body = raw.slice(2, -1);
+    const name = body.match(/^\w*/)[0];
+    const args = splitParts(body.slice(name.length).trim());
+    
+    return {
+        tag: name,
+        args: args.map(arg => arg.trim()),
+        parts: args.map(arg => tokenizeTags(arg.trim())),
+        raw: raw
+    };
+}
+
+/**
+ * Split a tag's content on the pipes that aren't inside a nested tag
+ * @param {string} content - The tag content
+ * @returns {Array<string>} The parts
+ */
+function splitParts(content) {
+    const parts = [];
+    let depth = 0;
+    let current = '';
+    
+    for (const character of content) {
+        if (character === '{') depth++;
+        if (character === '}') depth--;
+        
+        if (character === '|' && depth === 0) {
+            parts.push(current);
+            current = '';
+        } else {
+            current += character;
+        }
+    }
+    
+    parts.push(current);
+    return parts;
+}
+
+/**
+ * Format a bonus with its sign
+ * @param {string} value - The bonus as written (e.g. "4" or "-1")
+ * @returns {string} The signed bonus, or the value with a plus if it isn't a number
+ */
+function formatSignedBonus(value) {
+    if (!/^[+-]?\d+$/.test(value)) return `+${value}`;
+    const number = parseInt(value);
+    return number >= 0 ? `+${number}` : `${number}`;
+}
+
+/**
+ * Show one |-separated part of a tag, or its first part when that one is empty
+ * @param {number} index - The part holding the display text
+ * @returns {Function} The display function
+ */
+function displayPart(index) {
+    return tag => tag.args[index] ? tag.parts[index] : tag.parts[0] || [];
+}
+
+// Output targets
+registerOutputTarget('html', {
+    text: escapeHtml,
+    tag: (tag, definition, content) => {
+        let html = definition.html ? definition.html(tag, content) : content;
+        if (HTML_STYLES[definition.style]) {
+            const element = HTML_STYLES[definition.style];
+            html = `<${element}>${html}</${element}>`;
+        }
+        return `${html}${definition.after || ''}`;
+    },
+    join: outputs => outputs.join('')
+});
+
+registerOutputTarget('text', {
+    text: value => value,
+    tag: (tag, definition, content) => `${content}${definition.after || ''}`,
+    join: outputs => outputs.join('')
+});
+
+registerOutputTarget('markdown', {
+    text: value => value,
+    tag: (tag, definition, content) => {
+        const mark = MARKDOWN_STYLES[definition.style] || '';
+        return `${mark}${content}${mark}${definition.after || ''}`;
+    },
+    join: outputs => outputs.join('')
+});
+
+registerOutputTarget('tokens', {
+    text: value => [{ type: 'text', text: value }],
+    tag: (tag, definition, content) => [{
+        type: 'tag',
+        tag: tag.tag,
+        text: `${content.map(token => token.text).join('')}${definition.after || ''}`,
+        data: definition.data ? definition.data(tag) : {}
+    }],
+    join: outputs => [].concat(...outputs).reduce((tokens, token) => {
+        const previous = tokens[tokens.length - 1];
+        if (token.type === 'text' && previous && previous.type === 'text') {
+            previous.text += token.text;
+        } else {
+            tokens.push({ ...token });
+        }
+        return tokens;
+    }, [])
+});
+
+// Attacks and rolls
+registerTag('atk', {
+    display: tag => ATTACK_TYPES[tag.args[0].replace(/\s/g, '')] || 'Attack:',
+    style: 'italic',
+    data: tag => ({ attackTypes: tag.args[0].replace(/\s/g, '').split(',') })
+});
+
+registerTag('atkr', {
+    display: tag => ATTACK_ROLL_TYPES[tag.args[0].replace(/\s/g, '')] || 'Attack Roll:',
+    style: 'italic',
+    data: tag => ({ attackTypes: tag.args[0].replace(/\s/g, '').split(',') })
+});
+
+registerTag('hit', {
+    display: tag => formatSignedBonus(tag.args[0]),
+    data: tag => ({ bonus: parseInt(tag.args[0]) || 0 })
+});
+
+registerTag('h', { display: () => 'Hit:', style: 'italic', after: ' ' });
+registerTag('m', { display: () => 'Miss:', style: 'italic', after: ' ' });
+registerTag('hom', { display: () => 'Hit or Miss:', style: 'italic', after: ' ' });
+
+registerTag(['damage', 'dice', 'autodice'], {
+    display: displayPart(1),
+    data: tag => ({ formula: tag.args[0] })
+});
+
+registerTag('d20', {
+    display: tag => tag.args[1] || formatSignedBonus(tag.args[0]),
+    data: tag => ({ bonus: parseInt(tag.args[0]) || 0 })
+});
+
+registerTag(['savingThrow', 'skillCheck'], {
+    display: tag => formatSignedBonus(tag.args[0].split(' ').pop()),
+    data: tag => ({ name: tag.args[0].split(' ')[0], bonus: parseInt(tag.args[0].split(' ').pop()) || 0 })
+});
+
+registerTag('dc', {
+    display: tag => `DC ${tag.args[1] || tag.args[0]}`,
+    data: tag => ({ dc: parseInt(tag.args[0]) || 0 })
+});
+
+registerTag('dcYourSpellSave', { display: tag => tag.args[0] || 'your spell save DC' });
+registerTag('hitYourSpellAttack', { display: tag => tag.args[0] || '+ your spell attack modifier' });
+
+registerTag('recharge', {
+    display: tag => tag.args[0] && tag.args[0] !== '6' ? `(Recharge ${tag.args[0]}–6)` : '(Recharge 6)',
+    data: tag => ({ recharge: parseInt(tag.args[0]) || 6 })
+});
+
+registerTag('chance', {
+    display: tag => tag.args[1] || `${tag.args[0]} percent`,
+    data: tag => ({ percent: parseInt(tag.args[0]) || 0 })
+});
+
+registerTag('coinflip', { display: tag => tag.args[0] || 'flip a coin' });
+
+// {@scaledice 2d6|3-9|1d6} shows the dice added per level
+registerTag(['scaledice', 'scaledamage'], {
+    display: tag => tag.args[3] || tag.args[2] || tag.args[0],
+    data: tag => ({ formula: tag.args[0], levels: tag.args[1] || null, scaling: tag.args[2] || null })
+});
+
+// 2024 rules saving throw effects
+registerTag('actSave', {
+    display: tag => `${ABILITY_NAMES[tag.args[0].toLowerCase()] || tag.args[0]} Saving Throw:`,
+    style: 'italic',
+    data: tag => ({ ability: tag.args[0].toLowerCase() })
+});
+
+registerTag('actSaveFail', { display: () => 'Failure:', style: 'italic' });
+registerTag('actSaveSuccess', { display: () => 'Success:', style: 'italic' });
+registerTag('actSaveSuccessOrFail', { display: () => 'Failure or Success:', style: 'italic' });
+registerTag('actSaveFailBy', {
+    display: tag => `Failure by ${tag.args[0]} or More:`,
+    style: 'italic',
+    data: tag => ({ margin: parseInt(tag.args[0]) || 0 })
+});
+registerTag('actTrigger', { display: () => 'Trigger:', style: 'italic' });
+registerTag('actResponse', { display: () => 'Response:', style: 'italic' });
+
+// Text styles
+registerTag(['b', 'bold'], { display: displayPart(0), style: 'bold' });
+registerTag(['i', 'italic'], { display: displayPart(0), style: 'italic' });
+registerTag(['s', 'strike', 'strikeDouble'], { display: displayPart(0), style: 'strike' });
+registerTag(['u', 'underline', 'underlineDouble'], { display: displayPart(0), style: 'underline' });
+registerTag('sup', { display: displayPart(0), style: 'superscript' });
+registerTag('sub', { display: displayPart(0), style: 'subscript' });
+registerTag(['kbd', 'code'], { display: displayPart(0), style: 'code' });
+registerTag('note', { display: displayPart(0), style: 'italic' });
+
+// References whose first part is the display text
+registerTag(['filter', 'book', 'adventure', 'link', '5etools', 'footnote'], { display: displayPart(0) });
+
+// References whose display text isn't the third part
+registerTag('deity', { display: displayPart(3), data: DEFAULT_TAG.data });
+registerTag('quickref', { display: displayPart(4), data: DEFAULT_TAG.data });
+registerTag('classFeature', { display: displayPart(5), data: DEFAULT_TAG.data });
+registerTag('subclassFeature', { display: displayPart(7), data: DEFAULT_TAG.data });
+
+// Spells link to their spell card; the source defaults to the Player's Handbook
+registerTag('spell', {
+    display: DEFAULT_TAG.display,
+    data: tag => ({ name: tag.args[0], source: tag.args[1] || 'PHB' }),
+    html: (tag, content) => `<a href="#" class="spell-link" data-spell="${escapeHtml(tag.args[0])}" data-source="${escapeHtml(tag.args[1] || 'PHB')}">${content}</a>`
+});
@@ -0,0 +1,219 @@
+/**
+ * D&D 5e Summons Assistant
+ * Usage Tracker Module
+ * Reads usage limits from action and trait names (recharge, uses per day or rest, legendary action
+ * costs) and tracks them in combat, rolling recharges at the start of a creature's turn
+ */
+
+import { renderTags } from './tagEngine.js';
+
+// The statblock sections whose entries can have usage limits, with the monster property holding them
+const USAGE_SECTIONS = {
+    trait: 'Traits',
+    action: 'Actions',
+    bonus: 'Bonus Actions',
+    reaction: 'Reactions',
+    legendary: 'Legendary Actions'
+};
+
+const REST_LABELS = {
+    shortRest: 'Recharges after a Short or Long Rest',
+    longRest: 'Recharges after a Long Rest'
+};
+
+/**
+ * Split an action or trait name into its plain name and usage limit
+ * @param {string} name - The name (e.g. "Fire Breath {@recharge 5}", "Web (3/Day)" or "Wing Attack (Costs 2 Actions)")
+ * @returns {Object} {name, usage}: usage is null when the name has no limit, otherwise {label, recharge, uses,
+ *     per, each, cost}. recharge is the lowest d6 roll that recharges it; uses and per ('day', 'shortRest',
+ *     'longRest' or 'turn') give how often it can be used; each is set for "(1/Day each)"; cost is the
+ *     number of legendary actions it costs
+ */
+export function parseUsage(name) {
+    let recharge = null;
+    let plain = '';
+    
+    renderTags(String(name || ''), 'tokens').forEach(token => {
+        if (token.type === 'tag' && token.tag === 'recharge') {
+            recharge = token.data.recharge;
+        } else {
+            plain += token.text;
+        }
+    });
+    
+    const usage = { label: '', recharge: null, uses: null, per: null, each: false, cost: null };
+    
+    // Names converted from plain text may still say "(Recharge 5–6)"
+    const rechargeText = plain.match(/\s*\(Recharge (\d)(?:\s*[–-]\s*6)?\)/i);
+    if (rechargeText) {
+        recharge = parseInt(rechargeText[1]);
+        plain = plain.replace(rechargeText[0], '');
+    }
+    if (recharge) {
+        usage.recharge = recharge;
+        usage.label = recharge === 6 ? 'Recharge 6' : `Recharge ${recharge}–6`;
+    }
+    
+    // "(3/Day)", "(1/Day each)", or "(3/Day, or 4/Day in Lair)", which uses the first number
+    const perDay = plain.match(/\s*\((\d+)\/(Day|Turn)( each)?[^)]*\)/i);
+    if (perDay) {
+        usage.uses = parseInt(perDay[1]);
+        usage.per = perDay[2].toLowerCase();
+        usage.each = !!perDay[3];
+        usage.label = `${perDay[1]}/${perDay[2].charAt(0).toUpperCase()}${perDay[2].slice(1).toLowerCase()}${usage.each ? ' each' : ''}`;
+        plain = plain.replace(perDay[0], '');
+    }
+    
+    const rest = plain.match(/\s*\(Recharges after a (Short or Long|Long) Rest\)/i);
+    if (rest) {
+        usage.uses = 1;
+        usage.per = /short/i.test(rest[1]) ? 'shortRest' : 'longRest';
+        usage.label = REST_LABELS[usage.per];
+        plain = plain.replace(rest[0], '');
+    }
+    
+    const cost = plain.match(/\s*\(Costs (\d+) Actions\)/i);
+    if (cost) {
+        usage.cost = parseInt(cost[1]);
+        usage.label = `Costs ${cost[1]} Actions`;
+        plain = plain.replace(cost[0], '');
+    }
+    
+    return {
+        name: plain.replace(/\s+/g, ' ').trim(),
+        usage: usage.label ? usage : null
+    };
+}
+
+/**
+ * Count the pips a usage limit is tracked with
+ * @param {Object} usage - The usage, as read by parseUsage
+ * @returns {number} One per use, one for a recharge, and none for a legendary action cost alone
+ */
+export function getUsagePips(usage) {
+    if (!usage) return 0;
+    if (usage.uses) return usage.uses;
+    return usage.recharge ? 1 : 0;
+}
+
+/**
+ * Set up usage tracking for a creature in combat
+ * @param {Object} monster - The 5etools monster
+ * @returns {Array<Object>} The trackers, each {id, section, name, usage, max, remaining}. The creature's
+ *     legendary actions get a tracker of their own (ID 'legendaryActions') for the actions left this round
+ */
+export function createUsageTrackers(monster) {
+    const trackers = [];
+    
+    Object.keys(USAGE_SECTIONS).forEach(section => {
+        (Array.isArray(monster[section]) ? monster[section] : []).forEach((entry, index) => {
+            if (!entry || typeof entry.name !== 'string') return;
+            
+            const { name, usage } = parseUsage(entry.name);
+            const max = getUsagePips(usage);
+            // Legendary actions with a cost are kept, with no uses of their own, so their cost can be spent
+            if (max > 0 || (usage && usage.cost)) {
+                trackers.push({ id: `${section}[${index}]`, section, name, usage, max, remaining: max });
+            }
+        });
+    });
+    
+    if (Array.isArray(monster.legendary) && monster.legendary.length > 0) {
+        const max = monster.legendaryActions || 3;
+        trackers.push({
+            id: 'legendaryActions',
+            section: 'legendaryActions',
+            name: 'Legendary Actions',
+            usage: { label: `${max}/Turn`, recharge: null, uses: max, per: 'turn', each: false, cost: null },
+            max: max,
+            remaining: max
+        });
+    }
+    
+    return trackers;
+}
+
+/**
+ * Use an ability, spending its uses and, for legendary actions, their cost from the legendary action tracker
+ * @param {Array<Object>} trackers - The creature's trackers
+ * @param {string} id - The tracker ID, e.g. "action[2]"
+ * @returns {Array<Object>|null} The updated trackers, or null if the ability has nothing left to spend
+ */
+export function spendUsage(trackers, id) {
+    const tracker = trackers.find(candidate => candidate.id === id);
+    const legendary = trackers.find(candidate => candidate.id === 'legendaryActions');
+    const limited = tracker && tracker.max > 0;
+    const cost = id.startsWith('legendary[') ? getLegendaryCost(tracker) : 0;
+    
+    if ((limited && tracker.remaining < 1) || (cost > 0 && (!legendary || legendary.remaining < cost))) {
+        return null;
+    }
+    
+    return trackers.map(candidate => {
+        if (candidate === tracker && limited) return { ...candidate, remaining: candidate.remaining - 1 };
+        if (candidate === legendary && cost > 0) return { ...candidate, remaining: candidate.remaining - cost };
+        return candidate;
+    });
+}
+
+/**
+ * Roll a d6 to see whether a recharge ability recharges
+ * @param {number} recharge - The lowest roll that recharges it
+ * @param {Function} rollDie - Rolls a d6; defaults to a random roll
+ * @returns {Object} {roll, recharged}
+ */
+export function rollRecharge(recharge, rollDie = () => Math.floor(Math.random() * 6) + 1) {
+    const roll = rollDie();
+    return { roll, recharged: roll >= recharge };
+}
+
+/**
+ * Start a creature's turn: roll recharges for spent recharge abilities and restore per-turn uses,
+ * including its legendary actions
+ * @param {Array<Object>} trackers - The creature's trackers
+ * @param {Function} rollDie - Rolls a d6; defaults to a random roll
+ * @returns {Object} {trackers, rolls}: the updated trackers, and {id, name, roll, recharged} for each roll made
+ */
+export function startTurn(trackers, rollDie) {
+    const rolls = [];
+    
+    const updated = trackers.map(tracker => {
+        if (tracker.usage.per === 'turn') {
+            return { ...tracker, remaining: tracker.max };
+        }
+        
+        if (tracker.usage.recharge && !tracker.usage.uses && tracker.remaining < tracker.max) {
+            const { roll, recharged } = rollRecharge(tracker.usage.recharge, rollDie);
+            rolls.push({ id: tracker.id, name: tracker.name, roll, recharged });
+            return recharged ? { ...tracker, remaining: tracker.max } : tracker;
+        }
+        
+        return tracker;
+    });
+    
+    return { trackers: updated, rolls };
+}
+
+/**
+ * Restore uses after a rest
+ * @param {Array<Object>} trackers - The creature's trackers
+ * @param {string} rest - 'short' or 'long'
+ * @returns {Array<Object>} The updated trackers: a long rest restores everything, a short rest
+ *     restores recharges and "Short or Long Rest" abilities
+ */
+export function finishRest(trackers, rest) {
+    return trackers.map(tracker => {
+        const restores = rest === 'long' || tracker.usage.per === 'shortRest' || tracker.usage.per === 'turn' ||
+            (tracker.usage.recharge && !tracker.usage.uses);
+        return restores ? { ...tracker, remaining: tracker.max } : tracker;
+    });
+}
+
+/**
+ * Look up what a legendary action costs
+ * @param {Object} tracker - The legendary action's tracker, if it has one
+ * @returns {number} Its cost in legendary actions; 1 unless its name says otherwise
+ */
+function getLegendaryCost(tracker) {
+    return tracker && tracker.usage.cost ? tracker.usage.cost : 1;
+}
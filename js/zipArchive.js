@@ -0,0 +1,231 @@
+/**
+ * D&D 5e Summons Assistant
+ * Zip Archive Module
+ * Reads and writes zip archives in the browser without network access or a library,
+ * using the built-in DecompressionStream/CompressionStream for deflate
+ */
+
+const LOCAL_HEADER_SIGNATURE = 0x04034b50;
+const CENTRAL_HEADER_SIGNATURE = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY_SIGNATURE = 0x06054b50;
+
+// Compression methods
+const STORED = 0;
+const DEFLATED = 8;
+
+// The end of central directory record is 22 bytes plus a comment of up to 65535 bytes
+const MAX_END_RECORD_SEARCH = 22 + 0xffff;
+
+let crcTable = null;
+
+/**
+ * Check whether a file is a zip archive
+ * @param {File} file - The file
+ * @returns {boolean} True if the file name ends in .zip
+ */
+export function isZipFile(file) {
+    return /\.zip$/i.test(file.name);
+}
+
+/**
+ * Unpack a zip archive into files
+ * @param {File|Blob} archive - The zip archive
+ * @returns {Promise<Array<File>>} Resolves with one file per entry, named by its path in the
+ *     archive; folders are left out
+ */
+export async function readZipArchive(archive) {
+    const buffer = await archive.arrayBuffer();
+    const view = new DataView(buffer);
+    const bytes = new Uint8Array(buffer);
+    const decoder = new TextDecoder();
+    
+    const endOffset = findEndOfCentralDirectory(view);
+    const entryCount = view.getUint16(endOffset + 10, true);
+    let offset = view.getUint32(endOffset + 16, true);
+    
+    if (entryCount === 0xffff || offset === 0xffffffff) {
+        throw new Error('Zip64 archives are not supported; re-create the archive with standard zip compression');
+    }
+    
+    const files = [];
+    for (let i = 0; i < entryCount; i++) {
+        if (view.getUint32(offset, true) !== CENTRAL_HEADER_SIGNATURE) {
+            throw new Error('Invalid zip archive: damaged central directory');
+        }
+        
+        const flags = view.getUint16(offset + 8, true);
+        const method = view.getUint16(offset + 10, true);
+        const compressedSize = view.getUint32(offset + 20, true);
+        const nameLength = view.getUint16(offset + 28, true);
+        const extraLength = view.getUint16(offset + 30, true);
+        const commentLength = view.getUint16(offset + 32, true);
+        const localOffset = view.getUint32(offset + 42, true);
+        const name = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+        offset += 46 + nameLength + extraLength + commentLength;
+        
+        if (name.endsWith('/')) continue;
+        
+        if (flags & 0x1) {
+            throw new Error(`${name} in the zip archive is encrypted`);
+        }
+        
+        if (view.getUint32(localOffset, true) !== LOCAL_HEADER_SIGNATURE) {
+            throw new Error(`Invalid zip archive: missing header for ${name}`);
+        }
+        
+        // The local header's name and extra field lengths can differ from the central directory's
+        const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+        const data = bytes.subarray(dataStart, dataStart + compressedSize);
+        
+        files.push(new File([await decompressEntry(data, method, name)], name));
+    }
+    
+    return files;
+}
+
+/**
+ * Create a deflate-compressed zip archive
+ * @param {Array<Object>} entries - The files to add, as {name, content} with string content
+ * @returns {Promise<Blob>} Resolves with the zip archive
+ */
+export async function createZipArchive(entries) {
+    const encoder = new TextEncoder();
+    const { time, date } = getDosDateTime(new Date());
+    
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+    
+    for (const entry of entries) {
+        const name = encoder.encode(entry.name);
+        const data = encoder.encode(entry.content);
+        const compressed = await compress(data);
+        const crc = getCrc32(data);
+        
+        // Local file header
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, LOCAL_HEADER_SIGNATURE, true);
+        local.setUint16(4, 20, true);
+        local.setUint16(6, 0x0800, true);
+        local.setUint16(8, DEFLATED, true);
+        local.setUint16(10, time, true);
+        local.setUint16(12, date, true);
+        local.setUint32(14, crc, true);
+        local.setUint32(18, compressed.length, true);
+        local.setUint32(22, data.length, true);
+        local.setUint16(26, name.length, true);
+        localParts.push(local, name, compressed);
+        
+        // Central directory header
+        const central = new DataView(new ArrayBuffer(46));
+        central.setUint32(0, CENTRAL_HEADER_SIGNATURE, true);
+        central.setUint16(4, 20, true);
+        central.setUint16(6, 20, true);
+        central.setUint16(8, 0x0800, true);
+        central.setUint16(10, DEFLATED, true);
+        central.setUint16(12, time, true);
+        central.setUint16(14, date, true);
+        central.setUint32(16, crc, true);
+        central.setUint32(20, compressed.length, true);
+        central.setUint32(24, data.length, true);
+        central.setUint16(28, name.length, true);
+        central.setUint32(42, offset, true);
+        centralParts.push(central, name);
+        
+        offset += 30 + name.length + compressed.length;
+    }
+    
+    const centralSize = centralParts.reduce((total, part) => total + part.byteLength, 0);
+    
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, END_OF_CENTRAL_DIRECTORY_SIGNATURE, true);
+    end.setUint16(8, entries.length, true);
+    end.setUint16(10, entries.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+    
+    return new Blob([...localParts, ...centralParts, end], { type: 'application/zip' });
+}
+
+/**
+ * Find the end of central directory record, which ends the archive apart from an optional comment
+ * @param {DataView} view - The archive
+ * @returns {number} The record's offset
+ */
+function findEndOfCentralDirectory(view) {
+    const lowest = Math.max(0, view.byteLength - MAX_END_RECORD_SEARCH);
+    
+    for (let offset = view.byteLength - 22; offset >= lowest; offset--) {
+        if (view.getUint32(offset, true) === END_OF_CENTRAL_DIRECTORY_SIGNATURE) {
+            return offset;
+        }
+    }
+    
+    throw new Error('Not a zip archive, or the archive is incomplete');
+}
+
+/**
+ * Decompress one archive entry
+ * @param {Uint8Array} data - The entry's compressed data
+ * @param {number} method - The compression method
+ * @param {string} name - The entry name, for error messages
+ * @returns {Promise<Uint8Array>} Resolves with the uncompressed data
+ */
+async function decompressEntry(data, method, name) {
+    if (method === STORED) {
+        return data;
+    }
+    
+    if (method !== DEFLATED) {
+        throw new Error(`${name} in the zip archive uses an unsupported compression method (${method})`);
+    }
+    
+    const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Deflate-compress data
+ * @param {Uint8Array} data - The data
+ * @returns {Promise<Uint8Array>} Resolves with the compressed data
+ */
+async function compress(data) {
+    const stream = new Blob([data]).stream().pipeThrough(new CompressionStream('deflate-raw'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Calculate the CRC-32 checksum zip archives store for each entry
+ * @param {Uint8Array} data - The uncompressed data
+ * @returns {number} The checksum
+ */
+function getCrc32(data) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crcTable[n] = c;
+        }
+    }
+    
+    let crc = 0xffffffff;
+    for (let i = 0; i < data.length; i++) {
+        crc = crcTable[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Convert a date into the MS-DOS time and date fields zip headers use
+ * @param {Date} value - The date
+ * @returns {Object} {time, date}
+ */
+function getDosDateTime(value) {
+    return {
+        time: (value.getHours() << 11) | (value.getMinutes() << 5) | Math.floor(value.getSeconds() / 2),
+        date: ((value.getFullYear() - 1980) << 9) | ((value.getMonth() + 1) << 5) | value.getDate()
+    };
+}
@@ -0,0 +1,47 @@
+/**
+ * D&D 5e Summons Assistant
+ * Attack Parser tests: reading damage, alternates and riders from attack text
+ * Run with `node --test` (Node 20 or later)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseAttack } from '../js/attackParser.js';
+
+/**
+ * List damage parts as "formula type" strings
+ * @param {Array<Object>} damage - The damage parts
+ * @returns {Array<string>} One string per part
+ */
+function describeDamage(damage) {
+    return damage.map(part => `${part.formula} ${part.type}`);
+}
+
+test('damage joined by "plus" is dealt together', () => {
+    const attack = parseAttack('{@atk mw} {@hit 7} to hit, reach 10 ft., one target. {@h}15 ({@damage 2d10 + 4}) piercing damage plus 3 ({@damage 1d6}) fire damage.');
+    
+    assert.deepEqual(describeDamage(attack.damage), ['2d10 + 4 piercing', '1d6 fire']);
+    assert.deepEqual(attack.alternates, []);
+});
+
+test('a versatile attack shares its trailing "plus" damage with the two-handed alternate and keeps its rider', () => {
+    const attack = parseAttack('{@atk mw} {@hit 5} to hit, reach 5 ft., one target. {@h}7 ({@damage 1d8 + 3}) slashing damage, or 8 ({@damage 1d10 + 3}) slashing damage if used with two hands, plus 7 ({@damage 2d6}) fire damage. If the target is a creature, it must succeed on a {@dc 13} Strength saving throw or be knocked {@condition prone}.');
+    
+    assert.deepEqual(describeDamage(attack.damage), ['1d8 + 3 slashing', '2d6 fire']);
+    assert.equal(attack.alternates.length, 1);
+    assert.equal(attack.alternates[0].condition, 'if used with two hands');
+    assert.deepEqual(describeDamage(attack.alternates[0].damage), ['1d10 + 3 slashing', '2d6 fire']);
+    
+    assert.equal(attack.riders.length, 1);
+    assert.deepEqual(attack.riders[0].save, { ability: 'str', dc: 13, usesSpellSaveDc: false });
+    assert.deepEqual(attack.riders[0].conditions, ['prone']);
+    assert.deepEqual(attack.riders[0].damage, []);
+});
+
+test('"plus" damage inside an alternate stays with that alternate', () => {
+    const attack = parseAttack('{@atk mw} {@hit 5} to hit, reach 5 ft., one target. {@h}7 ({@damage 1d8 + 3}) slashing damage, or 8 ({@damage 1d10 + 3}) slashing damage plus 3 ({@damage 1d6}) cold damage if used with two hands.');
+    
+    assert.deepEqual(describeDamage(attack.damage), ['1d8 + 3 slashing']);
+    assert.deepEqual(describeDamage(attack.alternates[0].damage), ['1d10 + 3 slashing', '1d6 cold']);
+    assert.equal(attack.alternates[0].condition, 'if used with two hands');
+});
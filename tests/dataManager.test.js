@@ -0,0 +1,176 @@
+/**
+ * D&D 5e Summons Assistant
+ * Data Manager tests: upgrading creature records stored by older database versions
+ * Run with `node --test` (Node 20 or later)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { upgradeCreatureRecord } from '../js/dataManager.js';
+import { convertOpen5eData } from '../js/open5eImporter.js';
+
+// A brown bear as the 5e Tools JSON it was imported from
+const BROWN_BEAR = {
+    name: 'Brown Bear',
+    source: 'MM',
+    size: ['L'],
+    type: 'beast',
+    cr: '1',
+    trait: [
+        { name: 'Keen Smell (1/Day)', entries: ['The bear has advantage on Wisdom (Perception) checks that rely on smell.'] }
+    ],
+    action: [
+        { name: 'Multiattack', entries: ['The bear makes two attacks: one with its bite and one with its claws.'] },
+        {
+            name: 'Bite',
+            entries: ['{@atk mw} {@hit 6} to hit, reach 5 ft., one target. {@h}8 ({@damage 1d8 + 4}) piercing damage. If the target is a creature, it must succeed on a {@dc 11} Strength saving throw or be knocked {@condition prone}.']
+        },
+        {
+            name: 'Claws {@recharge 5}',
+            entries: ['{@atk mw} {@hit 6} to hit, reach 5 ft., one target. {@h}11 ({@damage 2d6 + 4}) slashing damage.']
+        }
+    ]
+};
+
+// A giant spider from the Open5e API, with an action that has no attack roll
+const OPEN5E_GIANT_SPIDER = {
+    name: 'Giant Spider',
+    size: 'Large',
+    type: 'beast',
+    alignment: 'unaligned',
+    armor_class: 14,
+    hit_points: 26,
+    hit_dice: '4d10+4',
+    speed: { walk: 30, climb: 30 },
+    strength: 14,
+    dexterity: 16,
+    constitution: 12,
+    intelligence: 2,
+    wisdom: 11,
+    charisma: 4,
+    challenge_rating: '1',
+    document__slug: 'wotc-srd',
+    special_abilities: [
+        { name: 'Spider Climb', desc: 'The spider can climb difficult surfaces, including upside down on ceilings.' }
+    ],
+    actions: [
+        {
+            name: 'Bite',
+            desc: 'Melee Weapon Attack: +5 to hit, reach 5 ft., one creature. Hit: 7 (1d8 + 3) piercing damage, and the target must make a DC 11 Constitution saving throw, taking 9 (2d8) poison damage on a failed save, or half as much damage on a successful one.'
+        },
+        {
+            name: 'Poison Breath (Recharge 5-6)',
+            desc: 'The spider exhales poison in a 15-foot cone. Each creature in that area must make a DC 11 Constitution saving throw, taking 14 (4d6) poison damage on a failed save, or half as much damage on a successful one.'
+        }
+    ]
+};
+
+/**
+ * Build the record a version 1 database stored for the brown bear
+ * @returns {Object} The record, with unstructured attacks and no indexed fields
+ */
+function createVersion1Record() {
+    return {
+        id: 'brown-bear-MM',
+        name: 'Brown Bear',
+        source: 'MM',
+        sourceFormat: '5eTools',
+        type: 'beast',
+        size: 'L',
+        cr: 1,
+        attacks: [
+            { name: 'Bite', description: 'Melee Weapon Attack: +6 to hit...', damage: '1d8 + 4' },
+            { name: 'Claws', description: 'Melee Weapon Attack: +6 to hit...', damage: '2d6 + 4' }
+        ],
+        specialAbilities: [
+            { name: 'Keen Smell (1/Day)', description: 'The bear has advantage on Wisdom (Perception) checks that rely on smell.' }
+        ],
+        raw: BROWN_BEAR
+    };
+}
+
+test('upgrading from version 1 keeps the fields each migration writes', () => {
+    const record = upgradeCreatureRecord(createVersion1Record(), 1);
+    
+    // Version 3: indexed name
+    assert.equal(record.nameLower, 'brown bear');
+    
+    // Versions 7 and 8: structured attacks with their riders
+    const bite = record.attacks.find(attack => attack.name === 'Bite');
+    assert.equal(bite.toHit, 6);
+    assert.equal(bite.reach, 5);
+    assert.deepEqual(bite.damage.map(part => part.type), ['piercing']);
+    assert.equal(bite.riders[0].save.dc, 11);
+    assert.deepEqual(bite.riders[0].conditions, ['prone']);
+    
+    // Version 9: Multiattack
+    assert.ok(record.multiattack);
+    assert.deepEqual(record.multiattack.options[0].steps.map(step => step.names), [['Bite'], ['Claws']]);
+    
+    // Versions 10 and 11: usage limits, kept apart from the names
+    assert.equal(record.attacks.find(attack => attack.name === 'Claws').usage.recharge, 5);
+    assert.equal(record.specialAbilities[0].name, 'Keen Smell');
+    assert.equal(record.specialAbilities[0].usage.uses, 1);
+    assert.equal(record.specialAbilities[0].usage.per, 'day');
+});
+
+test('upgrading from version 8 keeps the Multiattack read at version 9 alongside the usage read at version 10', () => {
+    const stored = upgradeCreatureRecord(createVersion1Record(), 1, 8);
+    assert.equal(stored.multiattack, undefined);
+    
+    const record = upgradeCreatureRecord(stored, 8);
+    assert.equal(record.nameLower, 'brown bear');
+    assert.equal(record.attacks.find(attack => attack.name === 'Bite').riders.length, 1);
+    assert.equal(record.multiattack.options[0].steps.length, 2);
+    assert.equal(record.specialAbilities[0].usage.label, '1/Day');
+});
+
+test('upgrading from version 10 takes usage limits out of attack and trait names', () => {
+    const stored = upgradeCreatureRecord(createVersion1Record(), 1, 10);
+    stored.attacks = stored.attacks.map(attack => ({ ...attack, name: attack.name === 'Claws' ? 'Claws {@recharge 5}' : attack.name }));
+    stored.specialAbilities = stored.specialAbilities.map(trait => ({ ...trait, name: 'Keen Smell (1/Day)' }));
+    
+    const record = upgradeCreatureRecord(stored, 10);
+    assert.deepEqual(record.attacks.map(attack => attack.name), ['Bite', 'Claws']);
+    assert.equal(record.attacks[1].usage.label, 'Recharge 5–6');
+    assert.equal(record.specialAbilities[0].name, 'Keen Smell');
+    assert.equal(record.specialAbilities[0].usage.label, '1/Day');
+});
+
+test('upgrading stops at the requested version', () => {
+    const record = upgradeCreatureRecord(createVersion1Record(), 1, 3);
+    
+    assert.equal(record.nameLower, 'brown bear');
+    assert.equal(record.attacks[0].damage, '1d8 + 4');
+    assert.equal(record.multiattack, undefined);
+});
+
+test('records without their original JSON keep what was stored', () => {
+    const { raw, ...stored } = createVersion1Record();
+    const record = upgradeCreatureRecord(stored, 1);
+    
+    assert.equal(record.nameLower, 'brown bear');
+    assert.deepEqual(record.attacks, stored.attacks);
+    assert.equal(record.multiattack, null);
+    assert.deepEqual(record.specialAbilities, stored.specialAbilities);
+});
+
+test('upgrading an Open5e record reads its converted JSON as a 5e Tools monster', () => {
+    const [monster] = convertOpen5eData([OPEN5E_GIANT_SPIDER]).monsters;
+    const record = upgradeCreatureRecord({
+        id: 'giant-spider-SRD',
+        name: monster.name,
+        source: monster.source,
+        sourceFormat: 'Open5e',
+        attacks: [],
+        specialAbilities: [],
+        raw: monster
+    }, 6);
+    
+    const breath = record.attacks.find(attack => attack.name === 'Poison Breath');
+    assert.ok(breath);
+    assert.equal(breath.usage.recharge, 5);
+    assert.equal(breath.riders[0].save.dc, 11);
+    assert.equal(record.attacks.find(attack => attack.name === 'Bite').toHit, 5);
+    assert.deepEqual(record.specialAbilities.map(trait => trait.name), ['Spider Climb']);
+});